@@ -236,4 +236,22 @@ function formatQuickAnswer(text, source) {
   return formatted;
 }
 
+googleFunction.schema = {
+  query: { type: 'string', required: true, minLength: 1, maxLength: 500, description: 'Search terms' },
+  safeSearch: { type: 'boolean', default: true, description: 'Filter explicit results' },
+  numResults: { type: 'number', isInteger: true, min: 1, max: 10, default: 5, description: 'Number of results to return' }
+};
+
+googleFunction.manifest = {
+  description: 'Web search through Google Custom Search with a scraping fallback',
+  env: {
+    required: [],
+    optional: ['GOOGLE_API_KEY', 'GOOGLE_SEARCH_ENGINE_ID']
+  },
+  example: { query: 'nodejs streams tutorial', numResults: 3 },
+  output: {
+    result: { query: 'string', results: 'array', count: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = googleFunction;
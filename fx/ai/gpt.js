@@ -1,9 +1,9 @@
 // fx/ai/gpt.js
-const OpenAI = require('openai');
+const llm = require('../../lib/llm');
 
 async function gptFunction(request) {
   try {
-    const { prompt, model = 'gpt-3.5-turbo', maxTokens = 1000, temperature = 0.7 } = request.data;
+    const { prompt, model = null, maxTokens = 1000, temperature = 0.7 } = request.data;
     
     if (!prompt || prompt.trim().length === 0) {
       return {
@@ -27,8 +27,9 @@ async function gptFunction(request) {
       };
     }
 
-    // Get response from OpenAI
-    const response = await getGPTResponse(cleanPrompt, model, maxTokens, temperature);
+    // Get response from the LLM provider, streaming tokens when the caller supports it
+    const onToken = request.emit ? (text) => request.emit('token', { text }) : null;
+    const response = await getGPTResponse(cleanPrompt, model, maxTokens, temperature, onToken, request.signal);
     
     return {
       success: true,
@@ -37,7 +38,8 @@ async function gptFunction(request) {
         model: response.model,
         tokens: response.tokens,
         prompt: cleanPrompt,
-        formatted: formatGPTResponse(response.content, model, response.tokens)
+        usage: response.usage,
+        formatted: formatGPTResponse(response.content, response.model, response.tokens)
       }
     };
     
@@ -45,25 +47,16 @@ async function gptFunction(request) {
     return {
       success: false,
       error: {
-        code: 'GPT_FAILED',
+        code: error.name === 'LLMError' ? error.code : 'GPT_FAILED',
         message: error.message || 'Failed to get GPT response'
       }
     };
   }
 }
 
-async function getGPTResponse(prompt, model, maxTokens, temperature) {
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  
-  if (!openaiApiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
-
-  const openai = new OpenAI({
-    apiKey: openaiApiKey
-  });
-
-  const completion = await openai.chat.completions.create({
+async function getGPTResponse(prompt, model, maxTokens, temperature, onToken = null, signal = null) {
+  const response = await llm.chat({
+    source: 'ai/gpt',
     model: model,
     messages: [
       {
@@ -78,17 +71,17 @@ async function getGPTResponse(prompt, model, maxTokens, temperature) {
         content: prompt
       }
     ],
-    max_tokens: maxTokens,
+    maxTokens: maxTokens,
     temperature: temperature,
-    top_p: 1,
-    frequency_penalty: 0,
-    presence_penalty: 0
+    onToken: onToken,
+    signal: signal
   });
 
   return {
-    content: completion.choices[0].message.content,
-    model: completion.model,
-    tokens: completion.usage.total_tokens
+    content: response.content,
+    model: response.model,
+    tokens: response.usage.totalTokens,
+    usage: response.usage
   };
 }
 
@@ -113,34 +106,42 @@ function formatGPTResponse(response, model, tokens) {
 
 // Additional helper functions
 gptFunction.models = async function() {
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  
-  if (!openaiApiKey) {
+  if (!llm.isConfigured()) {
     return {
       success: false,
-      error: 'OpenAI API key not configured'
+      error: 'LLM provider not configured'
     };
   }
 
   try {
-    const openai = new OpenAI({ apiKey: openaiApiKey });
-    const models = await openai.models.list();
-    
-    const chatModels = models.data
-      .filter(model => model.id.includes('gpt'))
-      .map(model => ({
-        id: model.id,
-        owned_by: model.owned_by,
-        created: new Date(model.created * 1000).toISOString()
-      }));
+    const models = await llm.listModels();
     
     return {
       success: true,
-      models: chatModels
+      models: models
     };
   } catch (error) {
     throw new Error(`Failed to fetch models: ${error.message}`);
   }
 };
 
+gptFunction.schema = {
+  prompt: { type: 'string', required: true, minLength: 1, maxLength: 4000, description: 'Question or instruction for the model' },
+  model: { type: 'string', maxLength: 100, description: 'Chat model id; defaults to LLM_MODEL' },
+  maxTokens: { type: 'number', isInteger: true, min: 1, max: 4000, default: 1000, description: 'Maximum tokens in the completion' },
+  temperature: { type: 'number', min: 0, max: 2, default: 0.7, description: 'Sampling temperature' }
+};
+
+gptFunction.manifest = {
+  description: 'Single-turn chat completion from the configured LLM (OpenAI or a compatible server)',
+  env: {
+    required: [],
+    optional: ['LLM_PROVIDER', 'LLM_API_KEY', 'OPENAI_API_KEY', 'LLM_BASE_URL', 'LLM_MODEL']
+  },
+  example: { prompt: 'Explain photosynthesis in two sentences' },
+  output: {
+    result: { response: 'string', model: 'string', tokens: 'number', prompt: 'string', usage: 'object', formatted: 'string' }
+  }
+};
+
 module.exports = gptFunction;
@@ -1,5 +1,6 @@
 // fx/ai/meta.js
 const axios = require('axios');
+const llm = require('../../lib/llm');
 
 async function metaFunction(request) {
   try {
@@ -16,9 +17,20 @@ async function metaFunction(request) {
     }
 
     const cleanQuery = query.trim();
+    const progress = request.progress || (() => {});
     
     // Meta AI search (simulated - in production use actual Meta AI API)
+    progress(10, 'Searching');
     const results = await searchMetaAI(cleanQuery, detailed);
+    progress(60, `Found ${results.length} results`);
+
+    // Compose a direct answer from the results when an LLM is configured
+    if (llm.isConfigured()) {
+      progress(70, 'Composing answer');
+      const answer = await composeAnswer(cleanQuery, results, request.signal);
+      if (answer) results.unshift(answer);
+    }
+    progress(90, 'Formatting');
     
     return {
       success: true,
@@ -91,7 +103,44 @@ async function searchMetaAI(query, detailed) {
   }
 }
 
+async function composeAnswer(query, results, signal = null) {
+  const context = results
+    .filter(result => !result.simulated)
+    .map((result, index) => `[${index + 1}] ${result.title}: ${result.content}`)
+    .join('\n');
+
+  try {
+    const response = await llm.chat({
+      source: 'ai/meta',
+      messages: [
+        {
+          role: 'system',
+          content: 'Answer the question in at most three sentences for a WhatsApp chat. Use the search results when they help; say so when you are unsure.'
+        },
+        {
+          role: 'user',
+          content: context ? `Question: ${query}\n\nSearch results:\n${context}` : query
+        }
+      ],
+      maxTokens: 300,
+      temperature: 0.3,
+      signal: signal
+    });
+
+    return {
+      type: 'ai',
+      title: 'Answer',
+      content: response.content.trim(),
+      source: response.model
+    };
+  } catch (error) {
+    console.log('Meta AI answer failed, showing search results only:', error.message);
+    return null;
+  }
+}
+
 function getMockMetaResults(query) {
+  // Flagged so they are never passed to the LLM as search results
   const mockResponses = [
     {
       type: 'answer',
@@ -115,7 +164,7 @@ function getMockMetaResults(query) {
     }
   ];
   
-  return mockResponses;
+  return mockResponses.map(result => ({ ...result, simulated: true }));
 }
 
 function formatMetaResults(query, results, detailed) {
@@ -128,7 +177,8 @@ function formatMetaResults(query, results, detailed) {
   }
   
   results.forEach((result, index) => {
-    const emoji = result.type === 'answer' ? '🎯' : 
+    const emoji = result.type === 'ai' ? '🤖' :
+                  result.type === 'answer' ? '🎯' : 
                   result.type === 'related' ? '🔗' : '💡';
     
     formatted += `${emoji} *${result.title}*\n`;
@@ -161,7 +211,9 @@ function formatMetaResults(query, results, detailed) {
   }
   
   formatted += `\n━━━━━━━━━━━━━━━━━━━━\n`;
-  formatted += `⚡ Powered by Meta AI simulation`;
+  formatted += results[0].type === 'ai'
+    ? `⚡ Answer by ${results[0].source}`
+    : `⚡ Powered by Meta AI simulation`;
   
   return formatted;
 }
@@ -206,4 +258,21 @@ function formatTrendingTopics(topics) {
   return formatted;
 }
 
+metaFunction.schema = {
+  query: { type: 'string', required: true, minLength: 1, maxLength: 1000, description: 'Question or topic' },
+  detailed: { type: 'boolean', default: false, description: 'Include extended result details' }
+};
+
+metaFunction.manifest = {
+  description: 'Quick answers and related topics for a query',
+  env: {
+    required: [],
+    optional: ['LLM_PROVIDER', 'LLM_API_KEY', 'OPENAI_API_KEY', 'LLM_BASE_URL', 'LLM_MODEL']
+  },
+  example: { query: 'Who painted the Mona Lisa?' },
+  output: {
+    result: { query: 'string', results: 'array', count: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = metaFunction;
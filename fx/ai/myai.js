@@ -1,17 +1,33 @@
 // fx/ai/myai.js
 // Progressive AI chat with session memory
 
-const OpenAI = require('openai');
 const crypto = require('crypto');
+const store = require('../../lib/store');
+const llm = require('../../lib/llm');
+const tools = require('../../lib/tools');
 
-// Session storage (in production, use Redis/DB)
-const chatSessions = new Map();
+// Session storage; each save restarts the session's TTL
 const MAX_SESSIONS = 1000;
-const SESSION_TTL = 30 * 60 * 1000; // 30 minutes
+const MAX_USER_SESSIONS = 20; // Older sessions of a user are dropped past this
+const SESSION_TTL = (parseInt(process.env.MYAI_SESSION_TTL, 10) || 7 * 24 * 60 * 60) * 1000; // 7 days
+const chatSessions = store.collection('myai-sessions', { ttl: SESSION_TTL / 1000 });
+const personas = store.collection('myai-personas'); // System persona per user
+
+// Context budget: history beyond it is summarized (or dropped in trim mode)
+const CONTEXT_TOKENS = parseInt(process.env.MYAI_CONTEXT_TOKENS, 10) || 3000;
+const RESPONSE_TOKENS = 500;
+const SUMMARY_TOKENS = 400;
+const MEMORY_MODE = process.env.MYAI_MEMORY_MODE === 'trim' ? 'trim' : 'summarize';
+
+// Function calls the assistant may make while answering one message
+const MAX_TOOL_CALLS = parseInt(process.env.MYAI_MAX_TOOL_CALLS, 10) || 5;
+
+const EXPORT_FORMAT = 'myai-session';
+const EXPORT_VERSION = 1;
 
 async function myaiFunction(request) {
   try {
-    const { userId, message, sessionId = null, reset = false } = request.data;
+    const { userId, operation = 'chat', sessionId = null } = request.data;
     
     if (!userId) {
       return {
@@ -23,200 +39,599 @@ async function myaiFunction(request) {
       };
     }
 
-    if (!message || message.trim().length === 0) {
-      return {
-        success: false,
-        error: {
-          code: 'MISSING_MESSAGE',
-          message: 'Message is required'
-        }
-      };
+    switch (operation) {
+      case 'sessions':
+        return await listSessions(userId);
+      case 'export':
+        return await exportSession(userId, sessionId);
+      case 'import':
+        return await importSession(userId, request.data.session);
+      case 'persona':
+        return await updatePersona(userId, request.data.persona, request.data.reset);
+      case 'end':
+        return await endSession(userId, sessionId);
+      default:
+        return await chat(request);
     }
-
-    // Get or create session
-    let session = sessionId ? chatSessions.get(sessionId) : null;
-    
-    if (!session || session.userId !== userId || reset) {
-      // Create new session
-      session = createNewSession(userId);
-      chatSessions.set(session.id, session);
-      
-      // Clean up old sessions periodically
-      cleanupSessions();
-    }
-
-    // Add user message to history
-    session.history.push({
-      role: 'user',
-      content: message.trim(),
-      timestamp: new Date().toISOString()
-    });
-
-    // Get AI response
-    const aiResponse = await getAIResponse(session.history);
-    
-    // Add AI response to history
-    session.history.push({
-      role: 'assistant',
-      content: aiResponse.content,
-      timestamp: new Date().toISOString()
-    });
-
-    // Update session
-    session.lastActivity = Date.now();
-    session.messageCount += 1;
     
-    // Trim history if too long
-    if (session.history.length > 20) {
-      // Keep system message and last 18 messages
-      const systemMsg = session.history[0];
-      const recentMsgs = session.history.slice(-18);
-      session.history = [systemMsg, ...recentMsgs];
-    }
-
-    // Save session
-    chatSessions.set(session.id, session);
-
+  } catch (error) {
     return {
-      success: true,
-      result: {
-        response: aiResponse.content,
-        sessionId: session.id,
-        messageCount: session.messageCount,
-        formatted: formatAIResponse(aiResponse.content, session.messageCount),
-        sessionInfo: {
-          id: session.id,
-          createdAt: session.createdAt,
-          messageCount: session.messageCount,
-          historyLength: session.history.length - 1 // excluding system message
-        }
+      success: false,
+      error: {
+        code: error.name === 'LLMError' ? error.code : 'MYAI_FAILED',
+        message: error.message || 'Failed to process AI request'
       }
     };
-    
-  } catch (error) {
+  }
+}
+
+async function chat(request) {
+  const { userId, message, sessionId = null, reset = false, tools: useTools = true } = request.data;
+
+  if (!message || message.trim().length === 0) {
     return {
       success: false,
       error: {
-        code: 'MYAI_FAILED',
-        message: error.message || 'Failed to process AI request'
+        code: 'MISSING_MESSAGE',
+        message: 'Message is required'
       }
     };
   }
+
+  // Get or create session
+  let session = sessionId ? await chatSessions.get(sessionId) : null;
+  
+  if (!session || session.userId !== userId || reset) {
+    // Create new session
+    session = await createNewSession(userId);
+    await chatSessions.set(session.id, session);
+    
+    // Clean up old sessions periodically
+    await cleanupSessions(userId);
+  }
+  session = normalizeSession(session);
+
+  // Add user message to history
+  session.history.push({
+    role: 'user',
+    content: message.trim(),
+    timestamp: new Date().toISOString()
+  });
+
+  // Keep the prompt within the context budget
+  const memory = await fitHistory(session, request.signal);
+
+  // Get AI response, streaming tokens when the caller supports it
+  const onToken = request.emit ? (text) => request.emit('token', { text }) : null;
+  const aiResponse = useTools !== false
+    ? await answerWithTools(buildMessages(session), request, onToken)
+    : { ...await getAIResponse(buildMessages(session), onToken, 'ai/myai', null, request.signal), toolCalls: [] };
+  
+  // Add AI response to history; tool results stay out of the memory
+  session.history.push({
+    role: 'assistant',
+    content: aiResponse.content,
+    timestamp: new Date().toISOString(),
+    ...(aiResponse.toolCalls.length > 0 && { tools: aiResponse.toolCalls.map(call => call.tool) })
+  });
+
+  // Update session
+  session.lastActivity = Date.now();
+  session.messageCount += 1;
+  session.title = session.title || message.trim().substring(0, 60);
+
+  // Save session
+  await chatSessions.set(session.id, session);
+
+  return {
+    success: true,
+    result: {
+      response: aiResponse.content,
+      sessionId: session.id,
+      messageCount: session.messageCount,
+      toolCalls: aiResponse.toolCalls,
+      formatted: formatAIResponse(aiResponse.content, session.messageCount, aiResponse.toolCalls),
+      sessionInfo: {
+        id: session.id,
+        createdAt: session.createdAt,
+        messageCount: session.messageCount,
+        historyLength: session.history.length,
+        persona: session.persona ? session.persona.name : null
+      },
+      memory: {
+        ...memory,
+        tokens: llm.estimateTokens(buildMessages(session)),
+        budget: CONTEXT_TOKENS,
+        usage: aiResponse.usage
+      }
+    }
+  };
 }
 
-function createNewSession(userId) {
+async function createNewSession(userId) {
   const sessionId = generateSessionId();
   
   return {
     id: sessionId,
     userId: userId,
+    title: null,
     createdAt: new Date().toISOString(),
     lastActivity: Date.now(),
     messageCount: 0,
-    history: [
+    persona: await personas.get(userId),
+    summary: null,
+    summarizedTurns: 0,
+    history: []
+  };
+}
+
+// Sessions saved before personas kept the system prompt as the first message
+function normalizeSession(session) {
+  return {
+    persona: null,
+    summary: null,
+    summarizedTurns: 0,
+    ...session,
+    history: session.history.filter(msg => msg.role !== 'system')
+  };
+}
+
+function buildSystemPrompt(session) {
+  const persona = session.persona;
+  let prompt = persona
+    ? `You are ${persona.name || 'MyAI'}, a WhatsApp assistant. You have memory of this conversation.\n${persona.instructions}`
+    : `You are MyAI, a helpful WhatsApp assistant. You have memory of this conversation. 
+                  Be concise but helpful. Use emojis occasionally. 
+                  Format responses clearly for mobile. Keep responses under 500 characters when possible.`;
+  prompt += `\nCurrent date: ${new Date().toLocaleDateString()}`;
+
+  if (session.summary) {
+    prompt += `\n\nSummary of the earlier conversation:\n${session.summary}`;
+  }
+
+  return prompt;
+}
+
+// Messages sent to the model: system prompt, then the kept turns
+function buildMessages(session) {
+  return [
+    { role: 'system', content: buildSystemPrompt(session) },
+    ...session.history.map(({ role, content }) => ({ role, content }))
+  ];
+}
+
+/**
+ * Move the oldest turns out of the history until the prompt fits the
+ * context budget, leaving room for the reply. Moved turns are folded into
+ * the session summary, or dropped in trim mode. The newest turn is always kept.
+ */
+async function fitHistory(session, signal = null) {
+  const budget = CONTEXT_TOKENS - RESPONSE_TOKENS;
+  const overflow = [];
+
+  while (session.history.length > 1 && llm.estimateTokens(buildMessages(session)) > budget) {
+    overflow.push(session.history.shift());
+  }
+
+  if (overflow.length === 0) {
+    return { mode: MEMORY_MODE, moved: 0, summarized: false };
+  }
+
+  if (MEMORY_MODE === 'summarize') {
+    session.summary = await summarizeTurns(session.summary, overflow, signal);
+    session.summarizedTurns += overflow.length;
+
+    // A longer summary can push the prompt back over; drop turns from then on
+    while (session.history.length > 1 && llm.estimateTokens(buildMessages(session)) > budget) {
+      session.history.shift();
+    }
+  }
+
+  return { mode: MEMORY_MODE, moved: overflow.length, summarized: MEMORY_MODE === 'summarize' };
+}
+
+/**
+ * Fold turns into the running summary. Uses the model when one is
+ * configured, otherwise keeps the opening of each turn.
+ */
+async function summarizeTurns(summary, turns, signal = null) {
+  const transcript = turns.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n');
+
+  if (llm.isConfigured()) {
+    const reply = await getAIResponse([
       {
         role: 'system',
-        content: `You are MyAI, a helpful WhatsApp assistant. You have memory of this conversation. 
-                  Be concise but helpful. Use emojis occasionally. 
-                  Format responses clearly for mobile. Keep responses under 500 characters when possible.
-                  Current date: ${new Date().toLocaleDateString()}`
+        content: `Update the summary of a chat between a user and an assistant with the new messages. Keep names, facts, preferences and open questions. Reply with the summary only, under ${SUMMARY_TOKENS * 3} characters.`
+      },
+      {
+        role: 'user',
+        content: `Current summary:\n${summary || '(none)'}\n\nNew messages:\n${transcript}`
       }
-    ]
+    ], null, 'ai/myai:summary', null, signal);
+
+    if (reply.provider !== 'mock' && reply.content) {
+      return capSummary(reply.content.trim());
+    }
+  }
+
+  const lines = turns.map(turn => {
+    const text = turn.content.replace(/\s+/g, ' ').trim();
+    const limit = turn.role === 'user' ? 160 : 100;
+    return `- ${turn.role === 'user' ? 'User' : 'Assistant'}: ${text.length > limit ? `${text.substring(0, limit)}...` : text}`;
+  });
+
+  return capSummary([summary, ...lines].filter(Boolean).join('\n'));
+}
+
+// Keep a summary within SUMMARY_TOKENS, dropping the oldest assistant lines
+// first since what the user said carries more of the context
+function capSummary(summary) {
+  const lines = summary.split('\n');
+  while (lines.length > 1 && llm.estimateTokens(lines.join('\n')) > SUMMARY_TOKENS) {
+    const assistantLine = lines.findIndex(line => line.startsWith('- Assistant:'));
+    lines.splice(assistantLine === -1 ? 0 : assistantLine, 1);
+  }
+  return lines.join('\n').substring(0, SUMMARY_TOKENS * 4);
+}
+
+async function getOwnedSession(userId, sessionId) {
+  const session = sessionId ? await chatSessions.get(sessionId) : null;
+  return session && session.userId === userId ? normalizeSession(session) : null;
+}
+
+function sessionNotFound() {
+  return {
+    success: false,
+    error: {
+      code: 'SESSION_NOT_FOUND',
+      message: 'Session not found or expired'
+    }
   };
 }
 
-async function getAIResponse(history) {
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  
-  if (!openaiApiKey) {
-    // Fallback to mock response if no API key
-    return getMockAIResponse(history);
+async function listSessions(userId) {
+  const sessions = await myaiFunction.listUserSessions(userId);
+
+  let formatted = `🗂️ *Your MyAI Sessions* (${sessions.length})\n\n`;
+  sessions.slice(0, 10).forEach((session, index) => {
+    formatted += `${index + 1}. ${session.title || 'Untitled'}\n`;
+    formatted += `   ${session.messageCount} messages • ${new Date(session.lastActivity).toLocaleString()}\n`;
+    formatted += `   ID: ${session.id}\n`;
+  });
+  if (sessions.length === 0) {
+    formatted += `No saved sessions yet. Send a message to start one.`;
   }
 
-  try {
-    const openai = new OpenAI({
-      apiKey: openaiApiKey
-    });
+  return {
+    success: true,
+    result: {
+      sessions: sessions,
+      total: sessions.length,
+      formatted: formatted
+    }
+  };
+}
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: history,
-      max_tokens: 500,
-      temperature: 0.7,
-      top_p: 0.9,
-      frequency_penalty: 0.3,
-      presence_penalty: 0.3
-    });
+async function exportSession(userId, sessionId) {
+  const session = await getOwnedSession(userId, sessionId);
+  if (!session) {
+    return sessionNotFound();
+  }
 
+  return {
+    success: true,
+    result: {
+      sessionId: session.id,
+      session: {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        title: session.title,
+        createdAt: session.createdAt,
+        messageCount: session.messageCount,
+        persona: session.persona,
+        summary: session.summary,
+        history: session.history.map(({ role, content, timestamp }) => ({ role, content, timestamp }))
+      },
+      formatted: `📤 *Session Exported*\n\n${session.title || 'Untitled'}\n${session.messageCount} messages, ${session.history.length} kept in memory`
+    }
+  };
+}
+
+function invalidImport(message) {
+  return {
+    success: false,
+    error: {
+      code: 'INVALID_SESSION',
+      message: message
+    }
+  };
+}
+
+async function importSession(userId, data) {
+  if (!data || typeof data !== 'object') {
+    return invalidImport('session must be an exported session object');
+  }
+  if (data.format !== EXPORT_FORMAT || data.version !== EXPORT_VERSION) {
+    return invalidImport(`session must be a ${EXPORT_FORMAT} export, version ${EXPORT_VERSION}`);
+  }
+
+  const history = Array.isArray(data.history) ? data.history : [];
+  if (history.length > 200) {
+    return invalidImport('session history can have at most 200 messages');
+  }
+  const invalid = history.findIndex(msg => !msg || !['user', 'assistant'].includes(msg.role) ||
+    typeof msg.content !== 'string' || msg.content.length > 8000);
+  if (invalid !== -1) {
+    return invalidImport(`history[${invalid}] must have role user or assistant and content up to 8000 characters`);
+  }
+
+  const session = await createNewSession(userId);
+  session.title = typeof data.title === 'string' ? data.title.substring(0, 60) : null;
+  session.persona = formatPersona(data.persona) || session.persona;
+  session.summary = typeof data.summary === 'string' ? capSummary(data.summary) : null;
+  session.messageCount = Number.isInteger(data.messageCount) && data.messageCount >= 0
+    ? data.messageCount
+    : history.filter(msg => msg.role === 'user').length;
+  session.history = history.map(msg => ({
+    role: msg.role,
+    content: msg.content,
+    timestamp: msg.timestamp || new Date().toISOString()
+  }));
+
+  const memory = history.length > 0 ? await fitHistory(session) : { mode: MEMORY_MODE, moved: 0, summarized: false };
+
+  await chatSessions.set(session.id, session);
+  await cleanupSessions(userId);
+
+  return {
+    success: true,
+    result: {
+      sessionId: session.id,
+      messageCount: session.messageCount,
+      historyLength: session.history.length,
+      memory: memory,
+      formatted: `📥 *Session Imported*\n\n${session.title || 'Untitled'}\nContinue it with session ID: ${session.id}`
+    }
+  };
+}
+
+function formatPersona(persona) {
+  if (!persona || typeof persona.instructions !== 'string' || persona.instructions.trim().length === 0) {
+    return null;
+  }
+
+  return {
+    name: typeof persona.name === 'string' && persona.name.trim() ? persona.name.trim().substring(0, 50) : 'MyAI',
+    instructions: persona.instructions.trim().substring(0, 2000),
+    updatedAt: persona.updatedAt || new Date().toISOString()
+  };
+}
+
+// Set, show or clear (reset) the persona new sessions start with
+async function updatePersona(userId, persona = null, reset = false) {
+  if (reset) {
+    await personas.delete(userId);
     return {
-      content: completion.choices[0].message.content,
-      model: completion.model,
-      tokens: completion.usage.total_tokens
+      success: true,
+      result: {
+        persona: null,
+        formatted: `🎭 Persona cleared. New sessions use the default MyAI assistant.`
+      }
+    };
+  }
+
+  if (!persona) {
+    const current = await personas.get(userId);
+    return {
+      success: true,
+      result: {
+        persona: current,
+        formatted: current
+          ? `🎭 *Current Persona:* ${current.name}\n\n${current.instructions}`
+          : `🎭 No persona set. New sessions use the default MyAI assistant.`
+      }
     };
-    
-  } catch (error) {
-    console.error('OpenAI API error:', error.message);
-    // Fallback to mock response
-    return getMockAIResponse(history);
   }
+
+  const formattedPersona = formatPersona({ ...persona, updatedAt: null });
+  if (!formattedPersona) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_PERSONA',
+        message: 'persona.instructions is required'
+      }
+    };
+  }
+
+  await personas.set(userId, formattedPersona);
+
+  return {
+    success: true,
+    result: {
+      persona: formattedPersona,
+      formatted: `🎭 *Persona Set:* ${formattedPersona.name}\n\nNew sessions will use it. Send reset to start one now.`
+    }
+  };
 }
 
-function getMockAIResponse(history) {
-  const userMessages = history.filter(msg => msg.role === 'user');
-  const lastMessage = userMessages[userMessages.length - 1];
-  
-  const responses = [
-    `I understand you said: "${lastMessage.content.substring(0, 50)}...". As your AI assistant, I'm here to help! 🤖`,
-    `Got it! Based on our conversation, I recommend being patient and thinking things through. 💭`,
-    `That's an interesting point! Remember that I'm here to assist you with information and suggestions. ✨`,
-    `Thanks for sharing! As your progressive AI, I'm learning from our conversation to better assist you. 📚`,
-    `I've noted your message. Is there anything specific you'd like me to help you with today? 🌟`
-  ];
-  
+async function endSession(userId, sessionId) {
+  const session = await getOwnedSession(userId, sessionId);
+  if (!session) {
+    return sessionNotFound();
+  }
+
+  await chatSessions.delete(session.id);
+
   return {
-    content: responses[Math.floor(Math.random() * responses.length)],
-    model: 'mock-ai',
-    tokens: 0
+    success: true,
+    result: {
+      sessionId: session.id,
+      ended: true,
+      formatted: `👋 Session ended: ${session.title || session.id}`
+    }
   };
 }
 
+/**
+ * Answer with the help of other functions. The model is offered the allowed
+ * functions as tools; each call it makes runs with the permissions of the
+ * request that started the chat, and its result goes back to the model.
+ * Once MAX_TOOL_CALLS is reached the model has to answer without them.
+ */
+async function answerWithTools(messages, request, onToken) {
+  const definitions = await tools.definitions();
+  const toolCalls = [];
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+
+  for (;;) {
+    const offer = definitions.length > 0 && toolCalls.length < MAX_TOOL_CALLS;
+    const reply = await getAIResponse(messages, offer ? null : onToken, 'ai/myai', offer ? definitions : null, request.signal);
+    addUsage(usage, reply.usage);
+
+    if (!offer || reply.toolCalls.length === 0) {
+      // Replies that could have called a tool are not streamed; send them whole
+      if (offer && onToken && reply.content) {
+        onToken(reply.content);
+      }
+      return { ...reply, usage, toolCalls };
+    }
+
+    const calls = reply.toolCalls.slice(0, MAX_TOOL_CALLS - toolCalls.length);
+    messages.push({
+      role: 'assistant',
+      content: reply.content || null,
+      tool_calls: calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of calls) {
+      const startTime = Date.now();
+      const response = await tools.call(call.name, call.arguments, {
+        userId: request.data.userId,
+        caller: request.caller,
+        requestId: request.requestId,
+        metadata: request.metadata
+      });
+
+      const record = {
+        tool: tools.resolve(call.name) || call.name,
+        arguments: safeParse(call.arguments),
+        success: response.success === true,
+        error: response.success ? null : { code: response.error?.code, message: response.error?.message },
+        duration: Date.now() - startTime
+      };
+      toolCalls.push(record);
+
+      if (request.emit) {
+        request.emit('tool', { tool: record.tool, success: record.success, duration: record.duration });
+      }
+
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: tools.toContent(response)
+      });
+    }
+  }
+}
+
+function addUsage(total, usage) {
+  if (!usage) return;
+  total.promptTokens += usage.promptTokens;
+  total.completionTokens += usage.completionTokens;
+  total.totalTokens += usage.totalTokens;
+  total.estimated = total.estimated || usage.estimated;
+}
+
+function safeParse(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return json;
+  }
+}
+
+async function getAIResponse(messages, onToken = null, source = 'ai/myai', toolDefinitions = null, signal = null) {
+  const params = {
+    source: source,
+    messages: messages,
+    tools: toolDefinitions,
+    maxTokens: RESPONSE_TOKENS,
+    temperature: 0.7,
+    topP: 0.9,
+    frequencyPenalty: 0.3,
+    presencePenalty: 0.3,
+    onToken: onToken,
+    signal: signal
+  };
+
+  // Without a configured provider, chat with the mock one
+  if (!llm.isConfigured()) {
+    return llm.chat({ ...params, provider: 'mock' });
+  }
+
+  let streamed = false;
+  const track = onToken ? (text) => { streamed = true; onToken(text); } : null;
+
+  try {
+    return await llm.chat({ ...params, onToken: track });
+  } catch (error) {
+    console.error('LLM error:', error.message);
+
+    // Part of the reply already reached the caller, or the caller has gone;
+    // don't append a mock to it
+    if (streamed || error.code === 'CANCELLED') {
+      throw error;
+    }
+
+    // Fallback to the mock provider so the chat keeps going
+    return llm.chat({ ...params, provider: 'mock' });
+  }
+}
+
 function generateSessionId() {
   return `sess_${crypto.randomBytes(8).toString('hex')}`;
 }
 
-function formatAIResponse(response, messageCount) {
+function formatAIResponse(response, messageCount, toolCalls = []) {
   let formatted = `🤖 *MyAI Response* (Chat #${messageCount})\n\n`;
   formatted += `${response}\n\n`;
   formatted += `━━━━━━━━━━━━━━━━━━━━\n`;
+  const used = [...new Set(toolCalls.filter(call => call.success).map(call => call.tool.split('/').pop()))];
+  if (used.length > 0) {
+    formatted += `🛠️ *Used:* ${used.join(', ')}\n`;
+  }
   formatted += `💡 *Tip:* I remember our conversation! Type "new" to start fresh.\n`;
   formatted += `📊 *Memory:* ${messageCount} messages in this session`;
   
   return formatted;
 }
 
-function cleanupSessions() {
-  const now = Date.now();
-  let deletedCount = 0;
+// Expired sessions are dropped by the store; this caps the total and per user
+async function cleanupSessions(userId = null) {
+  const sessionsArray = await chatSessions.entries();
+  const toDelete = [];
   
-  for (const [sessionId, session] of chatSessions.entries()) {
-    if (now - session.lastActivity > SESSION_TTL) {
-      chatSessions.delete(sessionId);
-      deletedCount++;
-    }
-  }
-  
-  // If still too many sessions, delete oldest
-  if (chatSessions.size > MAX_SESSIONS) {
-    const sessionsArray = Array.from(chatSessions.entries());
+  // If too many sessions, delete oldest
+  if (sessionsArray.length > MAX_SESSIONS) {
     sessionsArray.sort((a, b) => a[1].lastActivity - b[1].lastActivity);
-    
-    const toDelete = sessionsArray.slice(0, sessionsArray.length - MAX_SESSIONS + 100);
-    toDelete.forEach(([sessionId]) => chatSessions.delete(sessionId));
+    toDelete.push(...sessionsArray.slice(0, sessionsArray.length - MAX_SESSIONS + 100));
   }
-}
 
-// Cleanup every 5 minutes
-setInterval(cleanupSessions, 5 * 60 * 1000);
+  if (userId) {
+    const userSessions = sessionsArray
+      .filter(([sessionId, session]) => session.userId === userId)
+      .sort((a, b) => b[1].lastActivity - a[1].lastActivity);
+    toDelete.push(...userSessions.slice(MAX_USER_SESSIONS));
+  }
+
+  await Promise.all(toDelete.map(([sessionId]) => chatSessions.delete(sessionId)));
+}
 
 // Session management helpers
 myaiFunction.getSession = function(sessionId) {
@@ -227,19 +642,53 @@ myaiFunction.endSession = function(sessionId) {
   return chatSessions.delete(sessionId);
 };
 
-myaiFunction.listUserSessions = function(userId) {
+// A user's sessions, most recently active first
+myaiFunction.listUserSessions = async function(userId) {
   const userSessions = [];
-  for (const [sessionId, session] of chatSessions.entries()) {
+  for (const [sessionId, session] of await chatSessions.entries()) {
     if (session.userId === userId) {
       userSessions.push({
         id: sessionId,
+        title: session.title || null,
         createdAt: session.createdAt,
         messageCount: session.messageCount,
+        persona: session.persona ? session.persona.name : null,
+        summarized: Boolean(session.summary),
         lastActivity: new Date(session.lastActivity).toISOString()
       });
     }
   }
-  return userSessions;
+  return userSessions.sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+};
+
+myaiFunction.schema = {
+  userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Chat user the session belongs to' },
+  operation: { type: 'string', enum: ['chat', 'sessions', 'export', 'import', 'persona', 'end'], default: 'chat', description: 'chat sends a message; sessions, export, import, persona and end manage memory' },
+  message: { type: 'string', minLength: 1, maxLength: 4000, description: 'Message to send to the assistant, required for chat' },
+  sessionId: { type: 'string', maxLength: 100, default: null, description: 'Existing session to continue, export or end' },
+  reset: { type: 'boolean', default: false, description: 'Start a fresh session; with persona, clear the persona' },
+  tools: { type: 'boolean', default: true, description: 'Let the assistant call other functions such as weather, currency or translate' },
+  persona: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 50 },
+      instructions: { type: 'string', required: true, minLength: 1, maxLength: 2000 }
+    },
+    description: 'System persona for new sessions: { name, instructions }'
+  },
+  session: { type: 'object', description: 'Session exported with operation export, for import' }
+};
+
+myaiFunction.manifest = {
+  description: 'Multi-turn AI chat that remembers the conversation per session and can call other functions as tools',
+  env: {
+    required: [],
+    optional: ['LLM_PROVIDER', 'LLM_API_KEY', 'OPENAI_API_KEY', 'LLM_BASE_URL', 'LLM_MODEL', 'MYAI_CONTEXT_TOKENS', 'MYAI_MEMORY_MODE', 'MYAI_SESSION_TTL', 'MYAI_TOOLS', 'MYAI_MAX_TOOL_CALLS']
+  },
+  example: { userId: '2348012345678', message: 'Hi, can you help me plan a trip?' },
+  output: {
+    result: { response: 'string', sessionId: 'string', messageCount: 'number', toolCalls: 'array', formatted: 'string', sessionInfo: 'object', memory: 'object' }
+  }
 };
 
 module.exports = myaiFunction;
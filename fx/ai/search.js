@@ -332,4 +332,22 @@ searchFunction.engines = function() {
   };
 };
 
+searchFunction.schema = {
+  query: { type: 'string', required: true, minLength: 1, maxLength: 500, description: 'Search terms' },
+  engine: { type: 'string', enum: ['all', 'web', 'images', 'videos', 'news'], default: 'all', description: 'Engine to search, or all of them' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 20, default: 5, description: 'Maximum number of results' }
+};
+
+searchFunction.manifest = {
+  description: 'Aggregated search across web, images, videos and news',
+  env: {
+    required: [],
+    optional: ['YOUTUBE_API_KEY', 'NEWS_API_KEY', 'UNSPLASH_ACCESS_KEY']
+  },
+  example: { query: 'lagos tech events', engine: 'news', limit: 5 },
+  output: {
+    result: { query: 'string', engine: 'string', results: 'array', count: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = searchFunction;
@@ -279,4 +279,23 @@ stickersearchFunction.trending = async function(limit = 10) {
   }
 };
 
+stickersearchFunction.schema = {
+  query: { type: 'string', required: true, minLength: 1, maxLength: 200, description: 'What the sticker should show' },
+  searchType: { type: 'string', maxLength: 50, default: 'sticker', description: 'Kind of media to search for' },
+  format: { type: 'string', maxLength: 10, default: 'webp', description: 'Output image format' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 50, default: 10, description: 'Maximum number of stickers' }
+};
+
+stickersearchFunction.manifest = {
+  description: 'Find stickers and GIFs matching a query',
+  env: {
+    required: [],
+    optional: ['TENOR_API_KEY', 'GIPHY_API_KEY']
+  },
+  example: { query: 'happy cat', limit: 5 },
+  output: {
+    result: { query: 'string', stickers: 'array', count: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = stickersearchFunction;
@@ -298,4 +298,24 @@ function formatTrendingTrailers(trailers) {
   return formatted;
 }
 
+trailerFunction.schema = {
+  movie: { type: 'string', required: true, minLength: 1, maxLength: 200, description: 'Movie title' },
+  year: { type: 'number', isInteger: true, min: 1880, max: 2100, default: null, description: 'Release year to disambiguate the title' },
+  source: { type: 'string', maxLength: 50, default: 'youtube', description: 'Where to look for the trailer' },
+  quality: { type: 'string', maxLength: 20, default: '720p', description: 'Preferred video quality' }
+};
+
+trailerFunction.manifest = {
+  description: 'Find the official trailer for a movie',
+  aliases: ['trailer'],
+  env: {
+    required: [],
+    optional: ['YOUTUBE_API_KEY']
+  },
+  example: { movie: 'Inception', year: 2010 },
+  output: {
+    result: { movie: 'string', year: 'number', title: 'string', url: 'string', downloadUrl: 'string', thumbnail: 'string', duration: 'string', quality: 'string', source: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = trailerFunction;
@@ -5,6 +5,8 @@ const { v4: uuidv4 } = require('uuid');
 async function auraFunction(request) {
   try {
     const { song, auraType = 'ambient', duration = '30s', intensity = 'medium' } = request.data;
+    const progress = request.progress || (() => {});
+    const { signal } = request;
     
     if (!song) {
       return {
@@ -18,10 +20,11 @@ async function auraFunction(request) {
 
     // Check if input is a URL
     let auraData;
+    progress(10, 'Creating aura');
     if (isUrl(song)) {
-      auraData = await createAuraFromUrl(song, auraType, duration, intensity);
+      auraData = await createAuraFromUrl(song, auraType, duration, intensity, signal);
     } else {
-      auraData = await createAuraFromSong(song, auraType, duration, intensity);
+      auraData = await createAuraFromSong(song, auraType, duration, intensity, signal);
     }
     
     return {
@@ -58,12 +61,12 @@ function isUrl(string) {
   }
 }
 
-async function createAuraFromUrl(url, auraType, duration, intensity) {
+async function createAuraFromUrl(url, auraType, duration, intensity, signal) {
   // Download audio from URL
-  const audioData = await downloadAudio(url);
+  const audioData = await downloadAudio(url, signal);
   
   // Apply aura effects
-  const auraBuffer = await applyAuraEffects(audioData.buffer, auraType, duration, intensity);
+  const auraBuffer = await applyAuraEffects(audioData.buffer, auraType, duration, intensity, signal);
   
   const auraId = uuidv4();
   
@@ -76,7 +79,7 @@ async function createAuraFromUrl(url, auraType, duration, intensity) {
   };
 }
 
-async function createAuraFromSong(songName, auraType, duration, intensity) {
+async function createAuraFromSong(songName, auraType, duration, intensity, signal) {
   // Search for song
   const songInfo = await searchSong(songName);
   
@@ -85,10 +88,10 @@ async function createAuraFromSong(songName, auraType, duration, intensity) {
   }
   
   // Download song
-  const audioData = await downloadAudio(songInfo.url);
+  const audioData = await downloadAudio(songInfo.url, signal);
   
   // Apply aura effects
-  const auraBuffer = await applyAuraEffects(audioData.buffer, auraType, duration, intensity);
+  const auraBuffer = await applyAuraEffects(audioData.buffer, auraType, duration, intensity, signal);
   
   const auraId = uuidv4();
   
@@ -102,10 +105,11 @@ async function createAuraFromSong(songName, auraType, duration, intensity) {
   };
 }
 
-async function downloadAudio(url) {
+async function downloadAudio(url, signal) {
   const response = await axios({
     method: 'GET',
     url: url,
+    signal: signal,
     responseType: 'arraybuffer',
     timeout: 30000,
     maxContentLength: 50 * 1024 * 1024, // 50MB
@@ -122,7 +126,7 @@ async function downloadAudio(url) {
   };
 }
 
-async function applyAuraEffects(audioBuffer, auraType, duration, intensity) {
+async function applyAuraEffects(audioBuffer, auraType, duration, intensity, signal) {
   // This is a simulation of audio processing
   // In production, you would use audio processing libraries like:
   // - tone.js
@@ -131,6 +135,7 @@ async function applyAuraEffects(audioBuffer, auraType, duration, intensity) {
   
   // Simulate processing delay
   await new Promise(resolve => setTimeout(resolve, 1000));
+  signal?.throwIfAborted();
   
   // For now, return the original buffer (simulated)
   // In real implementation, apply effects like:
@@ -305,4 +310,23 @@ function formatAuraTypesList(auraTypes) {
   return formatted;
 }
 
+auraFunction.schema = {
+  song: { type: 'string', required: true, minLength: 1, maxLength: 500, description: 'Song name or audio URL' },
+  auraType: { type: 'string', enum: ['ambient', 'energetic', 'meditative', 'focus'], default: 'ambient', description: 'Style of effects to apply' },
+  duration: { type: 'string', pattern: /^\d+[smh]$/, default: '30s', description: 'Clip length such as 30s, 2m or 1h' },
+  intensity: { type: 'string', maxLength: 20, default: 'medium', description: 'Strength of the effects' }
+};
+
+auraFunction.manifest = {
+  description: 'Create an atmospheric "aura" remix of a song',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { song: 'Calm Down - Rema', auraType: 'meditative' },
+  output: {
+    result: { auraId: 'string', song: 'string', auraType: 'string', duration: 'number', intensity: 'string', downloadUrl: 'string', previewUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = auraFunction;
@@ -259,4 +259,23 @@ downloadFunction.detectFileType = function(buffer) {
   return 'application/octet-stream';
 };
 
+downloadFunction.schema = {
+  url: { type: 'string', required: true, isURL: true, maxLength: 2048, description: 'File URL' },
+  filename: { type: 'string', maxLength: 255, default: null, description: 'Name to save the file as' },
+  timeout: { type: 'number', isInteger: true, min: 1000, max: 120000, default: 30000, description: 'Request timeout in milliseconds' },
+  maxSize: { type: 'number', isInteger: true, min: 1, max: 100 * 1024 * 1024, default: 50 * 1024 * 1024, description: 'Maximum file size in bytes' }
+};
+
+downloadFunction.manifest = {
+  description: 'Download a file from a URL into temporary storage',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { url: 'https://example.com/files/report.pdf' },
+  output: {
+    result: { filename: 'string', url: 'string', size: 'number', mimeType: 'string', downloadTime: 'number', downloadSpeed: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = downloadFunction;
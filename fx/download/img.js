@@ -246,4 +246,23 @@ function rgbToHex(r, g, b) {
   return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
 }
 
+imgFunction.schema = {
+  url: { type: 'string', required: true, isURL: true, maxLength: 2048, description: 'Image URL' },
+  quality: { type: 'number', isInteger: true, min: 1, max: 100, default: 85, description: 'Output quality from 1 to 100' },
+  resize: { type: 'object', default: null, description: 'Target size as { width, height }' },
+  format: { type: 'string', enum: ['auto', 'jpeg', 'jpg', 'png', 'webp', 'avif'], default: 'auto', description: 'Output format, or auto to keep the source format' }
+};
+
+imgFunction.manifest = {
+  description: 'Download an image and optionally resize or convert it',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { url: 'https://example.com/photo.jpg', format: 'webp' },
+  output: {
+    result: { imageId: 'string', filename: 'string', originalSize: 'number', processedSize: 'number', format: 'string', dimensions: 'object', quality: 'number', downloadUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = imgFunction;
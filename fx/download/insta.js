@@ -311,4 +311,22 @@ function formatUserInfo(user) {
   return formatted;
 }
 
+instaFunction.schema = {
+  url: { type: 'string', required: true, maxLength: 2048, description: 'Instagram post URL' },
+  type: { type: 'string', enum: ['auto', 'post', 'reel', 'story', 'igtv'], default: 'auto', description: 'Post type, detected from the URL when auto' },
+  quality: { type: 'string', maxLength: 20, default: 'best', description: 'Preferred media quality' }
+};
+
+instaFunction.manifest = {
+  description: 'Download media from an Instagram post, reel, story or IGTV video',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { url: 'https://www.instagram.com/p/C1a2b3c4d5e/' },
+  output: {
+    result: { postId: 'string', shortcode: 'string', type: 'string', username: 'string', caption: 'string', media: 'array', timestamp: 'string', likes: 'number', comments: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = instaFunction;
@@ -13,6 +13,8 @@ ffmpeg.setFfprobePath(ffprobePath);
 async function mp3Function(request) {
   try {
     const { url, bitrate = '192k', start = null, duration = null, metadata = {} } = request.data;
+    const progress = request.progress || (() => {});
+    const { signal } = request;
     
     if (!url) {
       return {
@@ -25,14 +27,18 @@ async function mp3Function(request) {
     }
 
     // Download audio/video
-    const mediaData = await downloadMedia(url);
+    progress(10, 'Downloading media');
+    const mediaData = await downloadMedia(url, signal);
+    signal?.throwIfAborted();
     
     // Convert to MP3
+    progress(50, 'Converting to MP3');
     const mp3Data = await convertToMp3(mediaData.buffer, {
       bitrate,
       start,
       duration,
-      metadata
+      metadata,
+      signal
     });
     
     // Generate download info
@@ -72,10 +78,11 @@ async function mp3Function(request) {
   }
 }
 
-async function downloadMedia(url) {
+async function downloadMedia(url, signal) {
   const response = await axios({
     method: 'GET',
     url: url,
+    signal: signal,
     responseType: 'arraybuffer',
     timeout: 60000, // 1 minute for audio/video
     maxContentLength: 100 * 1024 * 1024, // 100MB limit
@@ -158,6 +165,11 @@ async function convertToMp3(buffer, options) {
           command.outputOptions('-metadata', `album=${options.metadata.album}`);
         }
         
+        // A cancelled job stops ffmpeg; the error handler cleans up
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+        }
+        
         command
           .on('end', async () => {
             try {
@@ -304,4 +316,25 @@ mp3Function.extractAudio = async function(buffer, start, duration) {
   });
 };
 
+mp3Function.schema = {
+  url: { type: 'string', required: true, isURL: true, maxLength: 2048, description: 'Source media URL' },
+  bitrate: { type: 'string', pattern: /^\d{2,3}k$/, default: '192k', description: 'Output bitrate such as 128k or 320k' },
+  start: { type: 'number', min: 0, default: null, description: 'Start offset in seconds' },
+  duration: { type: 'number', isPositive: true, default: null, description: 'Clip length in seconds' },
+  metadata: { type: 'object', default: {}, description: 'ID3 tags to write' }
+};
+
+mp3Function.manifest = {
+  description: 'Convert audio or video from a URL to MP3',
+  cost: 8,
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { url: 'https://example.com/audio.wav', bitrate: '320k' },
+  output: {
+    result: { audioId: 'string', filename: 'string', originalFormat: 'string', bitrate: 'string', duration: 'number', sampleRate: 'number', channels: 'number', downloadUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = mp3Function;
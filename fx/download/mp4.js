@@ -21,6 +21,8 @@ async function mp4Function(request) {
       duration = null,
       compress = true 
     } = request.data;
+    const progress = request.progress || (() => {});
+    const { signal } = request;
     
     if (!url) {
       return {
@@ -33,16 +35,20 @@ async function mp4Function(request) {
     }
 
     // Download video
-    const videoData = await downloadVideo(url);
+    progress(10, 'Downloading video');
+    const videoData = await downloadVideo(url, signal);
+    signal?.throwIfAborted();
     
     // Convert/compress to MP4
+    progress(50, 'Converting to MP4');
     const mp4Data = await convertToMp4(videoData.buffer, {
       quality,
       resolution,
       fps,
       start,
       duration,
-      compress
+      compress,
+      signal
     });
     
     // Generate download info
@@ -84,10 +90,11 @@ async function mp4Function(request) {
   }
 }
 
-async function downloadVideo(url) {
+async function downloadVideo(url, signal) {
   const response = await axios({
     method: 'GET',
     url: url,
+    signal: signal,
     responseType: 'arraybuffer',
     timeout: 120000, // 2 minutes for videos
     maxContentLength: 500 * 1024 * 1024, // 500MB limit
@@ -167,6 +174,11 @@ async function convertToMp4(buffer, options) {
           ]);
         }
         
+        // A cancelled job stops ffmpeg; the error handler cleans up
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+        }
+        
         command
           .on('end', async () => {
             try {
@@ -329,4 +341,27 @@ mp4Function.extractThumbnail = async function(buffer, timestamp = '00:00:01') {
   });
 };
 
+mp4Function.schema = {
+  url: { type: 'string', required: true, isURL: true, maxLength: 2048, description: 'Source video URL' },
+  quality: { type: 'string', maxLength: 20, default: 'medium', description: 'Quality preset' },
+  resolution: { type: 'string', pattern: /^\d{2,4}x\d{2,4}$/, default: null, description: 'Output size such as 1280x720' },
+  fps: { type: 'number', isInteger: true, min: 1, max: 120, default: 30, description: 'Output frame rate' },
+  start: { type: 'number', min: 0, default: null, description: 'Start offset in seconds' },
+  duration: { type: 'number', isPositive: true, default: null, description: 'Clip length in seconds' },
+  compress: { type: 'boolean', default: true, description: 'Compress the output for sharing' }
+};
+
+mp4Function.manifest = {
+  description: 'Convert or compress a video from a URL to MP4',
+  cost: 10,
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { url: 'https://example.com/clip.mov', quality: 'high' },
+  output: {
+    result: { videoId: 'string', filename: 'string', originalFormat: 'string', originalSize: 'number', resolution: 'string', duration: 'number', fps: 'number', bitrate: 'string', downloadUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = mp4Function;
@@ -6,6 +6,8 @@ const { v4: uuidv4 } = require('uuid');
 async function playFunction(request) {
   try {
     const { query, platform = 'youtube', quality = 'highest', duration = 'short' } = request.data;
+    const progress = request.progress || (() => {});
+    const { signal } = request;
     
     if (!query) {
       return {
@@ -22,10 +24,12 @@ async function playFunction(request) {
     // Check if input is a URL
     if (isUrl(query)) {
       // Direct URL download
-      result = await downloadFromUrl(query, platform, quality);
+      progress(10, 'Downloading');
+      result = await downloadFromUrl(query, platform, quality, signal);
     } else {
       // Search for media
-      result = await searchAndDownload(query, platform, quality, duration);
+      progress(10, 'Searching and downloading');
+      result = await searchAndDownload(query, platform, quality, duration, signal);
     }
     
     return {
@@ -62,10 +66,11 @@ function isUrl(string) {
   }
 }
 
-async function downloadFromUrl(url, platform, quality) {
+async function downloadFromUrl(url, platform, quality, signal) {
+  signal?.throwIfAborted();
   switch (platform) {
     case 'youtube':
-      return await downloadFromYouTube(url, quality);
+      return await downloadFromYouTube(url, quality, signal);
     case 'soundcloud':
       return await downloadFromSoundCloud(url, quality);
     case 'spotify':
@@ -75,7 +80,7 @@ async function downloadFromUrl(url, platform, quality) {
   }
 }
 
-async function downloadFromYouTube(url, quality) {
+async function downloadFromYouTube(url, quality, signal) {
   try {
     // Validate YouTube URL
     if (!ytdl.validateURL(url)) {
@@ -83,7 +88,7 @@ async function downloadFromYouTube(url, quality) {
     }
     
     // Get video info
-    const info = await ytdl.getInfo(url);
+    const info = await ytdl.getInfo(url, { requestOptions: { signal } });
     const videoDetails = info.videoDetails;
     
     // Choose format based on quality
@@ -159,7 +164,7 @@ async function downloadFromSpotify(url, quality) {
   };
 }
 
-async function searchAndDownload(query, platform, quality, durationFilter) {
+async function searchAndDownload(query, platform, quality, durationFilter, signal) {
   // Search for media based on query
   const searchResults = await searchMedia(query, platform, durationFilter);
   
@@ -183,7 +188,7 @@ async function searchAndDownload(query, platform, quality, durationFilter) {
   }
   
   // Download the selected result
-  return await downloadFromUrl(selectedResult.url, platform, quality);
+  return await downloadFromUrl(selectedResult.url, platform, quality, signal);
 }
 
 async function searchMedia(query, platform, durationFilter) {
@@ -290,4 +295,24 @@ playFunction.getInfo = async function(url) {
   }
 };
 
+playFunction.schema = {
+  query: { type: 'string', required: true, minLength: 1, maxLength: 500, description: 'Search terms or a direct media URL' },
+  platform: { type: 'string', enum: ['youtube', 'soundcloud', 'spotify'], default: 'youtube', description: 'Platform to search' },
+  quality: { type: 'string', enum: ['highest', 'lowest', 'audio'], default: 'highest', description: 'Stream quality to download' },
+  duration: { type: 'string', maxLength: 20, default: 'short', description: 'Preferred result length' }
+};
+
+playFunction.manifest = {
+  description: 'Search for a song or video and download it',
+  cost: 8,
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { query: 'Burna Boy Last Last' },
+  output: {
+    result: { title: 'string', url: 'string', duration: 'string', platform: 'string', quality: 'string', downloadUrl: 'string', thumbnail: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = playFunction;
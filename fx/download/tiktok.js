@@ -301,4 +301,22 @@ tiktokFunction.downloadAudio = async function(url) {
   }
 };
 
+tiktokFunction.schema = {
+  url: { type: 'string', required: true, maxLength: 2048, description: 'TikTok video URL' },
+  watermark: { type: 'boolean', default: false, description: 'Keep the TikTok watermark' },
+  quality: { type: 'string', maxLength: 20, default: 'best', description: 'Preferred video quality' }
+};
+
+tiktokFunction.manifest = {
+  description: 'Download a TikTok video with or without watermark',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { url: 'https://www.tiktok.com/@user/video/7234567890123456789' },
+  output: {
+    result: { videoId: 'string', videoUrl: 'string', username: 'string', nickname: 'string', description: 'string', duration: 'number', resolution: 'string', likes: 'number', comments: 'number', shares: 'number', plays: 'number', timestamp: 'string', hashtags: 'array', music: 'object', formatted: 'string' }
+  }
+};
+
 module.exports = tiktokFunction;
@@ -1,5 +1,6 @@
 // fx/fun/advice.js
 // Advice generator for various life situations
+const store = require('../../lib/store');
 
 async function adviceFunction(request) {
   try {
@@ -12,7 +13,7 @@ async function adviceFunction(request) {
     const adviceList = await getAdvice(topic, type, adviceCount);
     
     // Track advice stats
-    trackAdviceStats(topic, adviceCount);
+    await trackAdviceStats(topic, adviceCount);
     
     return {
       success: true,
@@ -256,30 +257,33 @@ function getTopicEmoji(topic) {
   return emojis[topic] || '💭';
 }
 
-// Advice statistics
-const adviceStats = {
-  totalGiven: 0,
-  byTopic: new Map(),
-  popularTopics: new Map()
-};
+// Advice statistics, kept under a single key
+const adviceStatsStore = store.collection('advice-stats');
+
+function createAdviceStats() {
+  return {
+    totalGiven: 0,
+    byTopic: {},
+    popularTopics: {}
+  };
+}
 
 function trackAdviceStats(topic, count) {
-  adviceStats.totalGiven += count;
-  
-  if (!adviceStats.byTopic.has(topic)) {
-    adviceStats.byTopic.set(topic, 0);
-  }
-  adviceStats.byTopic.set(topic, adviceStats.byTopic.get(topic) + count);
-  
-  // Update popularity
-  if (!adviceStats.popularTopics.has(topic)) {
-    adviceStats.popularTopics.set(topic, 0);
-  }
-  adviceStats.popularTopics.set(topic, adviceStats.popularTopics.get(topic) + 1);
+  return adviceStatsStore.update('global', (stored) => {
+    const adviceStats = stored || createAdviceStats();
+    adviceStats.totalGiven += count;
+    adviceStats.byTopic[topic] = (adviceStats.byTopic[topic] || 0) + count;
+    
+    // Update popularity
+    adviceStats.popularTopics[topic] = (adviceStats.popularTopics[topic] || 0) + 1;
+    
+    return adviceStats;
+  });
 }
 
-adviceFunction.getStats = function() {
-  const topics = Array.from(adviceStats.byTopic.entries())
+adviceFunction.getStats = async function() {
+  const adviceStats = (await adviceStatsStore.get('global')) || createAdviceStats();
+  const topics = Object.entries(adviceStats.byTopic)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 10);
   
@@ -369,4 +373,22 @@ adviceFunction.daily = function(userId) {
   };
 };
 
+adviceFunction.schema = {
+  topic: { type: 'string', maxLength: 50, default: 'general', description: 'Advice topic, or random' },
+  type: { type: 'string', maxLength: 20, default: 'short', description: 'Length of the advice' },
+  count: { type: 'number', isInteger: true, min: 1, max: 10, default: 1, description: 'Number of pieces of advice' }
+};
+
+adviceFunction.manifest = {
+  description: 'Random advice on a topic',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { topic: 'career', count: 2 },
+  output: {
+    result: { topic: 'string', type: 'string', count: 'number', advice: 'array', formatted: 'string' }
+  }
+};
+
 module.exports = adviceFunction;
@@ -1,5 +1,6 @@
 // fx/fun/chifumi.js
 // Rock-Paper-Scissors variant (also known as Pierre-Feuille-Ciseaux in French)
+const store = require('../../lib/store');
 
 async function chifumiFunction(request) {
   try {
@@ -43,7 +44,7 @@ async function chifumiFunction(request) {
 
     // Update user stats if userId provided
     if (userId) {
-      updateUserStats(userId, result);
+      await updateUserStats(userId, result);
     }
 
     return {
@@ -155,11 +156,11 @@ function calculateBetResult(gameResult, betAmount) {
 }
 
 // User statistics storage
-const userStats = new Map();
+const userStats = store.collection('chifumi-stats');
 
 function updateUserStats(userId, result) {
-  if (!userStats.has(userId)) {
-    userStats.set(userId, {
+  return userStats.update(userId, (stored) => {
+    const stats = stored || {
       gamesPlayed: 0,
       wins: 0,
       losses: 0,
@@ -167,10 +168,13 @@ function updateUserStats(userId, result) {
       winStreak: 0,
       maxWinStreak: 0,
       totalScore: 0
-    });
-  }
-  
-  const stats = userStats.get(userId);
+    };
+    applyResultToStats(stats, result);
+    return stats;
+  });
+}
+
+function applyResultToStats(stats, result) {
   stats.gamesPlayed += 1;
   
   switch (result.outcome) {
@@ -247,8 +251,8 @@ function getResultEmoji(outcome) {
 }
 
 // Statistics functions
-chifumiFunction.getStats = function(userId) {
-  const stats = userStats.get(userId);
+chifumiFunction.getStats = async function(userId) {
+  const stats = await userStats.get(userId);
   if (!stats) {
     return {
       success: false,
@@ -291,8 +295,8 @@ function formatStats(stats, userId, winRate, avgScore) {
   return formatted;
 }
 
-chifumiFunction.leaderboard = function(limit = 10) {
-  const players = Array.from(userStats.entries())
+chifumiFunction.leaderboard = async function(limit = 10) {
+  const players = (await userStats.entries())
     .map(([userId, stats]) => ({
       userId,
       ...stats,
@@ -328,7 +332,7 @@ function formatLeaderboard(players) {
     
     const winRate = (player.winRate * 100).toFixed(1);
     
-    formatted += `${medge} *${player.userId.substring(0, 8)}...*\n`;
+    formatted += `${medal} *${player.userId.substring(0, 8)}...*\n`;
     formatted += `   📊 ${player.gamesPlayed} games | ✅ ${player.wins} wins\n`;
     formatted += `   📈 ${winRate}% win rate | 🔥 ${player.winStreak} streak\n\n`;
   });
@@ -338,4 +342,23 @@ function formatLeaderboard(players) {
   return formatted;
 }
 
+chifumiFunction.schema = {
+  playerChoice: { type: 'string', required: true, maxLength: 20, description: 'rock, paper, scissors, pierre, feuille or ciseaux' },
+  userId: { type: 'string', maxLength: 100, description: 'Player id for score tracking' },
+  bet: { type: 'number', min: 0, default: 0, description: 'Points to bet on the round' }
+};
+
+chifumiFunction.manifest = {
+  description: 'Play chifumi (rock paper scissors, French names accepted) against the bot',
+  aliases: ['pfc'],
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { playerChoice: 'pierre', userId: '2348012345678' },
+  output: {
+    result: { playerChoice: 'string', botChoice: 'string', result: 'string', playerScore: 'number', botScore: 'number', betResult: 'object', formatted: 'string' }
+  }
+};
+
 module.exports = chifumiFunction;
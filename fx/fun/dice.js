@@ -1,5 +1,6 @@
 // fx/fun/dice.js
 // Dice rolling with various options
+const store = require('../../lib/store');
 
 async function diceFunction(request) {
   try {
@@ -59,7 +60,7 @@ async function diceFunction(request) {
     
     // Update user stats if userId provided
     if (userId) {
-      updateDiceStats(userId, diceNotation, rollResults, totalSum);
+      await updateDiceStats(userId, diceNotation, rollResults, totalSum);
     }
 
     return {
@@ -207,23 +208,26 @@ function evaluateBet(total, target, betAmount, rolls) {
 }
 
 // User statistics storage
-const diceStats = new Map();
+const diceStats = store.collection('dice-stats');
 
 function updateDiceStats(userId, diceNotation, rollResults, totalSum) {
-  if (!diceStats.has(userId)) {
-    diceStats.set(userId, {
+  return diceStats.update(userId, (stored) => {
+    const stats = stored || {
       totalRolls: 0,
       totalDiceRolled: 0,
       totalSum: 0,
-      highestRoll: -Infinity,
-      lowestRoll: Infinity,
+      highestRoll: null,
+      lowestRoll: null,
       naturalCriticals: 0,
       naturalFumbles: 0,
-      diceTypes: new Map()
-    });
-  }
-  
-  const stats = diceStats.get(userId);
+      diceTypes: {}
+    };
+    applyRollToStats(stats, diceNotation, rollResults, totalSum);
+    return stats;
+  });
+}
+
+function applyRollToStats(stats, diceNotation, rollResults, totalSum) {
   const rollsCount = rollResults.length;
   
   stats.totalRolls += rollsCount;
@@ -232,10 +236,10 @@ function updateDiceStats(userId, diceNotation, rollResults, totalSum) {
   
   // Update highest/lowest
   const thisRollTotal = totalSum / rollsCount; // average for multiple rolls
-  if (thisRollTotal > stats.highestRoll) {
+  if (stats.highestRoll === null || thisRollTotal > stats.highestRoll) {
     stats.highestRoll = thisRollTotal;
   }
-  if (thisRollTotal < stats.lowestRoll) {
+  if (stats.lowestRoll === null || thisRollTotal < stats.lowestRoll) {
     stats.lowestRoll = thisRollTotal;
   }
   
@@ -247,15 +251,15 @@ function updateDiceStats(userId, diceNotation, rollResults, totalSum) {
   
   // Track dice types
   const diceType = `${diceNotation.count}d${diceNotation.sides}`;
-  if (!stats.diceTypes.has(diceType)) {
-    stats.diceTypes.set(diceType, {
+  if (!stats.diceTypes[diceType]) {
+    stats.diceTypes[diceType] = {
       rolls: 0,
       total: 0,
       average: 0
-    });
+    };
   }
   
-  const typeStats = stats.diceTypes.get(diceType);
+  const typeStats = stats.diceTypes[diceType];
   typeStats.rolls += rollsCount;
   typeStats.total += totalSum;
   typeStats.average = typeStats.total / typeStats.rolls;
@@ -330,8 +334,8 @@ function formatDiceResult(notation, rolls, results, total, average, criticals, f
 }
 
 // Statistics functions
-diceFunction.getStats = function(userId) {
-  const stats = diceStats.get(userId);
+diceFunction.getStats = async function(userId) {
+  const stats = await diceStats.get(userId);
   
   if (!stats || stats.totalRolls === 0) {
     return {
@@ -351,7 +355,7 @@ diceFunction.getStats = function(userId) {
       averageRoll: averageRoll.toFixed(2),
       critRate: critRate + '%',
       fumbleRate: fumbleRate + '%',
-      diceTypes: Array.from(stats.diceTypes.entries())
+      diceTypes: Object.entries(stats.diceTypes)
     },
     formatted: formatDiceStats(stats, userId, averageRoll, critRate, fumbleRate)
   };
@@ -371,11 +375,11 @@ function formatDiceStats(stats, userId, averageRoll, critRate, fumbleRate) {
   formatted += `✨ *Natural Criticals:* ${stats.naturalCriticals} (${critRate}%)\n`;
   formatted += `💀 *Natural Fumbles:* ${stats.naturalFumbles} (${fumbleRate}%)\n\n`;
   
-  if (stats.diceTypes.size > 0) {
+  if (Object.keys(stats.diceTypes).length > 0) {
     formatted += `🎯 *Dice Type Favorites:*\n`;
     
     // Sort by number of rolls
-    const sortedTypes = Array.from(stats.diceTypes.entries())
+    const sortedTypes = Object.entries(stats.diceTypes)
       .sort((a, b) => b[1].rolls - a[1].rolls)
       .slice(0, 5);
     
@@ -456,4 +460,25 @@ diceFunction.rollTable = function(tableName) {
   };
 };
 
+diceFunction.schema = {
+  dice: { type: 'string', maxLength: 20, default: '1d6', description: 'Dice notation' },
+  modifier: { type: 'number', isInteger: true, default: 0, description: 'Extra modifier added to each roll' },
+  rolls: { type: 'number', isInteger: true, min: 1, max: 100, default: 1, description: 'Number of times to roll' },
+  userId: { type: 'string', maxLength: 100, description: 'Player id for stats tracking' },
+  bet: { type: 'number', min: 0, default: 0, description: 'Points to bet' },
+  target: { type: 'number', default: null, description: 'Total the roll must reach to win the bet' }
+};
+
+diceFunction.manifest = {
+  description: 'Roll dice using standard notation such as 2d20+5',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { dice: '2d20+5', rolls: 2 },
+  output: {
+    result: { diceNotation: 'string', rolls: 'number', results: 'array', total: 'number', average: 'number', naturalCriticals: 'number', naturalFumbles: 'number', betResult: 'object', formatted: 'string' }
+  }
+};
+
 module.exports = diceFunction;
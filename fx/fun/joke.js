@@ -1,5 +1,6 @@
 // fx/fun/joke.js
 // Joke generator with various categories
+const store = require('../../lib/store');
 
 async function jokeFunction(request) {
   try {
@@ -37,7 +38,7 @@ async function jokeFunction(request) {
     const joke = await getJoke(category, type, language);
     
     // Track joke stats
-    trackJokeStats(joke.id || 'custom');
+    await trackJokeStats(joke.id || 'custom');
     
     return {
       success: true,
@@ -248,29 +249,37 @@ function getCategoryEmoji(category) {
   return emojis[category] || '😄';
 }
 
-// Joke statistics
-const jokeStats = {
-  totalJokes: 0,
-  byCategory: new Map(),
-  ratings: new Map()
-};
+// Joke statistics (under a single key) and per-joke ratings
+const jokeStatsStore = store.collection('joke-stats');
+const jokeRatings = store.collection('joke-ratings');
+
+function createJokeStats() {
+  return {
+    totalJokes: 0,
+    byCategory: {}
+  };
+}
 
 function trackJokeStats(jokeId) {
-  jokeStats.totalJokes++;
+  return jokeStatsStore.update('global', (stored) => {
+    const jokeStats = stored || createJokeStats();
+    jokeStats.totalJokes++;
+    return jokeStats;
+  });
 }
 
-jokeFunction.rateJoke = function(jokeId, rating) {
-  if (!jokeStats.ratings.has(jokeId)) {
-    jokeStats.ratings.set(jokeId, { likes: 0, dislikes: 0 });
-  }
-  
-  const jokeRating = jokeStats.ratings.get(jokeId);
-  
-  if (rating === 'like') {
-    jokeRating.likes++;
-  } else if (rating === 'dislike') {
-    jokeRating.dislikes++;
-  }
+jokeFunction.rateJoke = async function(jokeId, rating) {
+  const jokeRating = await jokeRatings.update(String(jokeId), (stored) => {
+    const current = stored || { likes: 0, dislikes: 0 };
+    
+    if (rating === 'like') {
+      current.likes++;
+    } else if (rating === 'dislike') {
+      current.dislikes++;
+    }
+    
+    return current;
+  });
   
   return {
     success: true,
@@ -279,8 +288,9 @@ jokeFunction.rateJoke = function(jokeId, rating) {
   };
 };
 
-jokeFunction.getStats = function() {
-  const categories = Array.from(jokeStats.byCategory.entries());
+jokeFunction.getStats = async function() {
+  const jokeStats = (await jokeStatsStore.get('global')) || createJokeStats();
+  const categories = Object.entries(jokeStats.byCategory);
   
   return {
     success: true,
@@ -346,4 +356,22 @@ function formatCategoriesList(categories) {
   return formatted;
 }
 
+jokeFunction.schema = {
+  category: { type: 'string', maxLength: 20, default: 'any', description: 'Joke category such as programming, pun or dad' },
+  type: { type: 'string', maxLength: 20, default: 'single', description: 'single, twopart or any' },
+  language: { type: 'string', maxLength: 10, default: 'en', description: 'Joke language' }
+};
+
+jokeFunction.manifest = {
+  description: 'Random joke by category',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { category: 'programming' },
+  output: {
+    result: { joke: 'object', category: 'string', type: 'string', language: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = jokeFunction;
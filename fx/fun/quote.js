@@ -1,5 +1,6 @@
 // fx/fun/quote.js
 // Quote generator with various categories and authors
+const store = require('../../lib/store');
 
 async function quoteFunction(request) {
   try {
@@ -17,7 +18,7 @@ async function quoteFunction(request) {
     const quotes = await getQuotes(category, author, type, quoteCount);
     
     // Track quote stats
-    trackQuoteStats(category, author, quoteCount);
+    await trackQuoteStats(category, author, quoteCount);
     
     return {
       success: true,
@@ -319,38 +320,42 @@ function getCategoryEmoji(category) {
   return emojis[category] || '💬';
 }
 
-// Quote statistics
-const quoteStats = {
-  totalQuotes: 0,
-  byCategory: new Map(),
-  byAuthor: new Map(),
-  favorites: new Map()
-};
+// Quote statistics (under a single key) and per-user favorites
+const quoteStatsStore = store.collection('quote-stats');
+const quoteFavorites = store.collection('quote-favorites');
+
+function createQuoteStats() {
+  return {
+    totalQuotes: 0,
+    byCategory: {},
+    byAuthor: {}
+  };
+}
 
 function trackQuoteStats(category, author, count) {
-  quoteStats.totalQuotes += count;
-  
-  // Track by category
-  if (!quoteStats.byCategory.has(category)) {
-    quoteStats.byCategory.set(category, 0);
-  }
-  quoteStats.byCategory.set(category, quoteStats.byCategory.get(category) + count);
-  
-  // Track by author if specified
-  if (author) {
-    if (!quoteStats.byAuthor.has(author)) {
-      quoteStats.byAuthor.set(author, 0);
+  return quoteStatsStore.update('global', (stored) => {
+    const quoteStats = stored || createQuoteStats();
+    quoteStats.totalQuotes += count;
+    
+    // Track by category
+    quoteStats.byCategory[category] = (quoteStats.byCategory[category] || 0) + count;
+    
+    // Track by author if specified
+    if (author) {
+      quoteStats.byAuthor[author] = (quoteStats.byAuthor[author] || 0) + count;
     }
-    quoteStats.byAuthor.set(author, quoteStats.byAuthor.get(author) + count);
-  }
+    
+    return quoteStats;
+  });
 }
 
-quoteFunction.getStats = function() {
-  const topCategories = Array.from(quoteStats.byCategory.entries())
+quoteFunction.getStats = async function() {
+  const quoteStats = (await quoteStatsStore.get('global')) || createQuoteStats();
+  const topCategories = Object.entries(quoteStats.byCategory)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5);
     
-  const topAuthors = Array.from(quoteStats.byAuthor.entries())
+  const topAuthors = Object.entries(quoteStats.byAuthor)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5);
   
@@ -431,13 +436,10 @@ function formatQuoteCategories(categories) {
   return formatted;
 }
 
-quoteFunction.favorite = function(userId, quoteId) {
-  if (!quoteStats.favorites.has(userId)) {
-    quoteStats.favorites.set(userId, new Set());
-  }
-  
-  const userFavorites = quoteStats.favorites.get(userId);
-  userFavorites.add(quoteId);
+quoteFunction.favorite = async function(userId, quoteId) {
+  await quoteFavorites.update(userId, (userFavorites) =>
+    (userFavorites || []).includes(quoteId) ? userFavorites : [...(userFavorites || []), quoteId]
+  );
   
   return {
     success: true,
@@ -446,10 +448,10 @@ quoteFunction.favorite = function(userId, quoteId) {
   };
 };
 
-quoteFunction.getFavorites = function(userId) {
-  const userFavorites = quoteStats.favorites.get(userId);
+quoteFunction.getFavorites = async function(userId) {
+  const userFavorites = await quoteFavorites.get(userId);
   
-  if (!userFavorites || userFavorites.size === 0) {
+  if (!userFavorites || userFavorites.length === 0) {
     return {
       success: false,
       error: 'No favorite quotes yet'
@@ -458,9 +460,9 @@ quoteFunction.getFavorites = function(userId) {
   
   return {
     success: true,
-    favorites: Array.from(userFavorites),
-    count: userFavorites.size,
-    formatted: `⭐ *Your Favorite Quotes*\n\nYou have ${userFavorites.size} favorite quotes.\n\n💡 Keep collecting inspirational quotes!`
+    favorites: userFavorites,
+    count: userFavorites.length,
+    formatted: `⭐ *Your Favorite Quotes*\n\nYou have ${userFavorites.length} favorite quotes.\n\n💡 Keep collecting inspirational quotes!`
   };
 };
 
@@ -484,4 +486,23 @@ quoteFunction.daily = function(userId) {
   };
 };
 
+quoteFunction.schema = {
+  category: { type: 'string', maxLength: 50, default: 'inspirational', description: 'Quote category, or random' },
+  author: { type: 'string', maxLength: 100, default: null, description: 'Only quotes by this author' },
+  type: { type: 'string', maxLength: 20, default: 'quote', description: 'Kind of quote' },
+  count: { type: 'number', isInteger: true, min: 1, max: 5, default: 1, description: 'Number of quotes' }
+};
+
+quoteFunction.manifest = {
+  description: 'Quotes by category or author',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { category: 'wisdom', count: 2 },
+  output: {
+    result: { category: 'string', author: 'string', type: 'string', count: 'number', quotes: 'array', formatted: 'string' }
+  }
+};
+
 module.exports = quoteFunction;
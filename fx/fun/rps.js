@@ -1,5 +1,6 @@
 // fx/fun/rps.js
 // Rock Paper Scissors game with extended options
+const store = require('../../lib/store');
 
 async function rpsFunction(request) {
   try {
@@ -51,7 +52,7 @@ async function rpsFunction(request) {
     
     // Update user stats if userId provided
     if (userId) {
-      updateRPSStats(userId, mode, result);
+      await updateRPSStats(userId, mode, result);
     }
 
     return {
@@ -266,22 +267,25 @@ function getRulesForMode(mode) {
 }
 
 // User statistics storage
-const rpsStats = new Map();
+const rpsStats = store.collection('rps-stats');
 
 function updateRPSStats(userId, mode, result) {
   const statKey = `${userId}_${mode}`;
   
-  if (!rpsStats.has(statKey)) {
-    rpsStats.set(statKey, {
+  return rpsStats.update(statKey, (stored) => {
+    const stats = stored || {
       gamesPlayed: 0,
       wins: 0,
       losses: 0,
       draws: 0,
       totalScore: 0
-    });
-  }
-  
-  const stats = rpsStats.get(statKey);
+    };
+    applyResultToStats(stats, result);
+    return stats;
+  });
+}
+
+function applyResultToStats(stats, result) {
   stats.gamesPlayed += 1;
   
   switch (result.outcome) {
@@ -374,7 +378,7 @@ function getResultEmoji(outcome) {
 }
 
 // Statistics functions
-rpsFunction.getStats = function(userId, mode = 'all') {
+rpsFunction.getStats = async function(userId, mode = 'all') {
   let stats;
   
   if (mode === 'all') {
@@ -388,23 +392,21 @@ rpsFunction.getStats = function(userId, mode = 'all') {
       modes: {}
     };
     
-    for (const [statKey, statData] of rpsStats.entries()) {
-      if (statKey.startsWith(`${userId}_`)) {
-        const statMode = statKey.split('_')[1];
-        allStats.modes[statMode] = statData;
-        
-        allStats.gamesPlayed += statData.gamesPlayed;
-        allStats.wins += statData.wins;
-        allStats.losses += statData.losses;
-        allStats.draws += statData.draws;
-        allStats.totalScore += statData.totalScore;
-      }
+    for (const [statKey, statData] of await rpsStats.entries(`${userId}_`)) {
+      const statMode = statKey.slice(userId.length + 1);
+      allStats.modes[statMode] = statData;
+      
+      allStats.gamesPlayed += statData.gamesPlayed;
+      allStats.wins += statData.wins;
+      allStats.losses += statData.losses;
+      allStats.draws += statData.draws;
+      allStats.totalScore += statData.totalScore;
     }
     
     stats = allStats;
   } else {
     const statKey = `${userId}_${mode}`;
-    stats = rpsStats.get(statKey);
+    stats = await rpsStats.get(statKey);
   }
   
   if (!stats || stats.gamesPlayed === 0) {
@@ -458,4 +460,22 @@ function formatRPSStats(stats, userId, mode, winRate, avgScore) {
   return formatted;
 }
 
+rpsFunction.schema = {
+  playerChoice: { type: 'string', required: true, maxLength: 20, description: 'Move to play' },
+  mode: { type: 'string', enum: ['classic', 'extended', 'ultimate'], default: 'classic', description: 'Rule set' },
+  userId: { type: 'string', maxLength: 100, description: 'Player id for stats tracking' }
+};
+
+rpsFunction.manifest = {
+  description: 'Rock paper scissors with classic, extended and ultimate rule sets',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { playerChoice: 'spock', mode: 'extended' },
+  output: {
+    result: { mode: 'string', playerChoice: 'string', botChoice: 'string', result: 'string', playerScore: 'number', botScore: 'number', explanation: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = rpsFunction;
@@ -1,10 +1,21 @@
 // fx/general/profile.js
 // User profile and statistics function
+const store = require('../../lib/store');
 
-// Mock database - replace with actual database in production
-const userProfiles = new Map();
-const userActivity = new Map();
-const messageHistory = new Map();
+const userProfiles = store.collection('profile-users');
+const userActivity = store.collection('profile-activity');
+const messageHistory = store.collection('profile-messages');
+
+function createActivity() {
+  return {
+    messagesSent: 0,
+    commandsUsed: 0,
+    mediaShared: 0,
+    groupsJoined: 0,
+    activeDays: 1,
+    lastActive: new Date().toISOString()
+  };
+}
 
 async function profileFunction(request) {
   try {
@@ -63,7 +74,8 @@ async function profileFunction(request) {
 }
 
 async function getUserProfile(userId) {
-  if (!userProfiles.has(userId)) {
+  const profile = await userProfiles.get(userId);
+  if (!profile) {
     // Create default profile
     const defaultProfile = {
       userId: userId,
@@ -80,30 +92,19 @@ async function getUserProfile(userId) {
         showJoinDate: true
       }
     };
-    userProfiles.set(userId, defaultProfile);
+    return userProfiles.set(userId, defaultProfile);
   }
   
-  return userProfiles.get(userId);
+  return profile;
 }
 
 async function getUserStatistics(userId) {
   // Initialize if not exists
-  if (!userActivity.has(userId)) {
-    userActivity.set(userId, {
-      messagesSent: 0,
-      commandsUsed: 0,
-      mediaShared: 0,
-      groupsJoined: 0,
-      activeDays: 1,
-      lastActive: new Date().toISOString()
-    });
-  }
-  
-  const activity = userActivity.get(userId);
+  const activity = (await userActivity.get(userId)) || await userActivity.set(userId, createActivity());
   
   // Calculate additional stats
   const now = new Date();
-  const joinDate = new Date(userProfiles.get(userId)?.joinDate || now);
+  const joinDate = new Date((await userProfiles.get(userId))?.joinDate || now);
   const daysSinceJoin = Math.max(1, Math.floor((now - joinDate) / (1000 * 60 * 60 * 24)));
   
   return {
@@ -117,7 +118,7 @@ async function getUserStatistics(userId) {
 
 async function getUserActivity(userId) {
   // Get recent activity from message history
-  const userMessages = messageHistory.get(userId) || [];
+  const userMessages = (await messageHistory.get(userId)) || [];
   const now = new Date();
   const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
   const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -248,74 +249,63 @@ function formatProfile(profile, stats, activity, rank, isSelf, detailed) {
 }
 
 // Helper functions for updating user data (call these from your main bot)
-profileFunction.recordMessage = function(userId, messageData) {
-  // Initialize if needed
-  if (!userActivity.has(userId)) {
-    userActivity.set(userId, {
-      messagesSent: 0,
-      commandsUsed: 0,
-      mediaShared: 0,
-      groupsJoined: 0,
-      activeDays: 1,
-      lastActive: new Date().toISOString()
-    });
-  }
-  
-  if (!messageHistory.has(userId)) {
-    messageHistory.set(userId, []);
-  }
-  
-  // Update activity
-  const activity = userActivity.get(userId);
-  activity.messagesSent += 1;
-  activity.lastActive = new Date().toISOString();
-  
-  // Check if new day
-  const lastActiveDate = new Date(activity.lastActive);
-  const now = new Date();
-  if (lastActiveDate.toDateString() !== now.toDateString()) {
-    activity.activeDays += 1;
-  }
-  
-  // Check for media
-  if (messageData.hasMedia) {
-    activity.mediaShared += 1;
-  }
-  
-  // Record message
-  messageHistory.get(userId).push({
-    ...messageData,
-    timestamp: new Date().toISOString()
+profileFunction.recordMessage = async function(userId, messageData) {
+  await userActivity.update(userId, (stored) => {
+    const activity = stored || createActivity();
+    const now = new Date();
+    
+    // Check if new day
+    if (new Date(activity.lastActive).toDateString() !== now.toDateString()) {
+      activity.activeDays += 1;
+    }
+    
+    activity.messagesSent += 1;
+    activity.lastActive = now.toISOString();
+    
+    // Check for media
+    if (messageData.hasMedia) {
+      activity.mediaShared += 1;
+    }
+    
+    return activity;
   });
   
-  // Keep only last 1000 messages per user
-  const userMessages = messageHistory.get(userId);
-  if (userMessages.length > 1000) {
-    messageHistory.set(userId, userMessages.slice(-1000));
-  }
+  // Record message, keeping only the last 1000 per user
+  await messageHistory.update(userId, (messages) => [
+    ...(messages || []),
+    { ...messageData, timestamp: new Date().toISOString() }
+  ].slice(-1000));
 };
 
-profileFunction.recordCommand = function(userId) {
-  if (!userActivity.has(userId)) {
-    userActivity.set(userId, {
-      messagesSent: 0,
-      commandsUsed: 0,
-      mediaShared: 0,
-      groupsJoined: 0,
-      activeDays: 1,
-      lastActive: new Date().toISOString()
-    });
-  }
-  
-  const activity = userActivity.get(userId);
-  activity.commandsUsed += 1;
+profileFunction.recordCommand = async function(userId) {
+  await userActivity.update(userId, (stored) => {
+    const activity = stored || createActivity();
+    activity.commandsUsed += 1;
+    return activity;
+  });
 };
 
-profileFunction.updateProfile = function(userId, updates) {
-  const profile = getUserProfile(userId);
-  Object.assign(profile, updates);
-  userProfiles.set(userId, profile);
-  return profile;
+profileFunction.updateProfile = async function(userId, updates) {
+  await getUserProfile(userId);
+  return userProfiles.update(userId, (profile) => Object.assign(profile, updates));
+};
+
+profileFunction.schema = {
+  userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Requesting user' },
+  targetUserId: { type: 'string', maxLength: 100, description: 'Profile to view, defaults to the requesting user' },
+  detailed: { type: 'boolean', default: false, description: 'Include extended activity details' }
+};
+
+profileFunction.manifest = {
+  description: 'User profile with activity statistics and rank',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { userId: '2348012345678' },
+  output: {
+    result: { profile: 'object', statistics: 'object', activity: 'object', rank: 'object', isSelf: 'boolean', formatted: 'string' }
+  }
 };
 
 module.exports = profileFunction;
@@ -0,0 +1,414 @@
+// fx/general/respond.js
+const store = require('../../lib/store');
+const settingsStore = require('../../lib/settings');
+const autorespond = require('../tools/fx/setting/autorespond');
+
+// Per-trigger, per-sender cooldowns; entries expire once the cooldown is over
+const cooldowns = store.collection('autorespond-cooldowns');
+// Replies sent per chat, keyed by clock hour so the count starts over each hour
+const hourlyReplies = store.collection('autorespond-hourly', { ttl: 3600 });
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const AWAY_COOLDOWN = 3600; // The outside-hours reply goes out once an hour per sender
+const REGEX_TEXT_LIMIT = 1000; // Regex triggers only look at the start of long messages
+
+async function respondFunction(request) {
+  try {
+    const {
+      userId,
+      chatType = 'private',
+      groupId,
+      sender,
+      text = '',
+      senderName = '',
+      groupName = '',
+      isBot = false,
+      now,
+      seed,
+      dryRun = false,
+      settings: inlineSettings
+    } = request.data;
+
+    if (!userId || !sender) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_FIELDS',
+          message: 'userId and sender are required'
+        }
+      };
+    }
+
+    const target = settingsStore.getTarget('user', { userId, chatType, groupId });
+
+    // Fixture settings are built like stored ones but nothing is recorded for them
+    let settings;
+    if (inlineSettings) {
+      settings = autorespond.buildSettings({ enabled: true, ...inlineSettings, userId, chatType, groupId }).settings;
+    } else {
+      settings = (await settingsStore.get('autorespond', target))?.settings;
+    }
+
+    const record = dryRun !== true && !inlineSettings;
+    // A made-up clock could skip cooldowns and the hourly cap, so it only applies when nothing is recorded
+    const date = now && !record ? new Date(now) : new Date();
+    const clock = getLocalTime(date, settings?.config.timezone);
+    const message = { text, sender, senderName, groupName, chatType };
+
+    const skip = (reason, extra = {}) => ({
+      success: true,
+      result: { reply: null, matched: false, rule: null, reason, delay: 0, ...extra }
+    });
+
+    if (!settings) return skip('not_configured');
+    if (!settings.enabled) return skip('disabled');
+    if (settings.config.ignoreBots && isBot) return skip('ignored_bot');
+
+    if (settings.config.respectQuietHours &&
+        isWithin(clock.minutes, settings.config.quietHoursStart, settings.config.quietHoursEnd)) {
+      return skip('quiet_hours');
+    }
+
+    const hours = settings.businessHours;
+    const openNow = !hours.enabled ||
+      (hours.days.includes(clock.weekday) && isWithin(clock.minutes, hours.start, hours.end));
+
+    const scopeKey = settingsStore.getKey('autorespond', target);
+    let blocked = null;
+    let chosen = null;
+
+    for (const rule of getRules(settings)) {
+      if (rule.hours === 'business' && !openNow) continue;
+      if (rule.hours === 'outside' && (openNow || !hours.enabled)) continue;
+
+      const match = matchRule(rule, text);
+      if (!match) continue;
+
+      const until = rule.cooldown > 0 ? await cooldowns.get(`${scopeKey}:${rule.id}:${sender}`) : null;
+      if (until && until > date.getTime()) {
+        blocked = blocked || { rule, retryAfter: Math.ceil((until - date.getTime()) / 1000) };
+        continue;
+      }
+
+      chosen = { rule, match };
+      break;
+    }
+
+    if (!chosen && !blocked && hours.enabled && !openNow && hours.outsideResponse) {
+      const rule = { id: 'outside_hours', type: 'away', pattern: null, pool: [hours.outsideResponse], cooldown: AWAY_COOLDOWN };
+      const until = await cooldowns.get(`${scopeKey}:${rule.id}:${sender}`);
+      if (until && until > date.getTime()) {
+        blocked = { rule, retryAfter: Math.ceil((until - date.getTime()) / 1000) };
+      } else {
+        chosen = { rule, match: { text: '', groups: {} } };
+      }
+    }
+
+    if (!chosen) {
+      if (blocked && record) {
+        await recordStatistics(target, blocked.rule, sender, false);
+      }
+      return blocked
+        ? skip('cooldown', { matched: true, rule: describeRule(blocked.rule), retryAfter: blocked.retryAfter })
+        : skip('no_match');
+    }
+
+    // Cap replies per chat per clock hour; a reply that will be sent is counted
+    // in the same update that checks the cap
+    const hourKey = `${scopeKey}:${groupId || sender}:${date.toISOString().slice(0, 13)}`;
+    let capped;
+    if (record) {
+      await hourlyReplies.update(hourKey, (count) => {
+        capped = (count || 0) >= settings.config.maxPerHour;
+        return capped ? count : (count || 0) + 1;
+      });
+    } else {
+      capped = ((await hourlyReplies.get(hourKey)) || 0) >= settings.config.maxPerHour;
+    }
+    if (capped) {
+      return skip('rate_limited', { matched: true, rule: describeRule(chosen.rule) });
+    }
+
+    const { rule, match } = chosen;
+    const template = pick(rule.pool, seed);
+    const reply = fillTemplate(template, buildVariables(message, match, clock));
+
+    if (record) {
+      if (rule.cooldown > 0) {
+        await cooldowns.set(`${scopeKey}:${rule.id}:${sender}`, date.getTime() + rule.cooldown * 1000, { ttl: rule.cooldown });
+      }
+      await recordStatistics(target, rule, sender, true);
+    }
+
+    return {
+      success: true,
+      result: {
+        reply,
+        matched: true,
+        rule: describeRule(rule),
+        reason: null,
+        delay: settings.config.delay,
+        cooldown: rule.cooldown,
+        recorded: record
+      }
+    };
+
+  } catch (error) {
+    if (error.name === 'SettingsError') {
+      return {
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      };
+    }
+    return {
+      success: false,
+      error: {
+        code: 'RESPOND_FAILED',
+        message: error.message || 'Failed to match auto-responder triggers'
+      }
+    };
+  }
+}
+
+/**
+ * Enabled responses first, then the extra triggers. A trigger without its
+ * own responses sends the first response's.
+ */
+function getRules(settings) {
+  const responses = settings.responses
+    .filter(response => response.enabled && response.trigger && response.pool.length > 0)
+    .map(response => ({
+      id: response.id,
+      type: response.match,
+      pattern: response.trigger,
+      pool: response.pool,
+      caseSensitive: response.caseSensitive,
+      cooldown: response.cooldown,
+      hours: response.hours
+    }));
+
+  const fallbackPool = responses[0]?.pool || [];
+  const triggers = settings.triggers
+    .filter(trigger => trigger.enabled && trigger.value && trigger.action === 'reply')
+    .map(trigger => ({
+      id: trigger.id,
+      type: trigger.type,
+      pattern: trigger.value,
+      pool: trigger.pool.length > 0 ? trigger.pool : fallbackPool,
+      caseSensitive: trigger.caseSensitive,
+      cooldown: trigger.cooldown,
+      hours: trigger.hours
+    }))
+    .filter(trigger => trigger.pool.length > 0);
+
+  return [...responses, ...triggers];
+}
+
+/**
+ * Match text against a rule; returns { text, groups } or null
+ */
+function matchRule(rule, text) {
+  const flags = rule.caseSensitive ? 'su' : 'isu';
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const normalize = value => (rule.caseSensitive ? value : value.toLowerCase()).trim();
+
+  let pattern;
+  switch (rule.type) {
+    case 'exact':
+      return normalize(text) === normalize(rule.pattern) ? { text: text.trim(), groups: {} } : null;
+
+    case 'contains': {
+      const index = normalize(text).indexOf(normalize(rule.pattern));
+      return index === -1 ? null : { text: rule.pattern, groups: {} };
+    }
+
+    case 'keyword':
+      pattern = `(?<![\\p{L}\\p{N}])${escape(rule.pattern.trim())}(?![\\p{L}\\p{N}])`;
+      break;
+
+    case 'wildcard':
+      // * matches any run of characters, ? a single one; the whole message must match
+      pattern = `^${rule.pattern.trim().split('').map(char =>
+        char === '*' ? '(.*)' : char === '?' ? '(.)' : escape(char)).join('')}$`;
+      break;
+
+    case 'regex':
+      // Rules saved before patterns were checked, or given inline, can still be unsafe
+      if (autorespond.checkPattern(rule.pattern) !== true) {
+        return null;
+      }
+      pattern = rule.pattern;
+      break;
+
+    default:
+      return null;
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags);
+  } catch (error) {
+    return null; // An invalid pattern never matches
+  }
+
+  const subject = rule.type === 'wildcard' ? text.trim() : rule.type === 'regex' ? text.slice(0, REGEX_TEXT_LIMIT) : text;
+  const result = regex.exec(subject);
+  if (!result) {
+    return null;
+  }
+
+  const groups = { ...(result.groups || {}) };
+  result.slice(1).forEach((value, index) => {
+    groups[index + 1] = value || '';
+  });
+
+  return { text: result[0], groups };
+}
+
+function describeRule(rule) {
+  return { id: rule.id, type: rule.type, pattern: rule.pattern };
+}
+
+/**
+ * Wall-clock time in a timezone; unknown timezones fall back to UTC
+ */
+function getLocalTime(date, timeZone = 'UTC') {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'long'
+    }).formatToParts(date);
+  } catch (error) {
+    return getLocalTime(date, 'UTC');
+  }
+
+  const get = type => parts.find(part => part.type === type).value;
+  const hour = parseInt(get('hour'), 10) % 24;
+  const minute = parseInt(get('minute'), 10);
+
+  return {
+    minutes: hour * 60 + minute,
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    hour
+  };
+}
+
+/**
+ * Whether minutes-since-midnight falls in [start, end); windows may wrap past midnight
+ */
+function isWithin(minutes, start, end) {
+  const toMinutes = value => {
+    const [hours, mins] = String(value).split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
+
+/**
+ * Pick from a response pool; a seed makes the choice repeatable
+ */
+function pick(pool, seed) {
+  if (pool.length === 1) {
+    return pool[0];
+  }
+
+  let random = Math.random();
+  if (seed !== undefined && seed !== null) {
+    // mulberry32
+    let t = (Number(seed) + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    random = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return pool[Math.floor(random * pool.length)];
+}
+
+function buildVariables(message, match, clock) {
+  const number = String(message.sender).split('@')[0];
+  const greeting = clock.hour < 12 ? 'Good morning' : clock.hour < 18 ? 'Good afternoon' : 'Good evening';
+
+  return {
+    ...match.groups,
+    name: message.senderName || number,
+    user: number,
+    mention: `@${number}`,
+    group: message.groupName,
+    message: message.text,
+    match: match.text,
+    time: clock.time,
+    date: clock.date,
+    day: WEEKDAYS[clock.weekday],
+    greeting
+  };
+}
+
+/**
+ * Replace {variable} placeholders; unknown ones are left as written
+ */
+function fillTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder
+  );
+}
+
+async function recordStatistics(target, rule, sender, sent) {
+  await settingsStore.updateStatistics('autorespond', target, (statistics) => ({
+    ...statistics,
+    totalTriggers: (statistics.totalTriggers || 0) + 1,
+    responsesSent: (statistics.responsesSent || 0) + (sent ? 1 : 0),
+    lastTrigger: { ruleId: rule.id, sender, sent, at: new Date().toISOString() }
+  }));
+}
+
+respondFunction.schema = {
+  userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Account whose auto-responder settings apply' },
+  sender: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Who sent the incoming message' },
+  text: { type: 'string', maxLength: 4096, default: '', description: 'Incoming message text' },
+  chatType: { type: 'string', enum: ['private', 'group'], default: 'private', description: 'Kind of chat the message arrived in' },
+  groupId: { type: 'string', maxLength: 100, description: 'Group, required for group chats' },
+  senderName: { type: 'string', maxLength: 100, description: 'Display name used for {name}' },
+  groupName: { type: 'string', maxLength: 100, description: 'Group name used for {group}' },
+  isBot: { type: 'boolean', default: false, description: 'Whether the sender is a bot' },
+  now: { type: 'date', description: 'Evaluate as if it were this time; only with dryRun or inline settings (fixtures)' },
+  seed: { type: 'number', isInteger: true, description: 'Makes the pick from a response pool repeatable' },
+  dryRun: { type: 'boolean', default: false, description: 'Match without starting cooldowns or counting replies' },
+  settings: { type: 'object', description: 'Auto-responder settings to use instead of the stored ones, in autorespond input form; nothing is recorded' }
+};
+
+respondFunction.manifest = {
+  description: 'Pick the auto-responder reply for an incoming message',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: {
+    userId: '2348012345678',
+    sender: '2348098765432@s.whatsapp.net',
+    senderName: 'Ada',
+    text: 'hello',
+    settings: { responses: [{ trigger: 'hello', responses: ['Hi {name}!', '{greeting}, {name}'] }] }
+  },
+  output: {
+    result: { reply: 'string', matched: 'boolean', rule: 'object', reason: 'string', delay: 'number', cooldown: 'number', recorded: 'boolean' }
+  }
+};
+
+module.exports = respondFunction;
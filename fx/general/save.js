@@ -1,14 +1,30 @@
 // fx/general/save.js
-const crypto = require('crypto');
+const pastes = require('../../lib/pastes');
 
-// In-memory storage for demonstration
-// In production, use a database like Redis, MongoDB, or PostgreSQL
-const savedContent = new Map();
-const userSaves = new Map(); // Track saves per user
+// Saves expire on their own via the store TTL; public ones are shared on GET /p/:code
+const savedContent = pastes.saves;
+const userSaves = pastes.users; // Track saves per user
 
 async function saveFunction(request) {
+  const { operation = 'save', code, page = 1, limit = 10, query = null } = request.data;
+
+  switch (operation) {
+    case 'get':
+      return retrieveSave(code, request.data.userId);
+    case 'list':
+      return listSaves(request.data.userId, page, limit);
+    case 'delete':
+      return deleteSave(code, request.data.userId);
+    case 'search':
+      return searchSaves(request.data.userId, request.data.tags, query);
+    default:
+      return createSave(request.data, request.caller);
+  }
+}
+
+async function createSave(data, caller = null) {
   try {
-    const { content, userId, expiresIn = '7d', tags = [], isPublic = false } = request.data;
+    const { content, userId, expiresIn = '7d', tags = [], isPublic = false, language = null } = data;
     
     if (!content) {
       return {
@@ -52,38 +68,37 @@ async function saveFunction(request) {
       id: saveCode,
       content: content,
       userId: userId,
+      apiKeyId: caller?.apiKeyId || null, // Only this key sees it on GET /saves while private
       createdAt: new Date().toISOString(),
       expiresAt: expiresAt.toISOString(),
       tags: Array.isArray(tags) ? tags : [tags],
       isPublic: isPublic,
+      language: language || pastes.detectLanguage(content),
       views: 0,
       lastAccessed: null
     };
 
     // Save to storage
-    savedContent.set(saveCode, saveObject);
-    
-    // Track user's saves
-    if (!userSaves.has(userId)) {
-      userSaves.set(userId, []);
-    }
-    userSaves.get(userId).push(saveCode);
+    const ttl = Math.ceil((expiresAt.getTime() - Date.now()) / 1000);
+    await savedContent.set(saveCode, saveObject, { ttl });
     
-    // Cleanup old saves for user (keep last 50)
-    const userSaveList = userSaves.get(userId);
-    if (userSaveList.length > 50) {
-      const toRemove = userSaveList.slice(0, userSaveList.length - 50);
-      toRemove.forEach(code => savedContent.delete(code));
-      userSaves.set(userId, userSaveList.slice(-50));
-    }
+    // Track user's saves, keeping the last 50
+    let removed = [];
+    await userSaves.update(userId, (userSaveList) => {
+      const list = [...(userSaveList || []), saveCode];
+      removed = list.slice(0, Math.max(list.length - 50, 0));
+      return list.slice(-50);
+    });
+    await Promise.all(removed.map(code => savedContent.delete(code)));
 
     return {
       success: true,
       result: {
         saveCode: saveCode,
         expiresAt: expiresAt.toISOString(),
-        url: `/save/${saveCode}`, // For retrieval
-        formatted: formatSaveSuccess(saveCode, expiresAt, content)
+        url: isPublic ? pastes.getUrl(saveCode) : null, // Paste page, public saves only
+        language: saveObject.language,
+        formatted: formatSaveSuccess(saveCode, expiresAt, content, isPublic)
       }
     };
     
@@ -100,28 +115,21 @@ async function saveFunction(request) {
 
 // Helper function to retrieve saved content
 async function retrieveSave(saveCode, userId = null) {
-  const save = savedContent.get(saveCode);
-  
-  if (!save) {
+  if (!saveCode) {
     return {
       success: false,
       error: {
-        code: 'SAVE_NOT_FOUND',
-        message: 'Save code not found or expired'
+        code: 'MISSING_CODE',
+        message: 'Save code is required'
       }
     };
   }
 
-  // Check expiration
-  if (new Date(save.expiresAt) < new Date()) {
-    savedContent.delete(saveCode);
-    return {
-      success: false,
-      error: {
-        code: 'SAVE_EXPIRED',
-        message: 'This save has expired'
-      }
-    };
+  let save;
+  try {
+    save = await pastes.get(saveCode);
+  } catch (error) {
+    return pasteError(error);
   }
 
   // Check privacy
@@ -136,9 +144,7 @@ async function retrieveSave(saveCode, userId = null) {
   }
 
   // Update access stats
-  save.views += 1;
-  save.lastAccessed = new Date().toISOString();
-  savedContent.set(saveCode, save);
+  save = (await pastes.recordView(save)) || save;
 
   return {
     success: true,
@@ -149,14 +155,89 @@ async function retrieveSave(saveCode, userId = null) {
       tags: save.tags,
       views: save.views,
       isPublic: save.isPublic,
+      language: save.language || pastes.detectLanguage(save.content),
+      url: save.isPublic ? pastes.getUrl(save.id) : null,
       formatted: formatRetrievedContent(save)
     }
   };
 }
 
+// Helper function to delete a save; only its owner may
+async function deleteSave(saveCode, userId) {
+  if (!saveCode) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_CODE',
+        message: 'Save code is required'
+      }
+    };
+  }
+
+  try {
+    await pastes.remove(saveCode, userId);
+  } catch (error) {
+    return pasteError(error);
+  }
+
+  return {
+    success: true,
+    result: {
+      saveCode: saveCode,
+      deleted: true,
+      formatted: `🗑️ *Save Deleted:* \`${saveCode}\``
+    }
+  };
+}
+
+// Helper function to find a user's saves by tag and text
+async function searchSaves(userId, tags = [], query = null) {
+  const wanted = Array.isArray(tags) ? tags : [tags];
+
+  if (wanted.length === 0 && !query) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_FILTER',
+        message: 'Give tags or a query to search for'
+      }
+    };
+  }
+
+  const saves = await pastes.search(userId, { tags: wanted, query });
+
+  return {
+    success: true,
+    result: {
+      saves: saves,
+      total: saves.length,
+      formatted: formatSearchResults(saves, wanted, query)
+    }
+  };
+}
+
+function pasteError(error) {
+  if (error.name !== 'PasteError') throw error;
+  return {
+    success: false,
+    error: {
+      code: error.code === 'FORBIDDEN' ? 'ACCESS_DENIED' : error.code,
+      message: error.message
+    }
+  };
+}
+
 // Helper function to list user's saves
 async function listSaves(userId, page = 1, limit = 10) {
-  const userSaveCodes = userSaves.get(userId) || [];
+  // Drop codes whose saves have expired
+  const storedCodes = (await userSaves.get(userId)) || [];
+  const stored = await Promise.all(storedCodes.map(code => savedContent.get(code)));
+  const userSaveCodes = storedCodes.filter((code, index) => stored[index]);
+  const expired = storedCodes.filter((code, index) => !stored[index]);
+  if (expired.length > 0) {
+    await userSaves.update(userId, (list) => (list || []).filter(code => !expired.includes(code)));
+  }
+  
   const total = userSaveCodes.length;
   const totalPages = Math.ceil(total / limit);
   
@@ -165,18 +246,10 @@ async function listSaves(userId, page = 1, limit = 10) {
   const pageCodes = userSaveCodes.slice(start, end);
   
   const saves = pageCodes.map(code => {
-    const save = savedContent.get(code);
-    if (!save) return null;
+    const save = stored[storedCodes.indexOf(code)];
     
-    return {
-      id: save.id,
-      preview: save.content.substring(0, 100) + (save.content.length > 100 ? '...' : ''),
-      createdAt: save.createdAt,
-      expiresAt: save.expiresAt,
-      tags: save.tags,
-      views: save.views
-    };
-  }).filter(Boolean);
+    return pastes.summarize(save);
+  });
 
   return {
     success: true,
@@ -235,7 +308,7 @@ function calculateExpiration(expiresIn) {
   return now;
 }
 
-function formatSaveSuccess(saveCode, expiresAt, content) {
+function formatSaveSuccess(saveCode, expiresAt, content, isPublic) {
   const preview = content.length > 100 ? content.substring(0, 100) + '...' : content;
   const expiresDate = new Date(expiresAt).toLocaleDateString();
   
@@ -244,7 +317,23 @@ function formatSaveSuccess(saveCode, expiresAt, content) {
          `📅 *Expires:* ${expiresDate}\n\n` +
          `📝 *Preview:*\n${preview}\n\n` +
          `🔗 *Retrieve with:* !save get ${saveCode}\n` +
-         `_Or use the retrieval URL_`;
+         (isPublic ? `🌐 *Share:* ${pastes.getUrl(saveCode)}` : `_Save with isPublic to get a shareable link_`);
+}
+
+function formatSearchResults(saves, tags, query) {
+  const filters = [...tags.map(tag => `#${tag}`), ...(query ? [`"${query}"`] : [])].join(' ');
+  
+  if (saves.length === 0) {
+    return `🔍 No saves found for ${filters}`;
+  }
+  
+  let formatted = `🔍 *Saves matching ${filters}* (${saves.length})\n\n`;
+  saves.slice(0, 10).forEach((save, index) => {
+    formatted += `${index + 1}. \`${save.id}\` ${save.tags.map(tag => `#${tag}`).join(' ')}\n`;
+    formatted += `   ${save.preview.replace(/\n/g, ' ')}\n`;
+  });
+  
+  return formatted;
 }
 
 function formatRetrievedContent(save) {
@@ -263,7 +352,7 @@ function formatRetrievedContent(save) {
   formatted += `\n📝 *Content:*\n\`\`\`\n${save.content}\n\`\`\`\n`;
   
   if (save.isPublic) {
-    formatted += `🌐 *Public Save*\n`;
+    formatted += `🌐 *Public Save:* ${pastes.getUrl(save.id)}\n`;
   } else {
     formatted += `🔒 *Private Save*\n`;
   }
@@ -274,24 +363,33 @@ function formatRetrievedContent(save) {
 // Attach helper functions for external use
 saveFunction.retrieve = retrieveSave;
 saveFunction.list = listSaves;
+saveFunction.delete = deleteSave;
+saveFunction.search = searchSaves;
 
-// Cleanup expired saves every hour
-setInterval(() => {
-  const now = new Date();
-  for (const [code, save] of savedContent.entries()) {
-    if (new Date(save.expiresAt) < now) {
-      savedContent.delete(code);
-      
-      // Remove from user's list
-      const userList = userSaves.get(save.userId);
-      if (userList) {
-        const index = userList.indexOf(code);
-        if (index > -1) {
-          userList.splice(index, 1);
-        }
-      }
-    }
+saveFunction.schema = {
+  operation: { type: 'string', enum: ['save', 'get', 'list', 'delete', 'search'], default: 'save', description: 'save creates a save; get, list, delete and search manage them' },
+  content: { type: 'string', minLength: 1, maxLength: 10000, description: 'Text to save, required for save' },
+  userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Owner of the save' },
+  expiresIn: { type: 'string', pattern: /^\d+[dhm]$/, default: '7d', description: 'Lifetime such as 30m, 12h or 7d' },
+  tags: { type: 'array', maxItems: 20, itemSchema: { type: 'string', maxLength: 50 }, default: [], description: 'Labels for finding the save later' },
+  isPublic: { type: 'boolean', default: false, description: 'Allow anyone with the code to view it, and share it on /p/:code' },
+  language: { type: 'string', enum: pastes.languages, description: 'Highlighting on the paste page; detected from the content when omitted' },
+  code: { type: 'string', pattern: /^SAVE-[A-Z0-9]{6}$/, description: 'Save code, for get and delete' },
+  query: { type: 'string', maxLength: 200, description: 'Text to look for, for search' },
+  page: { type: 'number', isInteger: true, min: 1, default: 1, description: 'Page, for list' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 50, default: 10, description: 'Saves per page, for list' }
+};
+
+saveFunction.manifest = {
+  description: 'Save a text snippet and get a code to retrieve it later; public saves get a shareable paste page',
+  env: {
+    required: [],
+    optional: ['PUBLIC_BASE_URL']
+  },
+  example: { content: 'Meeting notes: ship v2 on Friday', userId: '2348012345678', tags: ['work'] },
+  output: {
+    result: { saveCode: 'string', expiresAt: 'string', url: 'string', language: 'string', formatted: 'string' }
   }
-}, 3600000);
+};
 
 module.exports = saveFunction;
@@ -3,6 +3,11 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const store = require('../../lib/store');
+
+// Generated audio (base64), expired by the store after 1 hour
+const AUDIO_TTL = 3600; // seconds
+const audioStorage = store.collection('say-audio', { ttl: AUDIO_TTL });
 
 async function sayFunction(request) {
   try {
@@ -56,18 +61,14 @@ async function sayFunction(request) {
 
     // Create temporary access token
     const accessToken = uuidv4();
-    const tempStorage = {
-      buffer: audioData.buffer,
+    await audioStorage.set(accessToken, {
+      data: audioData.buffer.toString('base64'),
       contentType: 'audio/mpeg',
       text: cleanText,
       voice: voice,
       generatedAt: new Date().toISOString(),
-      expiresAt: Date.now() + 3600000 // 1 hour
-    };
-
-    // Store in temporary storage (in production, use Redis or similar)
-    sayFunction.tempStorage = sayFunction.tempStorage || new Map();
-    sayFunction.tempStorage.set(accessToken, tempStorage);
+      expiresAt: Date.now() + AUDIO_TTL * 1000
+    });
 
     return {
       success: true,
@@ -177,28 +178,34 @@ function formatSuccessMessage(text, voice, duration) {
 }
 
 // For serving audio files
-sayFunction.getAudio = function(token) {
-  if (!sayFunction.tempStorage) return null;
-  const audio = sayFunction.tempStorage.get(token);
-  
-  if (!audio || audio.expiresAt < Date.now()) {
-    sayFunction.tempStorage.delete(token);
+sayFunction.getAudio = async function(token) {
+  const audio = await audioStorage.get(token);
+  if (!audio) {
     return null;
   }
   
-  return audio;
+  const { data, ...info } = audio;
+  return { ...info, buffer: Buffer.from(data, 'base64') };
 };
 
-// Cleanup expired audio files every hour
-setInterval(() => {
-  if (sayFunction.tempStorage) {
-    const now = Date.now();
-    for (const [token, audio] of sayFunction.tempStorage.entries()) {
-      if (audio.expiresAt < now) {
-        sayFunction.tempStorage.delete(token);
-      }
-    }
+sayFunction.schema = {
+  text: { type: 'string', required: true, minLength: 1, maxLength: 5000, description: 'Text to speak' },
+  voice: { type: 'string', maxLength: 50, default: 'Adam', description: 'Voice name' },
+  stability: { type: 'number', min: 0, max: 1, default: 0.75, description: 'Voice stability from 0 to 1' },
+  similarity_boost: { type: 'number', min: 0, max: 1, default: 0.75, description: 'Similarity boost from 0 to 1' },
+  speed: { type: 'number', min: 0.25, max: 4, default: 1.0, description: 'Playback speed multiplier' }
+};
+
+sayFunction.manifest = {
+  description: 'Text to speech using ElevenLabs voices',
+  env: {
+    required: ['ELEVENLABS_API_KEY'],
+    optional: []
+  },
+  example: { text: 'Good morning everyone!', voice: 'Rachel' },
+  output: {
+    result: { audioId: 'string', accessToken: 'string', downloadUrl: 'string', filename: 'string', text: 'string', voice: 'string', duration: 'number', size: 'number', formatted: 'string' }
   }
-}, 3600000);
+};
 
 module.exports = sayFunction;
@@ -1,8 +1,9 @@
 // fx/general/view.js
 // This function simulates retrieving deleted messages
 // In production, you'll need to integrate with actual message storage
+const store = require('../../lib/store');
 
-const deletedMessagesCache = new Map();
+const deletedMessagesCache = store.collection('view-deleted');
 const MAX_CACHE_SIZE = 100;
 
 async function viewFunction(request) {
@@ -58,10 +59,9 @@ async function viewFunction(request) {
 // Simulated storage - replace with actual database in production
 async function getDeletedMessages(chatId, specificMessageId = null, limit = 1) {
   // In production, this would query your message history database
-  // This is a simulation using in-memory cache
   
   const cacheKey = `deleted_${chatId}`;
-  const chatDeletedMessages = deletedMessagesCache.get(cacheKey) || [];
+  const chatDeletedMessages = (await deletedMessagesCache.get(cacheKey)) || [];
   
   if (specificMessageId) {
     // Return specific message if ID provided
@@ -74,9 +74,8 @@ async function getDeletedMessages(chatId, specificMessageId = null, limit = 1) {
 }
 
 // Simulation function to "delete" a message (call this when messages are deleted)
-function simulateMessageDeletion(message) {
+async function simulateMessageDeletion(message) {
   const cacheKey = `deleted_${message.chatId}`;
-  const chatDeletedMessages = deletedMessagesCache.get(cacheKey) || [];
   
   // Add timestamp and deletion marker
   const deletedMessage = {
@@ -86,14 +85,10 @@ function simulateMessageDeletion(message) {
     id: message.id || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   };
   
-  chatDeletedMessages.push(deletedMessage);
-  
   // Limit cache size
-  if (chatDeletedMessages.length > MAX_CACHE_SIZE) {
-    chatDeletedMessages.splice(0, chatDeletedMessages.length - MAX_CACHE_SIZE);
-  }
-  
-  deletedMessagesCache.set(cacheKey, chatDeletedMessages);
+  await deletedMessagesCache.update(cacheKey, (chatDeletedMessages) =>
+    [...(chatDeletedMessages || []), deletedMessage].slice(-MAX_CACHE_SIZE)
+  );
   
   return deletedMessage;
 }
@@ -162,4 +157,23 @@ function formatTimeAgo(timestamp) {
 // Export simulation function for testing
 viewFunction.simulateDeletion = simulateMessageDeletion;
 
+viewFunction.schema = {
+  chatId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Chat to look in' },
+  messageId: { type: 'string', maxLength: 100, description: 'A specific deleted message' },
+  userId: { type: 'string', maxLength: 100, description: 'Only messages from this sender' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 50, default: 1, description: 'Number of messages to return' }
+};
+
+viewFunction.manifest = {
+  description: 'Recover recently deleted messages in a chat',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { chatId: '120363025555555555@g.us', limit: 3 },
+  output: {
+    result: { messages: 'array', formatted: 'string', count: 'number', chatId: 'string' }
+  }
+};
+
 module.exports = viewFunction;
@@ -3,10 +3,11 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid'); // npm install uuid
+const store = require('../../lib/store');
 
-// Temporary storage for processed media
-const tempStorage = new Map();
-const CLEANUP_INTERVAL = 3600000; // 1 hour
+// Temporary storage for processed media (base64), expired by the store after 1 hour
+const MEDIA_TTL = 3600; // seconds
+const tempStorage = store.collection('vv-media', { ttl: MEDIA_TTL });
 
 async function vvFunction(request) {
   try {
@@ -44,20 +45,17 @@ async function vvFunction(request) {
     
     // Generate access token for temporary access
     const accessToken = uuidv4();
-    const expiryTime = Date.now() + 3600000; // 1 hour expiry
+    const expiryTime = Date.now() + MEDIA_TTL * 1000;
     
     // Store in temporary storage
-    tempStorage.set(accessToken, {
-      buffer: processedMedia.buffer,
+    await tempStorage.set(accessToken, {
+      data: processedMedia.buffer.toString('base64'),
       type: processedMedia.type,
       originalType: detectedType,
       expiry: expiryTime,
       downloadedAt: new Date().toISOString()
     });
     
-    // Schedule cleanup
-    scheduleCleanup(accessToken, expiryTime);
-    
     return {
       success: true,
       result: {
@@ -185,33 +183,36 @@ function formatSuccessMessage(mediaType) {
          `_View-once protection has been removed_`;
 }
 
-function scheduleCleanup(token, expiryTime) {
-  const timeUntilExpiry = expiryTime - Date.now();
-  
-  if (timeUntilExpiry > 0) {
-    setTimeout(() => {
-      tempStorage.delete(token);
-    }, timeUntilExpiry);
+// For serving the media (add this to your main server)
+vvFunction.serveMedia = async function(token) {
+  const media = await tempStorage.get(token);
+  if (!media) {
+    return null;
   }
-}
+  
+  const { data, ...info } = media;
+  return { ...info, buffer: Buffer.from(data, 'base64') };
+};
 
-// Cleanup old entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [token, data] of tempStorage.entries()) {
-    if (data.expiry < now) {
-      tempStorage.delete(token);
-    }
-  }
-}, CLEANUP_INTERVAL);
+vvFunction.schema = {
+  mediaUrl: { type: 'string', isURL: true, maxLength: 2048, description: 'URL of the view-once media; required when messageId is absent' },
+  messageId: { type: 'string', maxLength: 100, description: 'Message holding the media; required when mediaUrl is absent' },
+  chatId: { type: 'string', maxLength: 100, description: 'Chat the message belongs to' },
+  mediaType: { type: 'string', maxLength: 100, default: 'auto', description: 'MIME type, or auto to detect it' }
+};
 
-// For serving the media (add this to your main server)
-vvFunction.serveMedia = function(token) {
-  const media = tempStorage.get(token);
-  if (!media || media.expiry < Date.now()) {
-    return null;
+vvFunction.manifest = {
+  description: 'Save view-once media so it can be viewed again',
+  cost: 2,
+  aliases: ['viewonce'],
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { mediaUrl: 'https://example.com/media/abc123.jpg' },
+  output: {
+    result: { accessToken: 'string', mediaType: 'string', downloadUrl: 'string', filename: 'string', size: 'number', expiresAt: 'string', formatted: 'string' }
   }
-  return media;
 };
 
 module.exports = vvFunction;
@@ -1,9 +1,11 @@
 // fx/god/bible.js
 const axios = require('axios');
+const bible = require('../../lib/bible');
+const llm = require('../../lib/llm');
 
 async function bibleFunction(request) {
   try {
-    const { query, version = 'KJV', chapter = null } = request.data;
+    const { query, version = 'KJV', chapter = null, mode = 'auto', book = null, testament = null, limit = 10 } = request.data;
     
     if (!query) {
       return {
@@ -15,41 +17,68 @@ async function bibleFunction(request) {
       };
     }
 
+    if (mode === 'ask') {
+      return askBible(query, { limit: Math.min(limit, 8) });
+    }
+
+    if (mode === 'crossref') {
+      const crossRefs = bible.crossReferences(query, { limit });
+      return {
+        success: true,
+        result: {
+          type: 'crossref',
+          reference: crossRefs.reference,
+          text: crossRefs.text,
+          related: crossRefs.related,
+          formatted: formatCrossReferences(crossRefs),
+          version: bible.translation
+        }
+      };
+    }
+
     // Check if query is a chapter reference (e.g., "John 3")
-    const chapterMatch = query.match(/(\d?\s?\w+)\s+(\d+)/i);
+    const reference = mode === 'search' ? null : bible.parseReference(chapter ? `${query} ${chapter}` : query);
     
-    if (chapterMatch || chapter) {
+    if (reference || mode === 'chapter') {
+      if (!reference) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_REFERENCE',
+            message: 'Use a chapter reference such as John 3'
+          }
+        };
+      }
+
       // Get chapter
-      const book = chapterMatch ? chapterMatch[1].trim() : query;
-      const chapterNum = chapter || parseInt(chapterMatch[2]);
-      
-      const chapterData = await getChapter(book, chapterNum, version);
+      const chapterData = await getChapter(reference.book, reference.chapter, version);
       
       return {
         success: true,
         result: {
           type: 'chapter',
-          book: book,
-          chapter: chapterNum,
+          book: chapterData.book,
+          chapter: reference.chapter,
           verses: chapterData.verses,
           formatted: formatChapter(chapterData),
-          version: version,
-          totalVerses: chapterData.verses.length
+          version: chapterData.translation,
+          totalVerses: chapterData.verses.length,
+          offline: chapterData.offline
         }
       };
     } else {
       // Search across Bible
-      const searchResults = await searchBible(query, version);
+      const searchResults = bible.search(query, { limit, book, testament, mode: mode === 'auto' ? 'any' : mode });
       
       return {
         success: true,
         result: {
           type: 'search',
           query: query,
-          results: searchResults,
-          formatted: formatSearchResults(searchResults, query),
-          version: version,
-          totalResults: searchResults.length
+          results: searchResults.results,
+          formatted: formatSearchResults(searchResults.results, query, searchResults.total),
+          version: bible.translation,
+          totalResults: searchResults.total
         }
       };
     }
@@ -58,58 +87,111 @@ async function bibleFunction(request) {
     return {
       success: false,
       error: {
-        code: 'BIBLE_FUNCTION_FAILED',
+        code: error.name === 'BibleError' ? error.code : 'BIBLE_FUNCTION_FAILED',
         message: error.message || 'Failed to process Bible request'
       }
     };
   }
 }
 
+// KJV is read from the local index; other versions come from bible-api.com,
+// falling back to the local KJV when it can't be reached
 async function getChapter(book, chapter, version) {
-  const url = `https://bible-api.com/${book}+${chapter}?translation=${version.toLowerCase()}`;
-  
-  const response = await axios.get(url, {
-    timeout: 15000
-  });
-  
+  if (version.toUpperCase() !== bible.translation) {
+    try {
+      const url = `https://bible-api.com/${encodeURIComponent(book)}+${chapter}?translation=${version.toLowerCase()}`;
+      
+      const response = await axios.get(url, {
+        timeout: 15000
+      });
+      
+      return {
+        book: response.data.book_name,
+        chapter: chapter,
+        verses: response.data.verses || [],
+        reference: response.data.reference,
+        translation: response.data.translation_name,
+        offline: false
+      };
+    } catch (error) {
+      console.log('Bible API failed, using local KJV:', error.message);
+    }
+  }
+
+  const passage = bible.chapter(book, chapter);
   return {
-    book: response.data.book_name,
+    book: passage.book,
     chapter: chapter,
-    verses: response.data.verses || [],
-    reference: response.data.reference,
-    translation: response.data.translation_name
+    verses: passage.verses.map(verse => ({ book_name: verse.book, chapter: verse.chapter, verse: verse.verse, text: verse.text })),
+    reference: passage.reference,
+    translation: bible.translation,
+    offline: true
   };
 }
 
-async function searchBible(query, version) {
-  // Using esvapi.org for search (example) - you might need a different API
-  try {
-    const url = `https://api.esv.org/v3/passage/search/?q=${encodeURIComponent(query)}`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Token ${process.env.ESV_API_KEY || 'public'}` // Add your API key
-      },
-      timeout: 10000
-    });
-    
-    // Process and limit results
-    const results = response.data.results || [];
-    return results.slice(0, 10).map(result => ({
-      reference: result.reference,
-      text: result.content,
-      score: result.score
-    }));
-    
-  } catch (error) {
-    // Fallback to simple chapter fetch
-    console.log('Search failed, using fallback:', error.message);
-    return [{
-      reference: 'John 1:1',
-      text: 'In the beginning was the Word...',
-      note: 'Search API failed, showing example verse'
-    }];
+/**
+ * Answer a question from retrieved verses. The LLM is asked to answer only
+ * from them and cite references; without one the verses are returned as is.
+ */
+async function askBible(question, { limit }) {
+  const verses = bible.retrieve(question, limit);
+  if (verses.length === 0) {
+    return {
+      success: false,
+      error: {
+        code: 'NO_VERSES_FOUND',
+        message: `No verses found for "${question}"`
+      }
+    };
+  }
+
+  let answer = null;
+  let model = null;
+  if (llm.isConfigured()) {
+    try {
+      const response = await llm.chat({
+        source: 'god/bible:ask',
+        messages: [
+          {
+            role: 'system',
+            content: 'Answer the question for a church WhatsApp group using only the KJV verses given. ' +
+              'Cite every verse you rely on by its reference in square brackets, e.g. [John 3:16]. ' +
+              'If the verses do not answer the question, say so. Keep it under 120 words.'
+          },
+          {
+            role: 'user',
+            content: `Question: ${question}\n\nVerses:\n${verses.map(verse => `[${verse.reference}] ${verse.text}`).join('\n')}`
+          }
+        ],
+        maxTokens: 400,
+        temperature: 0.3
+      });
+      answer = response.content.trim();
+      model = response.model;
+    } catch (error) {
+      console.log('Bible ask LLM failed, returning verses only:', error.message);
+    }
   }
+
+  // Citations are the retrieved verses the answer names; all of them without an answer
+  const cited = answer
+    ? verses.filter(verse => answer.includes(verse.reference))
+    : verses;
+  const citations = (cited.length > 0 ? cited : verses).map(({ reference, text }) => ({ reference, text }));
+
+  return {
+    success: true,
+    result: {
+      type: 'ask',
+      question: question,
+      answer: answer,
+      model: model,
+      citations: citations,
+      verses: verses,
+      formatted: formatAnswer(question, answer, citations),
+      version: bible.translation
+    }
+  };
 }
 
 function formatChapter(chapterData) {
@@ -137,7 +219,7 @@ function formatChapter(chapterData) {
   return formatted;
 }
 
-function formatSearchResults(results, query) {
+function formatSearchResults(results, query, total = results.length) {
   if (results.length === 0) {
     return `❌ No results found for "${query}"`;
   }
@@ -149,7 +231,7 @@ function formatSearchResults(results, query) {
     
     // Highlight query terms in text (simple version)
     let text = result.text;
-    const queryWords = query.toLowerCase().split(' ');
+    const queryWords = query.toLowerCase().replace(/[^a-z\s]/g, '').split(/\s+/);
     queryWords.forEach(word => {
       if (word.length > 3) {
         const regex = new RegExp(`(${word})`, 'gi');
@@ -157,14 +239,64 @@ function formatSearchResults(results, query) {
       }
     });
     
-    formatted += `${text.substring(0, 150)}...\n\n`;
+    formatted += `${text.length > 150 ? `${text.substring(0, 150)}...` : text}\n\n`;
   });
   
-  if (results.length > 5) {
-    formatted += `_...and ${results.length - 5} more results_`;
+  if (total > 5) {
+    formatted += `_...and ${total - 5} more results_`;
   }
   
   return formatted;
 }
 
+function formatCrossReferences(crossRefs) {
+  let formatted = `🔗 *Related to ${crossRefs.reference}*\n`;
+  formatted += `_${crossRefs.text.length > 150 ? `${crossRefs.text.substring(0, 150)}...` : crossRefs.text}_\n\n`;
+  
+  crossRefs.related.slice(0, 8).forEach(verse => {
+    formatted += `• *${verse.reference}* — ${verse.text.length > 100 ? `${verse.text.substring(0, 100)}...` : verse.text}\n`;
+  });
+  
+  return formatted;
+}
+
+function formatAnswer(question, answer, citations) {
+  let formatted = `🙏 *${question}*\n\n`;
+  
+  if (answer) {
+    formatted += `${answer}\n\n📖 *Verses:*\n`;
+  } else {
+    formatted += `📖 *Verses that speak to this:*\n`;
+  }
+  
+  citations.forEach(verse => {
+    formatted += `• *${verse.reference}* — ${verse.text}\n`;
+  });
+  
+  formatted += `\n_${bible.translation}_`;
+  return formatted;
+}
+
+bibleFunction.schema = {
+  query: { type: 'string', required: true, minLength: 1, maxLength: 200, description: 'Chapter reference such as John 3, search terms, a question (ask) or a verse (crossref)' },
+  mode: { type: 'string', enum: ['auto', 'chapter', 'search', 'all', 'phrase', 'ask', 'crossref'], default: 'auto', description: 'auto reads a chapter reference or searches; all and phrase are stricter searches; ask answers with cited verses; crossref finds related verses' },
+  version: { type: 'string', maxLength: 10, default: 'KJV', description: 'Bible translation; chapters in other versions come from bible-api.com' },
+  chapter: { type: 'number', isInteger: true, min: 1, max: 150, default: null, description: 'Chapter number when the query is a book name' },
+  book: { type: 'string', maxLength: 30, default: null, description: 'Limit a search to one book' },
+  testament: { type: 'string', enum: ['old', 'new'], default: null, description: 'Limit a search to one testament' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 50, default: 10, description: 'Most results to return' }
+};
+
+bibleFunction.manifest = {
+  description: 'Read a Bible chapter, search a local KJV index, find related verses or ask a question answered with cited verses',
+  env: {
+    required: [],
+    optional: ['LLM_PROVIDER', 'LLM_API_KEY', 'LLM_BASE_URL']
+  },
+  example: { query: 'verses about patience', mode: 'ask' },
+  output: {
+    result: { type: 'string', book: 'string', chapter: 'number', verses: 'array', results: 'array', related: 'array', answer: 'string', citations: 'array', version: 'string', totalVerses: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = bibleFunction;
@@ -1,6 +1,7 @@
 // fx/god/devotional.js
 const axios = require('axios');
 const NodeCache = require('node-cache'); // You'll need to install: npm install node-cache
+const bible = require('../../lib/bible');
 
 // Cache devotional for 24 hours
 const devotionalCache = new NodeCache({ stdTTL: 86400, checkperiod: 3600 });
@@ -131,10 +132,21 @@ function getFallbackDevotional(date, language) {
   const langDevotionals = devotionals[language] || devotionals.english;
   const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
   const index = dayOfYear % langDevotionals.length;
+  const devotional = { ...langDevotionals[index] };
+  
+  // English scripture comes from the local KJV so it is quoted exactly
+  if (langDevotionals === devotionals.english) {
+    try {
+      devotional.verseText = bible.lookup(devotional.scripture).text;
+      devotional.scripture = `${devotional.scripture} (KJV)`;
+    } catch (error) {
+      console.log('Local Bible lookup failed:', error.message);
+    }
+  }
   
   return {
     date: date.toISOString().split('T')[0],
-    ...langDevotionals[index],
+    ...devotional,
     language: language,
     source: 'Fallback'
   };
@@ -164,4 +176,21 @@ function formatDevotional(devotional) {
   return formatted;
 }
 
+devotionalFunction.schema = {
+  date: { type: 'date', default: null, description: 'Devotional date, defaults to today' },
+  language: { type: 'string', maxLength: 20, default: 'english', description: 'Devotional language' }
+};
+
+devotionalFunction.manifest = {
+  description: 'Daily devotional reading',
+  env: {
+    required: [],
+    optional: ['ODB_API_KEY']
+  },
+  example: { language: 'english' },
+  output: {
+    result: { date: 'string', title: 'string', scripture: 'string', verseText: 'string', content: 'string', prayer: 'string', reflection: 'string', author: 'string', language: 'string', source: 'string', cached: 'boolean', formatted: 'string' }
+  }
+};
+
 module.exports = devotionalFunction;
@@ -1,5 +1,6 @@
 // fx/god/verse.js
 const axios = require('axios');
+const bible = require('../../lib/bible');
 
 async function verseFunction(request) {
   try {
@@ -15,8 +16,8 @@ async function verseFunction(request) {
       };
     }
 
-    // Parse reference (simple version - can be enhanced)
-    const parsedRef = parseBibleReference(reference);
+    // Parse reference against the local book list
+    const parsedRef = bible.parseReference(reference);
     if (!parsedRef) {
       return {
         success: false,
@@ -27,8 +28,13 @@ async function verseFunction(request) {
       };
     }
 
-    // Fetch verse from API
-    const verse = await fetchVerse(parsedRef, version);
+    // KJV comes from the local index; other versions from the API
+    const verse = version.toUpperCase() === bible.translation
+      ? getLocalVerse(reference)
+      : await fetchVerse(parsedRef, version).catch((error) => {
+        console.log('Bible API failed, using local KJV:', error.message);
+        return getLocalVerse(reference);
+      });
     
     return {
       success: true,
@@ -39,6 +45,7 @@ async function verseFunction(request) {
         book: verse.book_name,
         chapter: verse.chapter,
         verse: verse.verse,
+        offline: verse.offline,
         formatted: formatVerse(verse)
       }
     };
@@ -47,7 +54,7 @@ async function verseFunction(request) {
     return {
       success: false,
       error: {
-        code: 'VERSE_FETCH_FAILED',
+        code: error.name === 'BibleError' ? error.code : 'VERSE_FETCH_FAILED',
         message: error.message || 'Failed to fetch verse'
       }
     };
@@ -55,22 +62,26 @@ async function verseFunction(request) {
 }
 
 // Helper functions
-function parseBibleReference(ref) {
-  // Simple parser for formats like: John 3:16, Genesis 1:1-3, Psalm 23
-  const match = ref.match(/(\d?\s?\w+)\s+(\d+)(?::(\d+))?(?:-(\d+))?/i);
-  if (!match) return null;
+function getLocalVerse(reference) {
+  const passage = bible.lookup(reference);
   
   return {
-    book: match[1].trim(),
-    chapter: parseInt(match[2]),
-    verse: match[3] ? parseInt(match[3]) : 1,
-    endVerse: match[4] ? parseInt(match[4]) : null
+    reference: passage.reference,
+    text: passage.text,
+    version: bible.translation,
+    book_name: passage.book,
+    chapter: passage.chapter,
+    verse: passage.verses[0].verse,
+    verses: passage.verses.length > 1 ? passage.verses : null,
+    offline: true
   };
 }
 
 async function fetchVerse(parsedRef, version) {
   // Using Bible API (example using bible-api.com)
-  const url = `https://bible-api.com/${parsedRef.book}+${parsedRef.chapter}:${parsedRef.verse}${parsedRef.endVerse ? `-${parsedRef.endVerse}` : ''}?translation=${version.toLowerCase()}`;
+  const verse = parsedRef.verse || 1;
+  const endVerse = parsedRef.endVerse !== verse ? parsedRef.endVerse : null;
+  const url = `https://bible-api.com/${encodeURIComponent(parsedRef.book)}+${parsedRef.chapter}:${verse}${endVerse ? `-${endVerse}` : ''}?translation=${version.toLowerCase()}`;
   
   const response = await axios.get(url, {
     timeout: 10000
@@ -82,8 +93,9 @@ async function fetchVerse(parsedRef, version) {
     version: response.data.translation_name,
     book_name: response.data.book_name,
     chapter: parsedRef.chapter,
-    verse: parsedRef.verse,
-    verses: response.data.verses
+    verse: verse,
+    verses: response.data.verses,
+    offline: false
   };
 }
 
@@ -103,4 +115,21 @@ function formatVerse(verseData) {
   return formatted;
 }
 
+verseFunction.schema = {
+  reference: { type: 'string', required: true, minLength: 3, maxLength: 100, description: 'Reference such as John 3:16 or Romans 8:28-30' },
+  version: { type: 'string', maxLength: 10, default: 'KJV', description: 'Bible translation; KJV is served locally, others come from bible-api.com' }
+};
+
+verseFunction.manifest = {
+  description: 'Fetch a Bible verse or verse range by reference',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { reference: 'John 3:16' },
+  output: {
+    result: { reference: 'string', text: 'string', version: 'string', book: 'string', chapter: 'number', verse: 'string', offline: 'boolean', formatted: 'string' }
+  }
+};
+
 module.exports = verseFunction;
@@ -0,0 +1,147 @@
+// fx/group/audit.js
+const audit = require('../../lib/audit');
+const roster = require('../../lib/roster');
+
+const ACTIONS = ['join', 'leave', 'remove', 'promote', 'demote', 'mention', 'moderation', 'settings', 'ban', 'unban', 'schedule'];
+
+async function auditFunction(request) {
+  try {
+    const { groupId, operation = 'query' } = request.data;
+
+    if (!groupId) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_GROUP_ID',
+          message: 'Group ID is required'
+        }
+      };
+    }
+
+    if (operation === 'verify') {
+      const verification = await audit.verify(groupId);
+      return {
+        success: true,
+        result: {
+          ...verification,
+          formatted: verification.valid
+            ? `🔒 *Audit Log Intact*\n\n${verification.total} entries checked, the hash chain is unbroken`
+            : `⚠️ *Audit Log Tampered*\n\nEntry #${verification.brokenAt}: ${verification.reason}\n${verification.checked} of ${verification.total} entries check out`
+        }
+      };
+    }
+
+    const { actorId, targetId, action, outcome, from, to, limit = 20, cursor } = request.data;
+    const page = await audit.query({
+      groupId,
+      actorId: actorId ? roster.normalizeId(actorId) : null,
+      targetId: targetId ? roster.normalizeId(targetId) : null,
+      action,
+      outcome,
+      from,
+      to
+    }, { limit, cursor });
+
+    return {
+      success: true,
+      result: {
+        groupId: groupId,
+        entries: page.entries,
+        count: page.entries.length,
+        nextCursor: page.nextCursor,
+        formatted: formatEntries(page)
+      }
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      error: {
+        code: error.name === 'AuditError' ? error.code : 'AUDIT_FAILED',
+        message: error.message || 'Failed to read the audit log'
+      }
+    };
+  }
+}
+
+function describe(entry) {
+  const actor = entry.actorId || 'the bot';
+  const failed = entry.outcome === 'failed' ? ' ❌ failed' : '';
+  switch (entry.action) {
+    case 'join':
+      return `➕ ${entry.targetId} joined${entry.actorId && entry.actorId !== entry.targetId ? ` (added by ${actor})` : ''}${failed}`;
+    case 'leave':
+      return `➖ ${entry.targetId} left${failed}`;
+    case 'remove':
+      return `🚫 ${entry.targetId} removed by ${actor}${failed}`;
+    case 'promote':
+      return `⬆️ ${entry.targetId} promoted by ${actor}${failed}`;
+    case 'demote':
+      return `⬇️ ${entry.targetId} demoted by ${actor}${failed}`;
+    case 'mention':
+      return `📢 ${actor} mentioned ${entry.targets.length} members (${entry.source})`;
+    case 'ban':
+      return `⛔ ${entry.targetId} banned from commands by ${actor}${failed}`;
+    case 'unban':
+      return `✅ ${entry.targetId} unbanned by ${actor}${failed}`;
+    case 'moderation':
+      return `🛡️ ${entry.details.verdict} for ${entry.targetId}: ${entry.details.reason}`;
+    case 'schedule':
+      return `⏰ schedule ${entry.details.scheduleId} ${entry.details.operation === 'cancel' ? 'cancelled' : 'created'} by ${actor}`;
+    case 'settings':
+      return `⚙️ ${entry.details.setting} ${entry.details.operation} (v${entry.details.version}) by ${actor}`;
+    default:
+      return `${entry.action} ${entry.targetId || ''}${failed}`;
+  }
+}
+
+function formatEntries(page) {
+  let formatted = `📜 *Group Audit Log*\n\n`;
+
+  if (page.entries.length === 0) {
+    return formatted + `No matching entries`;
+  }
+
+  page.entries.forEach(entry => {
+    formatted += `#${entry.seq} ${describe(entry)}\n`;
+    if (entry.details.reason && entry.action !== 'moderation') {
+      formatted += `   📝 ${entry.details.reason}\n`;
+    }
+    formatted += `   🕒 ${new Date(entry.at).toLocaleString()}\n`;
+  });
+
+  formatted += `\nShowing ${page.entries.length}`;
+  if (page.nextCursor) {
+    formatted += ` • more with cursor ${page.nextCursor}`;
+  }
+
+  return formatted;
+}
+
+auditFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group whose log to read' },
+  operation: { type: 'string', enum: ['query', 'verify'], default: 'query', description: 'query lists entries; verify checks the hash chain' },
+  actorId: { type: 'string', maxLength: 100, description: 'Only entries done by this user' },
+  targetId: { type: 'string', maxLength: 100, description: 'Only entries done to this user, e.g. "who demoted me"' },
+  action: { type: 'string', maxLength: 200, description: `Comma separated actions: ${ACTIONS.join(', ')}` },
+  outcome: { type: 'string', enum: ['success', 'failed'], description: 'Only successful or only failed attempts' },
+  from: { type: 'date', description: 'Earliest time the action happened' },
+  to: { type: 'date', description: 'Latest time the action happened' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 100, default: 20, description: 'Entries per page' },
+  cursor: { type: 'string', maxLength: 500, description: 'nextCursor from the previous page' }
+};
+
+auditFunction.manifest = {
+  description: 'Search the group audit log of joins, leaves, role changes, mentions, moderation verdicts and settings changes, or verify its hash chain',
+  aliases: ['grouplog'],
+  env: {
+    required: [],
+    optional: ['AUDIT_SECRET', 'AUDIT_RETENTION_DAYS', 'AUDIT_MAX_ENTRIES']
+  },
+  example: { groupId: '120363025555555555@g.us', action: 'demote', targetId: '2348011111111' },
+  output: {
+    result: { groupId: 'string', entries: 'array', count: 'number', total: 'number', nextCursor: 'string', valid: 'boolean', formatted: 'string' }
+  }
+};
+
+module.exports = auditFunction;
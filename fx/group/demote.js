@@ -1,7 +1,8 @@
 // fx/group/demote.js
 
-// Store demotion logs
-const demotionLogs = new Map();
+const roster = require('../../lib/roster');
+const audit = require('../../lib/audit');
+const policies = require('../../lib/policies');
 
 async function demoteFunction(request) {
   try {
@@ -74,19 +75,9 @@ async function demoteFunction(request) {
       };
     }
 
-    // Demote the user (simulated)
-    const demotionResult = await demoteUserFromAdmin(groupId, targetUserId);
+    // Demote the user on the roster
+    const demotionResult = await demoteUserFromAdmin(groupId, targetUserId, demoterUserId, reason);
     
-    // Log the demotion
-    logDemotion({
-      groupId,
-      targetUserId,
-      demoterUserId,
-      reason,
-      timestamp: new Date().toISOString(),
-      success: true
-    });
-
     return {
       success: true,
       result: {
@@ -94,29 +85,29 @@ async function demoteFunction(request) {
         targetUserId: targetUserId,
         demoterUserId: demoterUserId,
         reason: reason,
-        demotedAt: new Date().toISOString(),
+        demotedAt: demotionResult.at,
+        logSeq: demotionResult.seq,
         formatted: formatDemotionResponse(targetUserId, demoterUserId, reason)
       }
     };
     
   } catch (error) {
     // Log failed demotion
-    if (request.data) {
-      logDemotion({
-        groupId: request.data.groupId,
-        targetUserId: request.data.targetUserId,
-        demoterUserId: request.data.demoterUserId,
-        reason: request.data.reason,
-        timestamp: new Date().toISOString(),
-        success: false,
-        error: error.message
+    if (request.data?.groupId) {
+      await audit.record(request.data.groupId, {
+        action: 'demote',
+        outcome: 'failed',
+        actorId: request.data.demoterUserId ? roster.normalizeId(request.data.demoterUserId) : null,
+        targetId: request.data.targetUserId ? roster.normalizeId(request.data.targetUserId) : null,
+        details: { reason: request.data.reason || null, error: error.message },
+        source: 'group/demote'
       });
     }
     
     return {
       success: false,
       error: {
-        code: 'DEMOTE_FAILED',
+        code: error.name === 'RosterError' ? error.code : 'DEMOTE_FAILED',
         message: error.message || 'Failed to demote user'
       }
     };
@@ -124,47 +115,31 @@ async function demoteFunction(request) {
 }
 
 async function checkDemotionPermission(userId, groupId, targetUserId) {
-  // In production, check if user has permission to demote
-  // For simulation, allow if user is group owner
-  
-  const mockUser = await getUserInfo(userId);
-  const mockTarget = await getUserInfo(targetUserId);
+  const target = await roster.getMember(groupId, targetUserId);
   
-  // Only owner can demote, and cannot demote owner
-  return mockUser.isOwner && !mockTarget.isOwner;
+  // The group's policy decides who can demote (only the owner by default);
+  // nobody can demote someone of their own rank, or the owner
+  return !roster.isOwner(target) &&
+    await policies.can(groupId, userId, 'group', 'demote') &&
+    await policies.outranks(groupId, userId, targetUserId);
 }
 
 async function checkIsAdmin(userId, groupId) {
-  // Check if user is admin
-  const mockUser = await getUserInfo(userId);
-  return mockUser.isAdmin;
+  const member = await roster.getMember(groupId, userId);
+  return roster.isAdmin(member);
 }
 
-async function demoteUserFromAdmin(groupId, userId) {
-  // In production, call WhatsApp API to demote user
-  // For simulation, return success
+async function demoteUserFromAdmin(groupId, userId, demoterUserId, reason) {
+  // The bot applies the change in WhatsApp; the roster records it
+  const applied = await roster.applyEvent(groupId, {
+    type: 'demote',
+    userId,
+    actorId: demoterUserId,
+    reason: reason || null,
+    source: 'group/demote'
+  });
   
-  return {
-    success: true,
-    demotedAt: new Date().toISOString(),
-    newRole: 'member'
-  };
-}
-
-async function getUserInfo(userId) {
-  // Mock user info
-  return {
-    id: userId,
-    name: `User_${userId.substring(0, 8)}`,
-    isAdmin: Math.random() > 0.7,
-    isOwner: Math.random() > 0.9
-  };
-}
-
-function logDemotion(log) {
-  const groupLogs = demotionLogs.get(log.groupId) || [];
-  groupLogs.push(log);
-  demotionLogs.set(log.groupId, groupLogs.slice(-100)); // Keep last 100 logs
+  return applied.changes[0];
 }
 
 function formatDemotionResponse(targetUserId, demoterUserId, reason) {
@@ -196,9 +171,28 @@ function formatDemotionResponse(targetUserId, demoterUserId, reason) {
 }
 
 // Get demotion logs for a group
-demoteFunction.getLogs = function(groupId, limit = 10) {
-  const logs = demotionLogs.get(groupId) || [];
-  return logs.slice(-limit).reverse();
+demoteFunction.getLogs = async function(groupId, limit = 10) {
+  const { entries } = await audit.query({ groupId, action: 'demote' }, { limit });
+  return entries;
+};
+
+demoteFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the member belongs to' },
+  targetUserId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Admin to demote' },
+  demoterUserId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'User performing the demotion' },
+  reason: { type: 'string', maxLength: 500, default: '', description: 'Reason recorded with the demotion' }
+};
+
+demoteFunction.manifest = {
+  description: 'Remove admin rights from a group member; only the group owner on the roster can demote',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { groupId: '120363025555555555@g.us', targetUserId: '2348011111111', demoterUserId: '2348012345678' },
+  output: {
+    result: { groupId: 'string', targetUserId: 'string', demoterUserId: 'string', reason: 'string', demotedAt: 'string', logSeq: 'number', formatted: 'string' }
+  }
 };
 
 module.exports = demoteFunction;
@@ -0,0 +1,547 @@
+// fx/group/evaluate.js
+const store = require('../../lib/store');
+const settingsStore = require('../../lib/settings');
+const roster = require('../../lib/roster');
+const audit = require('../../lib/audit');
+
+// Per-user violation counts per group; a user's slate is clean after a quiet week
+const violationCounts = store.collection('moderation-violations', { ttl: 7 * 24 * 60 * 60 });
+
+const SEVERITY = ['allow', 'warn', 'delete', 'mute', 'kick'];
+const DEFAULT_LADDER = ['warn', 'delete', 'mute', 'kick'];
+const DEFAULT_MUTE_DURATION = 3600;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const HIDDEN_DOT_PATTERN = /\s*(?:\[\s*(?:\.|dot)\s*\]|\(\s*(?:\.|dot)\s*\)|\{\s*(?:\.|dot)\s*\}|\s+dot\s+|\s+\.\s+)\s*/gi;
+const BARE_DOMAIN_PATTERN = /(?<![\w@.-])((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:com|net|org|info|biz|io|co|me|ly|gg|tv|app|dev|xyz|link|site|online|store|shop|click|live|club|top|vip|ru|uk|ng|in|de|fr|br|us|ca|au|za|ke|gh|id|to|cc|at|gl))\b(?:\/[^\s]*)?/gi;
+const LINK_SHORTENERS = [
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'is.gd', 'ow.ly', 'cutt.ly', 'rebrand.ly',
+  'shorturl.at', 'tiny.cc', 's.id', 'rb.gy', 'buff.ly', 'bl.ink', 'v.gd', 't.ly'
+];
+const WHATSAPP_DOMAINS = ['wa.me', 'whatsapp.com'];
+const YOUTUBE_DOMAINS = ['youtube.com', 'youtu.be'];
+const IMAGE_EXTENSION = /\.(?:jpe?g|png|gif|webp|bmp)$/i;
+
+const LEET_MAP = {
+  '4': 'a', '@': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o',
+  '5': 's', '$': 's', '7': 't', '+': 't', '8': 'b', '9': 'g', '|': 'l'
+};
+const COMMAND_PREFIX = /^[.!\/#]/;
+
+// Message ids generated by common bot libraries (Baileys)
+const BOT_MESSAGE_ID = /^BAE5[0-9A-F]{12}$/i;
+const SUSPICIOUS_NAMES = [/\bbot\b/i, /^\+?\d[\d\s-]{5,}$/, /(.)\1{4,}/, /^(?:user|member)\s*\d+$/i];
+
+async function evaluateFunction(request) {
+  try {
+    const {
+      groupId,
+      sender,
+      text = '',
+      isAdmin: senderIsAdmin = false,
+      attachments = [],
+      messageId = null,
+      senderProfile = {}
+    } = request.data;
+
+    if (!groupId || !sender) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_FIELDS',
+          message: 'groupId and sender are required'
+        }
+      };
+    }
+
+    // The roster is the source of truth for admins; the flag covers groups without one
+    const isAdmin = senderIsAdmin === true || await isRosterAdmin(groupId, sender);
+    const message = { groupId, sender, text, isAdmin, attachments, messageId, senderProfile };
+    const [antilink, banwords, antibot] = await Promise.all(
+      ['antilink', 'banwords', 'antibot'].map(type => settingsStore.get(type, { groupId }))
+    );
+
+    const checked = [];
+    const matches = [];
+
+    if (antilink?.settings.enabled) {
+      checked.push('antilink');
+      const match = checkLinks(message, antilink.settings);
+      if (match) matches.push(match);
+    }
+
+    if (banwords?.settings.enabled) {
+      checked.push('banwords');
+      const match = checkBannedWords(message, banwords.settings);
+      if (match) matches.push(match);
+    }
+
+    if (antibot?.settings.enabled) {
+      checked.push('antibot');
+      const match = checkBot(message, antibot.settings);
+      if (match) matches.push(match);
+    }
+
+    const key = `${groupId}:${sender}`;
+
+    if (matches.length === 0) {
+      const counts = await violationCounts.get(key);
+      return {
+        success: true,
+        result: {
+          verdict: 'allow',
+          rule: null,
+          reason: null,
+          match: null,
+          duration: 0,
+          violations: { count: 0, total: counts?.total || 0, byRule: counts?.byRule || {} },
+          checked,
+          matches: [],
+          formatted: null
+        }
+      };
+    }
+
+    // Count this message against every rule it broke
+    const counts = await violationCounts.update(key, (current) => {
+      const byRule = { ...(current?.byRule || {}) };
+      for (const match of matches) {
+        byRule[match.rule] = (byRule[match.rule] || 0) + 1;
+      }
+      return {
+        byRule,
+        total: (current?.total || 0) + 1,
+        lastViolation: new Date().toISOString()
+      };
+    });
+
+    for (const match of matches) {
+      Object.assign(match, decideAction(match, counts.byRule[match.rule]));
+    }
+
+    // The harshest action wins
+    const decisive = matches.reduce((worst, match) =>
+      SEVERITY.indexOf(match.verdict) > SEVERITY.indexOf(worst.verdict) ? match : worst
+    );
+
+    await Promise.all(matches.map(match => recordStatistics(groupId, sender, match)));
+
+    const logged = await audit.record(groupId, {
+      action: 'moderation',
+      targetId: roster.normalizeId(sender),
+      details: {
+        verdict: decisive.verdict,
+        rule: decisive.rule,
+        reason: decisive.reason,
+        duration: decisive.duration,
+        rules: matches.map(match => match.rule),
+        violation: counts.byRule[decisive.rule],
+        messageId
+      },
+      source: 'group/evaluate'
+    });
+
+    // A kicked user starts over if they are added back
+    if (decisive.verdict === 'kick') {
+      await violationCounts.delete(key);
+    }
+
+    return {
+      success: true,
+      result: {
+        verdict: decisive.verdict,
+        rule: decisive.rule,
+        reason: decisive.reason,
+        match: decisive.details,
+        duration: decisive.duration,
+        violations: {
+          count: counts.byRule[decisive.rule],
+          total: counts.total,
+          byRule: counts.byRule,
+          reset: decisive.verdict === 'kick'
+        },
+        checked,
+        matches: matches.map(({ rule, verdict, reason, details }) => ({ rule, verdict, reason, details })),
+        logSeq: logged.seq,
+        formatted: formatVerdict(sender, decisive, counts.byRule[decisive.rule])
+      }
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      error: {
+        code: 'EVALUATION_FAILED',
+        message: error.message || 'Failed to evaluate message'
+      }
+    };
+  }
+}
+
+/**
+ * Anti-link: whitelisted domains pass, blacklisted domains and (optionally)
+ * shorteners are blocked, the allowances in settings.restrictions pass and
+ * any other link is blocked
+ */
+function checkLinks(message, settings) {
+  const { lists, restrictions, detection, punishments, action } = settings;
+
+  if (message.isAdmin && restrictions.exemptAdmins) {
+    return null;
+  }
+
+  const sources = [message.text];
+  for (const attachment of message.attachments) {
+    if (attachment.url) sources.push(attachment.url);
+    if (attachment.caption) sources.push(attachment.caption);
+    if (detection.checkImageMetadata && attachment.metadata) {
+      sources.push(Object.values(attachment.metadata).filter(value => typeof value === 'string').join(' '));
+    }
+    if (detection.scanQRForLinks && attachment.qrData) sources.push(attachment.qrData);
+  }
+
+  for (const link of extractLinks(sources.join('\n'), detection.detectHiddenLinks)) {
+    const block = classifyLink(link, lists, restrictions, detection);
+    if (block) {
+      return {
+        rule: 'antilink',
+        baseAction: action,
+        punishment: punishments[action] || {},
+        step: punishments[action]?.escalateAfter || 3,
+        reason: block,
+        details: { url: link.url, domain: link.host, hidden: link.hidden }
+      };
+    }
+  }
+
+  return null;
+}
+
+function extractLinks(text, detectHidden) {
+  const links = new Map(); // host -> link
+
+  const add = (url, hidden) => {
+    const host = url.toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .split(/[/?#:]/)[0]
+      .replace(/^www\./, '')
+      .replace(/\.+$/, '');
+    if (host.includes('.') && !links.has(host)) {
+      links.set(host, { url: url.replace(/[),.!?]+$/, ''), host, hidden });
+    }
+  };
+
+  for (const [url] of text.matchAll(URL_PATTERN)) {
+    add(url, false);
+  }
+
+  if (detectHidden) {
+    const normalized = text.replace(URL_PATTERN, ' ').replace(HIDDEN_DOT_PATTERN, '.');
+    for (const [url] of normalized.matchAll(BARE_DOMAIN_PATTERN)) {
+      add(url, true);
+    }
+  }
+
+  return Array.from(links.values());
+}
+
+function matchesDomain(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Why a link is blocked, or null when it is allowed
+ */
+function classifyLink(link, lists, restrictions, detection) {
+  const path = link.url.replace(/^https?:\/\//i, '').split(/[?#]/)[0];
+
+  if (matchesDomain(link.host, lists.whitelist)) return null;
+  if (matchesDomain(link.host, lists.blacklist)) return `Links to ${link.host} are not allowed`;
+  if (detection.detectLinkShorteners && matchesDomain(link.host, LINK_SHORTENERS)) {
+    return 'Shortened links are not allowed';
+  }
+  if (matchesDomain(link.host, restrictions.allowSafeDomains || [])) return null;
+  if (restrictions.allowWhatsAppLinks && matchesDomain(link.host, WHATSAPP_DOMAINS)) return null;
+  if (restrictions.allowYouTubeLinks && matchesDomain(link.host, YOUTUBE_DOMAINS)) return null;
+  if (restrictions.allowImageLinks && IMAGE_EXTENSION.test(path)) return null;
+
+  return 'Links are not allowed in this group';
+}
+
+/**
+ * Banned words: whole-word matches, plus l33t speak and repeated letters
+ * (detectVariations) and letters split by symbols (detectHidden)
+ */
+function checkBannedWords(message, settings) {
+  const { wordList, filters, punishments, action, exemptAdmins } = settings;
+
+  if (message.isAdmin && exemptAdmins) {
+    return null;
+  }
+
+  const texts = [];
+  if (filters.checkMessages) {
+    let text = message.text;
+    if (filters.ignoreCommands && COMMAND_PREFIX.test(text.trim())) {
+      text = '';
+    }
+    texts.push(text, ...message.attachments.map(attachment => attachment.caption || ''));
+  }
+  if (filters.checkNicknames && message.senderProfile.name) {
+    texts.push(message.senderProfile.name);
+  }
+
+  let text = texts.filter(Boolean).join('\n');
+  if (filters.ignoreLinks) {
+    text = text.replace(URL_PATTERN, ' ');
+  }
+  if (!text.trim()) {
+    return null;
+  }
+
+  const found = findBannedWords(text, wordList);
+  if (found.length === 0) {
+    return null;
+  }
+
+  return {
+    rule: 'banwords',
+    baseAction: action,
+    punishment: punishments[action] || {},
+    step: punishments[action]?.maxViolations || 3,
+    ladder: punishments[action]?.escalation,
+    reason: 'Message contains a banned word',
+    details: { words: found.map(match => match.word), variants: found }
+  };
+}
+
+function findBannedWords(text, wordList) {
+  const flags = wordList.caseSensitive ? 'u' : 'iu';
+  const source = wordList.caseSensitive ? text : text.toLowerCase();
+  const leet = source.replace(/[4@31!05$7+89|]/g, char => LEET_MAP[char]);
+  const collapse = value => value.replace(/(\p{L})\1+/gu, '$1');
+  const found = [];
+
+  wordList.bannedWords.forEach((word) => {
+    // Words are always matched literally; stored regexPatterns could backtrack
+    // without bound on every message in the group
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    let exact;
+    try {
+      exact = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped})(?![\\p{L}\\p{N}])`, flags);
+    } catch (error) {
+      return; // Skip patterns that don't compile
+    }
+
+    if (exact.test(source)) {
+      found.push({ word, variant: 'exact' });
+      return;
+    }
+
+    if (wordList.detectVariations) {
+      const collapsedWord = collapse(word.toLowerCase()).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const variation = new RegExp(`(?<![\\p{L}\\p{N}])${collapsedWord}(?![\\p{L}\\p{N}])`, 'iu');
+      if (exact.test(leet) || variation.test(collapse(leet))) {
+        found.push({ word, variant: 'variation' });
+        return;
+      }
+    }
+
+    if (wordList.detectHidden && word.length > 2) {
+      const letters = Array.from(word).map(char => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const hidden = new RegExp(`(?<![\\p{L}\\p{N}])${letters.join('[^\\p{L}\\p{N}]*')}(?![\\p{L}\\p{N}])`, flags);
+      const hiddenLeet = wordList.detectVariations ? leet : source;
+      if (hidden.test(source) || hidden.test(hiddenLeet)) {
+        found.push({ word, variant: 'hidden' });
+      }
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Anti-bot: scores signals about the sender; two or more flag a bot
+ */
+function checkBot(message, settings) {
+  const { detection, actions, exemptions } = settings;
+  const profile = message.senderProfile || {};
+
+  if ((message.isAdmin && exemptions.ignoreAdmins) || profile.verified === true) {
+    return null;
+  }
+  if ([...exemptions.trustedUsers, ...exemptions.whitelistedNumbers].includes(message.sender)) {
+    return null;
+  }
+
+  const signals = [];
+  if (detection.scanForBotPatterns && message.messageId && BOT_MESSAGE_ID.test(message.messageId)) {
+    signals.push('botMessageId', 'botMessageId'); // Strong signal, counts twice
+  }
+  if (detection.detectNewAccounts && typeof profile.accountAgeDays === 'number' && profile.accountAgeDays < 7) {
+    signals.push('newAccount');
+  }
+  if (detection.detectNoProfilePic && profile.hasProfilePic === false) {
+    signals.push('noProfilePic');
+  }
+  if (detection.detectSuspiciousNames && profile.name && SUSPICIOUS_NAMES.some(pattern => pattern.test(profile.name))) {
+    signals.push('suspiciousName');
+  }
+  if (detection.checkJoinSpeed && profile.joinedAt) {
+    const joinedAt = new Date(profile.joinedAt).getTime();
+    if (!isNaN(joinedAt) && Date.now() - joinedAt < 10 * 1000) {
+      signals.push('messagedRightAfterJoining');
+    }
+  }
+
+  if (signals.length < 2) {
+    return null;
+  }
+
+  return {
+    rule: 'antibot',
+    verdict: actions.onFail,
+    duration: actions.onFail === 'mute' ? actions.muteDuration : 0,
+    reason: 'Sender looks like a bot',
+    details: { signals: [...new Set(signals)], score: signals.length }
+  };
+}
+
+/**
+ * Verdict after escalation: the configured action holds for `step`
+ * violations, then moves one rung up the ladder per further `step`
+ */
+function decideAction(match, count) {
+  if (match.verdict) {
+    return { verdict: match.verdict, duration: match.duration };
+  }
+
+  const ladder = match.ladder && match.ladder.length > 0 ? match.ladder : DEFAULT_LADDER;
+  const start = Math.max(ladder.indexOf(match.baseAction), 0);
+  const level = Math.floor((count - 1) / match.step);
+  const verdict = ladder[Math.min(start + level, ladder.length - 1)];
+
+  return {
+    verdict,
+    duration: verdict === 'mute' ? (match.punishment.duration || DEFAULT_MUTE_DURATION) : 0
+  };
+}
+
+async function isRosterAdmin(groupId, sender) {
+  const groupRoster = await roster.get(groupId);
+  return groupRoster ? roster.isAdmin(groupRoster.members[roster.normalizeId(sender)]) : false;
+}
+
+/**
+ * Keep the counters in the stored settings up to date
+ */
+async function recordStatistics(groupId, sender, match) {
+  const now = new Date().toISOString();
+
+  await settingsStore.updateStatistics(match.rule, { groupId }, (statistics) => {
+    switch (match.rule) {
+      case 'antilink':
+        return {
+          ...statistics,
+          linksBlocked: (statistics.linksBlocked || 0) + 1,
+          usersWarned: (statistics.usersWarned || 0) + (match.verdict === 'warn' ? 1 : 0),
+          lastAction: { action: match.verdict, userId: sender, domain: match.details.domain, at: now }
+        };
+
+      case 'banwords': {
+        const wordCounts = { ...(statistics.wordCounts || {}) };
+        for (const word of match.details.words) {
+          wordCounts[word] = (wordCounts[word] || 0) + 1;
+        }
+        return {
+          ...statistics,
+          violations: (statistics.violations || 0) + 1,
+          wordsBlocked: (statistics.wordsBlocked || 0) + match.details.words.length,
+          lastViolation: now,
+          mostBlockedWord: Object.entries(wordCounts).sort((a, b) => b[1] - a[1])[0][0],
+          wordCounts
+        };
+      }
+
+      case 'antibot':
+        return {
+          ...statistics,
+          botsDetected: (statistics.botsDetected || 0) + 1,
+          verificationsFailed: (statistics.verificationsFailed || 0) + 1,
+          lastDetection: now
+        };
+
+      default:
+        return statistics;
+    }
+  });
+}
+
+function formatVerdict(sender, match, count) {
+  const mention = `@${String(sender).split('@')[0]}`;
+  const icons = { warn: '⚠️', delete: '🗑️', mute: '🔇', kick: '🚫' };
+
+  let formatted = `${icons[match.verdict]} *${match.verdict.toUpperCase()}*\n\n`;
+  formatted += `👤 ${mention}\n`;
+  formatted += `📋 ${match.reason}\n`;
+
+  if (match.verdict === 'mute') {
+    formatted += `⏱️ Muted for ${Math.round(match.duration / 60)} minutes\n`;
+  }
+  if (match.rule !== 'antibot') {
+    formatted += `🔢 Violation ${count}`;
+  }
+
+  return formatted.trim();
+}
+
+evaluateFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the message was posted in' },
+  sender: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'User who sent the message' },
+  text: { type: 'string', maxLength: 65536, default: '', description: 'Message text' },
+  isAdmin: { type: 'boolean', default: false, description: 'Whether the sender is a group admin; admins on the group roster are recognised without it' },
+  attachments: {
+    type: 'array',
+    maxItems: 20,
+    itemSchema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', maxLength: 50 },
+        url: { type: 'string', maxLength: 2048 },
+        caption: { type: 'string', maxLength: 4096 },
+        qrData: { type: 'string', maxLength: 4096 },
+        metadata: { type: 'object' }
+      }
+    },
+    default: [],
+    description: 'Media sent with the message: type, url, caption, decoded qrData, metadata'
+  },
+  messageId: { type: 'string', maxLength: 100, description: 'WhatsApp message id, checked for bot patterns' },
+  senderProfile: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 100 },
+      hasProfilePic: { type: 'boolean' },
+      accountAgeDays: { type: 'number', min: 0 },
+      joinedAt: { type: 'string', maxLength: 50 },
+      verified: { type: 'boolean' }
+    },
+    description: 'What is known about the sender, used by anti-bot and nickname checks'
+  }
+};
+
+evaluateFunction.manifest = {
+  description: 'Check a group message against the stored antilink, banwords and antibot settings',
+  aliases: ['moderate'],
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { groupId: '120363025555555555@g.us', sender: '2348012345678@s.whatsapp.net', text: 'join here bit.ly/free' },
+  output: {
+    result: { verdict: 'string', rule: 'string', reason: 'string', match: 'object', duration: 'number', violations: 'object', checked: 'array', matches: 'array', logSeq: 'number', formatted: 'string' }
+  }
+};
+
+module.exports = evaluateFunction;
@@ -1,8 +1,6 @@
 // fx/group/join.js
 
-// Store join requests and logs
-const joinRequests = new Map();
-const joinLogs = new Map();
+const audit = require('../../lib/audit');
 
 async function joinFunction(request) {
   try {
@@ -61,13 +59,12 @@ async function joinFunction(request) {
     const joinResult = await joinGroup(groupInfo, userId, userInfo);
     
     // Log the join
-    logJoin({
-      userId,
-      groupId: groupInfo.id,
-      groupName: groupInfo.name,
-      inviteLink: inviteLink,
-      timestamp: new Date().toISOString(),
-      success: true
+    await audit.record(groupInfo.id, {
+      action: 'join',
+      actorId: userId,
+      targetId: userId,
+      details: { groupName: groupInfo.name, inviteLink: inviteLink, pending: Boolean(joinResult.isPending) },
+      source: 'group/join'
     });
 
     return {
@@ -84,14 +81,16 @@ async function joinFunction(request) {
     };
     
   } catch (error) {
-    // Log failed join
-    if (request.data) {
-      logJoin({
-        userId: request.data.userId,
-        inviteLink: request.data.inviteLink,
-        timestamp: new Date().toISOString(),
-        success: false,
-        error: error.message
+    // Log failed join against the group the link points to
+    const invite = request.data?.inviteLink ? validateInviteLink(request.data.inviteLink) : null;
+    if (invite?.valid) {
+      await audit.record(`group_${invite.code}`, {
+        action: 'join',
+        outcome: 'failed',
+        actorId: request.data.userId || null,
+        targetId: request.data.userId || null,
+        details: { inviteLink: request.data.inviteLink, error: error.message },
+        source: 'group/join'
       });
     }
     
@@ -213,12 +212,6 @@ async function joinGroup(groupInfo, userId, userInfo) {
   };
 }
 
-function logJoin(log) {
-  const userJoins = joinLogs.get(log.userId) || [];
-  userJoins.push(log);
-  joinLogs.set(log.userId, userJoins.slice(-50)); // Keep last 50 joins per user
-}
-
 function formatJoinResponse(groupName, userId, memberCount) {
   let formatted = `👥 *Joined Group Successfully!*\n\n`;
   
@@ -245,9 +238,27 @@ function formatJoinResponse(groupName, userId, memberCount) {
 }
 
 // Get user's join history
-joinFunction.getUserJoins = function(userId, limit = 10) {
-  const joins = joinLogs.get(userId) || [];
-  return joins.slice(-limit).reverse();
+joinFunction.getUserJoins = async function(userId, limit = 10) {
+  const { entries } = await audit.query({ targetId: userId, action: 'join' }, { limit });
+  return entries;
+};
+
+joinFunction.schema = {
+  inviteLink: { type: 'string', required: true, minLength: 1, maxLength: 500, description: 'WhatsApp group invite link' },
+  userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'User joining the group' },
+  userInfo: { type: 'object', default: {}, description: 'Extra profile details for the join record' }
+};
+
+joinFunction.manifest = {
+  description: 'Join a group through an invite link',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { inviteLink: 'https://chat.whatsapp.com/AbCdEfGhIjK123', userId: '2348012345678' },
+  output: {
+    result: { groupId: 'string', groupName: 'string', userId: 'string', joinedAt: 'string', inviteLink: 'string', memberCount: 'number', formatted: 'string' }
+  }
 };
 
 module.exports = joinFunction;
@@ -1,7 +1,7 @@
 // fx/group/leave.js
 
-// Store leave logs
-const leaveLogs = new Map();
+const roster = require('../../lib/roster');
+const audit = require('../../lib/audit');
 
 async function leaveFunction(request) {
   try {
@@ -53,49 +53,39 @@ async function leaveFunction(request) {
       };
     }
 
-    // Leave the group (simulated)
-    const leaveResult = await leaveGroup(groupId, userId, silent);
+    // Take the user off the roster
+    const leaveResult = await leaveGroup(groupId, userId, reason);
     
-    // Log the leave
-    logLeave({
-      groupId,
-      userId,
-      reason,
-      silent,
-      timestamp: new Date().toISOString(),
-      success: true
-    });
-
     return {
       success: true,
       result: {
         groupId: groupId,
         userId: userId,
         reason: reason,
-        leftAt: new Date().toISOString(),
+        leftAt: leaveResult.at,
         silent: silent,
+        logSeq: leaveResult.seq,
         formatted: formatLeaveResponse(groupId, userId, reason, silent)
       }
     };
     
   } catch (error) {
     // Log failed leave
-    if (request.data) {
-      logLeave({
-        groupId: request.data.groupId,
-        userId: request.data.userId,
-        reason: request.data.reason,
-        silent: request.data.silent,
-        timestamp: new Date().toISOString(),
-        success: false,
-        error: error.message
+    if (request.data?.groupId) {
+      await audit.record(request.data.groupId, {
+        action: 'leave',
+        outcome: 'failed',
+        actorId: request.data.userId ? roster.normalizeId(request.data.userId) : null,
+        targetId: request.data.userId ? roster.normalizeId(request.data.userId) : null,
+        details: { reason: request.data.reason || null, silent: Boolean(request.data.silent), error: error.message },
+        source: 'group/leave'
       });
     }
     
     return {
       success: false,
       error: {
-        code: 'LEAVE_FAILED',
+        code: error.name === 'RosterError' ? error.code : 'LEAVE_FAILED',
         message: error.message || 'Failed to leave group'
       }
     };
@@ -103,40 +93,26 @@ async function leaveFunction(request) {
 }
 
 async function checkGroupMembership(groupId, userId) {
-  // Simulate checking membership
-  // In production, check with WhatsApp API
-  
-  return Math.random() > 0.1; // 90% chance user is member
+  const member = await roster.getMember(groupId, userId);
+  return Boolean(member);
 }
 
 async function checkIsOwner(groupId, userId) {
-  // Simulate checking ownership
-  // In production, check with WhatsApp API
-  
-  return Math.random() > 0.9; // 10% chance user is owner
-}
-
-async function leaveGroup(groupId, userId, silent) {
-  // Simulate leaving group
-  // In production, call WhatsApp API
-  
-  return {
-    success: true,
-    leftAt: new Date().toISOString(),
-    notificationSent: !silent,
-    message: silent ? 'Left group silently' : 'Left group with notification'
-  };
+  const member = await roster.getMember(groupId, userId);
+  return roster.isOwner(member);
 }
 
-function logLeave(log) {
-  const groupLeaves = leaveLogs.get(log.groupId) || [];
-  groupLeaves.push(log);
-  leaveLogs.set(log.groupId, groupLeaves.slice(-100)); // Keep last 100 leaves
+async function leaveGroup(groupId, userId, reason) {
+  // The bot removes the user in WhatsApp; the roster records it
+  const applied = await roster.applyEvent(groupId, {
+    type: 'leave',
+    userId,
+    actorId: userId,
+    reason: reason || null,
+    source: 'group/leave'
+  });
   
-  // Also track user leaves
-  const userLeaves = leaveLogs.get(log.userId) || [];
-  userLeaves.push(log);
-  leaveLogs.set(log.userId, userLeaves.slice(-50)); // Keep last 50 leaves per user
+  return applied.changes[0];
 }
 
 function formatLeaveResponse(groupId, userId, reason, silent) {
@@ -176,15 +152,34 @@ function formatLeaveResponse(groupId, userId, reason, silent) {
 }
 
 // Get group leave history
-leaveFunction.getGroupLeaves = function(groupId, limit = 10) {
-  const leaves = leaveLogs.get(groupId) || [];
-  return leaves.slice(-limit).reverse();
+leaveFunction.getGroupLeaves = async function(groupId, limit = 10) {
+  const { entries } = await audit.query({ groupId, action: 'leave' }, { limit });
+  return entries;
 };
 
 // Get user leave history
-leaveFunction.getUserLeaves = function(userId, limit = 10) {
-  const leaves = leaveLogs.get(userId) || [];
-  return leaves.slice(-limit).reverse();
+leaveFunction.getUserLeaves = async function(userId, limit = 10) {
+  const { entries } = await audit.query({ targetId: roster.normalizeId(userId), action: 'leave' }, { limit });
+  return entries;
+};
+
+leaveFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group to leave' },
+  userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'User leaving the group' },
+  reason: { type: 'string', maxLength: 500, default: '', description: 'Reason recorded with the leave' },
+  silent: { type: 'boolean', default: false, description: 'Leave without a goodbye message' }
+};
+
+leaveFunction.manifest = {
+  description: 'Leave a group; membership and ownership are checked against the group roster',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { groupId: '120363025555555555@g.us', userId: '2348012345678' },
+  output: {
+    result: { groupId: 'string', userId: 'string', reason: 'string', leftAt: 'string', silent: 'boolean', logSeq: 'number', formatted: 'string' }
+  }
 };
 
 module.exports = leaveFunction;
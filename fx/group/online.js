@@ -1,11 +1,10 @@
 // fx/group/online.js
 
-// Activity tracking storage
-const groupActivity = new Map();
+const activity = require('../../lib/activity');
 
 async function onlineFunction(request) {
   try {
-    const { groupId, limit = 100, timeRange = 'week' } = request.data;
+    const { groupId, view = 'rankings', limit = 100, timeRange, timezone, userId, days = 30, includeAdmins = false } = request.data;
     
     if (!groupId) {
       return {
@@ -17,17 +16,62 @@ async function onlineFunction(request) {
       };
     }
 
+    switch (view) {
+      case 'heatmap': {
+        const heatmap = await activity.heatmap(groupId, { timeRange: timeRange || 'month', userId, timezone });
+        return {
+          success: true,
+          result: { view, ...heatmap, formatted: formatHeatmap(heatmap) }
+        };
+      }
+      case 'streaks': {
+        const streaks = await activity.streaks(groupId, { timezone, limit });
+        return {
+          success: true,
+          result: { view, ...streaks, formatted: formatStreaks(streaks.streaks) }
+        };
+      }
+      case 'inactive': {
+        const inactive = await activity.inactive(groupId, { days, includeAdmins });
+        return {
+          success: true,
+          result: { view, ...inactive, count: inactive.inactive.length, formatted: formatInactive(inactive) }
+        };
+      }
+      case 'export': {
+        const csv = await activity.exportCSV(groupId, { timeRange: timeRange || 'month', timezone });
+        const rows = csv.trim().split('\r\n').length - 1;
+        return {
+          success: true,
+          result: {
+            view,
+            groupId: groupId,
+            csv: csv,
+            rows: rows,
+            filename: `activity-${groupId.replace(/[^\w-]+/g, '_')}.csv`,
+            formatted: `📄 *Activity Export*\n\n${rows} members exported as CSV`
+          }
+        };
+      }
+    }
+
     // Get online/active members ranking
-    const rankings = await getActiveRankings(groupId, timeRange, limit);
+    const range = timeRange || 'week';
+    const rankings = (await activity.rankings(groupId, { timeRange: range, limit })).map(user => ({
+      ...user,
+      name: user.name || `User_${user.userId.substring(0, 8)}`,
+      activityLevel: calculateActivityLevel(user.activityCount, range)
+    }));
     
     return {
       success: true,
       result: {
+        view: 'rankings',
         groupId: groupId,
         rankings: rankings,
-        timeRange: timeRange,
+        timeRange: range,
         limit: limit,
-        formatted: formatRankings(rankings, timeRange)
+        formatted: formatRankings(rankings, range)
       }
     };
     
@@ -35,72 +79,13 @@ async function onlineFunction(request) {
     return {
       success: false,
       error: {
-        code: 'ONLINE_FAILED',
+        code: error.name === 'ActivityError' ? error.code : 'ONLINE_FAILED',
         message: error.message || 'Failed to get online rankings'
       }
     };
   }
 }
 
-async function getActiveRankings(groupId, timeRange, limit) {
-  // Initialize activity tracking for group if not exists
-  if (!groupActivity.has(groupId)) {
-    groupActivity.set(groupId, {
-      members: new Map(),
-      lastUpdated: Date.now()
-    });
-  }
-  
-  const groupData = groupActivity.get(groupId);
-  const now = Date.now();
-  
-  // Calculate time window in milliseconds
-  let timeWindow;
-  switch (timeRange) {
-    case 'day':
-      timeWindow = 24 * 60 * 60 * 1000;
-      break;
-    case 'week':
-      timeWindow = 7 * 24 * 60 * 60 * 1000;
-      break;
-    case 'month':
-      timeWindow = 30 * 24 * 60 * 60 * 1000;
-      break;
-    default:
-      timeWindow = 7 * 24 * 60 * 60 * 1000;
-  }
-  
-  // Filter activities within time window
-  const recentActivities = [];
-  
-  for (const [userId, activities] of groupData.members.entries()) {
-    const recent = activities.filter(time => now - time <= timeWindow);
-    if (recent.length > 0) {
-      recentActivities.push({
-        userId,
-        activityCount: recent.length,
-        lastActive: Math.max(...recent),
-        // Mock user info
-        name: `User_${userId.substring(0, 8)}`,
-        isAdmin: Math.random() > 0.8
-      });
-    }
-  }
-  
-  // Sort by activity count (descending)
-  recentActivities.sort((a, b) => b.activityCount - a.activityCount);
-  
-  // Limit results
-  const topRankings = recentActivities.slice(0, limit);
-  
-  // Add ranks
-  return topRankings.map((user, index) => ({
-    rank: index + 1,
-    ...user,
-    activityLevel: calculateActivityLevel(user.activityCount, timeRange)
-  }));
-}
-
 function calculateActivityLevel(count, timeRange) {
   let thresholds;
   
@@ -114,6 +99,10 @@ function calculateActivityLevel(count, timeRange) {
     case 'month':
       thresholds = { high: 800, medium: 300, low: 100 };
       break;
+    case 'quarter':
+    case 'all':
+      thresholds = { high: 2400, medium: 900, low: 300 };
+      break;
     default:
       thresholds = { high: 100, medium: 40, low: 10 };
   }
@@ -130,7 +119,7 @@ function formatRankings(rankings, timeRange) {
   
   if (rankings.length === 0) {
     formatted += `📭 No activity recorded yet\n`;
-    formatted += `Messages will be tracked from now on\n`;
+    formatted += `Messages are counted as the bot reports them\n`;
     return formatted;
   }
   
@@ -174,38 +163,98 @@ function formatTimeAgo(timestamp) {
   return `${days}d ago`;
 }
 
-// Call this function when a message is sent in group
-onlineFunction.recordActivity = function(groupId, userId) {
-  if (!groupId || !userId) return;
+function formatHeatmap(heatmap) {
+  let formatted = `🗓️ *Activity Heatmap*\n`;
+  formatted += `⏰ ${heatmap.timeRange} • ${heatmap.timezone}${heatmap.userId ? ` • ${heatmap.userId}` : ''}\n\n`;
   
-  // Initialize group data if not exists
-  if (!groupActivity.has(groupId)) {
-    groupActivity.set(groupId, {
-      members: new Map(),
-      lastUpdated: Date.now()
-    });
+  if (heatmap.total === 0) {
+    return formatted + `📭 No activity in this period`;
   }
   
-  const groupData = groupActivity.get(groupId);
-  const now = Date.now();
+  // One bar per hour, scaled to the busiest hour
+  const max = Math.max(...heatmap.hours);
+  heatmap.hours.forEach((count, hour) => {
+    const bar = count > 0 ? `${'█'.repeat(Math.max(1, Math.round((count / max) * 10)))} ${count}` : '·';
+    formatted += `\`${String(hour).padStart(2, '0')}:00\` ${bar}\n`;
+  });
+  
+  formatted += `\n🔥 *Peak hour:* ${String(heatmap.peakHour).padStart(2, '0')}:00\n`;
+  formatted += `📅 *Busiest day:* ${heatmap.busiestDay}\n`;
+  formatted += `💬 *Messages:* ${heatmap.total}`;
+  
+  return formatted;
+}
+
+function formatStreaks(streaks) {
+  let formatted = `🔥 *Activity Streaks*\n\n`;
+  
+  const active = streaks.filter(streak => streak.current > 0);
+  if (active.length === 0) {
+    formatted += `📭 Nobody is on a streak right now\n`;
+  }
+  
+  active.slice(0, 10).forEach((streak, index) => {
+    formatted += `${index + 1}. ${streak.name || streak.userId} — ${streak.current} day${streak.current === 1 ? '' : 's'}`;
+    formatted += ` (best ${streak.longest})\n`;
+  });
+  
+  return formatted.trim();
+}
+
+function formatInactive(result) {
+  let formatted = `😴 *Silent for ${result.days}+ Days*\n\n`;
   
-  // Initialize user activities if not exists
-  if (!groupData.members.has(userId)) {
-    groupData.members.set(userId, []);
+  if (!result.rosterKnown) {
+    formatted += `⚠️ No roster for this group, so members who never posted are not listed\n\n`;
   }
   
-  const userActivities = groupData.members.get(userId);
+  if (result.inactive.length === 0) {
+    return formatted + `✅ Everyone has posted in the last ${result.days} days`;
+  }
   
-  // Add current timestamp
-  userActivities.push(now);
+  result.inactive.slice(0, 30).forEach(member => {
+    const silence = member.neverSeen
+      ? (member.silentDays !== null ? `never posted (joined ${member.silentDays}d ago)` : 'never posted')
+      : `last posted ${member.silentDays}d ago`;
+    formatted += `• ${member.name || member.userId} — ${silence}\n`;
+  });
   
-  // Keep only last 1000 activities per user
-  if (userActivities.length > 1000) {
-    groupData.members.set(userId, userActivities.slice(-1000));
+  if (result.inactive.length > 30) {
+    formatted += `...and ${result.inactive.length - 30} more\n`;
   }
   
-  // Update group last updated
-  groupData.lastUpdated = now;
+  formatted += `\n📊 ${result.inactive.length} of ${result.checked} members`;
+  return formatted;
+}
+
+// Call this function when a message is sent in group
+onlineFunction.recordActivity = async function(groupId, userId, type = 'text') {
+  if (!groupId || !userId) return;
+  
+  return activity.ingest([{ groupId, userId, type }]);
+};
+
+onlineFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group to rank' },
+  view: { type: 'string', enum: ['rankings', 'heatmap', 'streaks', 'inactive', 'export'], default: 'rankings', description: 'Rankings, hour-of-day heatmap, streaks, silent members or a CSV export' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 1000, default: 100, description: 'Maximum members in the ranking' },
+  timeRange: { type: 'string', enum: ['day', 'week', 'month', 'quarter', 'all'], description: 'Activity window; week for rankings, month for heatmap and export' },
+  timezone: { type: 'string', maxLength: 50, description: 'IANA timezone for hours and days, e.g. Africa/Lagos; defaults to ACTIVITY_TIMEZONE or UTC' },
+  userId: { type: 'string', maxLength: 100, description: 'Heatmap of one member only' },
+  days: { type: 'number', isInteger: true, min: 1, max: 365, default: 30, description: 'Silence that counts as inactive' },
+  includeAdmins: { type: 'boolean', default: false, description: 'List silent admins too' }
+};
+
+onlineFunction.manifest = {
+  description: 'Group activity from the messages the bot reports to POST /activity: rankings, heatmaps, streaks, inactive members and CSV export',
+  env: {
+    required: [],
+    optional: ['ACTIVITY_TIMEZONE', 'ACTIVITY_RETENTION_DAYS', 'ACTIVITY_BATCH_LIMIT']
+  },
+  example: { groupId: '120363025555555555@g.us', view: 'inactive', days: 30 },
+  output: {
+    result: { view: 'string', groupId: 'string', rankings: 'array', hours: 'array', grid: 'array', streaks: 'array', inactive: 'array', csv: 'string', formatted: 'string' }
+  }
 };
 
 module.exports = onlineFunction;
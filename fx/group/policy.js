@@ -0,0 +1,218 @@
+// fx/group/policy.js
+const policies = require('../../lib/policies');
+const roster = require('../../lib/roster');
+
+async function policyFunction(request) {
+  try {
+    const { groupId, operation = 'get' } = request.data;
+
+    if (!groupId) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_GROUP_ID',
+          message: 'Group ID is required'
+        }
+      };
+    }
+
+    // Changing the rules or anyone's role needs to know who is asking
+    const actorId = request.data.actorId || request.metadata?.userId;
+    if ((operation === 'update' || operation === 'assign') && !actorId) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_ACTOR',
+          message: 'actorId is required to change the group policy'
+        }
+      };
+    }
+
+    switch (operation) {
+      case 'update':
+        return await updatePolicy(groupId, { ...request.data, actorId });
+      case 'assign':
+        return await assignRole(groupId, { ...request.data, actorId });
+      case 'evaluate':
+        return await evaluateCommand(groupId, request.data);
+      default:
+        return await getPolicy(groupId);
+    }
+
+  } catch (error) {
+    return {
+      success: false,
+      error: {
+        code: error.name === 'PolicyError' ? error.code : 'POLICY_FAILED',
+        message: error.message || 'Failed to process policy request'
+      }
+    };
+  }
+}
+
+async function getPolicy(groupId) {
+  const policy = await policies.get(groupId);
+  return {
+    success: true,
+    result: {
+      ...policy,
+      formatted: formatPolicy(policy)
+    }
+  };
+}
+
+async function updatePolicy(groupId, data) {
+  const { commands, cooldowns, cooldownExempt, actorId } = data;
+
+  if (!commands && !cooldowns && !cooldownExempt) {
+    return {
+      success: false,
+      error: {
+        code: 'NO_CHANGES',
+        message: 'Provide commands, cooldowns or cooldownExempt to update'
+      }
+    };
+  }
+
+  if (!(await policies.can(groupId, actorId, 'group', 'policy'))) {
+    return {
+      success: false,
+      error: {
+        code: 'NO_PERMISSION',
+        message: 'You do not have permission to change this group\'s policy'
+      }
+    };
+  }
+
+  const policy = await policies.update(groupId, { commands, cooldowns, cooldownExempt }, actorId);
+  return {
+    success: true,
+    result: {
+      ...policy,
+      formatted: `✅ *Policy Updated* (v${policy.version})\n\n${formatPolicy(policy)}`
+    }
+  };
+}
+
+async function assignRole(groupId, data) {
+  const { userId, role, actorId, reason } = data;
+
+  if (!userId || !role) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_FIELDS',
+        message: 'userId and role are required to assign a role'
+      }
+    };
+  }
+
+  const entry = await policies.assign(groupId, userId, role, actorId, reason || null);
+  const target = roster.normalizeId(userId);
+  const formatted = {
+    moderator: `🛡️ ${target} is now a moderator`,
+    banned: `⛔ ${target} can no longer use commands in this group`,
+    member: entry.details.from === 'banned' ? `✅ ${target} can use commands again` : `👤 ${target} is no longer a moderator`
+  }[role];
+
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      userId: target,
+      role: role,
+      previousRole: entry.details.from,
+      logSeq: entry.seq,
+      formatted: reason ? `${formatted}\n📝 ${reason}` : formatted
+    }
+  };
+}
+
+async function evaluateCommand(groupId, data) {
+  const { userId, command } = data;
+  const slash = command ? command.lastIndexOf('/') : -1;
+
+  if (!userId || slash < 1) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_FIELDS',
+        message: 'userId and command (e.g. "group/tagall") are required to evaluate'
+      }
+    };
+  }
+
+  const decision = await policies.evaluate(groupId, userId, command.slice(0, slash), command.slice(slash + 1));
+  return {
+    success: true,
+    result: {
+      ...decision,
+      formatted: decision.allowed
+        ? `✅ ${decision.userId} (${decision.role}) can run ${decision.function}${decision.cooldown ? ` • ${decision.cooldown.seconds}s cooldown per ${decision.cooldown.per}` : ''}`
+        : `🚫 ${decision.message}`
+    }
+  };
+}
+
+function formatPolicy(policy) {
+  let formatted = `🔐 *Command Policy*\n\n`;
+
+  formatted += `*Who can run what*\n`;
+  Object.entries(policy.commands).forEach(([pattern, role]) => {
+    formatted += `• ${pattern}: ${role}+\n`;
+  });
+
+  const cooldowns = Object.entries(policy.cooldowns);
+  formatted += `\n*Cooldowns*\n`;
+  cooldowns.forEach(([pattern, cooldown]) => {
+    formatted += `• ${pattern}: ${cooldown.seconds}s per ${cooldown.per}\n`;
+  });
+  if (cooldowns.length === 0) {
+    formatted += `None\n`;
+  }
+  formatted += `Exempt: ${policy.cooldownExempt.join(', ') || 'nobody'}\n`;
+
+  const assignments = Object.entries(policy.assignments);
+  if (assignments.length > 0) {
+    formatted += `\n*Moderators and bans*\n`;
+    assignments.forEach(([userId, role]) => {
+      formatted += `${role === 'banned' ? '⛔' : '🛡️'} ${userId}\n`;
+    });
+  }
+
+  return formatted.trim();
+}
+
+policyFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the policy belongs to' },
+  operation: { type: 'string', enum: ['get', 'update', 'assign', 'evaluate'], default: 'get', description: 'get shows the policy; update changes rules; assign sets a member\'s role; evaluate checks a command' },
+  commands: { type: 'object', description: 'Lowest role per command, e.g. { "group/tagall": "admin", "fun/*": "member" }; null restores the default' },
+  cooldowns: { type: 'object', description: 'Seconds between uses, e.g. { "fun/*": 30, "group/tagall": { "seconds": 300, "per": "group" } }; null removes one' },
+  cooldownExempt: { type: 'array', maxItems: 5, itemSchema: { type: 'string', enum: ['banned', 'member', 'moderator', 'admin', 'owner'] }, description: 'Roles that skip cooldowns' },
+  userId: { type: 'string', maxLength: 100, description: 'Member to assign a role to, or to evaluate a command for' },
+  role: { type: 'string', enum: ['moderator', 'banned', 'member'], description: 'Role to assign; member removes a moderator role or a ban' },
+  command: { type: 'string', maxLength: 100, description: 'Command to evaluate, e.g. "group/tagall"' },
+  actorId: { type: 'string', maxLength: 100, description: 'Who is making the change (defaults to metadata.userId); required for update and assign and checked against the policy' },
+  reason: { type: 'string', maxLength: 500, description: 'Why the role was assigned' }
+};
+
+policyFunction.manifest = {
+  description: 'Per-group roles (owner, admin, moderator, member, banned), which commands each role can run and per-command cooldowns',
+  aliases: ['permissions', 'roles'],
+  env: {
+    required: [],
+    optional: []
+  },
+  example: {
+    groupId: '120363025555555555@g.us',
+    operation: 'update',
+    commands: { 'group/tagall': 'moderator', 'fun/*': 'member' },
+    cooldowns: { 'fun/*': 30 },
+    actorId: '2348012345678'
+  },
+  output: {
+    result: { groupId: 'string', commands: 'object', cooldowns: 'object', assignments: 'object', version: 'number', allowed: 'boolean', role: 'string', formatted: 'string' }
+  }
+};
+
+module.exports = policyFunction;
@@ -1,7 +1,8 @@
 // fx/group/promote.js
 
-// Store promotion logs
-const promotionLogs = new Map();
+const roster = require('../../lib/roster');
+const audit = require('../../lib/audit');
+const policies = require('../../lib/policies');
 
 async function promoteFunction(request) {
   try {
@@ -50,6 +51,19 @@ async function promoteFunction(request) {
       };
     }
 
+    // Check the target is in the group
+    const target = await roster.getMember(groupId, targetUserId);
+    
+    if (!target) {
+      return {
+        success: false,
+        error: {
+          code: 'NOT_MEMBER',
+          message: 'This user is not a member of the group'
+        }
+      };
+    }
+
     // Check if target is already admin
     const isAlreadyAdmin = await checkIsAdmin(targetUserId, groupId);
     
@@ -63,19 +77,9 @@ async function promoteFunction(request) {
       };
     }
 
-    // Promote the user (simulated)
-    const promotionResult = await promoteUserToAdmin(groupId, targetUserId);
+    // Promote the user on the roster
+    const promotionResult = await promoteUserToAdmin(groupId, targetUserId, promoterUserId, reason);
     
-    // Log the promotion
-    logPromotion({
-      groupId,
-      targetUserId,
-      promoterUserId,
-      reason,
-      timestamp: new Date().toISOString(),
-      success: true
-    });
-
     return {
       success: true,
       result: {
@@ -83,29 +87,29 @@ async function promoteFunction(request) {
         targetUserId: targetUserId,
         promoterUserId: promoterUserId,
         reason: reason,
-        promotedAt: new Date().toISOString(),
+        promotedAt: promotionResult.at,
+        logSeq: promotionResult.seq,
         formatted: formatPromotionResponse(targetUserId, promoterUserId, reason)
       }
     };
     
   } catch (error) {
     // Log failed promotion
-    if (request.data) {
-      logPromotion({
-        groupId: request.data.groupId,
-        targetUserId: request.data.targetUserId,
-        promoterUserId: request.data.promoterUserId,
-        reason: request.data.reason,
-        timestamp: new Date().toISOString(),
-        success: false,
-        error: error.message
+    if (request.data?.groupId) {
+      await audit.record(request.data.groupId, {
+        action: 'promote',
+        outcome: 'failed',
+        actorId: request.data.promoterUserId ? roster.normalizeId(request.data.promoterUserId) : null,
+        targetId: request.data.targetUserId ? roster.normalizeId(request.data.targetUserId) : null,
+        details: { reason: request.data.reason || null, error: error.message },
+        source: 'group/promote'
       });
     }
     
     return {
       success: false,
       error: {
-        code: 'PROMOTE_FAILED',
+        code: error.name === 'RosterError' ? error.code : 'PROMOTE_FAILED',
         message: error.message || 'Failed to promote user'
       }
     };
@@ -113,44 +117,26 @@ async function promoteFunction(request) {
 }
 
 async function checkPromotionPermission(userId, groupId) {
-  // In production, check if user is group admin/owner
-  // For simulation, allow if user has "admin" in their name
-  
-  const mockUser = await getUserInfo(userId);
-  return mockUser.isAdmin || mockUser.isOwner;
+  // The group's policy decides who can promote (admins and the owner by default)
+  return policies.can(groupId, userId, 'group', 'promote');
 }
 
 async function checkIsAdmin(userId, groupId) {
-  // Check if user is already admin
-  const mockUser = await getUserInfo(userId);
-  return mockUser.isAdmin;
+  const member = await roster.getMember(groupId, userId);
+  return roster.isAdmin(member);
 }
 
-async function promoteUserToAdmin(groupId, userId) {
-  // In production, call WhatsApp API to promote user
-  // For simulation, return success
+async function promoteUserToAdmin(groupId, userId, promoterUserId, reason) {
+  // The bot applies the change in WhatsApp; the roster records it
+  const applied = await roster.applyEvent(groupId, {
+    type: 'promote',
+    userId,
+    actorId: promoterUserId,
+    reason: reason || null,
+    source: 'group/promote'
+  });
   
-  return {
-    success: true,
-    promotedAt: new Date().toISOString(),
-    newRole: 'admin'
-  };
-}
-
-async function getUserInfo(userId) {
-  // Mock user info
-  return {
-    id: userId,
-    name: `User_${userId.substring(0, 8)}`,
-    isAdmin: Math.random() > 0.7,
-    isOwner: Math.random() > 0.9
-  };
-}
-
-function logPromotion(log) {
-  const groupLogs = promotionLogs.get(log.groupId) || [];
-  groupLogs.push(log);
-  promotionLogs.set(log.groupId, groupLogs.slice(-100)); // Keep last 100 logs
+  return applied.changes[0];
 }
 
 function formatPromotionResponse(targetUserId, promoterUserId, reason) {
@@ -183,9 +169,28 @@ function formatPromotionResponse(targetUserId, promoterUserId, reason) {
 }
 
 // Get promotion logs for a group
-promoteFunction.getLogs = function(groupId, limit = 10) {
-  const logs = promotionLogs.get(groupId) || [];
-  return logs.slice(-limit).reverse();
+promoteFunction.getLogs = async function(groupId, limit = 10) {
+  const { entries } = await audit.query({ groupId, action: 'promote' }, { limit });
+  return entries;
+};
+
+promoteFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the member belongs to' },
+  targetUserId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Member to promote' },
+  promoterUserId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'User performing the promotion' },
+  reason: { type: 'string', maxLength: 500, default: '', description: 'Reason recorded with the promotion' }
+};
+
+promoteFunction.manifest = {
+  description: 'Give admin rights to a group member; the promoter must be an admin on the group roster',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { groupId: '120363025555555555@g.us', targetUserId: '2348011111111', promoterUserId: '2348012345678' },
+  output: {
+    result: { groupId: 'string', targetUserId: 'string', promoterUserId: 'string', reason: 'string', promotedAt: 'string', logSeq: 'number', formatted: 'string' }
+  }
 };
 
 module.exports = promoteFunction;
@@ -0,0 +1,346 @@
+// fx/group/roster.js
+const roster = require('../../lib/roster');
+
+async function rosterFunction(request) {
+  try {
+    const { groupId, operation = 'members' } = request.data;
+
+    if (!groupId) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_GROUP_ID',
+          message: 'Group ID is required'
+        }
+      };
+    }
+
+    // Rewriting the roster changes everyone's role, so only the owner or the bot may
+    if (operation === 'snapshot' || operation === 'event') {
+      const writerId = request.data.actorId || request.metadata?.userId;
+      const denied = await checkWriter(groupId, writerId, operation === 'snapshot' ? request.data.members : null);
+      if (denied) {
+        return denied;
+      }
+    }
+
+    switch (operation) {
+      case 'snapshot':
+        return await applySnapshot(groupId, request.data);
+      case 'event':
+        return await applyEvents(groupId, request.data);
+      case 'member':
+        return await getMember(groupId, request.data.userId);
+      case 'history':
+        return await getHistory(groupId, request.data);
+      default:
+        return await listMembers(groupId, request.data);
+    }
+
+  } catch (error) {
+    return {
+      success: false,
+      error: {
+        code: error.name === 'RosterError' ? error.code : 'ROSTER_FAILED',
+        message: error.message || 'Failed to process roster request'
+      }
+    };
+  }
+}
+
+/**
+ * Refuses a roster update unless it comes from the group owner or a bot
+ * account on the roster. A group's first snapshot has to list its sender
+ * as one of those.
+ */
+async function checkWriter(groupId, writerId, members) {
+  if (!writerId) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_ACTOR',
+        message: 'actorId is required to update the roster'
+      }
+    };
+  }
+
+  const id = roster.normalizeId(writerId);
+  const current = await roster.get(groupId);
+  let writer;
+  if (current) {
+    writer = current.members[id];
+  } else if (Array.isArray(members)) {
+    writer = members.map(entry => roster.toMember(entry, null, null)).find(member => member.id === id);
+  } else {
+    await roster.getRoster(groupId);
+  }
+
+  if (writer && (roster.isOwner(writer) || writer.isBot)) {
+    return null;
+  }
+
+  return {
+    success: false,
+    error: {
+      code: 'NO_PERMISSION',
+      message: 'Only the group owner or the bot can update the roster'
+    }
+  };
+}
+
+async function applySnapshot(groupId, data) {
+  if (!Array.isArray(data.members)) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_MEMBERS',
+        message: 'members is required for a snapshot'
+      }
+    };
+  }
+
+  const applied = await roster.applySnapshot(groupId, { name: data.name, members: data.members }, {
+    actorId: data.actorId || null,
+    at: data.at || null
+  });
+
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      roster: applied.roster,
+      changes: applied.changes,
+      formatted: formatChanges(applied.roster, applied.changes, [])
+    }
+  };
+}
+
+async function applyEvents(groupId, data) {
+  const events = data.events || (data.event ? [data.event] : []);
+  if (events.length === 0) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_EVENT',
+        message: 'event or events is required'
+      }
+    };
+  }
+
+  // Applied in the order given; each is its own update
+  const changes = [];
+  const ignored = [];
+  let summary = null;
+  for (const event of events) {
+    const applied = await roster.applyEvent(groupId, { ...event, source: 'event' });
+    changes.push(...applied.changes);
+    ignored.push(...applied.ignored.map(item => ({ ...item, type: event.type, eventId: event.eventId || null })));
+    summary = applied.roster;
+  }
+
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      roster: summary,
+      changes: changes,
+      ignored: ignored,
+      formatted: formatChanges(summary, changes, ignored)
+    }
+  };
+}
+
+async function listMembers(groupId, data) {
+  const role = data.operation === 'admins' ? 'admin' : (data.role || null);
+  const members = await roster.listMembers(groupId, { role, includeBots: data.includeBots !== false });
+  const summary = roster.summarize(await roster.getRoster(groupId));
+
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      roster: summary,
+      members: members,
+      count: members.length,
+      formatted: formatMembers(summary, members, role)
+    }
+  };
+}
+
+async function getMember(groupId, userId) {
+  if (!userId) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_USER_ID',
+        message: 'userId is required'
+      }
+    };
+  }
+
+  const member = await roster.getMember(groupId, userId);
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      userId: roster.normalizeId(userId),
+      member: member,
+      isMember: Boolean(member),
+      role: member ? member.role : null,
+      isAdmin: roster.isAdmin(member),
+      isOwner: roster.isOwner(member),
+      formatted: member
+        ? `👤 *${member.name || member.id}* is ${{ owner: 'the owner', admin: 'an admin', member: 'a member' }[member.role]} of this group`
+        : `❌ ${userId} is not a member of this group`
+    }
+  };
+}
+
+async function getHistory(groupId, data) {
+  const entries = await roster.history(groupId, {
+    limit: data.limit || 20,
+    type: data.type || null,
+    userId: data.userId || null,
+    actorId: data.actorId || null
+  });
+
+  let formatted = `📜 *Roster History*\n\n`;
+  entries.forEach(entry => {
+    formatted += `#${entry.seq} ${describe(entry)}\n`;
+    formatted += `   ${new Date(entry.at).toLocaleString()}\n`;
+  });
+  if (entries.length === 0) {
+    formatted += `No changes recorded yet`;
+  }
+
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      entries: entries,
+      count: entries.length,
+      formatted: formatted.trim()
+    }
+  };
+}
+
+function describe(entry) {
+  const by = entry.actorId ? ` by ${entry.actorId}` : '';
+  switch (entry.action) {
+    case 'join':
+      return `➕ ${entry.targetId} joined${by ? ` (added${by})` : ''}`;
+    case 'leave':
+      return `➖ ${entry.targetId} left`;
+    case 'remove':
+      return `🚫 ${entry.targetId} was removed${by}`;
+    case 'promote':
+      return `⬆️ ${entry.targetId} promoted to ${entry.details.to}${by}`;
+    case 'demote':
+      return `⬇️ ${entry.targetId} demoted to ${entry.details.to}${by}`;
+    case 'mention':
+      return `📢 ${entry.targets.length} mentioned with ${entry.source}${by}`;
+    default:
+      return `${entry.action} ${entry.targetId || ''}${by}`;
+  }
+}
+
+function formatChanges(summary, changes, ignored) {
+  let formatted = `👥 *Roster Updated* (v${summary.version})\n\n`;
+  formatted += `Members: ${summary.total} • Admins: ${summary.admins + summary.owners}\n\n`;
+
+  changes.slice(0, 20).forEach(change => {
+    formatted += `${describe(change)}\n`;
+  });
+  if (changes.length === 0) {
+    formatted += `No changes\n`;
+  }
+  if (ignored.length > 0) {
+    formatted += `\n⏭️ ${ignored.length} ignored (already applied or older than the last snapshot)`;
+  }
+
+  return formatted.trim();
+}
+
+function formatMembers(summary, members, role) {
+  const badges = { owner: '👑', admin: '🔧', member: '👤' };
+  let formatted = `👥 *${summary.name || 'Group'} ${role === 'admin' ? 'Admins' : 'Members'}* (${members.length})\n\n`;
+
+  members.slice(0, 50).forEach(member => {
+    formatted += `${badges[member.role]} ${member.name || member.id}${member.isBot ? ' 🤖' : ''}\n`;
+  });
+  if (members.length > 50) {
+    formatted += `...and ${members.length - 50} more\n`;
+  }
+
+  formatted += `\n_Roster v${summary.version}, updated ${new Date(summary.updatedAt).toLocaleString()}_`;
+  return formatted;
+}
+
+const memberSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    name: { type: 'string', maxLength: 100 },
+    number: { type: 'string', maxLength: 30 },
+    role: { type: 'string', enum: ['owner', 'superadmin', 'admin', 'member'] },
+    admin: { type: 'string', maxLength: 20 },
+    isAdmin: { type: 'boolean' },
+    isOwner: { type: 'boolean' },
+    isBot: { type: 'boolean' }
+  }
+};
+
+const eventSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', required: true, enum: ['join', 'add', 'leave', 'remove', 'promote', 'demote'] },
+    userId: { type: 'string', maxLength: 100 },
+    userIds: { type: 'array', maxItems: 1024, itemSchema: { type: 'string', minLength: 1, maxLength: 100 } },
+    actorId: { type: 'string', maxLength: 100 },
+    at: { type: 'date' },
+    eventId: { type: 'string', maxLength: 100 },
+    reason: { type: 'string', maxLength: 500 }
+  }
+};
+
+rosterFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the roster belongs to' },
+  operation: { type: 'string', enum: ['members', 'admins', 'member', 'snapshot', 'event', 'history'], default: 'members', description: 'snapshot and event update the roster from the bot; members, admins, member and history read it' },
+  name: { type: 'string', maxLength: 100, description: 'Group subject, with a snapshot' },
+  members: { type: 'array', maxItems: 1024, itemSchema: memberSchema, description: 'Every participant, for snapshot' },
+  event: { ...eventSchema, description: 'Membership change, for event: { type, userId | userIds, actorId, at, eventId }' },
+  events: { type: 'array', maxItems: 100, itemSchema: eventSchema, description: 'Several membership changes, applied in order' },
+  actorId: { type: 'string', maxLength: 100, description: 'Who is sending a snapshot or events, which must be the owner or the bot; for history, whose actions to show' },
+  at: { type: 'date', description: 'When the snapshot was taken; events before it are ignored' },
+  userId: { type: 'string', maxLength: 100, description: 'Member to look up, or to filter history by' },
+  role: { type: 'string', enum: ['owner', 'admin', 'member'], description: 'Only list members with this role' },
+  includeBots: { type: 'boolean', default: true, description: 'Include bot accounts in member lists' },
+  type: { type: 'string', enum: ['join', 'leave', 'remove', 'promote', 'demote', 'mention'], description: 'Only show history entries of this type' },
+  limit: { type: 'number', isInteger: true, min: 1, max: 100, default: 20, description: 'Most history entries to return' }
+};
+
+rosterFunction.manifest = {
+  description: 'Group membership and roles as reported by the bot: snapshots, join/leave/promote/demote events and lookups',
+  aliases: ['members'],
+  env: {
+    required: [],
+    optional: []
+  },
+  example: {
+    groupId: '120363025555555555@g.us',
+    operation: 'snapshot',
+    name: 'Youth Fellowship',
+    actorId: '2348099999999@s.whatsapp.net',
+    members: [
+      { id: '2348012345678@s.whatsapp.net', name: 'Ada', admin: 'superadmin' },
+      { id: '2348011111111@s.whatsapp.net', name: 'Tunde', admin: 'admin' },
+      { id: '2348022222222@s.whatsapp.net', name: 'Chidi' },
+      { id: '2348099999999@s.whatsapp.net', name: 'Bot', isBot: true }
+    ]
+  },
+  output: {
+    result: { groupId: 'string', roster: 'object', members: 'array', changes: 'array', ignored: 'array', entries: 'array', formatted: 'string' }
+  }
+};
+
+module.exports = rosterFunction;
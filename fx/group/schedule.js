@@ -0,0 +1,207 @@
+// fx/group/schedule.js
+const schedules = require('../../lib/schedules');
+const policies = require('../../lib/policies');
+const roster = require('../../lib/roster');
+
+async function scheduleFunction(request) {
+  try {
+    const { groupId, operation = 'list' } = request.data;
+
+    if (!groupId) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_GROUP_ID',
+          message: 'Group ID is required'
+        }
+      };
+    }
+
+    // Posting to the group or stopping someone else's post is checked against the policy
+    const actorId = request.data.actorId || request.metadata?.userId;
+    if ((operation === 'create' || operation === 'cancel') && !actorId) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_ACTOR',
+          message: 'actorId is required to schedule or cancel an announcement'
+        }
+      };
+    }
+
+    switch (operation) {
+      case 'create':
+        return await createSchedule(groupId, { ...request.data, actorId });
+      case 'cancel':
+        return await cancelSchedule(groupId, { ...request.data, actorId });
+      default:
+        return await listSchedules(groupId, request.data);
+    }
+
+  } catch (error) {
+    return {
+      success: false,
+      error: {
+        code: error.name === 'ScheduleError' ? error.code : 'SCHEDULE_FAILED',
+        message: error.message || 'Failed to process schedule request'
+      }
+    };
+  }
+}
+
+async function createSchedule(groupId, data) {
+  const { message, mention = 'none', cron, runAt, timezone, endsAt, maxRuns, actorId } = data;
+
+  // Mentioning everyone on a schedule needs the same rights as doing it by hand
+  const allowed = await policies.can(groupId, actorId, 'group', 'schedule') &&
+    (mention !== 'everyone' || await policies.can(groupId, actorId, 'group', 'tagall'));
+  if (!allowed) {
+    return {
+      success: false,
+      error: {
+        code: 'NO_PERMISSION',
+        message: mention === 'everyone'
+          ? 'You do not have permission to schedule announcements that tag everyone'
+          : 'You do not have permission to schedule announcements'
+      }
+    };
+  }
+
+  const schedule = await schedules.create({
+    groupId,
+    message,
+    mention,
+    cron: cron || null,
+    runAt: runAt || null,
+    timezone: timezone || null,
+    endsAt: endsAt || null,
+    maxRuns: maxRuns ? Number(maxRuns) : null,
+    createdBy: actorId
+  });
+
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      schedule: schedule,
+      formatted: `✅ *Announcement Scheduled*\n\n${describe(schedule)}`
+    }
+  };
+}
+
+async function cancelSchedule(groupId, data) {
+  const { scheduleId, actorId } = data;
+
+  if (!scheduleId) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_SCHEDULE_ID',
+        message: 'scheduleId is required to cancel'
+      }
+    };
+  }
+
+  const existing = await schedules.get(scheduleId, groupId);
+  if (existing.createdBy !== roster.normalizeId(actorId) && !(await policies.can(groupId, actorId, 'group', 'schedule'))) {
+    return {
+      success: false,
+      error: {
+        code: 'NO_PERMISSION',
+        message: 'Only whoever scheduled it or a member allowed to schedule can cancel this announcement'
+      }
+    };
+  }
+
+  const schedule = await schedules.cancel(scheduleId, { groupId, actorId });
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      schedule: schedule,
+      formatted: `🗑️ *Announcement Cancelled*\n\n${describe(schedule)}`
+    }
+  };
+}
+
+async function listSchedules(groupId, data) {
+  const list = await schedules.list(groupId, { status: data.status || 'active' });
+
+  let formatted = `⏰ *Scheduled Announcements* (${list.length})\n\n`;
+  list.slice(0, 20).forEach(schedule => {
+    formatted += `${describe(schedule)}\n\n`;
+  });
+  if (list.length === 0) {
+    formatted += `Nothing scheduled`;
+  }
+
+  return {
+    success: true,
+    result: {
+      groupId: groupId,
+      schedules: list,
+      count: list.length,
+      formatted: formatted.trim()
+    }
+  };
+}
+
+function localTime(iso, timeZone) {
+  return new Date(iso).toLocaleString('en-GB', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function describe(schedule) {
+  const mentions = { none: '', everyone: ' • 📢 tags everyone', admins: ' • 🔧 tags admins' };
+  const preview = schedule.message.length > 80 ? `${schedule.message.slice(0, 77)}...` : schedule.message;
+
+  let text = `🆔 ${schedule.id}${mentions[schedule.mention]}\n`;
+  text += `💬 ${preview}\n`;
+  text += schedule.cron
+    ? `🔁 ${schedule.cron} (${schedule.timezone})${schedule.runs ? ` • sent ${schedule.runs}×` : ''}\n`
+    : `📅 Once\n`;
+  if (schedule.nextRunAt) {
+    text += `⏭️ Next: ${localTime(schedule.nextRunAt, schedule.timezone)}`;
+  } else {
+    text += schedule.status === 'cancelled' ? `🚫 Cancelled` : `✔️ Completed`;
+  }
+
+  return text;
+}
+
+scheduleFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the announcement is posted in' },
+  operation: { type: 'string', enum: ['create', 'list', 'cancel'], default: 'list', description: 'create schedules an announcement; list shows them; cancel stops one' },
+  message: { type: 'string', minLength: 1, maxLength: 2000, description: 'Announcement text, for create' },
+  mention: { type: 'string', enum: ['none', 'everyone', 'admins'], default: 'none', description: 'Who to mention with the announcement' },
+  cron: { type: 'string', maxLength: 100, description: 'Recurrence as minute hour day month weekday, e.g. "0 18 * * FRI" every Friday at 6pm, or @daily/@weekly' },
+  runAt: { type: 'string', maxLength: 40, description: 'Single run instead of cron, e.g. "2026-11-02 18:00" in the timezone' },
+  timezone: { type: 'string', maxLength: 60, description: 'IANA timezone the times are in, e.g. Africa/Lagos (default SCHEDULE_TIMEZONE or UTC)' },
+  endsAt: { type: 'string', maxLength: 40, description: 'Stop a recurring announcement after this time' },
+  maxRuns: { type: 'number', isInteger: true, min: 1, max: 1000, description: 'Stop a recurring announcement after this many posts' },
+  scheduleId: { type: 'string', maxLength: 40, description: 'Schedule to cancel' },
+  status: { type: 'string', enum: ['active', 'completed', 'cancelled'], default: 'active', description: 'Which schedules to list' },
+  actorId: { type: 'string', maxLength: 100, description: 'Who is scheduling or cancelling (defaults to metadata.userId); required for create and cancel and checked against the group policy' }
+};
+
+scheduleFunction.manifest = {
+  description: 'Schedule one-off or recurring group announcements with cron-like recurrence and timezones, optionally tagging everyone or the admins; the bot collects due posts from GET /schedules/due',
+  aliases: ['announce', 'remind'],
+  env: {
+    required: [],
+    optional: ['SCHEDULE_TIMEZONE', 'SCHEDULE_GRACE_MINUTES', 'SCHEDULE_MAX_PER_GROUP']
+  },
+  example: {
+    groupId: '120363025555555555@g.us',
+    operation: 'create',
+    message: 'Weekly meeting tonight at 7pm on Zoom',
+    mention: 'everyone',
+    cron: '0 17 * * WED',
+    timezone: 'Africa/Lagos',
+    actorId: '2348012345678'
+  },
+  output: {
+    result: { groupId: 'string', schedule: 'object', schedules: 'array', count: 'number', formatted: 'string' }
+  }
+};
+
+module.exports = scheduleFunction;
@@ -1,8 +1,10 @@
 // fx/group/tagadm.js
+const roster = require('../../lib/roster');
+const audit = require('../../lib/audit');
 
 async function tagadmFunction(request) {
   try {
-    const { groupId, message = '' } = request.data;
+    const { groupId, message = '', senderId } = request.data;
     
     if (!groupId) {
       return {
@@ -14,8 +16,19 @@ async function tagadmFunction(request) {
       };
     }
 
+    // Any member may call the admins, but only from inside the group
+    if (senderId && !(await roster.getMember(groupId, senderId))) {
+      return {
+        success: false,
+        error: {
+          code: 'NOT_MEMBER',
+          message: 'Only group members can tag the admins'
+        }
+      };
+    }
+
     // Get group admins
-    const admins = await getGroupAdmins(groupId);
+    const admins = await roster.listAdmins(groupId);
     
     if (admins.length === 0) {
       return {
@@ -29,6 +42,13 @@ async function tagadmFunction(request) {
 
     // Format admin mentions
     const adminMentions = formatAdminMentions(admins);
+    const sender = senderId || request.metadata?.userId;
+    const logged = await audit.record(groupId, {
+      action: 'mention',
+      source: 'group/tagadm',
+      actorId: sender ? roster.normalizeId(sender) : null,
+      targets: admins.map(admin => admin.id)
+    });
     
     // Create final message
     const finalMessage = message ? `${message}\n\n${adminMentions}` : adminMentions;
@@ -39,8 +59,10 @@ async function tagadmFunction(request) {
         groupId: groupId,
         message: finalMessage,
         mentions: adminMentions,
+        mentionIds: admins.map(admin => admin.id),
         admins: admins,
         adminCount: admins.length,
+        logSeq: logged.seq,
         formatted: formatTagAdmResponse(admins, message)
       }
     };
@@ -49,63 +71,21 @@ async function tagadmFunction(request) {
     return {
       success: false,
       error: {
-        code: 'TAGADM_FAILED',
+        code: error.name === 'RosterError' ? error.code : 'TAGADM_FAILED',
         message: error.message || 'Failed to tag admins'
       }
     };
   }
 }
 
-async function getGroupAdmins(groupId) {
-  // In production, fetch from WhatsApp API
-  // Mock data for simulation
-  
-  const mockAdmins = [
-    {
-      id: 'admin_1',
-      number: '+12345678901',
-      name: 'Group Owner',
-      isOwner: true,
-      isAdmin: true
-    },
-    {
-      id: 'admin_2',
-      number: '+12345678902',
-      name: 'Admin 1',
-      isOwner: false,
-      isAdmin: true
-    },
-    {
-      id: 'admin_3',
-      number: '+12345678903',
-      name: 'Admin 2',
-      isOwner: false,
-      isAdmin: true
-    }
-  ];
-  
-  // Randomly add more admins for larger groups
-  if (Math.random() > 0.5) {
-    mockAdmins.push({
-      id: 'admin_4',
-      number: '+12345678904',
-      name: 'Admin 3',
-      isOwner: false,
-      isAdmin: true
-    });
-  }
-  
-  return mockAdmins;
-}
-
 function formatAdminMentions(admins) {
   let mentionsText = '👑 *Group Admins:*\n';
   
   admins.forEach((admin, index) => {
-    const ownerBadge = admin.isOwner ? '👑 ' : '🔧 ';
-    const mention = `@${admin.number}`;
+    const ownerBadge = roster.isOwner(admin) ? '👑 ' : '🔧 ';
+    const mention = `@${admin.number || admin.id}`;
     
-    mentionsText += `${ownerBadge}${admin.name} ${mention}\n`;
+    mentionsText += admin.name ? `${ownerBadge}${admin.name} ${mention}\n` : `${ownerBadge}${mention}\n`;
   });
   
   return mentionsText.trim();
@@ -121,8 +101,8 @@ function formatTagAdmResponse(admins, customMessage) {
   formatted += `👑 *Admins Tagged:*\n`;
   
   admins.forEach(admin => {
-    const badge = admin.isOwner ? '👑 Owner' : '🔧 Admin';
-    formatted += `${badge}: ${admin.name}\n`;
+    const badge = roster.isOwner(admin) ? '👑 Owner' : '🔧 Admin';
+    formatted += `${badge}: ${admin.name || admin.number || admin.id}\n`;
   });
   
   formatted += `\n📢 Admins will be notified\n`;
@@ -137,4 +117,22 @@ function formatTagAdmResponse(admins, customMessage) {
   return formatted;
 }
 
+tagadmFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group whose admins to tag' },
+  message: { type: 'string', maxLength: 1000, default: '', description: 'Message sent with the mentions' },
+  senderId: { type: 'string', maxLength: 100, description: 'Member running the command; must be in the group' }
+};
+
+tagadmFunction.manifest = {
+  description: 'Mention every admin of a group',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { groupId: '120363025555555555@g.us', message: 'Please review the pinned post' },
+  output: {
+    result: { groupId: 'string', message: 'string', mentions: 'string', mentionIds: 'array', admins: 'array', adminCount: 'number', logSeq: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = tagadmFunction;
@@ -1,8 +1,11 @@
 // fx/group/tagall.js
+const roster = require('../../lib/roster');
+const audit = require('../../lib/audit');
+const policies = require('../../lib/policies');
 
 async function tagallFunction(request) {
   try {
-    const { groupId, message = '', excludeAdmins = false, excludeSelf = false } = request.data;
+    const { groupId, message = '', excludeAdmins = false, excludeSelf = false, senderId } = request.data;
     
     if (!groupId) {
       return {
@@ -14,8 +17,45 @@ async function tagallFunction(request) {
       };
     }
 
+    const sender = senderId || request.metadata?.userId;
+    if (!sender) {
+      return {
+        success: false,
+        error: {
+          code: 'MISSING_SENDER',
+          message: 'Sender ID is required'
+        }
+      };
+    }
+
+    // The group's policy decides who may mention everyone (admins by default).
+    // The dispatcher has already started the cooldown if it checked this sender.
+    const dispatched = request.metadata?.groupId === groupId &&
+      roster.normalizeId(request.metadata?.userId) === roster.normalizeId(sender);
+    const decision = dispatched
+      ? { allowed: await policies.can(groupId, sender, 'group', 'tagall') }
+      : await policies.evaluate(groupId, sender, 'group', 'tagall', { consume: true });
+    if (decision.code === 'COOLDOWN') {
+      return {
+        success: false,
+        error: {
+          code: 'COOLDOWN',
+          message: decision.message
+        }
+      };
+    }
+    if (!decision.allowed) {
+      return {
+        success: false,
+        error: {
+          code: 'NOT_ADMIN',
+          message: 'You are not allowed to tag all members in this group'
+        }
+      };
+    }
+
     // Get all group members
-    const members = await getGroupMembers(groupId);
+    const members = await roster.listMembers(groupId, { includeBots: false });
     
     if (members.length === 0) {
       return {
@@ -31,19 +71,22 @@ async function tagallFunction(request) {
     let membersToTag = [...members];
     
     if (excludeAdmins) {
-      membersToTag = membersToTag.filter(member => !member.isAdmin);
+      membersToTag = membersToTag.filter(member => !roster.isAdmin(member));
     }
     
     if (excludeSelf) {
-      // Assuming userId is provided in request metadata
-      const userId = request.metadata?.userId;
-      if (userId) {
-        membersToTag = membersToTag.filter(member => member.id !== userId);
-      }
+      const self = roster.normalizeId(sender);
+      membersToTag = membersToTag.filter(member => member.id !== self);
     }
 
     // Format mentions
     const mentions = formatMentions(membersToTag);
+    const logged = await audit.record(groupId, {
+      action: 'mention',
+      source: 'group/tagall',
+      actorId: roster.normalizeId(sender),
+      targets: membersToTag.map(member => member.id)
+    });
     
     // Create final message
     const finalMessage = message ? `${message}\n\n${mentions}` : mentions;
@@ -54,8 +97,10 @@ async function tagallFunction(request) {
         groupId: groupId,
         message: finalMessage,
         mentions: mentions,
+        mentionIds: membersToTag.map(member => member.id),
         memberCount: membersToTag.length,
         totalMembers: members.length,
+        logSeq: logged.seq,
         formatted: formatTagAllResponse(membersToTag.length, message)
       }
     };
@@ -64,28 +109,13 @@ async function tagallFunction(request) {
     return {
       success: false,
       error: {
-        code: 'TAGALL_FAILED',
+        code: error.name === 'RosterError' ? error.code : 'TAGALL_FAILED',
         message: error.message || 'Failed to tag all members'
       }
     };
   }
 }
 
-async function getGroupMembers(groupId) {
-  // In production, this would fetch from WhatsApp API
-  // For simulation, we'll generate mock members
-  
-  const mockMembers = Array.from({ length: Math.floor(Math.random() * 50) + 10 }, (_, i) => ({
-    id: `user_${i + 1}`,
-    number: `+1234567890${i}`,
-    name: `User ${i + 1}`,
-    isAdmin: i < 3, // First 3 are admins
-    isBot: false
-  }));
-  
-  return mockMembers;
-}
-
 function formatMentions(members) {
   // Format mentions for WhatsApp
   // In WhatsApp, mentions are @ followed by the phone number
@@ -94,7 +124,7 @@ function formatMentions(members) {
   
   members.forEach((member, index) => {
     // Create mention - format depends on WhatsApp API
-    const mention = `@${member.number}`;
+    const mention = `@${member.number || member.id}`;
     mentionsText += mention;
     
     // Add spacing (every 5 mentions, new line)
@@ -128,33 +158,23 @@ function formatTagAllResponse(memberCount, customMessage) {
   return formatted;
 }
 
-// Rate limiting to prevent abuse
-const tagAllCooldown = new Map();
-const COOLDOWN_TIME = 5 * 60 * 1000; // 5 minutes
-
-tagallFunction.checkCooldown = function(groupId) {
-  const lastUsed = tagAllCooldown.get(groupId);
-  if (lastUsed && Date.now() - lastUsed < COOLDOWN_TIME) {
-    const remaining = Math.ceil((COOLDOWN_TIME - (Date.now() - lastUsed)) / 1000);
-    return {
-      onCooldown: true,
-      remainingSeconds: remaining
-    };
-  }
-  return { onCooldown: false };
+tagallFunction.schema = {
+  groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group whose members to tag' },
+  message: { type: 'string', maxLength: 1000, default: '', description: 'Message sent with the mentions' },
+  excludeAdmins: { type: 'boolean', default: false, description: 'Leave admins out of the mentions' },
+  excludeSelf: { type: 'boolean', default: false, description: 'Leave the sender out of the mentions' },
+  senderId: { type: 'string', maxLength: 100, description: 'Member running the command (defaults to metadata.userId); must be allowed group/tagall by the group policy' }
 };
 
-tagallFunction.recordUsage = function(groupId) {
-  tagAllCooldown.set(groupId, Date.now());
-  
-  // Clean up old entries periodically
-  if (tagAllCooldown.size > 1000) {
-    const now = Date.now();
-    for (const [gid, timestamp] of tagAllCooldown.entries()) {
-      if (now - timestamp > COOLDOWN_TIME * 2) {
-        tagAllCooldown.delete(gid);
-      }
-    }
+tagallFunction.manifest = {
+  description: 'Mention every member of a group, from the roster the bot reports with group/roster',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { groupId: '120363025555555555@g.us', message: 'Meeting starts in 10 minutes', senderId: '2348012345678' },
+  output: {
+    result: { groupId: 'string', message: 'string', mentions: 'string', mentionIds: 'array', memberCount: 'number', totalMembers: 'number', logSeq: 'number', formatted: 'string' }
   }
 };
 
@@ -563,4 +563,24 @@ function formatBatchConversion(amount, from, results) {
   return formatted;
 }
 
+currencyFunction.schema = {
+  amount: { type: 'number', isPositive: true, default: 1, description: 'Amount to convert' },
+  from: { type: 'string', pattern: /^[A-Za-z]{3}$/, default: 'USD', description: 'Source currency code' },
+  to: { type: 'string', pattern: /^[A-Za-z]{3}$/, default: 'EUR', description: 'Target currency code' },
+  date: { type: 'date', default: null, description: 'Historical rate date' },
+  detailed: { type: 'boolean', default: false, description: 'Include historical comparison' }
+};
+
+currencyFunction.manifest = {
+  description: 'Convert between currencies at current or historical rates',
+  env: {
+    required: [],
+    optional: ['EXCHANGERATE_API_KEY']
+  },
+  example: { amount: 100, from: 'USD', to: 'NGN' },
+  output: {
+    result: { amount: 'number', from: 'string', to: 'string', rate: 'number', inverseRate: 'number', converted: 'number', date: 'string', historical: 'object', formatted: 'string' }
+  }
+};
+
 module.exports = currencyFunction;
@@ -530,4 +530,22 @@ dictionaryFunction.wordOfTheDay = function() {
   };
 };
 
+dictionaryFunction.schema = {
+  word: { type: 'string', required: true, minLength: 2, maxLength: 100, description: 'Word to look up' },
+  language: { type: 'string', maxLength: 10, default: 'en', description: 'Dictionary language' },
+  detailed: { type: 'boolean', default: false, description: 'Include etymology and extra examples' }
+};
+
+dictionaryFunction.manifest = {
+  description: 'Definitions, pronunciation, synonyms and examples for a word',
+  env: {
+    required: [],
+    optional: ['OXFORD_DICTIONARY_APP_ID', 'OXFORD_DICTIONARY_API_KEY']
+  },
+  example: { word: 'serendipity' },
+  output: {
+    result: { word: 'string', definitions: 'array', pronunciation: 'string', language: 'string', phonetic: 'string', synonyms: 'array', antonyms: 'array', examples: 'array', etymology: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = dictionaryFunction;
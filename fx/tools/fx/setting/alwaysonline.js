@@ -1,85 +1,93 @@
-// fx/settings/alwaysonline.js
-const { createSuccessResponse, createErrorResponse } = require('../../lib/response');
+// fx/tools/fx/setting/alwaysonline.js
+const settingsStore = require('../../../../lib/settings');
 
 /**
  * Always online/presence settings
- * Input: { enabled, showReadReceipts, lastSeenPrivacy, userId }
- * Output: { status, settings }
+ * Input: { operation, enabled, showReadReceipts, lastSeenPrivacy, userId, version }
+ * Output: { status, settings, version }
  */
 async function alwaysonlineFunction(request) {
-    try {
-        const { data } = request;
-        const { enabled, showReadReceipts = true, lastSeenPrivacy = 'contacts', userId } = data;
+    return settingsStore.execute({ type: 'alwaysonline', scope: 'user', build: buildAlwaysonlineSettings }, request.data);
+}
 
-        // Validate required fields
-        if (enabled === undefined || !userId) {
-            return createErrorResponse('VALIDATION_ERROR', 'Missing required fields: enabled, userId');
-        }
+/**
+ * Build always-online settings from the stored input
+ */
+function buildAlwaysonlineSettings(input) {
+    const { enabled, showReadReceipts = true, lastSeenPrivacy = 'contacts', userId } = input;
 
-        // Validate privacy settings
-        const validPrivacySettings = ['everyone', 'contacts', 'nobody'];
-        const privacySetting = validPrivacySettings.includes(lastSeenPrivacy) 
-            ? lastSeenPrivacy 
-            : 'contacts';
+    // Validate privacy settings
+    const validPrivacySettings = ['everyone', 'contacts', 'nobody'];
+    const privacySetting = validPrivacySettings.includes(lastSeenPrivacy)
+        ? lastSeenPrivacy
+        : 'contacts';
 
-        // Create settings object
-        const settings = {
-            enabled: Boolean(enabled),
-            showReadReceipts: Boolean(showReadReceipts),
-            lastSeenPrivacy: privacySetting,
-            userId,
-            presence: {
-                showTyping: true,
-                showRecording: true,
-                showOnline: enabled,
-                updateInterval: enabled ? 30 : 0 // Seconds between presence updates
-            },
-            privacy: {
-                profilePhoto: 'contacts',
-                about: 'everyone',
-                status: 'contacts',
-                groups: 'contacts'
-            },
-            automation: {
-                autoReplyWhenAway: true,
-                awayMessages: [
-                    "I'm currently away, but I'll respond soon!",
-                    "Thanks for your message. I'll get back to you.",
-                    "Away from keyboard. Will reply shortly."
-                ],
-                workingHours: {
-                    enabled: false,
-                    start: "09:00",
-                    end: "17:00",
-                    timezone: "UTC"
-                }
-            },
-            lastUpdated: new Date().toISOString(),
-            features: {
-                simulateTyping: enabled,
-                simulateOnline: enabled,
-                preventSleep: enabled
+    // Create settings object
+    const settings = {
+        enabled: Boolean(enabled),
+        showReadReceipts: Boolean(showReadReceipts),
+        lastSeenPrivacy: privacySetting,
+        userId,
+        presence: {
+            showTyping: true,
+            showRecording: true,
+            showOnline: Boolean(enabled),
+            updateInterval: enabled ? 30 : 0 // Seconds between presence updates
+        },
+        privacy: {
+            profilePhoto: 'contacts',
+            about: 'everyone',
+            status: 'contacts',
+            groups: 'contacts'
+        },
+        automation: {
+            autoReplyWhenAway: true,
+            awayMessages: [
+                "I'm currently away, but I'll respond soon!",
+                "Thanks for your message. I'll get back to you.",
+                "Away from keyboard. Will reply shortly."
+            ],
+            workingHours: {
+                enabled: false,
+                start: "09:00",
+                end: "17:00",
+                timezone: "UTC"
             }
-        };
+        },
+        lastUpdated: new Date().toISOString(),
+        features: {
+            simulateTyping: Boolean(enabled),
+            simulateOnline: Boolean(enabled),
+            preventSleep: Boolean(enabled)
+        }
+    };
 
-        // Simulate save to database
-        const saveResult = {
-            success: true,
-            settingsId: `online_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            savedAt: new Date().toISOString()
-        };
+    return {
+        settings,
+        status: enabled ? 'ONLINE' : 'OFFLINE',
+        message: `Always online ${enabled ? 'enabled' : 'disabled'}. Privacy: ${privacySetting}, Read receipts: ${Boolean(showReadReceipts)}`
+    };
+}
 
-        return createSuccessResponse({
-            status: enabled ? 'ONLINE' : 'OFFLINE',
-            settings: settings,
-            saveResult: saveResult,
-            message: `Always online ${enabled ? 'enabled' : 'disabled'}. Privacy: ${privacySetting}, Read receipts: ${showReadReceipts}`
-        });
+alwaysonlineFunction.schema = {
+    ...settingsStore.operationSchema,
+    enabled: { type: 'boolean', description: 'Turn always-online on or off; required the first time' },
+    userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Account the setting applies to' },
+    showReadReceipts: { type: 'boolean', default: true, description: 'Send read receipts' },
+    lastSeenPrivacy: { type: 'string', enum: ['everyone', 'contacts', 'nobody'], default: 'contacts', description: 'Who can see last seen' }
+};
 
-    } catch (error) {
-        console.error('alwaysonlineFunction Error:', error);
-        return createErrorResponse('SETTINGS_UPDATE_FAILED', error.message);
+alwaysonlineFunction.manifest = {
+    description: 'Keep the bot appearing online and control last-seen privacy',
+    aliases: ['online'],
+    env: {
+        required: [],
+        optional: []
+    },
+    example: { enabled: true, userId: '2348012345678' },
+    output: {
+        data: { status: 'string', settings: 'object', version: 'number', saveResult: 'object', message: 'string' }
     }
-}
+};
 
 module.exports = alwaysonlineFunction;
@@ -1,89 +1,97 @@
-// fx/settings/antibot.js
-const { createSuccessResponse, createErrorResponse } = require('../../lib/response');
+// fx/tools/fx/setting/antibot.js
+const settingsStore = require('../../../../lib/settings');
 
 /**
  * Anti-bot protection settings
- * Input: { enabled, verificationMethod, autoKick, userId, groupId }
- * Output: { status, settings }
+ * Input: { operation, enabled, verificationMethod, autoKick, userId, groupId, version }
+ * Output: { status, settings, version }
  */
 async function antibotFunction(request) {
-    try {
-        const { data } = request;
-        const { enabled, verificationMethod = 'captcha', autoKick = true, userId, groupId } = data;
+    return settingsStore.execute({ type: 'antibot', scope: 'group', build: buildAntibotSettings }, request.data, request.metadata);
+}
 
-        // Validate required fields
-        if (enabled === undefined || !groupId) {
-            return createErrorResponse('VALIDATION_ERROR', 'Missing required fields: enabled, groupId');
-        }
+/**
+ * Build anti-bot settings from the stored input
+ */
+function buildAntibotSettings(input) {
+    const { enabled, verificationMethod = 'captcha', autoKick = true, userId, groupId } = input;
 
-        // Validate verification method
-        const validMethods = ['captcha', 'question', 'math', 'human', 'approval'];
-        const method = validMethods.includes(verificationMethod) ? verificationMethod : 'captcha';
+    // Validate verification method
+    const validMethods = ['captcha', 'question', 'math', 'human', 'approval'];
+    const method = validMethods.includes(verificationMethod) ? verificationMethod : 'captcha';
 
-        // Create settings object
-        const settings = {
-            enabled: Boolean(enabled),
-            verificationMethod: method,
-            autoKick: Boolean(autoKick),
-            userId,
-            groupId,
-            verification: {
-                timeout: 300, // 5 minutes
-                attempts: 3,
-                difficulty: 'medium',
-                questions: [
-                    { q: "What is 2+2?", a: "4" },
-                    { q: "What color is the sky?", a: "blue" },
-                    { q: "How many legs does a cat have?", a: "4" }
-                ]
-            },
-            detection: {
-                detectNewAccounts: true, // Accounts < 7 days old
-                detectNoProfilePic: true,
-                detectSuspiciousNames: true,
-                checkJoinSpeed: true, // Multiple joins in short time
-                scanForBotPatterns: true
-            },
-            actions: {
-                onFail: autoKick ? 'kick' : 'mute',
-                muteDuration: 3600, // 1 hour
-                banDuration: 86400, // 24 hours
-                notifyAdmins: true,
-                logSuspicious: true
-            },
-            exemptions: {
-                trustedUsers: [],
-                whitelistedNumbers: [],
-                ignoreAdmins: true,
-                ignoreContacts: false
-            },
-            statistics: {
-                botsDetected: 0,
-                verificationsPassed: 0,
-                verificationsFailed: 0,
-                lastDetection: null
-            },
-            lastUpdated: new Date().toISOString()
-        };
+    // Create settings object
+    const settings = {
+        enabled: Boolean(enabled),
+        verificationMethod: method,
+        autoKick: Boolean(autoKick),
+        userId,
+        groupId,
+        verification: {
+            timeout: 300, // 5 minutes
+            attempts: 3,
+            difficulty: 'medium',
+            questions: [
+                { q: "What is 2+2?", a: "4" },
+                { q: "What color is the sky?", a: "blue" },
+                { q: "How many legs does a cat have?", a: "4" }
+            ]
+        },
+        detection: {
+            detectNewAccounts: true, // Accounts < 7 days old
+            detectNoProfilePic: true,
+            detectSuspiciousNames: true,
+            checkJoinSpeed: true, // Multiple joins in short time
+            scanForBotPatterns: true
+        },
+        actions: {
+            onFail: autoKick ? 'kick' : 'mute',
+            muteDuration: 3600, // 1 hour
+            banDuration: 86400, // 24 hours
+            notifyAdmins: true,
+            logSuspicious: true
+        },
+        exemptions: {
+            trustedUsers: [],
+            whitelistedNumbers: [],
+            ignoreAdmins: true,
+            ignoreContacts: false
+        },
+        statistics: {
+            botsDetected: 0,
+            verificationsPassed: 0,
+            verificationsFailed: 0,
+            lastDetection: null
+        },
+        lastUpdated: new Date().toISOString()
+    };
 
-        // Simulate save to database
-        const saveResult = {
-            success: true,
-            settingsId: `antibot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            savedAt: new Date().toISOString()
-        };
+    return {
+        settings,
+        status: enabled ? 'ACTIVE' : 'INACTIVE',
+        message: `Anti-bot protection ${enabled ? 'enabled' : 'disabled'}. Method: ${method}, Auto-kick: ${Boolean(autoKick)}`
+    };
+}
 
-        return createSuccessResponse({
-            status: enabled ? 'ACTIVE' : 'INACTIVE',
-            settings: settings,
-            saveResult: saveResult,
-            message: `Anti-bot protection ${enabled ? 'enabled' : 'disabled'}. Method: ${method}, Auto-kick: ${autoKick}`
-        });
+antibotFunction.schema = {
+    ...settingsStore.operationSchema,
+    enabled: { type: 'boolean', description: 'Turn anti-bot on or off; required the first time' },
+    groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the setting applies to' },
+    userId: { type: 'string', maxLength: 100, description: 'Admin changing the setting' },
+    verificationMethod: { type: 'string', enum: ['captcha', 'question', 'math', 'human', 'approval'], default: 'captcha', description: 'How new members are verified' },
+    autoKick: { type: 'boolean', default: true, description: 'Remove members who fail verification' }
+};
 
-    } catch (error) {
-        console.error('antibotFunction Error:', error);
-        return createErrorResponse('SETTINGS_UPDATE_FAILED', error.message);
+antibotFunction.manifest = {
+    description: 'Verify new group members to keep bots out',
+    env: {
+        required: [],
+        optional: []
+    },
+    example: { enabled: true, groupId: '120363025555555555@g.us', verificationMethod: 'math' },
+    output: {
+        data: { status: 'string', settings: 'object', version: 'number', saveResult: 'object', message: 'string' }
     }
-}
+};
 
 module.exports = antibotFunction;
@@ -1,103 +1,112 @@
-// fx/settings/antilink.js
-const { createSuccessResponse, createErrorResponse } = require('../../lib/response');
+// fx/tools/fx/setting/antilink.js
+const settingsStore = require('../../../../lib/settings');
 
 /**
  * Anti-link protection settings
- * Input: { enabled, action, whitelist, blacklist, userId, groupId }
- * Output: { status, settings }
+ * Input: { operation, enabled, action, whitelist, blacklist, userId, groupId, version }
+ * Output: { status, settings, version }
  */
 async function antilinkFunction(request) {
-    try {
-        const { data } = request;
-        const { enabled, action = 'warn', whitelist = [], blacklist = [], userId, groupId } = data;
+    return settingsStore.execute({ type: 'antilink', scope: 'group', build: buildAntilinkSettings }, request.data, request.metadata);
+}
 
-        // Validate required fields (groupId is required for anti-link)
-        if (enabled === undefined || !groupId) {
-            return createErrorResponse('VALIDATION_ERROR', 'Missing required fields: enabled, groupId');
-        }
+/**
+ * Build anti-link settings from the stored input
+ */
+function buildAntilinkSettings(input) {
+    const { enabled, action = 'warn', whitelist = [], blacklist = [], userId, groupId } = input;
 
-        // Validate action
-        const validActions = ['warn', 'delete', 'mute', 'kick'];
-        const selectedAction = validActions.includes(action) ? action : 'warn';
+    // Validate action
+    const validActions = ['warn', 'delete', 'mute', 'kick'];
+    const selectedAction = validActions.includes(action) ? action : 'warn';
 
-        // Format whitelist and blacklist
-        const formattedWhitelist = Array.isArray(whitelist) 
-            ? whitelist.slice(0, 50).map(domain => domain.toLowerCase().replace(/^https?:\/\//, '').split('/')[0])
-            : [];
+    // Format whitelist and blacklist
+    const formattedWhitelist = Array.isArray(whitelist)
+        ? whitelist.slice(0, 50).map(domain => domain.toLowerCase().replace(/^https?:\/\//, '').split('/')[0])
+        : [];
 
-        const formattedBlacklist = Array.isArray(blacklist)
-            ? blacklist.slice(0, 100).map(domain => domain.toLowerCase().replace(/^https?:\/\//, '').split('/')[0])
-            : [];
+    const formattedBlacklist = Array.isArray(blacklist)
+        ? blacklist.slice(0, 100).map(domain => domain.toLowerCase().replace(/^https?:\/\//, '').split('/')[0])
+        : [];
 
-        // Add common social media to blacklist if empty
-        const defaultBlacklist = [
-            'instagram.com', 'facebook.com', 'tiktok.com', 'twitter.com',
-            'whatsapp.com', 'telegram.org', 'discord.com', 'snapchat.com'
-        ];
+    // Add common social media to blacklist if empty
+    const defaultBlacklist = [
+        'instagram.com', 'facebook.com', 'tiktok.com', 'twitter.com',
+        'whatsapp.com', 'telegram.org', 'discord.com', 'snapchat.com'
+    ];
 
-        const finalBlacklist = formattedBlacklist.length > 0 
-            ? formattedBlacklist 
-            : defaultBlacklist;
+    const finalBlacklist = formattedBlacklist.length > 0
+        ? formattedBlacklist
+        : defaultBlacklist;
 
-        // Create settings object
-        const settings = {
-            enabled: Boolean(enabled),
-            action: selectedAction,
-            userId,
-            groupId,
-            lists: {
-                whitelist: formattedWhitelist,
-                blacklist: finalBlacklist,
-                allowedDomains: formattedWhitelist,
-                blockedDomains: finalBlacklist
-            },
-            restrictions: {
-                allowWhatsAppLinks: true,
-                allowYouTubeLinks: true,
-                allowImageLinks: true,
-                allowSafeDomains: ['google.com', 'wikipedia.org', 'github.com'],
-                exemptAdmins: true,
-                exemptLinksInBio: false
-            },
-            punishments: {
-                [selectedAction]: {
-                    duration: selectedAction === 'mute' ? 3600 : 0, // 1 hour mute
-                    maxWarnings: 3,
-                    escalateAfter: 3
-                }
-            },
-            detection: {
-                detectHiddenLinks: true,
-                detectLinkShorteners: true,
-                checkImageMetadata: false,
-                scanQRForLinks: false
-            },
-            statistics: {
-                linksBlocked: 0,
-                lastAction: null,
-                usersWarned: 0
-            },
-            lastUpdated: new Date().toISOString()
-        };
+    // Create settings object
+    const settings = {
+        enabled: Boolean(enabled),
+        action: selectedAction,
+        userId,
+        groupId,
+        lists: {
+            whitelist: formattedWhitelist,
+            blacklist: finalBlacklist,
+            allowedDomains: formattedWhitelist,
+            blockedDomains: finalBlacklist
+        },
+        restrictions: {
+            allowWhatsAppLinks: true,
+            allowYouTubeLinks: true,
+            allowImageLinks: true,
+            allowSafeDomains: ['google.com', 'wikipedia.org', 'github.com'],
+            exemptAdmins: true,
+            exemptLinksInBio: false
+        },
+        punishments: {
+            [selectedAction]: {
+                duration: selectedAction === 'mute' ? 3600 : 0, // 1 hour mute
+                maxWarnings: 3,
+                escalateAfter: 3
+            }
+        },
+        detection: {
+            detectHiddenLinks: true,
+            detectLinkShorteners: true,
+            checkImageMetadata: false,
+            scanQRForLinks: false
+        },
+        statistics: {
+            linksBlocked: 0,
+            lastAction: null,
+            usersWarned: 0
+        },
+        lastUpdated: new Date().toISOString()
+    };
 
-        // Simulate save to database
-        const saveResult = {
-            success: true,
-            settingsId: `antilink_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            savedAt: new Date().toISOString()
-        };
+    return {
+        settings,
+        status: enabled ? 'ACTIVE' : 'INACTIVE',
+        message: `Anti-link protection ${enabled ? 'enabled' : 'disabled'}. Action: ${selectedAction}, Blacklist: ${finalBlacklist.length} domains`
+    };
+}
 
-        return createSuccessResponse({
-            status: enabled ? 'ACTIVE' : 'INACTIVE',
-            settings: settings,
-            saveResult: saveResult,
-            message: `Anti-link protection ${enabled ? 'enabled' : 'disabled'}. Action: ${selectedAction}, Blacklist: ${finalBlacklist.length} domains`
-        });
+antilinkFunction.schema = {
+    ...settingsStore.operationSchema,
+    enabled: { type: 'boolean', description: 'Turn anti-link on or off; required the first time' },
+    groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the setting applies to' },
+    userId: { type: 'string', maxLength: 100, description: 'Admin changing the setting' },
+    action: { type: 'string', enum: ['warn', 'delete', 'mute', 'kick'], default: 'warn', description: 'What happens to the sender' },
+    whitelist: { type: 'array', maxItems: 50, itemSchema: { type: 'string', maxLength: 255 }, default: [], description: 'Domains that are always allowed' },
+    blacklist: { type: 'array', maxItems: 100, itemSchema: { type: 'string', maxLength: 255 }, default: [], description: 'Domains to block; common social sites when empty' }
+};
 
-    } catch (error) {
-        console.error('antilinkFunction Error:', error);
-        return createErrorResponse('SETTINGS_UPDATE_FAILED', error.message);
+antilinkFunction.manifest = {
+    description: 'Block links posted in a group',
+    env: {
+        required: [],
+        optional: []
+    },
+    example: { enabled: true, groupId: '120363025555555555@g.us', action: 'delete' },
+    output: {
+        data: { status: 'string', settings: 'object', version: 'number', saveResult: 'object', message: 'string' }
     }
-}
+};
 
 module.exports = antilinkFunction;
@@ -1,80 +1,78 @@
-// fx/settings/autorecording.js
-const { createSuccessResponse, createErrorResponse } = require('../../lib/response');
+// fx/tools/fx/setting/autorecording.js
+const settingsStore = require('../../../../lib/settings');
 
 /**
  * Auto-recording voice note settings
- * Input: { enabled, maxDuration, autoConvert, userId, groupId(optional) }
- * Output: { status, settings }
+ * Input: { operation, enabled, maxDuration, autoConvert, chatType, userId, groupId(optional), version }
+ * Output: { status, settings, version }
  */
 async function autorecordingFunction(request) {
-    try {
-        const { data } = request;
-        const { enabled, maxDuration = 60, autoConvert = true, userId, groupId, chatType } = data;
-
-        // Validate required fields
-        if (enabled === undefined || !userId) {
-            return createErrorResponse('VALIDATION_ERROR', 'Missing required fields: enabled, userId');
-        }
-
-        // Validate max duration (1-300 seconds)
-        const duration = Math.min(Math.max(parseInt(maxDuration), 1), 300);
+    return settingsStore.execute({ type: 'autorecording', scope: 'user', build: buildAutorecordingSettings }, request.data);
+}
 
-        // Validate chat type if provided
-        let validChatType = chatType || 'private';
-        if (chatType && !['private', 'group'].includes(chatType)) {
-            return createErrorResponse('INVALID_CHAT_TYPE', 'chatType must be "private" or "group"');
-        }
+/**
+ * Build auto-recording settings from the stored input
+ */
+function buildAutorecordingSettings(input) {
+    const { enabled, maxDuration = 60, autoConvert = true, userId, groupId, chatType = 'private' } = input;
 
-        // For group chats, validate groupId
-        if (validChatType === 'group' && !groupId) {
-            return createErrorResponse('MISSING_GROUP_ID', 'groupId is required for group chats');
-        }
+    // Validate max duration (1-300 seconds)
+    const duration = Math.min(Math.max(parseInt(maxDuration), 1), 300);
 
-        // Create settings object
-        const settings = {
-            enabled: Boolean(enabled),
-            maxDuration: duration,
-            autoConvert: Boolean(autoConvert),
-            userId,
-            groupId: validChatType === 'group' ? groupId : null,
-            chatType: validChatType,
-            formats: {
-                audio: ['mp3', 'ogg'],
-                bitrate: '64kbps',
-                sampleRate: 16000,
-                channels: 1
-            },
-            triggers: {
-                voiceKeywords: ['record', 'save this', 'memorize'],
-                minDuration: 2,     // Minimum 2 seconds to trigger
-                maxSilence: 3       // Max 3 seconds of silence allowed
-            },
-            storage: {
-                autoDeleteAfter: 604800, // 7 days in seconds
-                maxStorage: 100,          // 100MB per user
-                compressOld: true
-            },
-            lastUpdated: new Date().toISOString()
-        };
+    // Create settings object
+    const settings = {
+        enabled: Boolean(enabled),
+        maxDuration: duration,
+        autoConvert: Boolean(autoConvert),
+        userId,
+        groupId: chatType === 'group' ? groupId : null,
+        chatType,
+        formats: {
+            audio: ['mp3', 'ogg'],
+            bitrate: '64kbps',
+            sampleRate: 16000,
+            channels: 1
+        },
+        triggers: {
+            voiceKeywords: ['record', 'save this', 'memorize'],
+            minDuration: 2,     // Minimum 2 seconds to trigger
+            maxSilence: 3       // Max 3 seconds of silence allowed
+        },
+        storage: {
+            autoDeleteAfter: 604800, // 7 days in seconds
+            maxStorage: 100,          // 100MB per user
+            compressOld: true
+        },
+        lastUpdated: new Date().toISOString()
+    };
 
-        // Simulate save to database
-        const saveResult = {
-            success: true,
-            settingsId: `autorecord_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            savedAt: new Date().toISOString()
-        };
+    return {
+        settings,
+        status: enabled ? 'ENABLED' : 'DISABLED',
+        message: `Auto-recording ${enabled ? 'enabled' : 'disabled'}. Max duration: ${duration}s, Auto-convert: ${Boolean(autoConvert)}`
+    };
+}
 
-        return createSuccessResponse({
-            status: enabled ? 'ENABLED' : 'DISABLED',
-            settings: settings,
-            saveResult: saveResult,
-            message: `Auto-recording ${enabled ? 'enabled' : 'disabled'}. Max duration: ${duration}s, Auto-convert: ${autoConvert}`
-        });
+autorecordingFunction.schema = {
+    ...settingsStore.operationSchema,
+    enabled: { type: 'boolean', description: 'Turn auto-recording on or off; required the first time' },
+    userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Account the setting applies to' },
+    groupId: { type: 'string', maxLength: 100, description: 'Group, required for group chats' },
+    chatType: { type: 'string', enum: ['private', 'group'], default: 'private', description: 'Kind of chat' },
+    maxDuration: { type: 'number', isInteger: true, min: 1, max: 300, default: 60, description: 'Longest recording indicator in seconds' },
+    autoConvert: { type: 'boolean', default: true, description: 'Convert recordings automatically' }
+};
 
-    } catch (error) {
-        console.error('autorecordingFunction Error:', error);
-        return createErrorResponse('SETTINGS_UPDATE_FAILED', error.message);
+autorecordingFunction.manifest = {
+    description: 'Show a "recording audio" presence in chats',
+    env: {
+        required: [],
+        optional: []
+    },
+    example: { enabled: true, userId: '2348012345678' },
+    output: {
+        data: { status: 'string', settings: 'object', version: 'number', saveResult: 'object', message: 'string' }
     }
-}
+};
 
 module.exports = autorecordingFunction;
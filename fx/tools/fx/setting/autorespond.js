@@ -1,97 +1,229 @@
-// fx/settings/autorespond.js
-const { createSuccessResponse, createErrorResponse } = require('../../lib/response');
+// fx/tools/fx/setting/autorespond.js
+const settingsStore = require('../../../../lib/settings');
 
 /**
  * Auto-responder settings
- * Input: { enabled, responses, triggers, userId, groupId(optional) }
- * Output: { status, settings }
+ * Input: { operation, enabled, responses, triggers, config, businessHours, chatType, userId, groupId(optional), version }
+ * Output: { status, settings, version }
  */
 async function autorespondFunction(request) {
+    return settingsStore.execute({ type: 'autorespond', scope: 'user', build: buildAutorespondSettings }, request.data);
+}
+
+const MATCH_TYPES = ['exact', 'contains', 'keyword', 'regex', 'wildcard'];
+const HOURS = ['always', 'business', 'outside'];
+const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Whether a regex trigger is safe to run on every incoming message: short,
+ * valid and without a repeated group that repeats inside, like (a+)+ or
+ * (\w*x){2,}, which can backtrack for minutes. Returns true or the reason.
+ */
+function checkPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length > MAX_REGEX_LENGTH) {
+        return `Regex triggers can be at most ${MAX_REGEX_LENGTH} characters`;
+    }
     try {
-        const { data } = request;
-        const { enabled, responses = [], triggers = [], userId, groupId, chatType = 'private' } = data;
+        new RegExp(pattern, 'u');
+    } catch (error) {
+        return `Invalid regex: ${error.message}`;
+    }
 
-        // Validate required fields
-        if (enabled === undefined || !userId) {
-            return createErrorResponse('VALIDATION_ERROR', 'Missing required fields: enabled, userId');
+    const isQuantifier = index => '*+'.includes(pattern[index]) || /^\{\d+(,\d*)?\}/.test(pattern.slice(index));
+    const groups = []; // Whether each open group repeats something inside it
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const repeatsInside = groups.pop();
+            const repeated = isQuantifier(i + 1);
+            if (repeatsInside && repeated) {
+                return 'Regex triggers cannot repeat a group that already repeats, like (a+)+';
+            }
+            if (groups.length > 0 && (repeatsInside || repeated)) {
+                groups[groups.length - 1] = true;
+            }
+        } else if (groups.length > 0 && isQuantifier(i)) {
+            groups[groups.length - 1] = true;
         }
+    }
 
-        // Validate chat type
-        if (!['private', 'group'].includes(chatType)) {
-            return createErrorResponse('INVALID_CHAT_TYPE', 'chatType must be "private" or "group"');
-        }
+    return true;
+}
 
-        // For group chats, validate groupId
-        if (chatType === 'group' && !groupId) {
-            return createErrorResponse('MISSING_GROUP_ID', 'groupId is required for group chats');
-        }
+/**
+ * Responses to pick from at random: `response` plus the `responses` pool
+ */
+function formatPool(entry) {
+    const pool = [entry.response, ...(Array.isArray(entry.responses) ? entry.responses : [])];
+    return pool.filter(response => typeof response === 'string' && response.length > 0).slice(0, 20);
+}
+
+/**
+ * Build auto-responder settings from the stored input
+ */
+function buildAutorespondSettings(input) {
+    const { enabled, responses = [], triggers = [], userId, groupId, chatType = 'private', config = {}, businessHours = {} } = input;
 
-        // Validate and format responses
-        const formattedResponses = Array.isArray(responses) 
-            ? responses.slice(0, 20).map((resp, index) => ({
+    // Validate and format responses
+    const formattedResponses = Array.isArray(responses)
+        ? responses.slice(0, 20).map((resp, index) => {
+            const match = MATCH_TYPES.includes(resp.match) ? resp.match : (resp.exactMatch ? 'exact' : 'contains');
+            const pool = formatPool(resp);
+            return {
                 id: `resp_${index + 1}`,
                 trigger: resp.trigger || '',
-                response: resp.response || '',
-                exactMatch: resp.exactMatch || false,
+                match,
+                response: pool[0] || '',
+                pool,
+                exactMatch: match === 'exact',
                 caseSensitive: resp.caseSensitive || false,
+                cooldown: Number.isInteger(resp.cooldown) && resp.cooldown >= 0 ? resp.cooldown : 0,
+                hours: HOURS.includes(resp.hours) ? resp.hours : 'always',
                 enabled: resp.enabled !== false
-            }))
-            : [];
+            };
+        })
+        : [];
 
-        // Validate and format triggers
-        const formattedTriggers = Array.isArray(triggers)
-            ? triggers.slice(0, 10).map((trigger, index) => ({
+    // Validate and format triggers; a plain string is a keyword trigger
+    const formattedTriggers = Array.isArray(triggers)
+        ? triggers.slice(0, 50).map((entry, index) => {
+            const trigger = typeof entry === 'string' ? { value: entry } : entry;
+            const pool = formatPool(trigger);
+            return {
                 id: `trig_${index + 1}`,
-                type: trigger.type || 'keyword',
+                type: MATCH_TYPES.includes(trigger.type) ? trigger.type : 'keyword',
                 value: trigger.value || '',
                 action: trigger.action || 'reply',
-                cooldown: trigger.cooldown || 60,
+                response: pool[0] || '',
+                pool,
+                caseSensitive: trigger.caseSensitive || false,
+                cooldown: Number.isInteger(trigger.cooldown) && trigger.cooldown >= 0 ? trigger.cooldown : 60,
+                hours: HOURS.includes(trigger.hours) ? trigger.hours : 'always',
                 enabled: trigger.enabled !== false
-            }))
-            : [];
-
-        // Create settings object
-        const settings = {
-            enabled: Boolean(enabled),
-            responses: formattedResponses,
-            triggers: formattedTriggers,
-            userId,
-            groupId: chatType === 'group' ? groupId : null,
-            chatType,
-            config: {
-                delay: 1, // Seconds before responding
-                maxPerHour: 10,
-                ignoreBots: true,
-                respectQuietHours: true,
-                quietHoursStart: "22:00",
-                quietHoursEnd: "08:00"
-            },
-            statistics: {
-                totalTriggers: 0,
-                lastTrigger: null,
-                responsesSent: 0
-            },
-            lastUpdated: new Date().toISOString()
-        };
-
-        // Simulate save to database
-        const saveResult = {
-            success: true,
-            settingsId: `autoresp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            savedAt: new Date().toISOString()
-        };
-
-        return createSuccessResponse({
-            status: enabled ? 'ACTIVE' : 'INACTIVE',
-            settings: settings,
-            saveResult: saveResult,
-            message: `Auto-responder ${enabled ? 'enabled' : 'disabled'} with ${formattedResponses.length} response(s) and ${formattedTriggers.length} trigger(s)`
-        });
+            };
+        })
+        : [];
 
-    } catch (error) {
-        console.error('autorespondFunction Error:', error);
-        return createErrorResponse('SETTINGS_UPDATE_FAILED', error.message);
-    }
+    // Create settings object
+    const settings = {
+        enabled: Boolean(enabled),
+        responses: formattedResponses,
+        triggers: formattedTriggers,
+        userId,
+        groupId: chatType === 'group' ? groupId : null,
+        chatType,
+        config: {
+            delay: 1, // Seconds before responding
+            maxPerHour: 10,
+            ignoreBots: true,
+            respectQuietHours: true,
+            quietHoursStart: "22:00",
+            quietHoursEnd: "08:00",
+            timezone: "UTC",
+            ...config
+        },
+        businessHours: {
+            enabled: Boolean(businessHours.enabled),
+            days: Array.isArray(businessHours.days) ? businessHours.days : [1, 2, 3, 4, 5], // 0 = Sunday
+            start: businessHours.start || "09:00",
+            end: businessHours.end || "17:00",
+            outsideResponse: businessHours.outsideResponse || null // Sent once an hour per sender outside these hours
+        },
+        statistics: {
+            totalTriggers: 0,
+            lastTrigger: null,
+            responsesSent: 0
+        },
+        lastUpdated: new Date().toISOString()
+    };
+
+    return {
+        settings,
+        status: enabled ? 'ACTIVE' : 'INACTIVE',
+        message: `Auto-responder ${enabled ? 'enabled' : 'disabled'} with ${formattedResponses.length} response(s) and ${formattedTriggers.length} trigger(s)`
+    };
 }
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ruleProperties = {
+    trigger: { type: 'string', maxLength: 500, validate: (value, rule) => rule.match !== 'regex' || checkPattern(value) },
+    match: { type: 'string', enum: MATCH_TYPES },
+    response: { type: 'string', maxLength: 4096 },
+    responses: { type: 'array', maxItems: 20, itemSchema: { type: 'string', maxLength: 4096 } },
+    cooldown: { type: 'number', isInteger: true, min: 0, max: 86400 },
+    hours: { type: 'string', enum: HOURS }
+};
+
+autorespondFunction.schema = {
+    ...settingsStore.operationSchema,
+    enabled: { type: 'boolean', description: 'Turn auto-respond on or off; required the first time' },
+    userId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Account the setting applies to' },
+    groupId: { type: 'string', maxLength: 100, description: 'Group, required for group chats' },
+    chatType: { type: 'string', enum: ['private', 'group'], default: 'private', description: 'Kind of chat' },
+    responses: { type: 'array', maxItems: 20, itemSchema: { type: 'object', properties: ruleProperties }, default: [], description: 'Trigger and response pairs: { trigger, match, response, responses, cooldown, hours }' },
+    triggers: {
+        type: 'array',
+        maxItems: 50,
+        itemSchema: {
+            validate: (value) => {
+                if (typeof value === 'string') return true;
+                if (typeof value !== 'object' || value === null || Array.isArray(value)) return 'Trigger must be a word or an object';
+                return value.type !== 'regex' || checkPattern(value.value);
+            }
+        },
+        default: [],
+        description: 'Extra triggers: a keyword that sends the first response, or { type, value, response, responses, cooldown, hours }'
+    },
+    config: {
+        type: 'object',
+        properties: {
+            delay: { type: 'number', min: 0, max: 60 },
+            maxPerHour: { type: 'number', isInteger: true, min: 1, max: 1000 },
+            ignoreBots: { type: 'boolean' },
+            respectQuietHours: { type: 'boolean' },
+            quietHoursStart: { type: 'string', pattern: TIME_PATTERN },
+            quietHoursEnd: { type: 'string', pattern: TIME_PATTERN },
+            timezone: { type: 'string', maxLength: 64 }
+        },
+        description: 'Reply delay, hourly cap per chat, quiet hours and timezone'
+    },
+    businessHours: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            days: { type: 'array', maxItems: 7, itemSchema: { type: 'number', isInteger: true, min: 0, max: 6 } },
+            start: { type: 'string', pattern: TIME_PATTERN },
+            end: { type: 'string', pattern: TIME_PATTERN },
+            outsideResponse: { type: 'string', maxLength: 1000 }
+        },
+        description: 'Opening hours for rules with hours "business" or "outside", plus an away reply'
+    }
+};
+
+autorespondFunction.manifest = {
+    description: 'Reply automatically to messages matching triggers',
+    aliases: ['autoreply'],
+    env: {
+        required: [],
+        optional: []
+    },
+    example: { enabled: true, userId: '2348012345678', responses: [{ trigger: 'hello', response: 'Hi there!' }] },
+    output: {
+        data: { status: 'string', settings: 'object', version: 'number', saveResult: 'object', message: 'string' }
+    }
+};
+
+// Shared with the auto-responder runtime (fx/general/respond.js)
+autorespondFunction.buildSettings = buildAutorespondSettings;
+autorespondFunction.checkPattern = checkPattern;
+
 module.exports = autorespondFunction;
@@ -1,108 +1,117 @@
-// fx/settings/banwords.js
-const { createSuccessResponse, createErrorResponse } = require('../../lib/response');
+// fx/tools/fx/setting/banwords.js
+const settingsStore = require('../../../../lib/settings');
 
 /**
  * Banned words filter settings
- * Input: { enabled, words, action, exemptAdmins, userId, groupId }
- * Output: { status, settings }
+ * Input: { operation, enabled, words, action, exemptAdmins, userId, groupId, version }
+ * Output: { status, settings, version }
  */
 async function banwordsFunction(request) {
-    try {
-        const { data } = request;
-        const { enabled, words = [], action = 'delete', exemptAdmins = true, userId, groupId } = data;
+    return settingsStore.execute({ type: 'banwords', scope: 'group', build: buildBanwordsSettings }, request.data, request.metadata);
+}
 
-        // Validate required fields
-        if (enabled === undefined || !groupId) {
-            return createErrorResponse('VALIDATION_ERROR', 'Missing required fields: enabled, groupId');
-        }
+/**
+ * Build banned words settings from the stored input
+ */
+function buildBanwordsSettings(input) {
+    const { enabled, words = [], action = 'delete', exemptAdmins = true, userId, groupId } = input;
 
-        // Validate action
-        const validActions = ['warn', 'delete', 'mute', 'kick'];
-        const selectedAction = validActions.includes(action) ? action : 'delete';
+    // Validate action
+    const validActions = ['warn', 'delete', 'mute', 'kick'];
+    const selectedAction = validActions.includes(action) ? action : 'delete';
 
-        // Format and validate words list
-        const formattedWords = Array.isArray(words) 
-            ? words
-                .slice(0, 200) // Limit to 200 words
-                .map(word => word.toLowerCase().trim())
-                .filter(word => word.length > 0 && word.length <= 50)
-            : [];
+    // Format and validate words list
+    const formattedWords = Array.isArray(words)
+        ? words
+            .slice(0, 200) // Limit to 200 words
+            .map(word => word.toLowerCase().trim())
+            .filter(word => word.length > 0 && word.length <= 50)
+        : [];
 
-        // Add common banned words if list is empty
-        const defaultBannedWords = [
-            'spam', 'scam', 'hack', 'cheat', 'virus', 'malware',
-            'phishing', 'fraud', 'advertise', 'promote', 'sell'
-        ];
+    // Add common banned words if list is empty
+    const defaultBannedWords = [
+        'spam', 'scam', 'hack', 'cheat', 'virus', 'malware',
+        'phishing', 'fraud', 'advertise', 'promote', 'sell'
+    ];
 
-        const finalWords = formattedWords.length > 0 
-            ? [...new Set([...formattedWords, ...defaultBannedWords])] // Remove duplicates
-            : defaultBannedWords;
+    const finalWords = formattedWords.length > 0
+        ? [...new Set([...formattedWords, ...defaultBannedWords])] // Remove duplicates
+        : defaultBannedWords;
 
-        // Create settings object
-        const settings = {
-            enabled: Boolean(enabled),
-            action: selectedAction,
-            exemptAdmins: Boolean(exemptAdmins),
-            userId,
-            groupId,
-            wordList: {
-                bannedWords: finalWords,
-                regexPatterns: finalWords.map(word => 
-                    word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                ),
-                useRegex: false,
-                caseSensitive: false,
-                detectVariations: true, // Detect l33t speak, etc.
-                detectHidden: true // Detect words with symbols between letters
-            },
-            filters: {
-                checkMessages: true,
-                checkNicknames: true,
-                checkStatus: false,
-                checkBio: false,
-                ignoreLinks: true,
-                ignoreCommands: true
-            },
-            punishments: {
-                [selectedAction]: {
-                    duration: selectedAction === 'mute' ? 3600 : 0,
-                    maxViolations: 3,
-                    escalation: ['warn', 'delete', 'mute', 'kick']
-                }
-            },
-            intelligence: {
-                learnNewWords: true,
-                autoUpdate: true,
-                communityReports: true,
-                similarityThreshold: 0.8
-            },
-            statistics: {
-                violations: 0,
-                wordsBlocked: 0,
-                lastViolation: null,
-                mostBlockedWord: null
-            },
-            lastUpdated: new Date().toISOString()
-        };
+    // Create settings object
+    const settings = {
+        enabled: Boolean(enabled),
+        action: selectedAction,
+        exemptAdmins: Boolean(exemptAdmins),
+        userId,
+        groupId,
+        wordList: {
+            bannedWords: finalWords,
+            regexPatterns: finalWords.map(word =>
+                word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            ),
+            useRegex: false,
+            caseSensitive: false,
+            detectVariations: true, // Detect l33t speak, etc.
+            detectHidden: true // Detect words with symbols between letters
+        },
+        filters: {
+            checkMessages: true,
+            checkNicknames: true,
+            checkStatus: false,
+            checkBio: false,
+            ignoreLinks: true,
+            ignoreCommands: true
+        },
+        punishments: {
+            [selectedAction]: {
+                duration: selectedAction === 'mute' ? 3600 : 0,
+                maxViolations: 3,
+                escalation: ['warn', 'delete', 'mute', 'kick']
+            }
+        },
+        intelligence: {
+            learnNewWords: true,
+            autoUpdate: true,
+            communityReports: true,
+            similarityThreshold: 0.8
+        },
+        statistics: {
+            violations: 0,
+            wordsBlocked: 0,
+            lastViolation: null,
+            mostBlockedWord: null
+        },
+        lastUpdated: new Date().toISOString()
+    };
 
-        // Simulate save to database
-        const saveResult = {
-            success: true,
-            settingsId: `banwords_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            savedAt: new Date().toISOString()
-        };
+    return {
+        settings,
+        status: enabled ? 'ACTIVE' : 'INACTIVE',
+        message: `Banned words filter ${enabled ? 'enabled' : 'disabled'}. Action: ${selectedAction}, Words: ${finalWords.length}`
+    };
+}
 
-        return createSuccessResponse({
-            status: enabled ? 'ACTIVE' : 'INACTIVE',
-            settings: settings,
-            saveResult: saveResult,
-            message: `Banned words filter ${enabled ? 'enabled' : 'disabled'}. Action: ${selectedAction}, Words: ${finalWords.length}`
-        });
+banwordsFunction.schema = {
+    ...settingsStore.operationSchema,
+    enabled: { type: 'boolean', description: 'Turn the word filter on or off; required the first time' },
+    groupId: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'Group the setting applies to' },
+    userId: { type: 'string', maxLength: 100, description: 'Admin changing the setting' },
+    words: { type: 'array', maxItems: 200, itemSchema: { type: 'string', maxLength: 50 }, default: [], description: 'Banned words; a default list when empty' },
+    action: { type: 'string', enum: ['warn', 'delete', 'mute', 'kick'], default: 'delete', description: 'What happens to the sender' },
+    exemptAdmins: { type: 'boolean', default: true, description: 'Skip messages from admins' }
+};
 
-    } catch (error) {
-        console.error('banwordsFunction Error:', error);
-        return createErrorResponse('SETTINGS_UPDATE_FAILED', error.message);
+banwordsFunction.manifest = {
+    description: 'Act on messages containing banned words',
+    env: {
+        required: [],
+        optional: []
+    },
+    example: { enabled: true, groupId: '120363025555555555@g.us', words: ['scam'] },
+    output: {
+        data: { status: 'string', settings: 'object', version: 'number', saveResult: 'object', message: 'string' }
     }
-}
+};
 
 module.exports = banwordsFunction;
@@ -286,4 +286,34 @@ function formatQRTypes(types) {
   return formatted;
 }
 
+qrFunction.schema = {
+  text: { type: 'string', required: true, minLength: 1, maxLength: 2000, description: 'Content to encode' },
+  type: { type: 'string', enum: ['url', 'wifi', 'contact', 'sms', 'email', 'text'], default: 'url', description: 'How to interpret the text' },
+  size: { type: 'number', isInteger: true, min: 100, max: 2000, default: 300, description: 'Image width in pixels' },
+  margin: { type: 'number', isInteger: true, min: 0, max: 10, default: 1, description: 'Quiet zone around the code' },
+  color: {
+    type: 'object',
+    default: { dark: '#000000', light: '#ffffff' },
+    description: 'Module and background colours',
+    properties: {
+      dark: { type: 'string', isHexColor: true },
+      light: { type: 'string', isHexColor: true }
+    }
+  },
+  errorCorrection: { type: 'string', enum: ['L', 'M', 'Q', 'H'], default: 'M', description: 'Error correction level' },
+  format: { type: 'string', enum: ['png', 'svg'], default: 'png', description: 'Image format' }
+};
+
+qrFunction.manifest = {
+  description: 'Generate a QR code for a URL, WiFi network, contact, SMS, email or text',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { text: 'https://example.com', size: 400 },
+  output: {
+    result: { qrId: 'string', filename: 'string', data: 'string', originalText: 'string', size: 'number', format: 'string', margin: 'number', errorCorrection: 'string', downloadUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = qrFunction;
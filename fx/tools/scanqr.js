@@ -397,4 +397,21 @@ function formatBatchResults(results) {
   return formatted;
 }
 
+scanqrFunction.schema = {
+  imageUrl: { type: 'string', isURL: true, maxLength: 2048, description: 'Image URL; required when imageBuffer is absent' },
+  imageBuffer: { type: 'buffer', description: 'Base64 image data; required when imageUrl is absent' }
+};
+
+scanqrFunction.manifest = {
+  description: 'Decode a QR code from an image',
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { imageUrl: 'https://example.com/qr.png' },
+  output: {
+    result: { data: 'string', parsedData: 'object', location: 'object', version: 'number', formatted: 'string' }
+  }
+};
+
 module.exports = scanqrFunction;
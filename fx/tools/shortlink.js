@@ -2,10 +2,12 @@
 const axios = require('axios');
 const validUrl = require('valid-url');
 const { v4: uuidv4 } = require('uuid');
+const shortLinkStore = require('../../lib/shortlinks');
 
-// URL shortener storage
-const shortLinks = new Map();
-const userShortLinks = new Map();
+// URL shortener storage; links with an expiry drop out via the store TTL.
+// Links are followed through GET /s/:slug, which records the clicks.
+const shortLinks = shortLinkStore.links;
+const userShortLinks = shortLinkStore.users;
 
 async function shortlinkFunction(request) {
   try {
@@ -55,23 +57,21 @@ async function shortlinkFunction(request) {
     const expiresAt = expiresIn ? calculateExpiration(expiresIn) : null;
     
     // Create short link
-    const shortLink = createShortLink(url, slug, userId, expiresAt, password);
+    const passwordHash = password ? await shortLinkStore.hashPassword(password) : null;
+    const shortLink = createShortLink(url, slug, userId, expiresAt, passwordHash, request.metadata, request.caller);
     
-    // Store in memory
-    shortLinks.set(slug, shortLink);
+    // Store the link
+    await shortLinks.set(slug, shortLink, { ttl: shortLinkStore.getTTL(shortLink.expiresAt) });
     
-    // Track user's short links
+    // Track user's short links, keeping only the last 100
     if (userId) {
-      if (!userShortLinks.has(userId)) {
-        userShortLinks.set(userId, []);
-      }
-      userShortLinks.get(userId).push(slug);
-      
-      // Keep only last 100 links per user
-      if (userShortLinks.get(userId).length > 100) {
-        const oldSlug = userShortLinks.get(userId).shift();
-        shortLinks.delete(oldSlug);
-      }
+      let removed = [];
+      await userShortLinks.update(userId, (slugs) => {
+        const list = [...(slugs || []), slug];
+        removed = list.slice(0, Math.max(list.length - 100, 0));
+        return list.slice(-100);
+      });
+      await Promise.all(removed.map(oldSlug => shortLinks.delete(oldSlug)));
     }
 
     return {
@@ -112,7 +112,7 @@ async function generateSlug(customSlug, url) {
     }
     
     // Check if slug is available
-    if (shortLinks.has(customSlug)) {
+    if (await shortLinks.has(customSlug)) {
       return null;
     }
     
@@ -136,7 +136,7 @@ async function generateSlug(customSlug, url) {
     }
     
     attempts++;
-  } while (shortLinks.has(slug) && attempts < 10);
+  } while (await shortLinks.has(slug) && attempts < 10);
   
   if (attempts >= 10) {
     throw new Error('Failed to generate unique slug');
@@ -174,27 +174,26 @@ function calculateExpiration(expiresIn) {
   return now.toISOString();
 }
 
-function createShortLink(originalUrl, slug, userId, expiresAt, password) {
-  const baseUrl = process.env.SHORTLINK_BASE_URL || 'https://short.example.com';
-  const shortUrl = `${baseUrl}/${slug}`;
-  const statsUrl = `${baseUrl}/stats/${slug}`;
-  
+function createShortLink(originalUrl, slug, userId, expiresAt, passwordHash, metadata = {}, caller = null) {
   const shortLink = {
     id: uuidv4(),
     originalUrl: originalUrl,
-    shortUrl: shortUrl,
+    shortUrl: shortLinkStore.getShortUrl(slug),
     slug: slug,
     createdAt: new Date().toISOString(),
     expiresAt: expiresAt,
     userId: userId,
-    hasPassword: !!password,
-    passwordHash: password ? Buffer.from(password).toString('base64') : null,
+    // The API key that created the link is what proves ownership later; userId is just a number
+    apiKeyId: caller?.apiKeyId || null,
+    hasPassword: !!passwordHash,
+    passwordHash: passwordHash,
     clicks: 0,
-    clickHistory: [],
+    previews: 0,
     lastClicked: null,
+    statsUrl: shortLinkStore.getStatsUrl(slug, userId),
     metadata: {
-      userAgent: request?.headers?.['user-agent'],
-      ip: request?.ip
+      userAgent: metadata.userAgent,
+      ip: metadata.ip
     }
   };
   
@@ -210,7 +209,9 @@ function formatShortLinkResponse(shortLink) {
   formatted += `📝 *Original URL:*\n${shortLink.originalUrl.substring(0, 80)}...\n\n`;
   formatted += `✨ *Short URL:*\n${shortLink.shortUrl}\n\n`;
   
-  formatted += `📊 *Stats URL:* ${shortLink.statsUrl}\n`;
+  if (shortLink.statsUrl) {
+    formatted += `📊 *Stats URL:* ${shortLink.statsUrl}\n`;
+  }
   formatted += `📅 *Created:* ${new Date(shortLink.createdAt).toLocaleDateString()}\n`;
   formatted += `⏰ *Expires:* ${expiresInfo}\n`;
   formatted += `👆 *Clicks:* ${shortLink.clicks}\n\n`;
@@ -232,103 +233,61 @@ function formatShortLinkResponse(shortLink) {
   return formatted;
 }
 
-// URL resolution function
-shortlinkFunction.resolve = function(slug, password = null) {
-  const shortLink = shortLinks.get(slug);
-  
-  if (!shortLink) {
+// URL resolution function; visit: { referrer, userAgent, ip, record }
+shortlinkFunction.resolve = async function(slug, password = null, visit = {}) {
+  try {
+    const { url, link, click } = await shortLinkStore.resolve(slug, { ...visit, password });
+    
     return {
-      success: false,
-      error: 'Short link not found'
+      success: true,
+      url: url,
+      clicks: (link.clicks || 0) + (click && !click.bot ? 1 : 0)
     };
-  }
-  
-  // Check expiration
-  if (shortLink.expiresAt && new Date(shortLink.expiresAt) < new Date()) {
-    // Clean up expired link
-    shortLinks.delete(slug);
+  } catch (error) {
+    if (error.name !== 'ShortLinkError') throw error;
     return {
       success: false,
-      error: 'Short link has expired'
+      error: error.message,
+      code: error.code
     };
   }
-  
-  // Check password
-  if (shortLink.hasPassword) {
-    const providedHash = password ? Buffer.from(password).toString('base64') : null;
-    if (providedHash !== shortLink.passwordHash) {
-      return {
-        success: false,
-        error: 'Password required or incorrect'
-      };
-    }
-  }
-  
-  // Update click stats
-  shortLink.clicks++;
-  shortLink.lastClicked = new Date().toISOString();
-  shortLink.clickHistory.push({
-    timestamp: new Date().toISOString(),
-    userAgent: request?.headers?.['user-agent'],
-    ip: request?.ip
-  });
-  
-  // Keep only last 1000 click records
-  if (shortLink.clickHistory.length > 1000) {
-    shortLink.clickHistory = shortLink.clickHistory.slice(-1000);
-  }
-  
-  return {
-    success: true,
-    url: shortLink.originalUrl,
-    clicks: shortLink.clicks
-  };
 };
 
 // Statistics function
-shortlinkFunction.getStats = function(slug, userId = null) {
-  // If slug provided, get stats for that link
-  if (slug) {
-    const shortLink = shortLinks.get(slug);
-    
-    if (!shortLink) {
-      return {
-        success: false,
-        error: 'Short link not found'
-      };
-    }
-    
-    // Check if user owns this link
-    if (userId && shortLink.userId !== userId) {
+shortlinkFunction.getStats = async function(slug, userId = null) {
+  try {
+    // If slug provided, get stats for that link
+    if (slug) {
+      const stats = await shortLinkStore.getStats(slug);
+      
+      // Check if user owns this link
+      if (userId && stats.userId !== userId) {
+        return {
+          success: false,
+          error: 'You do not have permission to view these stats'
+        };
+      }
+      
       return {
-        success: false,
-        error: 'You do not have permission to view these stats'
+        success: true,
+        stats: stats,
+        formatted: formatLinkStats(stats)
       };
     }
-    
+  } catch (error) {
+    if (error.name !== 'ShortLinkError') throw error;
     return {
-      success: true,
-      stats: {
-        shortLink: shortLink,
-        clickHistory: shortLink.clickHistory.slice(-100),
-        uniqueClicks: new Set(shortLink.clickHistory.map(c => c.ip)).size,
-        last7Days: shortLink.clickHistory.filter(c => 
-          new Date(c.timestamp) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-        ).length
-      },
-      formatted: formatLinkStats(shortLink)
+      success: false,
+      error: error.message
     };
   }
   
   // If userId provided, get all user's links
   if (userId) {
-    const userLinks = userShortLinks.get(userId) || [];
-    const links = userLinks.map(slug => shortLinks.get(slug)).filter(Boolean);
+    const links = await shortLinkStore.listForUser(userId);
     
     const totalClicks = links.reduce((sum, link) => sum + link.clicks, 0);
-    const activeLinks = links.filter(link => 
-      !link.expiresAt || new Date(link.expiresAt) > new Date()
-    ).length;
+    const activeLinks = links.filter(link => link.active).length;
     
     return {
       success: true,
@@ -354,29 +313,35 @@ shortlinkFunction.getStats = function(slug, userId = null) {
   };
 };
 
-function formatLinkStats(shortLink) {
-  const last7Days = shortLink.clickHistory.filter(c => 
-    new Date(c.timestamp) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-  ).length;
-  
-  const uniqueClicks = new Set(shortLink.clickHistory.map(c => c.ip)).size;
-  
+function formatLinkStats(stats) {
   let formatted = `📊 *Short Link Statistics*\n\n`;
-  formatted += `🔗 *URL:* ${shortLink.shortUrl}\n`;
-  formatted += `🎯 *Destination:* ${shortLink.originalUrl.substring(0, 60)}...\n\n`;
+  formatted += `🔗 *URL:* ${stats.shortUrl}\n`;
+  formatted += stats.originalUrl
+    ? `🎯 *Destination:* ${stats.originalUrl.substring(0, 60)}...\n\n`
+    : `🔒 *Destination:* hidden (password protected)\n\n`;
   
   formatted += `📈 *Click Statistics:*\n`;
-  formatted += `   👆 Total Clicks: ${shortLink.clicks}\n`;
-  formatted += `   👥 Unique Visitors: ${uniqueClicks}\n`;
-  formatted += `   📅 Last 7 Days: ${last7Days}\n`;
-  formatted += `   🕒 Last Click: ${shortLink.lastClicked ? new Date(shortLink.lastClicked).toLocaleString() : 'Never'}\n\n`;
+  formatted += `   👆 Total Clicks: ${stats.clicks}\n`;
+  formatted += `   👥 Unique Visitors: ${stats.uniqueVisitors}\n`;
+  formatted += `   📅 Last 7 Days: ${stats.last7Days}\n`;
+  formatted += `   👀 Link Previews: ${stats.previews}\n`;
+  formatted += `   🕒 Last Click: ${stats.lastClicked ? new Date(stats.lastClicked).toLocaleString() : 'Never'}\n\n`;
   
-  if (shortLink.clickHistory.length > 0) {
+  if (stats.referrers.length > 0) {
+    formatted += `🌐 *Top Referrers:*\n`;
+    stats.referrers.slice(0, 5).forEach(referrer => {
+      formatted += `   • ${referrer.name}: ${referrer.clicks}\n`;
+    });
+    formatted += `\n`;
+  }
+  
+  const recent = stats.recent.filter(click => !click.bot);
+  if (recent.length > 0) {
     formatted += `📅 *Recent Clicks (last 10):*\n`;
     
-    shortLink.clickHistory.slice(-10).reverse().forEach((click, index) => {
+    recent.slice(0, 10).forEach((click, index) => {
       const time = new Date(click.timestamp).toLocaleTimeString();
-      formatted += `   ${index + 1}. ${time} - ${click.ip || 'Unknown'}\n`;
+      formatted += `   ${index + 1}. ${time} - ${click.browser}${click.referrer ? ` via ${click.referrer}` : ''}\n`;
     });
   }
   
@@ -411,4 +376,24 @@ function formatUserStats(links, totalClicks, activeLinks) {
   return formatted;
 }
 
+shortlinkFunction.schema = {
+  url: { type: 'string', required: true, isURL: true, maxLength: 2048, description: 'Destination URL' },
+  customSlug: { type: 'string', minLength: 3, maxLength: 30, pattern: /^[a-zA-Z0-9_-]+$/, default: null, description: 'Slug to use instead of a random one' },
+  userId: { type: 'string', maxLength: 100, default: null, description: 'Owner of the link' },
+  expiresIn: { type: 'string', maxLength: 20, default: null, description: 'Lifetime such as 1h, 7d or 1w' },
+  password: { type: 'string', minLength: 1, maxLength: 100, default: null, description: 'Password required to follow the link' }
+};
+
+shortlinkFunction.manifest = {
+  description: 'Create a short link with optional custom slug, expiry and password',
+  env: {
+    required: [],
+    optional: ['SHORTLINK_BASE_URL', 'SHORTLINK_SALT']
+  },
+  example: { url: 'https://example.com/very/long/path', customSlug: 'meetup' },
+  output: {
+    result: { originalUrl: 'string', shortUrl: 'string', slug: 'string', createdAt: 'string', expiresAt: 'string', clicks: 'number', hasPassword: 'boolean', statsUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = shortlinkFunction;
@@ -129,4 +129,25 @@ async function toimgFunction(request) {
     }
 }
 
+toimgFunction.schema = {
+    buffer: { type: 'buffer', description: 'Base64 image data' },
+    base64Data: { type: 'string', description: 'Base64 image data, with or without a data URI prefix' },
+    url: { type: 'string', isURL: true, maxLength: 2048, description: 'Image URL' },
+    targetFormat: { type: 'string', maxLength: 10, default: 'jpeg', description: 'Output format' },
+    quality: { type: 'number', isInteger: true, min: 1, max: 100, default: 85, description: 'Output quality from 1 to 100' }
+};
+
+toimgFunction.manifest = {
+    description: 'Convert a sticker or document image to a regular image format',
+    cost: 2,
+    env: {
+        required: [],
+        optional: []
+    },
+    example: { url: 'https://example.com/sticker.webp', targetFormat: 'png' },
+    output: {
+        data: { imageBuffer: 'string', format: 'string', dimensions: 'object', mimeType: 'string', size: 'number', tempPath: 'string', originalSize: 'number', compressionRatio: 'string' }
+    }
+};
+
 module.exports = toimgFunction;
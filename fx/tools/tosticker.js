@@ -186,4 +186,28 @@ async function tostickerFunction(request) {
     }
 }
 
+tostickerFunction.schema = {
+    buffer: { type: 'buffer', description: 'Base64 image data' },
+    base64Data: { type: 'string', description: 'Base64 image data, with or without a data URI prefix' },
+    url: { type: 'string', isURL: true, maxLength: 2048, description: 'Image URL' },
+    packName: { type: 'string', maxLength: 100, default: 'My Sticker Pack', description: 'Sticker pack name' },
+    author: { type: 'string', maxLength: 100, default: 'Nethunter Bot', description: 'Sticker pack author' },
+    categories: { type: 'array', maxItems: 3, itemSchema: { type: 'string', maxLength: 10 }, default: ['🤖', '😊'], description: 'Emoji categories for the sticker' },
+    quality: { type: 'number', isInteger: true, min: 1, max: 100, default: 85, description: 'WebP quality from 1 to 100' },
+    removeBackground: { type: 'boolean', default: false, description: 'Strip the alpha channel' }
+};
+
+tostickerFunction.manifest = {
+    description: 'Convert an image into a WhatsApp sticker',
+    cost: 2,
+    env: {
+        required: [],
+        optional: ['APP_URL']
+    },
+    example: { url: 'https://example.com/photo.png', packName: 'Squad' },
+    output: {
+        data: { stickerBuffer: 'string', webpData: 'string', metadata: 'object', tempPath: 'string', downloadUrl: 'string', validation: 'object' }
+    }
+};
+
 module.exports = tostickerFunction;
@@ -505,4 +505,23 @@ function formatBatchTranslations(translations, target) {
   return formatted;
 }
 
+translateFunction.schema = {
+  text: { type: 'string', required: true, minLength: 1, maxLength: 5000, description: 'Text to translate' },
+  target: { type: 'string', maxLength: 10, default: 'en', description: 'Target language code' },
+  source: { type: 'string', maxLength: 10, default: 'auto', description: 'Source language code, or auto to detect it' },
+  format: { type: 'string', maxLength: 10, default: 'text', description: 'Input format' }
+};
+
+translateFunction.manifest = {
+  description: 'Translate text between languages',
+  env: {
+    required: [],
+    optional: ['GOOGLE_TRANSLATE_API_KEY', 'LIBRE_TRANSLATE_URL', 'LIBRE_TRANSLATE_API_KEY']
+  },
+  example: { text: 'Bonjour tout le monde', target: 'en' },
+  output: {
+    result: { original: 'string', translated: 'string', sourceLanguage: 'string', targetLanguage: 'string', confidence: 'number', pronunciation: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = translateFunction;
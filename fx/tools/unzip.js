@@ -397,4 +397,25 @@ function formatPasswordResults(tried, foundPassword) {
   return formatted;
 };
 
+unzipFunction.schema = {
+  zipUrl: { type: 'string', required: true, isURL: true, maxLength: 2048, description: 'Archive URL' },
+  extractPath: { type: 'string', maxLength: 255, default: null, description: 'Sub-folder to extract into' },
+  password: { type: 'string', maxLength: 100, default: null, description: 'Archive password' },
+  extractAll: { type: 'boolean', default: true, description: 'Extract every entry' },
+  files: { type: 'array', maxItems: 100, itemSchema: { type: 'string', maxLength: 255 }, default: [], description: 'Entries to extract when extractAll is false' }
+};
+
+unzipFunction.manifest = {
+  description: 'Extract a zip archive from a URL',
+  cost: 3,
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { zipUrl: 'https://example.com/archive.zip' },
+  output: {
+    result: { extractionId: 'string', extractedFiles: 'array', totalFiles: 'number', extractedSize: 'number', passwordUsed: 'boolean', downloadUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = unzipFunction;
@@ -611,4 +611,24 @@ function formatWeatherAlerts(location, alerts) {
   return formatted;
 };
 
+weatherFunction.schema = {
+  location: { type: 'string', required: true, minLength: 1, maxLength: 100, description: 'City or place name' },
+  units: { type: 'string', enum: ['metric', 'imperial'], default: 'metric', description: 'Measurement system' },
+  forecast: { type: 'boolean', default: false, description: 'Include a daily forecast' },
+  days: { type: 'number', isInteger: true, min: 1, max: 7, default: 3, description: 'Forecast length in days' },
+  detailed: { type: 'boolean', default: false, description: 'Include extended conditions' }
+};
+
+weatherFunction.manifest = {
+  description: 'Current weather and forecast for a location',
+  env: {
+    required: [],
+    optional: ['WEATHER_API_KEY', 'WEATHERAPI_KEY']
+  },
+  example: { location: 'Lagos', forecast: true },
+  output: {
+    result: { location: 'object', current: 'object', forecast: 'array', units: 'string', source: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = weatherFunction;
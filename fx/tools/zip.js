@@ -14,6 +14,8 @@ async function zipFunction(request) {
       compression = 'normal',
       password = null 
     } = request.data;
+    const progress = request.progress || (() => {});
+    const { signal } = request;
     
     if ((!files || files.length === 0) && (!folders || folders.length === 0)) {
       return {
@@ -38,7 +40,8 @@ async function zipFunction(request) {
     }
 
     // Create zip file
-    const zipResult = await createZipArchive(files, folders, name, compression, password);
+    progress(10, `Compressing ${totalItems} items`);
+    const zipResult = await createZipArchive(files, folders, name, compression, password, signal);
     
     return {
       success: true,
@@ -71,7 +74,7 @@ async function zipFunction(request) {
   }
 }
 
-async function createZipArchive(files, folders, name, compression, password) {
+async function createZipArchive(files, folders, name, compression, password, signal) {
   return new Promise(async (resolve, reject) => {
     const archiveId = uuidv4();
     const filename = name ? `${name}.zip` : `archive_${archiveId}.zip`;
@@ -87,6 +90,7 @@ async function createZipArchive(files, folders, name, compression, password) {
       
       // Process individual files
       for (const file of files) {
+        signal?.throwIfAborted();
         if (file.url && file.filename) {
           const filePath = await downloadFile(file.url, tempDir, file.filename);
           filePaths.push(filePath);
@@ -100,6 +104,7 @@ async function createZipArchive(files, folders, name, compression, password) {
       
       // Process folders (simulated - in production would scan directory)
       for (const folder of folders) {
+        signal?.throwIfAborted();
         const folderPath = path.join(tempDir, folder.name || `folder_${Date.now()}`);
         await fs.mkdir(folderPath, { recursive: true });
         
@@ -140,6 +145,9 @@ async function createZipArchive(files, folders, name, compression, password) {
         archive.file(filePath, { name: relativePath });
       }
       
+      // Nothing has been written yet if the job was cancelled meanwhile
+      signal?.throwIfAborted();
+      
       // Pipe archive data to file
       archive.pipe(output);
       
@@ -358,4 +366,25 @@ function formatZipInfo(info) {
   return formatted;
 }
 
+zipFunction.schema = {
+  files: { type: 'array', maxItems: 50, itemSchema: { type: 'object' }, default: [], description: 'Files as { url, filename } or { path }' },
+  folders: { type: 'array', maxItems: 50, itemSchema: { type: 'object' }, default: [], description: 'Folders to include' },
+  name: { type: 'string', maxLength: 100, default: null, description: 'Archive file name' },
+  compression: { type: 'string', maxLength: 20, default: 'normal', description: 'none, fast, normal or maximum' },
+  password: { type: 'string', maxLength: 100, default: null, description: 'Archive password' }
+};
+
+zipFunction.manifest = {
+  description: 'Bundle files and folders into a zip archive',
+  cost: 3,
+  env: {
+    required: [],
+    optional: []
+  },
+  example: { files: [{ url: 'https://example.com/a.txt', filename: 'a.txt' }], name: 'bundle' },
+  output: {
+    result: { archiveId: 'string', filename: 'string', size: 'number', fileCount: 'number', compression: 'string', passwordProtected: 'boolean', downloadUrl: 'string', formatted: 'string' }
+  }
+};
+
 module.exports = zipFunction;
@@ -4,47 +4,105 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('rate-limiter-flexible');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 
 // Load environment variables
 dotenv.config();
 
 // Import response builder
-const { createErrorResponse, createSuccessResponse } = require('./lib/response');
+const { createErrorResponse, createSuccessResponse, createValidationErrorResponse } = require('./lib/response');
+const validation = require('./lib/validation');
+const manifestBuilder = require('./lib/manifest');
+const openapiBuilder = require('./lib/openapi');
+const registry = require('./lib/registry');
+const jobQueue = require('./lib/jobs');
+const webhooks = require('./lib/webhooks');
+const apiKeys = require('./lib/apikeys');
+const rateLimits = require('./lib/ratelimit');
+const store = require('./lib/store');
+const shortLinks = require('./lib/shortlinks');
+const pastes = require('./lib/pastes');
+const llm = require('./lib/llm');
+const tools = require('./lib/tools');
+const activity = require('./lib/activity');
+const audit = require('./lib/audit');
+const policies = require('./lib/policies');
+const schedules = require('./lib/schedules');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const HOT_RELOAD = process.env.FX_HOT_RELOAD
+    ? process.env.FX_HOT_RELOAD === 'true'
+    : NODE_ENV === 'development';
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
 
-// Rate limiting
-const rateLimiter = new rateLimit.RateLimiterMemory({
-    points: 100, // 100 requests
-    duration: 60, // per 60 seconds
-    blockDuration: 300 // block for 5 minutes if exceeded
-});
+// Maximum number of requests executed per /batch call
+const MAX_BATCH_SIZE = 10;
+
+/**
+ * Function calls a request will execute, used to weigh it for rate limiting
+ */
+function getRequestedCalls(req) {
+    const body = req.body || {};
+    const items = req.path === '/batch'
+        ? (Array.isArray(body.requests) ? body.requests.slice(0, MAX_BATCH_SIZE) : [])
+        : [body];
+    
+    return items
+        .filter(item => item && typeof item.category === 'string' && typeof item.function === 'string')
+        .map(item => ({ category: item.category, function: item.function }));
+}
+
+/**
+ * Who a request is charged to: its API key, else its IP address.
+ * Passed to functions as request.caller so calls they make are charged the same way.
+ */
+function getCaller(req) {
+    return {
+        apiKeyId: req.apiKey ? req.apiKey.id : null,
+        client: req.apiKey ? `key:${req.apiKey.id}` : (req.ip || req.connection.remoteAddress)
+    };
+}
 
-// Apply rate limiting middleware
-const rateLimiterMiddleware = async (req, res, next) => {
+/**
+ * Rate limiting middleware (per API key when one was presented).
+ * Plain requests cost 1 point; with { weighted: true } the request is charged
+ * the cost of every function it executes, including each /batch item.
+ */
+const createRateLimiter = ({ weighted = false } = {}) => async (req, res, next) => {
+    const { client } = getCaller(req);
+    const calls = weighted ? getRequestedCalls(req) : [];
+    const consumeGlobal = req.apiKey ? (points) => apiKeys.consumeRate(req.apiKey, points) : null;
+    
     try {
-        const clientIP = req.ip || req.connection.remoteAddress;
-        await rateLimiter.consume(clientIP);
+        req.rateLimitCost = await rateLimits.consume(client, calls, consumeGlobal);
+        res.set('X-RateLimit-Cost', String(req.rateLimitCost));
         next();
     } catch (error) {
+        if (error.name !== 'RateLimitError') {
+            console.error('Rate limiter error:', error);
+        }
+        
         res.status(429).json({
             success: false,
             error: {
                 code: 'RATE_LIMIT_EXCEEDED',
-                message: 'Too many requests, please try again later',
-                retryAfter: Math.ceil(error.msBeforeNext / 1000) || 60
+                message: error.name === 'RateLimitError' ? error.message : 'Too many requests, please try again later',
+                retryAfter: error.retryAfter || Math.ceil(error.msBeforeNext / 1000) || 60,
+                ...(error.details || {})
             }
         });
     }
 };
 
+const rateLimiterMiddleware = createRateLimiter();
+const costRateLimiterMiddleware = createRateLimiter({ weighted: true });
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -73,7 +131,7 @@ const corsOptions = {
         }
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-API-Key', 'X-Link-Password'],
     credentials: true,
     maxAge: 86400 // 24 hours
 };
@@ -102,6 +160,46 @@ app.use(compression({
 // Logging
 app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
 
+// Routes that never need an API key (admin routes check ADMIN_TOKEN instead)
+const publicPaths = ['/health', '/openapi.json', '/cache', '/reload'];
+
+// API key authentication
+app.use((req, res, next) => {
+    const key = req.get('X-API-Key');
+    
+    if (key) {
+        const record = apiKeys.authenticate(key);
+        if (!record) {
+            return res.status(401).json(createErrorResponse(
+                'INVALID_TOKEN',
+                'Invalid or revoked API key',
+                null,
+                401
+            ));
+        }
+        
+        req.apiKey = record;
+        return next();
+    }
+    
+    const isPublic = publicPaths.includes(req.path) ||
+        req.path.startsWith('/temp/') ||
+        req.path.startsWith('/s/') ||
+        (req.path.startsWith('/p/') && ['GET', 'HEAD'].includes(req.method)) ||
+        req.path.startsWith('/admin/');
+    
+    if (REQUIRE_API_KEY && !isPublic) {
+        return res.status(401).json(createErrorResponse(
+            'UNAUTHORIZED',
+            'API key required in the X-API-Key header',
+            null,
+            401
+        ));
+    }
+    
+    next();
+});
+
 // Static files (for temp file downloads)
 app.use('/temp', express.static(path.join(__dirname, 'temp'), {
     maxAge: '1h',
@@ -111,14 +209,21 @@ app.use('/temp', express.static(path.join(__dirname, 'temp'), {
 }));
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    if (!registry.checkedAt) {
+        await registry.check();
+    }
+    
+    const functions = registry.getStatus();
+    
     res.status(200).json({
-        status: 'healthy',
+        status: functions.broken.length > 0 ? 'degraded' : 'healthy',
         timestamp: new Date().toISOString(),
         service: 'nethunter-fx',
         version: process.env.npm_package_version || '1.0.0',
         environment: NODE_ENV,
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        functions
     });
 });
 
@@ -129,78 +234,338 @@ const functionCache = new Map();
  * Load a function dynamically from the fx/ directory
  */
 async function loadFunction(category, functionName) {
-    const cacheKey = `${category}:${functionName}`;
+    await registry.ready();
+    
+    // Rescan once in case the file was added since the last scan
+    let entry = registry.resolve(category, functionName);
+    if (!entry) {
+        await registry.scan();
+        entry = registry.resolve(category, functionName);
+    }
+    
+    if (!entry) {
+        throw new Error(`Function ${functionName} not found in category ${category}`);
+    }
     
     // Check cache first
-    if (functionCache.has(cacheKey)) {
-        return functionCache.get(cacheKey);
+    if (functionCache.has(entry.id)) {
+        return functionCache.get(entry.id);
     }
     
     try {
-        const functionPath = path.join(__dirname, 'fx', category, `${functionName}.js`);
-        
-        // Check if file exists
-        try {
-            await fs.access(functionPath);
-        } catch {
-            throw new Error(`Function ${functionName} not found in category ${category}`);
-        }
-        
-        // Load the module
-        const functionModule = require(functionPath);
-        
-        // Validate the function
-        if (typeof functionModule !== 'function') {
-            throw new Error(`Invalid function export in ${category}/${functionName}.js`);
-        }
+        // Load and validate the module
+        const functionModule = require(entry.file);
+        registry.register(entry, functionModule);
+        registry.rebuildAliases();
         
         // Cache the function
-        functionCache.set(cacheKey, functionModule);
+        functionCache.set(entry.id, functionModule);
         
         return functionModule;
     } catch (error) {
-        console.error(`Failed to load function ${category}/${functionName}:`, error);
+        entry.status = 'broken';
+        entry.error = error.message.split('\n')[0];
+        console.error(`Failed to load function ${entry.id}:`, error);
         throw error;
     }
 }
 
 /**
- * Get all available functions (for discovery)
+ * Reload a function from disk, swapping it in only once it loads and validates.
+ * On failure the previous version keeps serving requests.
  */
-async function getAvailableFunctions() {
-    const functions = {};
-    const basePath = path.join(__dirname, 'fx');
+function reloadFunction(entry) {
+    const previous = require.cache[entry.file];
+    delete require.cache[entry.file];
     
     try {
-        const categories = await fs.readdir(basePath);
+        const functionModule = require(entry.file);
+        registry.register(entry, functionModule);
+        registry.rebuildAliases();
         
-        for (const category of categories) {
-            const categoryPath = path.join(basePath, category);
-            const stat = await fs.stat(categoryPath);
-            
-            if (stat.isDirectory()) {
-                const files = await fs.readdir(categoryPath);
-                const functionFiles = files.filter(file => file.endsWith('.js'));
-                
-                functions[category] = functionFiles.map(file => ({
-                    name: file.replace('.js', ''),
-                    path: `fx/${category}/${file}`,
-                    category: category
-                }));
+        functionCache.set(entry.id, functionModule);
+        entry.reloadedAt = new Date().toISOString();
+        
+        return functionModule;
+    } catch (error) {
+        if (previous) {
+            require.cache[entry.file] = previous;
+        } else {
+            delete require.cache[entry.file];
+            entry.status = 'broken';
+            entry.error = error.message.split('\n')[0];
+        }
+        
+        throw error;
+    }
+}
+
+/**
+ * Drop a function from both the loader cache and Node's require cache
+ */
+function evictFunction(entry) {
+    functionCache.delete(entry.id);
+    delete require.cache[entry.file];
+}
+
+/**
+ * Watch fx/ and reload modules as they change (development)
+ */
+function watchFunctions() {
+    const pending = new Map();
+    
+    const handleChange = async (file) => {
+        pending.delete(file);
+        
+        const findByFile = () => Array.from(registry.functions.values()).find(entry => entry.file === file);
+        const previous = findByFile();
+        
+        try {
+            await registry.scan();
+        } catch (error) {
+            console.error('Error scanning functions:', error);
+            return;
+        }
+        
+        const entry = findByFile();
+        if (!entry) {
+            if (previous) {
+                evictFunction(previous);
+                console.log(`↻ Removed ${previous.id}`);
             }
+            return;
+        }
+        
+        try {
+            reloadFunction(entry);
+            console.log(`↻ Reloaded ${entry.id}`);
+        } catch (error) {
+            console.log(`✗ Reload of ${entry.id} failed, keeping previous version: ${error.message.split('\n')[0]}`);
+        }
+    };
+    
+    const watcher = fsSync.watch(registry.basePath, { recursive: true }, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.js')) {
+            return;
+        }
+        
+        // Editors emit several events per save
+        const file = path.join(registry.basePath, filename);
+        clearTimeout(pending.get(file));
+        pending.set(file, setTimeout(() => handleChange(file), 200));
+    });
+    
+    watcher.on('error', (error) => {
+        console.error('Function watcher error:', error.message);
+    });
+    
+    return watcher;
+}
+
+/**
+ * Require the admin token. Without ADMIN_TOKEN configured, admin routes
+ * stay open outside production only.
+ */
+const adminAuthMiddleware = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const adminToken = process.env.ADMIN_TOKEN;
+    
+    if (adminToken ? authHeader !== `Bearer ${adminToken}` : NODE_ENV === 'production') {
+        return res.status(403).json(createErrorResponse(
+            'UNAUTHORIZED',
+            'Admin token required'
+        ));
+    }
+    
+    next();
+};
+
+/**
+ * Check whether a function is in the loader cache, following aliases
+ */
+function isCached(category, functionName) {
+    const entry = registry.resolve(category, functionName);
+    return Boolean(entry && functionCache.has(entry.id));
+}
+
+/**
+ * Validate request data against the input schema a function module declares.
+ * Returns an array of field-level errors, or null when the data is acceptable.
+ */
+function validateFunctionData(functionModule, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{
+            field: 'data',
+            error: 'Field must be of type object',
+            code: 'INVALID_TYPE'
+        }];
+    }
+    
+    if (!functionModule.schema) {
+        return null;
+    }
+    
+    try {
+        validation.validateSchema(data, functionModule.schema);
+        return null;
+    } catch (error) {
+        if (error.name !== 'ValidationError') {
+            throw error;
         }
         
-        return functions;
+        return error.details || [{
+            field: error.field,
+            error: error.message,
+            code: error.code
+        }];
+    }
+}
+
+/**
+ * Check the caller's API key scopes for a function.
+ * Returns an error response, or null when the call is allowed.
+ */
+function checkScope(req, category, functionName) {
+    if (!req.apiKey || apiKeys.isAllowed(req.apiKey, category, functionName)) {
+        return null;
+    }
+    
+    return createErrorResponse(
+        'FORBIDDEN',
+        `API key is not allowed to call ${category}/${functionName}`,
+        { scopes: req.apiKey.scopes },
+        403
+    );
+}
+
+/**
+ * Count a call against the caller's daily quota.
+ * Returns an error response, or null when quota remains.
+ */
+function chargeQuota(req, res) {
+    if (!req.apiKey) {
+        return null;
+    }
+    
+    try {
+        const quota = apiKeys.consumeQuota(req.apiKey);
+        if (quota.remaining !== null) {
+            res.set('X-Quota-Remaining', String(quota.remaining));
+        }
+        return null;
+    } catch (error) {
+        if (error.name !== 'ApiKeyError') {
+            throw error;
+        }
+        return createErrorResponse(error.code, error.message, error.details, error.httpStatus);
+    }
+}
+
+/**
+ * Check a group's command policy when the call names a group and a sender
+ * (metadata.groupId and metadata.userId), and start the command's cooldown.
+ * Returns an error response, or null when the call is allowed.
+ */
+async function checkPolicy(category, functionName, metadata, res = null) {
+    if (!metadata?.groupId || !metadata?.userId) {
+        return null;
+    }
+
+    const decision = await policies.evaluate(metadata.groupId, metadata.userId, category, functionName, { consume: true });
+    if (decision.allowed) {
+        return null;
+    }
+
+    if (decision.retryAfter && res) {
+        res.set('Retry-After', String(decision.retryAfter));
+    }
+
+    return createErrorResponse(
+        decision.httpStatus === 429 ? 'RATE_LIMITED' : 'FORBIDDEN',
+        decision.message,
+        {
+            reason: decision.code,
+            role: decision.role,
+            required: decision.required,
+            rule: decision.rule,
+            ...(decision.retryAfter && { retryAfter: decision.retryAfter })
+        },
+        decision.httpStatus
+    );
+}
+
+/**
+ * Find a job the caller may see: jobs queued with an API key belong to that key
+ */
+function findOwnedJob(req) {
+    const job = jobQueue.get(req.params.id);
+    
+    if (!job || (job.owner && job.owner !== req.apiKey?.id)) {
+        return null;
+    }
+    
+    return job;
+}
+
+/**
+ * Read callbackUrl/callbackSecret from a request body.
+ * Returns { callback }, or { errors } when they are present but unusable.
+ */
+function parseCallback(body) {
+    const { callbackUrl, callbackSecret } = body;
+    
+    if (callbackUrl === undefined && callbackSecret === undefined) {
+        return { callback: null };
+    }
+    
+    const errors = webhooks.validateCallback(callbackUrl, callbackSecret);
+    return errors ? { errors } : { callback: { url: callbackUrl, secret: callbackSecret } };
+}
+
+/**
+ * Get all available functions (for discovery)
+ */
+async function getAvailableFunctions() {
+    try {
+        return await registry.scan();
     } catch (error) {
         console.error('Error scanning functions:', error);
         return {};
     }
 }
 
+/**
+ * Describe a function from the manifest its module declares
+ */
+async function describeFunction(category, functionName) {
+    const info = {
+        category,
+        name: functionName,
+        path: `fx/${category}/${functionName}.js`
+    };
+    
+    try {
+        const functionModule = await loadFunction(category, functionName);
+        return {
+            ...manifestBuilder.build(functionModule, {
+                ...info,
+                cost: rateLimits.getCost(category, functionName)
+            }),
+            available: true
+        };
+    } catch (error) {
+        return {
+            ...info,
+            available: false,
+            loadError: error.message.split('\n')[0]
+        };
+    }
+}
+
 /**
  * Main execution endpoint
  */
-app.post('/execute', rateLimiterMiddleware, async (req, res) => {
+app.post('/execute', costRateLimiterMiddleware, async (req, res) => {
     const startTime = Date.now();
     const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
@@ -230,9 +595,70 @@ app.post('/execute', rateLimiterMiddleware, async (req, res) => {
             ));
         }
         
+        const { callback, errors: callbackErrors } = parseCallback(req.body);
+        if (callbackErrors) {
+            return res.status(400).json(createValidationErrorResponse(callbackErrors, 'Invalid callback'));
+        }
+        
+        const scopeError = checkScope(req, category, functionName);
+        if (scopeError) {
+            return res.status(403).json(scopeError);
+        }
+        
         // Load the function
         const functionToExecute = await loadFunction(category, functionName);
         
+        // Validate input against the function's schema
+        const validationErrors = validateFunctionData(functionToExecute, data);
+        if (validationErrors) {
+            const errorResponse = createValidationErrorResponse(
+                validationErrors,
+                `Invalid input for ${category}/${functionName}`
+            );
+            errorResponse.metadata = {
+                ...errorResponse.metadata,
+                requestId,
+                category,
+                function: functionName,
+                timestamp: new Date().toISOString()
+            };
+            return res.status(400).json(errorResponse);
+        }
+        
+        const policyError = await checkPolicy(category, functionName, metadata, res);
+        if (policyError) {
+            return res.status(policyError.error.httpStatus).json(policyError);
+        }
+        
+        const quotaError = chargeQuota(req, res);
+        if (quotaError) {
+            return res.status(429).json(quotaError);
+        }
+        
+        // With a callback the call runs as a job and the result is POSTed back
+        if (callback) {
+            const job = jobQueue.enqueue({
+                category,
+                function: functionName,
+                data,
+                metadata: {
+                    ...metadata,
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent')
+                },
+                callback,
+                owner: req.apiKey?.id,
+                client: getCaller(req).client
+            });
+            
+            return res.status(202)
+                .location(`/jobs/${job.id}`)
+                .json(createSuccessResponse(jobQueue.serialize(job), 'Execution queued; the result will be sent to callbackUrl', {
+                    requestId,
+                    statusUrl: `/jobs/${job.id}`
+                }));
+        }
+        
         // Prepare execution context
         const executionContext = {
             requestId,
@@ -254,7 +680,8 @@ app.post('/execute', rateLimiterMiddleware, async (req, res) => {
             data,
             metadata: executionContext.metadata,
             requestId,
-            rawBody: req.rawBody
+            rawBody: req.rawBody,
+            caller: getCaller(req)
         };
         
         // Execute the function
@@ -276,7 +703,7 @@ app.post('/execute', rateLimiterMiddleware, async (req, res) => {
             category,
             function: functionName,
             timestamp: new Date().toISOString(),
-            cacheHit: functionCache.has(`${category}:${functionName}`)
+            cacheHit: isCached(category, functionName)
         };
         
         // Log successful execution
@@ -303,7 +730,9 @@ app.post('/execute', rateLimiterMiddleware, async (req, res) => {
         // Handle different error types
         let errorResponse;
         
-        if (error.message.includes('not found')) {
+        if (error.name === 'JobError') {
+            errorResponse = createErrorResponse(error.code, error.message, null, error.httpStatus);
+        } else if (error.message.includes('not found')) {
             errorResponse = createErrorResponse(
                 'FUNCTION_NOT_FOUND',
                 `Function not found: ${req.body?.category}/${req.body?.function}`,
@@ -343,92 +772,241 @@ app.post('/execute', rateLimiterMiddleware, async (req, res) => {
 });
 
 /**
- * Function discovery endpoint
+ * Streaming execution endpoint (Server-Sent Events)
+ * Functions emit incremental events through request.emit(event, data) and
+ * request.progress(percent, message); the final "done" event carries the
+ * same envelope /execute would return.
  */
-app.get('/functions', rateLimiterMiddleware, async (req, res) => {
+app.post('/execute/stream', costRateLimiterMiddleware, async (req, res) => {
+    const startTime = Date.now();
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { category, function: functionName, data = {}, metadata = {} } = req.body || {};
+    
+    if (!category || !functionName) {
+        return res.status(400).json(createErrorResponse(
+            'MISSING_FIELDS',
+            'Both category and function fields are required'
+        ));
+    }
+    
+    const scopeError = checkScope(req, category, functionName);
+    if (scopeError) {
+        return res.status(403).json(scopeError);
+    }
+    
+    // Errors before the stream opens are plain JSON responses
+    let functionToExecute;
     try {
-        const functions = await getAvailableFunctions();
-        
-        // Count total functions
-        let totalFunctions = 0;
-        const functionList = [];
-        
-        for (const [category, funcs] of Object.entries(functions)) {
-            totalFunctions += funcs.length;
-            functionList.push(...funcs.map(f => ({
-                name: f.name,
-                category: f.category,
-                endpoint: `/execute`,
-                method: 'POST',
-                exampleRequest: {
-                    category: f.category,
-                    function: f.name,
-                    data: {},
-                    metadata: {}
-                }
-            })));
+        functionToExecute = await loadFunction(category, functionName);
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json(createErrorResponse(
+                'FUNCTION_NOT_FOUND',
+                `Function not found: ${category}/${functionName}`,
+                null,
+                404
+            ));
         }
         
-        res.status(200).json(createSuccessResponse({
-            total: totalFunctions,
-            categories: Object.keys(functions),
-            functions: functionList,
-            byCategory: functions
-        }, 'Functions retrieved successfully', {
-            cacheSize: functionCache.size,
-            lastUpdated: new Date().toISOString()
-        }));
-    } catch (error) {
-        res.status(500).json(createErrorResponse(
-            'DISCOVERY_ERROR',
-            'Failed to retrieve functions list',
-            error.message
+        return res.status(500).json(createErrorResponse(
+            'FUNCTION_LOAD_ERROR',
+            `Failed to load ${category}/${functionName}`,
+            error.message.split('\n')[0],
+            500
         ));
     }
-});
-
-/**
- * Function info endpoint
- */
-app.get('/functions/:category/:function', rateLimiterMiddleware, async (req, res) => {
+    
+    const validationErrors = validateFunctionData(functionToExecute, data);
+    if (validationErrors) {
+        return res.status(400).json(createValidationErrorResponse(
+            validationErrors,
+            `Invalid input for ${category}/${functionName}`
+        ));
+    }
+    
+    let policyError;
     try {
-        const { category, function: functionName } = req.params;
+        policyError = await checkPolicy(category, functionName, metadata, res);
+    } catch (error) {
+        return res.status(500).json(createErrorResponse('POLICY_ERROR', error.message, null, 500));
+    }
+    if (policyError) {
+        return res.status(policyError.error.httpStatus).json(policyError);
+    }
+    
+    const quotaError = chargeQuota(req, res);
+    if (quotaError) {
+        return res.status(429).json(quotaError);
+    }
+    
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const controller = new AbortController();
+    let closed = false;
+    
+    const send = (event, payload) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
         
-        // Try to load the function
-        try {
-            const func = await loadFunction(category, functionName);
-            
-            // Get function source info
-            const functionPath = path.join(__dirname, 'fx', category, `${functionName}.js`);
-            const stats = await fs.stat(functionPath);
-            const source = await fs.readFile(functionPath, 'utf8');
-            
-            // Extract function signature (first line)
-            const firstLine = source.split('\n')[0];
-            const isAsync = source.includes('async ');
+        // The compression middleware buffers unless flushed
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    };
+    
+    const heartbeat = setInterval(() => {
+        if (!closed) {
+            res.write(': ping\n\n');
+        }
+    }, 15000);
+    
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        controller.abort();
+    });
+
+    send('start', { requestId, category, function: functionName });
+    
+    try {
+        const result = await functionToExecute({
+            category,
+            function: functionName,
+            data,
+            metadata: {
+                ...metadata,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                contentType: req.get('Content-Type')
+            },
+            requestId,
+            rawBody: req.rawBody,
+            caller: getCaller(req),
+            signal: controller.signal,
+            emit: (event, payload = {}) => send(event, payload),
+            progress: (percent, message = null) => send('progress', { percent, message })
+        });
+
+        if (!result || typeof result !== 'object') {
+            throw new Error('Function must return an object');
+        }
+        
+        result.metadata = {
+            ...(result.metadata || {}),
+            requestId,
+            executionTime: `${Date.now() - startTime}ms`,
+            category,
+            function: functionName,
+            timestamp: new Date().toISOString(),
+            cacheHit: isCached(category, functionName)
+        };
+        
+        send('done', result);
+    } catch (error) {
+        console.error(`[${requestId}] Streaming execution failed:`, error.message);
+        
+        const errorResponse = createErrorResponse(
+            'EXECUTION_ERROR',
+            error.message,
+            { requestId },
+            500
+        );
+        errorResponse.metadata = {
+            ...errorResponse.metadata,
+            requestId,
+            executionTime: `${Date.now() - startTime}ms`,
+            timestamp: new Date().toISOString()
+        };
+        
+        send('done', errorResponse);
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+});
+
+/**
+ * Function discovery endpoint
+ */
+app.get('/functions', rateLimiterMiddleware, async (req, res) => {
+    try {
+        const functions = await getAvailableFunctions();
+        
+        // Count total functions
+        let totalFunctions = 0;
+        const functionList = [];
+        
+        for (const [category, funcs] of Object.entries(functions)) {
+            totalFunctions += funcs.length;
+            
+            for (const f of funcs) {
+                const manifest = await describeFunction(f.category, f.name);
+                functionList.push({
+                    ...manifest,
+                    endpoint: `/execute`,
+                    method: 'POST'
+                });
+            }
+        }
+        
+        res.status(200).json(createSuccessResponse({
+            total: totalFunctions,
+            categories: Object.keys(functions),
+            functions: functionList,
+            byCategory: functions,
+            categoryAliases: registry.listCategoryAliases()
+        }, 'Functions retrieved successfully', {
+            cacheSize: functionCache.size,
+            lastUpdated: new Date().toISOString()
+        }));
+    } catch (error) {
+        res.status(500).json(createErrorResponse(
+            'DISCOVERY_ERROR',
+            'Failed to retrieve functions list',
+            error.message
+        ));
+    }
+});
+
+/**
+ * Function info endpoint
+ */
+app.get('/functions/:category(*)/:function', rateLimiterMiddleware, async (req, res) => {
+    try {
+        const { category, function: functionName } = req.params;
+        
+        // Try to load the function
+        try {
+            const func = await loadFunction(category, functionName);
+            const entry = registry.resolve(category, functionName);
+            const manifest = manifestBuilder.build(func, {
+                category: entry.category,
+                name: entry.name,
+                path: entry.path,
+                cost: rateLimits.getCost(entry.category, entry.name)
+            });
+            
+            // Get function source info
+            const stats = await fs.stat(entry.file);
+            const source = await fs.readFile(entry.file, 'utf8');
+            const isAsync = source.includes('async ');
             
             res.status(200).json(createSuccessResponse({
-                name: functionName,
-                category,
-                path: `fx/${category}/${functionName}.js`,
+                ...manifest,
                 type: isAsync ? 'async function' : 'function',
-                signature: firstLine.trim(),
                 size: stats.size,
                 modified: stats.mtime,
-                cacheStatus: functionCache.has(`${category}:${functionName}`) ? 'cached' : 'not cached',
+                cacheStatus: isCached(category, functionName) ? 'cached' : 'not cached',
                 exampleUsage: {
                     endpoint: '/execute',
                     method: 'POST',
-                    requestBody: {
-                        category,
-                        function: functionName,
-                        data: {
-                            // Example data based on function name
-                        },
-                        metadata: {
-                            timestamp: new Date().toISOString()
-                        }
-                    }
+                    requestBody: manifest.exampleRequest
                 }
             }, `Function ${functionName} info retrieved`));
             
@@ -449,21 +1027,57 @@ app.get('/functions/:category/:function', rateLimiterMiddleware, async (req, res
 });
 
 /**
- * Clear function cache endpoint (admin only)
+ * OpenAPI document endpoint
  */
-app.delete('/cache', rateLimiterMiddleware, async (req, res) => {
-    // Check authorization
-    const authHeader = req.headers.authorization;
-    const adminToken = process.env.ADMIN_TOKEN;
-    
-    if (adminToken && (!authHeader || authHeader !== `Bearer ${adminToken}`)) {
-        return res.status(403).json(createErrorResponse(
-            'UNAUTHORIZED',
-            'Admin token required'
+app.get('/openapi.json', rateLimiterMiddleware, async (req, res) => {
+    try {
+        const functions = await getAvailableFunctions();
+        const manifests = [];
+        const unavailable = [];
+
+        for (const funcs of Object.values(functions)) {
+            for (const f of funcs) {
+                const manifest = await describeFunction(f.category, f.name);
+                if (manifest.available) {
+                    manifests.push(manifest);
+                } else {
+                    unavailable.push(`${f.category}/${f.name}`);
+                }
+            }
+        }
+
+        const spec = openapiBuilder.build(manifests, {
+            version: process.env.npm_package_version || '1.0.0',
+            serverUrl: `${req.protocol}://${req.get('host')}`,
+            maxBatchSize: MAX_BATCH_SIZE,
+            maxActivityBatch: activity.maxBatchSize
+        });
+
+        // Functions that fail to load are left out of the request schema
+        if (unavailable.length > 0) {
+            spec.info['x-unavailable-functions'] = unavailable;
+        }
+
+        res.status(200).json(spec);
+    } catch (error) {
+        res.status(500).json(createErrorResponse(
+            'OPENAPI_ERROR',
+            'Failed to generate OpenAPI document',
+            error.message
         ));
     }
-    
+});
+
+/**
+ * Clear function cache endpoint (admin only)
+ */
+app.delete('/cache', rateLimiterMiddleware, adminAuthMiddleware, async (req, res) => {
     const cacheSize = functionCache.size;
+    
+    // Clear Node's require cache too so the next call loads from disk
+    for (const entry of registry.functions.values()) {
+        evictFunction(entry);
+    }
     functionCache.clear();
     
     res.status(200).json(createSuccessResponse({
@@ -474,6 +1088,739 @@ app.delete('/cache', rateLimiterMiddleware, async (req, res) => {
     }));
 });
 
+/**
+ * Reload a function or a whole category from disk (admin only)
+ */
+app.post('/reload', rateLimiterMiddleware, adminAuthMiddleware, async (req, res) => {
+    const { category, function: functionName } = req.body || {};
+    
+    if (!category || typeof category !== 'string') {
+        return res.status(400).json(createErrorResponse(
+            'MISSING_FIELDS',
+            'category is required; add function to reload a single function'
+        ));
+    }
+    
+    // Pick up files added since the last scan
+    await registry.scan();
+    
+    let entries;
+    if (functionName) {
+        const entry = registry.resolve(category, functionName);
+        entries = entry ? [entry] : [];
+    } else {
+        const categoryPath = registry.resolveCategory(category);
+        entries = Array.from(registry.functions.values()).filter(entry => entry.category === categoryPath);
+    }
+    
+    if (entries.length === 0) {
+        return res.status(404).json(createErrorResponse(
+            'FUNCTION_NOT_FOUND',
+            functionName
+                ? `Function not found: ${category}/${functionName}`
+                : `Category not found: ${category}`,
+            null,
+            404
+        ));
+    }
+    
+    const reloaded = [];
+    const failed = [];
+    
+    for (const entry of entries) {
+        try {
+            reloadFunction(entry);
+            reloaded.push(entry.id);
+        } catch (error) {
+            failed.push({
+                function: entry.id,
+                error: error.message.split('\n')[0],
+                serving: entry.status === 'loaded' ? 'previous version' : null
+            });
+        }
+    }
+    
+    if (reloaded.length === 0) {
+        return res.status(422).json(createErrorResponse(
+            'RELOAD_FAILED',
+            `Failed to reload ${functionName ? `${category}/${functionName}` : category}`,
+            { failed },
+            422
+        ));
+    }
+    
+    res.status(200).json(createSuccessResponse({
+        reloaded,
+        failed
+    }, `Reloaded ${reloaded.length} of ${entries.length} functions`, {
+        timestamp: new Date().toISOString()
+    }));
+});
+
+// Job runner: jobs are validated when queued, so the executor only calls the function
+jobQueue.setExecutor(async (job, { signal, progress }) => {
+    const func = await loadFunction(job.category, job.function);
+    
+    return func({
+        category: job.category,
+        function: job.function,
+        data: job.data,
+        metadata: {
+            ...job.metadata,
+            jobId: job.id,
+            timestamp: new Date().toISOString()
+        },
+        requestId: job.id,
+        caller: { apiKeyId: job.owner, client: job.client },
+        signal,
+        progress
+    });
+});
+
+// Tool calls made by the assistant (ai/myai) run with the permissions of the
+// request that started the chat: same scopes, rate limits and daily quota
+tools.setInvoker(async ({ category, function: functionName, data, caller, metadata }) => {
+    const apiKey = caller && caller.apiKeyId ? apiKeys.getActive(caller.apiKeyId) : null;
+    if (apiKey && !apiKeys.isAllowed(apiKey, category, functionName)) {
+        return createErrorResponse(
+            'FORBIDDEN',
+            `API key is not allowed to call ${category}/${functionName}`,
+            { scopes: apiKey.scopes },
+            403
+        );
+    }
+    
+    const func = await loadFunction(category, functionName);
+    
+    const validationErrors = validateFunctionData(func, data);
+    if (validationErrors) {
+        return createValidationErrorResponse(validationErrors, `Invalid input for ${category}/${functionName}`);
+    }
+    
+    const policyError = await checkPolicy(category, functionName, metadata);
+    if (policyError) {
+        return policyError;
+    }
+    
+    if (caller && caller.client) {
+        const consumeGlobal = apiKey ? (points) => apiKeys.consumeRate(apiKey, points) : null;
+        await rateLimits.consume(caller.client, [{ category, function: functionName }], consumeGlobal);
+    }
+    if (apiKey) {
+        apiKeys.consumeQuota(apiKey);
+    }
+    
+    return func({
+        category,
+        function: functionName,
+        data,
+        metadata: {
+            ...metadata,
+            timestamp: new Date().toISOString()
+        },
+        requestId: `${metadata.parentRequestId || 'tool'}-${Date.now().toString(36)}`,
+        caller
+    });
+});
+
+// POST finished results to jobs that asked for a callback
+jobQueue.on('finished', (job) => {
+    if (job.callback) {
+        webhooks.notify(job);
+    }
+});
+
+/**
+ * Queue a function call as a background job
+ */
+app.post('/jobs', costRateLimiterMiddleware, async (req, res) => {
+    const { category, function: functionName, data = {}, metadata = {} } = req.body || {};
+    
+    if (!category || !functionName) {
+        return res.status(400).json(createErrorResponse(
+            'MISSING_FIELDS',
+            'Both category and function fields are required'
+        ));
+    }
+    
+    const { callback, errors: callbackErrors } = parseCallback(req.body || {});
+    if (callbackErrors) {
+        return res.status(400).json(createValidationErrorResponse(callbackErrors, 'Invalid callback'));
+    }
+    
+    const scopeError = checkScope(req, category, functionName);
+    if (scopeError) {
+        return res.status(403).json(scopeError);
+    }
+    
+    try {
+        const func = await loadFunction(category, functionName);
+        
+        const validationErrors = validateFunctionData(func, data);
+        if (validationErrors) {
+            return res.status(400).json(createValidationErrorResponse(
+                validationErrors,
+                `Invalid input for ${category}/${functionName}`
+            ));
+        }
+        
+        const policyError = await checkPolicy(category, functionName, metadata, res);
+        if (policyError) {
+            return res.status(policyError.error.httpStatus).json(policyError);
+        }
+        
+        const quotaError = chargeQuota(req, res);
+        if (quotaError) {
+            return res.status(429).json(quotaError);
+        }
+        
+        const job = jobQueue.enqueue({
+            category,
+            function: functionName,
+            data,
+            metadata: {
+                ...metadata,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            },
+            callback,
+            owner: req.apiKey?.id,
+            client: getCaller(req).client
+        });
+        
+        res.status(202)
+            .location(`/jobs/${job.id}`)
+            .json(createSuccessResponse(jobQueue.serialize(job), 'Job queued', {
+                statusUrl: `/jobs/${job.id}`
+            }));
+    } catch (error) {
+        if (error.name === 'JobError') {
+            return res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+        }
+        
+        if (error.message.includes('not found')) {
+            return res.status(404).json(createErrorResponse(
+                'FUNCTION_NOT_FOUND',
+                `Function not found: ${category}/${functionName}`,
+                null,
+                404
+            ));
+        }
+        
+        res.status(500).json(createErrorResponse(
+            'JOB_ERROR',
+            'Failed to queue job',
+            error.message.split('\n')[0]
+        ));
+    }
+});
+
+/**
+ * Job status endpoint
+ */
+app.get('/jobs/:id', rateLimiterMiddleware, (req, res) => {
+    const job = findOwnedJob(req);
+    
+    if (!job) {
+        return res.status(404).json(createErrorResponse(
+            'JOB_NOT_FOUND',
+            `Job ${req.params.id} not found or expired`,
+            null,
+            404
+        ));
+    }
+    
+    res.status(200).json(createSuccessResponse(jobQueue.serialize(job), `Job ${job.status}`));
+});
+
+/**
+ * Cancel a queued or running job
+ */
+app.delete('/jobs/:id', rateLimiterMiddleware, (req, res) => {
+    try {
+        const job = findOwnedJob(req) && jobQueue.cancel(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json(createErrorResponse(
+                'JOB_NOT_FOUND',
+                `Job ${req.params.id} not found or expired`,
+                null,
+                404
+            ));
+        }
+        
+        res.status(200).json(createSuccessResponse(jobQueue.serialize(job), 'Job cancelled'));
+    } catch (error) {
+        if (error.name === 'JobError') {
+            return res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+        }
+        throw error;
+    }
+});
+
+// Input schema for creating API keys
+const apiKeySchema = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    scopes: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 50,
+        itemSchema: { type: 'string', maxLength: 200, pattern: /^(\*|[\w-]+(\/[\w-]+)*\/(\*|[\w-]+))$/ }
+    },
+    rateLimit: {
+        type: 'object',
+        properties: {
+            points: { type: 'number', isInteger: true, min: 1, max: 100000 },
+            duration: { type: 'number', isInteger: true, min: 1, max: 86400 }
+        }
+    },
+    dailyQuota: { type: 'number', isInteger: true, min: 1 }
+};
+
+/**
+ * Send an ApiKeyError as a response, rethrowing anything else
+ */
+function sendApiKeyError(res, error) {
+    if (error.name !== 'ApiKeyError') {
+        throw error;
+    }
+    res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, error.details, error.httpStatus));
+}
+
+/**
+ * List API keys (admin only)
+ */
+app.get('/admin/keys', rateLimiterMiddleware, adminAuthMiddleware, (req, res) => {
+    const keys = apiKeys.list();
+    res.status(200).json(createSuccessResponse({
+        total: keys.length,
+        keys
+    }, 'API keys retrieved'));
+});
+
+/**
+ * Create an API key (admin only); the key itself is only shown in this response
+ */
+app.post('/admin/keys', rateLimiterMiddleware, adminAuthMiddleware, (req, res) => {
+    const body = req.body || {};
+
+    try {
+        validation.validateSchema(body, apiKeySchema);
+    } catch (error) {
+        if (error.name !== 'ValidationError') {
+            throw error;
+        }
+        return res.status(400).json(createValidationErrorResponse(error.details || [{
+            field: error.field,
+            error: error.message,
+            code: error.code
+        }], 'Invalid API key settings'));
+    }
+
+    const { key, record } = apiKeys.create({
+        name: body.name,
+        scopes: body.scopes,
+        rateLimit: body.rateLimit,
+        dailyQuota: body.dailyQuota
+    });
+
+    res.status(201).json(createSuccessResponse({
+        key,
+        ...record
+    }, 'API key created; store it now, it cannot be shown again'));
+});
+
+/**
+ * Rotate an API key (admin only)
+ */
+app.post('/admin/keys/:id/rotate', rateLimiterMiddleware, adminAuthMiddleware, (req, res) => {
+    const graceSeconds = Number(req.body?.graceSeconds) || 0;
+
+    if (graceSeconds < 0 || graceSeconds > 7 * 24 * 3600) {
+        return res.status(400).json(createErrorResponse(
+            'OUT_OF_RANGE',
+            'graceSeconds must be between 0 and 604800'
+        ));
+    }
+
+    try {
+        const { key, record } = apiKeys.rotate(req.params.id, graceSeconds);
+        res.status(200).json(createSuccessResponse({
+            key,
+            ...record
+        }, 'API key rotated; store the new key now, it cannot be shown again'));
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+/**
+ * Revoke an API key (admin only)
+ */
+app.delete('/admin/keys/:id', rateLimiterMiddleware, adminAuthMiddleware, (req, res) => {
+    try {
+        res.status(200).json(createSuccessResponse(apiKeys.revoke(req.params.id), 'API key revoked'));
+    } catch (error) {
+        sendApiKeyError(res, error);
+    }
+});
+
+/**
+ * Follow a short link. The password of a protected link comes from the
+ * X-Link-Password header or the form on the page served to browsers.
+ */
+async function followShortLink(req, res, next) {
+    try {
+        const { url } = await shortLinks.resolve(req.params.slug, {
+            password: req.get('X-Link-Password') || req.body?.password,
+            referrer: req.get('Referer'),
+            userAgent: req.get('User-Agent'),
+            ip: req.ip,
+            record: req.method !== 'HEAD'
+        });
+        
+        res.set('Cache-Control', 'no-store');
+        res.redirect(302, url);
+    } catch (error) {
+        if (error.name !== 'ShortLinkError') {
+            return next(error);
+        }
+        
+        res.status(error.httpStatus).set('Cache-Control', 'no-store');
+        if (req.accepts(['json', 'html']) === 'html') {
+            return res.type('html').send(shortLinks.renderPage(req.params.slug, error));
+        }
+        res.json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+    }
+}
+
+app.get('/s/:slug', rateLimiterMiddleware, followShortLink);
+app.post('/s/:slug', rateLimiterMiddleware, followShortLink);
+
+/**
+ * Click statistics for a short link, for the user who owns it. The
+ * destination of a password-protected link is only included for the API key
+ * that created it.
+ */
+app.get('/links/:slug/stats', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'tools', 'shortlink');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    if (!req.query.userId) {
+        return res.status(400).json(createErrorResponse(
+            'VALIDATION_ERROR',
+            'Missing required query parameter: userId'
+        ));
+    }
+    
+    try {
+        const stats = await shortLinks.getStats(req.params.slug, { apiKeyId: getCaller(req).apiKeyId });
+        
+        if (stats.userId !== req.query.userId) {
+            return res.status(403).json(createErrorResponse(
+                'FORBIDDEN',
+                'This short link belongs to another user',
+                null,
+                403
+            ));
+        }
+        
+        res.status(200).json(createSuccessResponse(stats, 'Short link statistics'));
+    } catch (error) {
+        if (error.name !== 'ShortLinkError') {
+            return next(error);
+        }
+        res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+    }
+});
+
+/**
+ * A user's short links with their click totals; protected links show their
+ * destination only to the API key that created them
+ */
+app.get('/links', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'tools', 'shortlink');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    if (!req.query.userId) {
+        return res.status(400).json(createErrorResponse(
+            'VALIDATION_ERROR',
+            'Missing required query parameter: userId'
+        ));
+    }
+    
+    try {
+        const links = await shortLinks.listForUser(String(req.query.userId), { apiKeyId: getCaller(req).apiKeyId });
+        res.status(200).json(createSuccessResponse({
+            userId: req.query.userId,
+            total: links.length,
+            totalClicks: links.reduce((sum, link) => sum + link.clicks, 0),
+            links
+        }, 'Short links retrieved'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Message events from the bot, in batches, feeding group/online
+ */
+app.post('/activity', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'group', 'online');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    try {
+        const body = req.body || {};
+        const summary = await activity.ingest(Array.isArray(body) ? body : body.events);
+        
+        res.status(200).json(createSuccessResponse(
+            summary,
+            `Recorded ${summary.accepted} of ${summary.received} events`
+        ));
+    } catch (error) {
+        if (error.name !== 'ActivityError') {
+            return next(error);
+        }
+        res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+    }
+});
+
+/**
+ * Per-member activity of a group as a CSV download
+ */
+app.get('/activity/:groupId/export', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'group', 'online');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    try {
+        const csv = await activity.exportCSV(req.params.groupId, {
+            timeRange: req.query.timeRange || 'month',
+            timezone: req.query.timezone || null
+        });
+        
+        res.status(200)
+            .type('text/csv')
+            .attachment(`activity-${req.params.groupId.replace(/[^\w-]+/g, '_')}.csv`)
+            .send(csv);
+    } catch (error) {
+        if (error.name !== 'ActivityError') {
+            return next(error);
+        }
+        res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+    }
+});
+
+/**
+ * Search the group audit log, newest first, a page at a time
+ */
+app.get('/audit', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'group', 'audit');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    try {
+        const { groupId, actorId, targetId, action, outcome, from, to, limit, cursor } = req.query;
+        const page = await audit.query(
+            { groupId, actorId, targetId, action, outcome, from, to },
+            { limit, cursor }
+        );
+        
+        res.status(200).json(createSuccessResponse(page.entries, 'Audit entries retrieved', {
+            pagination: {
+                limit: page.limit,
+                hasNext: page.nextCursor !== null
+            },
+            cursor: {
+                current: cursor || null,
+                next: page.nextCursor
+            }
+        }));
+    } catch (error) {
+        if (error.name !== 'AuditError') {
+            return next(error);
+        }
+        res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+    }
+});
+
+/**
+ * Check a group's audit log hash chain
+ */
+app.get('/audit/:groupId/verify', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'group', 'audit');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    try {
+        const verification = await audit.verify(req.params.groupId);
+        res.status(200).json(createSuccessResponse(
+            verification,
+            verification.valid ? 'Audit log intact' : 'Audit log has been altered'
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Announcements due to be posted. Each run is handed out once, so the bot
+ * posts whatever it gets back; ?peek=true looks without claiming.
+ */
+app.get('/schedules/due', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'group', 'schedule');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    try {
+        const { groupId, limit, peek } = req.query;
+        const result = await schedules.due({ groupId, limit, peek: peek === 'true' });
+        res.status(200).json(createSuccessResponse(
+            result,
+            `${result.due.length} announcement${result.due.length === 1 ? '' : 's'} due`
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Send a PasteError as HTML, plain text or JSON, passing anything else on
+ */
+function sendPasteError(req, res, next, error) {
+    if (error.name !== 'PasteError') {
+        return next(error);
+    }
+    
+    res.status(error.httpStatus);
+    switch (req.accepts(['json', 'html', 'text'])) {
+        case 'html':
+            return res.type('html').send(pastes.renderError(error));
+        case 'text':
+            return res.type('text').send(error.message);
+        default:
+            return res.json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+    }
+}
+
+/**
+ * Paste page for a public save: HTML for browsers, JSON or plain text on request
+ */
+app.get('/p/:code', rateLimiterMiddleware, async (req, res, next) => {
+    try {
+        let save = await pastes.getPublic(req.params.code);
+        if (req.method !== 'HEAD') {
+            save = (await pastes.recordView(save)) || save;
+        }
+        
+        res.set('Cache-Control', 'no-cache');
+        switch (req.accepts(['html', 'json', 'text'])) {
+            case 'json':
+                return res.status(200).json(createSuccessResponse({
+                    ...pastes.summarize(save),
+                    content: save.content
+                }, 'Save retrieved'));
+            case 'text':
+                return res.status(200).type('text').send(save.content);
+            default:
+                return res.status(200).type('html').send(pastes.renderPage(save));
+        }
+    } catch (error) {
+        sendPasteError(req, res, next, error);
+    }
+});
+
+/**
+ * Raw text of a public save
+ */
+app.get('/p/:code/raw', rateLimiterMiddleware, async (req, res, next) => {
+    try {
+        const save = await pastes.getPublic(req.params.code);
+        if (req.method !== 'HEAD') {
+            await pastes.recordView(save);
+        }
+        
+        res.set('Cache-Control', 'no-cache');
+        res.status(200).type('text').send(save.content);
+    } catch (error) {
+        sendPasteError(req, res, next, error);
+    }
+});
+
+/**
+ * Delete a save; userId must be its owner
+ */
+app.delete('/p/:code', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'general', 'save');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    const userId = req.body?.userId || req.query.userId;
+    if (!userId) {
+        return res.status(400).json(createErrorResponse(
+            'VALIDATION_ERROR',
+            'Missing required field: userId'
+        ));
+    }
+    
+    try {
+        await pastes.remove(req.params.code, String(userId));
+        res.status(200).json(createSuccessResponse({ code: req.params.code, deleted: true }, 'Save deleted'));
+    } catch (error) {
+        if (error.name !== 'PasteError') {
+            return next(error);
+        }
+        res.status(error.httpStatus).json(createErrorResponse(error.code, error.message, null, error.httpStatus));
+    }
+});
+
+/**
+ * Search a user's saves by tags (comma separated, all must match) and text.
+ * Private saves are only listed for the API key that created them.
+ */
+app.get('/saves', rateLimiterMiddleware, async (req, res, next) => {
+    const forbidden = checkScope(req, 'general', 'save');
+    if (forbidden) {
+        return res.status(403).json(forbidden);
+    }
+    
+    if (!req.query.userId) {
+        return res.status(400).json(createErrorResponse(
+            'VALIDATION_ERROR',
+            'Missing required query parameter: userId'
+        ));
+    }
+    
+    try {
+        const tags = String(req.query.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+        const saves = await pastes.search(String(req.query.userId), {
+            tags,
+            query: req.query.q ? String(req.query.q) : null,
+            viewer: getCaller(req)
+        });
+        
+        res.status(200).json(createSuccessResponse({
+            userId: req.query.userId,
+            tags,
+            total: saves.length,
+            saves
+        }, 'Saves retrieved'));
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Statistics endpoint
  */
@@ -512,15 +1859,25 @@ app.get('/stats', rateLimiterMiddleware, async (req, res) => {
             functions: {
                 total: totalFunctions,
                 categories: Object.keys(functions).length,
-                cached: functionCache.size
+                cached: functionCache.size,
+                hotReload: HOT_RELOAD
+            },
+            jobs: jobQueue.getStats(),
+            state: await store.getStats(),
+            llm: {
+                ...llm.getConfig(),
+                usage: await llm.getUsage(7)
+            },
+            auth: {
+                requireApiKey: REQUIRE_API_KEY,
+                apiKeys: apiKeys.list().filter(key => !key.revokedAt).length
             },
             storage: {
                 tempFiles: tempSize,
                 tempSizeMB: Math.round(tempSize / 1024 / 1024 * 100) / 100
             },
             limits: {
-                rateLimit: 100,
-                rateWindow: '60 seconds',
+                rateLimit: rateLimits.getConfig(),
                 maxFileSize: '100MB',
                 maxRequestSize: '10MB'
             }
@@ -540,7 +1897,7 @@ app.get('/stats', rateLimiterMiddleware, async (req, res) => {
 /**
  * Batch execution endpoint (execute multiple functions)
  */
-app.post('/batch', rateLimiterMiddleware, async (req, res) => {
+app.post('/batch', costRateLimiterMiddleware, async (req, res) => {
     const startTime = Date.now();
     const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
@@ -552,7 +1909,7 @@ app.post('/batch', rateLimiterMiddleware, async (req, res) => {
             ));
         }
         
-        const requests = req.body.requests.slice(0, 10); // Limit to 10 requests per batch
+        const requests = req.body.requests.slice(0, MAX_BATCH_SIZE);
         const results = [];
         
         // Execute each request in parallel with concurrency limit
@@ -568,7 +1925,7 @@ app.post('/batch', rateLimiterMiddleware, async (req, res) => {
                 const requestStart = Date.now();
                 
                 try {
-                    const { category, function: functionName, data = {} } = request;
+                    const { category, function: functionName, data = {}, metadata = {} } = request;
                     
                     if (!category || !functionName) {
                         return {
@@ -581,16 +1938,54 @@ app.post('/batch', rateLimiterMiddleware, async (req, res) => {
                         };
                     }
                     
+                    const scopeError = checkScope(req, category, functionName);
+                    if (scopeError) {
+                        return {
+                            ...scopeError,
+                            executionTime: Date.now() - requestStart
+                        };
+                    }
+                    
                     const func = await loadFunction(category, functionName);
+                    
+                    const validationErrors = validateFunctionData(func, data);
+                    if (validationErrors) {
+                        return {
+                            ...createValidationErrorResponse(
+                                validationErrors,
+                                `Invalid input for ${category}/${functionName}`
+                            ),
+                            executionTime: Date.now() - requestStart
+                        };
+                    }
+                    
+                    const policyError = await checkPolicy(category, functionName, metadata);
+                    if (policyError) {
+                        return {
+                            ...policyError,
+                            executionTime: Date.now() - requestStart
+                        };
+                    }
+                    
+                    const quotaError = chargeQuota(req, res);
+                    if (quotaError) {
+                        return {
+                            ...quotaError,
+                            executionTime: Date.now() - requestStart
+                        };
+                    }
+                    
                     const result = await func({
                         category,
                         function: functionName,
                         data,
                         metadata: {
+                            ...metadata,
                             batchId,
                             requestIndex: index,
                             timestamp: new Date().toISOString()
-                        }
+                        },
+                        caller: getCaller(req)
                     });
                     
                     return {
@@ -650,9 +2045,32 @@ app.use('*', (req, res) => {
             availableEndpoints: [
                 { path: '/health', method: 'GET', description: 'Health check' },
                 { path: '/execute', method: 'POST', description: 'Execute a function' },
+                { path: '/execute/stream', method: 'POST', description: 'Execute a function and stream events (SSE)' },
                 { path: '/functions', method: 'GET', description: 'List all functions' },
                 { path: '/batch', method: 'POST', description: 'Execute multiple functions' },
-                { path: '/stats', method: 'GET', description: 'Get service statistics' }
+                { path: '/stats', method: 'GET', description: 'Get service statistics' },
+                { path: '/openapi.json', method: 'GET', description: 'OpenAPI document' },
+                { path: '/reload', method: 'POST', description: 'Reload a function or category (admin)' },
+                { path: '/jobs', method: 'POST', description: 'Queue a background job' },
+                { path: '/jobs/:id', method: 'GET', description: 'Get job status and result' },
+                { path: '/jobs/:id', method: 'DELETE', description: 'Cancel a job' },
+                { path: '/admin/keys', method: 'GET', description: 'List API keys (admin)' },
+                { path: '/admin/keys', method: 'POST', description: 'Create an API key (admin)' },
+                { path: '/admin/keys/:id/rotate', method: 'POST', description: 'Rotate an API key (admin)' },
+                { path: '/admin/keys/:id', method: 'DELETE', description: 'Revoke an API key (admin)' },
+                { path: '/s/:slug', method: 'GET', description: 'Follow a short link' },
+                { path: '/s/:slug', method: 'POST', description: 'Follow a password-protected short link' },
+                { path: '/links', method: 'GET', description: 'List the short links of a user' },
+                { path: '/links/:slug/stats', method: 'GET', description: 'Click statistics for a short link' },
+                { path: '/p/:code', method: 'GET', description: 'Paste page for a public save' },
+                { path: '/p/:code/raw', method: 'GET', description: 'Public save as plain text' },
+                { path: '/p/:code', method: 'DELETE', description: 'Delete a public save (owner)' },
+                { path: '/saves', method: 'GET', description: 'Search saves by tags and text' },
+                { path: '/activity', method: 'POST', description: 'Record a batch of group message events' },
+                { path: '/activity/:groupId/export', method: 'GET', description: 'Export group activity as CSV' },
+                { path: '/audit', method: 'GET', description: 'Search the group audit log' },
+                { path: '/audit/:groupId/verify', method: 'GET', description: 'Check the hash chain of a group audit log' },
+                { path: '/schedules/due', method: 'GET', description: 'Claim scheduled announcements that are due' }
             ]
         }
     ));
@@ -707,6 +2125,18 @@ async function startServer() {
                 console.log(`✗ Failed to load ${category}/${funcName}: ${error.message}`);
             }
         }
+
+        // Load every module so broken ones show up on /health
+        const functionStatus = await registry.check();
+        console.log(`Loaded ${functionStatus.loaded}/${functionStatus.total} functions`);
+        for (const { function: id, error } of functionStatus.broken) {
+            console.log(`✗ Broken ${id}: ${error}`);
+        }
+
+        if (HOT_RELOAD) {
+            watchFunctions();
+            console.log('Watching fx/ for changes');
+        }
         
         app.listen(PORT, () => {
             console.log(`
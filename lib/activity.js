@@ -0,0 +1,488 @@
+// lib/activity.js
+const store = require('./store');
+const roster = require('./roster');
+
+class ActivityError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'ActivityError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Group Activity
+ * Message events pushed by the bot, counted per member per UTC hour so
+ * rankings, hour-of-day heatmaps, streaks and inactive-member lists can be
+ * worked out for any window and timezone without keeping every message.
+ * Buckets older than the retention period are dropped as groups are updated.
+ */
+class ActivityTracker {
+    constructor() {
+        this.groups = store.collection('group-activity');
+        this.retentionDays = parseInt(process.env.ACTIVITY_RETENTION_DAYS, 10) || 90;
+        this.maxBatchSize = parseInt(process.env.ACTIVITY_BATCH_LIMIT, 10) || 1000;
+        this.defaultTimezone = process.env.ACTIVITY_TIMEZONE || 'UTC';
+
+        // Message ids remembered per group so a resent batch is counted once
+        this.seenLimit = 2000;
+
+        // Events this far ahead of the server clock are rejected
+        this.maxClockSkew = 5 * 60 * 1000;
+
+        this.types = ['text', 'image', 'video', 'audio', 'sticker', 'document', 'reaction', 'poll', 'location', 'contact', 'other'];
+
+        this.timeRanges = {
+            day: DAY,
+            week: 7 * DAY,
+            month: 30 * DAY,
+            quarter: 90 * DAY,
+            all: Infinity
+        };
+
+        this.formatters = new Map();
+    }
+
+    /**
+     * Check one event and fill in defaults; returns an error message or the event
+     */
+    normalizeEvent(event, now) {
+        if (!event || typeof event !== 'object') {
+            return { error: 'Event must be an object' };
+        }
+        if (!event.groupId || typeof event.groupId !== 'string') {
+            return { error: 'groupId is required' };
+        }
+        const userId = roster.normalizeId(event.userId);
+        if (!userId) {
+            return { error: 'userId is required' };
+        }
+
+        const time = event.timestamp === undefined ? now : new Date(
+            typeof event.timestamp === 'number' && event.timestamp < 1e12 ? event.timestamp * 1000 : event.timestamp
+        ).getTime();
+        if (Number.isNaN(time)) {
+            return { error: 'timestamp is not a valid date' };
+        }
+        if (time > now + this.maxClockSkew) {
+            return { error: 'timestamp is in the future' };
+        }
+        if (time < now - this.retentionDays * DAY) {
+            return { error: `timestamp is older than ${this.retentionDays} days` };
+        }
+
+        const type = event.type || 'text';
+        if (!this.types.includes(type)) {
+            return { error: `type must be one of: ${this.types.join(', ')}` };
+        }
+
+        return {
+            event: {
+                groupId: event.groupId,
+                userId,
+                time,
+                type,
+                messageId: event.messageId ? String(event.messageId) : null
+            }
+        };
+    }
+
+    /**
+     * Record a batch of message events: [{ groupId, userId, timestamp, type, messageId }].
+     * Bad events are reported by index and the rest are still counted.
+     */
+    async ingest(events) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new ActivityError('events must be a non-empty array', 'INVALID_EVENTS');
+        }
+        if (events.length > this.maxBatchSize) {
+            throw new ActivityError(
+                `A batch may hold at most ${this.maxBatchSize} events`,
+                'BATCH_TOO_LARGE',
+                413
+            );
+        }
+
+        const now = Date.now();
+        const rejected = [];
+        const byGroup = new Map();
+
+        events.forEach((raw, index) => {
+            const { event, error } = this.normalizeEvent(raw, now);
+            if (error) {
+                rejected.push({ index, message: error });
+                return;
+            }
+            if (!byGroup.has(event.groupId)) {
+                byGroup.set(event.groupId, []);
+            }
+            byGroup.get(event.groupId).push(event);
+        });
+
+        let accepted = 0;
+        let duplicates = 0;
+        for (const [groupId, groupEvents] of byGroup) {
+            await this.groups.update(groupId, (current) => {
+                const group = current || { groupId, members: {}, seen: [], updatedAt: null };
+                const seen = new Set(group.seen);
+
+                for (const event of groupEvents) {
+                    if (event.messageId) {
+                        if (seen.has(event.messageId)) {
+                            duplicates++;
+                            continue;
+                        }
+                        seen.add(event.messageId);
+                        group.seen.push(event.messageId);
+                    }
+
+                    this.count(group, event);
+                    accepted++;
+                }
+
+                group.seen = group.seen.slice(-this.seenLimit);
+                group.updatedAt = new Date(now).toISOString();
+                return this.prune(group, now);
+            });
+        }
+
+        return {
+            received: events.length,
+            accepted,
+            duplicates,
+            rejected,
+            groups: [...byGroup.keys()]
+        };
+    }
+
+    count(group, event) {
+        const member = group.members[event.userId] || {
+            total: 0,
+            hours: {},
+            types: {},
+            firstSeen: event.time,
+            lastActive: event.time
+        };
+
+        // UTC hour bucket, e.g. 2026-10-19T14
+        const bucket = new Date(event.time).toISOString().slice(0, 13);
+        member.hours[bucket] = (member.hours[bucket] || 0) + 1;
+        member.types[event.type] = (member.types[event.type] || 0) + 1;
+        member.total++;
+        member.firstSeen = Math.min(member.firstSeen, event.time);
+        member.lastActive = Math.max(member.lastActive, event.time);
+
+        group.members[event.userId] = member;
+    }
+
+    /**
+     * Drop hour buckets past the retention period. Totals, types and
+     * first/last seen are kept so inactive members are still known.
+     */
+    prune(group, now) {
+        const cutoff = new Date(now - this.retentionDays * DAY).toISOString().slice(0, 13);
+        for (const member of Object.values(group.members)) {
+            for (const bucket of Object.keys(member.hours)) {
+                if (bucket < cutoff) {
+                    delete member.hours[bucket];
+                }
+            }
+        }
+        return group;
+    }
+
+    async get(groupId) {
+        return (await this.groups.get(groupId)) || { groupId, members: {}, seen: [], updatedAt: null };
+    }
+
+    /**
+     * Cached formatter for a timezone; unknown timezones fall back to UTC
+     */
+    getFormatter(timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            let formatter;
+            try {
+                formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    weekday: 'long'
+                });
+            } catch (error) {
+                return this.getFormatter('UTC');
+            }
+            this.formatters.set(timeZone, formatter);
+        }
+        return this.formatters.get(timeZone);
+    }
+
+    resolveTimezone(timeZone) {
+        const zone = timeZone || this.defaultTimezone;
+        return this.getFormatter(zone).resolvedOptions().timeZone;
+    }
+
+    /**
+     * Local date, weekday and hour of a UTC hour bucket
+     */
+    localize(bucket, timeZone) {
+        const parts = this.getFormatter(timeZone).formatToParts(new Date(`${bucket}:00:00Z`));
+        const get = type => parts.find(part => part.type === type).value;
+        return {
+            date: `${get('year')}-${get('month')}-${get('day')}`,
+            weekday: WEEKDAYS.indexOf(get('weekday')),
+            hour: parseInt(get('hour'), 10) % 24
+        };
+    }
+
+    getWindow(timeRange) {
+        if (!(timeRange in this.timeRanges)) {
+            throw new ActivityError(
+                `timeRange must be one of: ${Object.keys(this.timeRanges).join(', ')}`,
+                'INVALID_TIME_RANGE'
+            );
+        }
+        return this.timeRanges[timeRange];
+    }
+
+    /**
+     * Messages of a member inside a window, from the hour buckets
+     */
+    countSince(member, since) {
+        const from = Number.isFinite(since) ? new Date(since).toISOString().slice(0, 13) : '';
+        let count = 0;
+        for (const [bucket, value] of Object.entries(member.hours)) {
+            if (bucket >= from) count += value;
+        }
+        return count;
+    }
+
+    /**
+     * Members ranked by messages in the window, most active first, ties by
+     * most recent activity then id. Names and roles come from the roster.
+     */
+    async rankings(groupId, { timeRange = 'week', limit = 100 } = {}) {
+        const window = this.getWindow(timeRange);
+        const group = await this.get(groupId);
+        const groupRoster = await roster.get(groupId);
+        const since = Date.now() - window;
+
+        const ranked = Object.entries(group.members)
+            .map(([userId, member]) => ({ userId, member, count: this.countSince(member, since) }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || b.member.lastActive - a.member.lastActive || a.userId.localeCompare(b.userId));
+
+        return ranked.slice(0, limit).map((entry, index) => {
+            const known = groupRoster ? groupRoster.members[entry.userId] : null;
+            return {
+                rank: index + 1,
+                userId: entry.userId,
+                name: known?.name || null,
+                role: known?.role || null,
+                isAdmin: roster.isAdmin(known),
+                activityCount: entry.count,
+                lastActive: entry.member.lastActive
+            };
+        });
+    }
+
+    /**
+     * Messages by local hour of day (24 values) and by weekday and hour
+     * (7 rows of 24, Sunday first) for a group or one member
+     */
+    async heatmap(groupId, { timeRange = 'month', userId = null, timezone = null } = {}) {
+        const window = this.getWindow(timeRange);
+        const timeZone = this.resolveTimezone(timezone);
+        const group = await this.get(groupId);
+        const since = Number.isFinite(window) ? new Date(Date.now() - window).toISOString().slice(0, 13) : '';
+
+        const members = userId
+            ? [group.members[roster.normalizeId(userId)]].filter(Boolean)
+            : Object.values(group.members);
+
+        const hours = new Array(24).fill(0);
+        const grid = WEEKDAYS.map(() => new Array(24).fill(0));
+        let total = 0;
+
+        for (const member of members) {
+            for (const [bucket, count] of Object.entries(member.hours)) {
+                if (bucket < since) continue;
+                const local = this.localize(bucket, timeZone);
+                hours[local.hour] += count;
+                grid[local.weekday][local.hour] += count;
+                total += count;
+            }
+        }
+
+        const peak = total > 0 ? hours.indexOf(Math.max(...hours)) : null;
+        const weekdayTotals = grid.map(row => row.reduce((sum, count) => sum + count, 0));
+
+        return {
+            groupId,
+            userId: userId ? roster.normalizeId(userId) : null,
+            timeRange,
+            timezone: timeZone,
+            total,
+            hours,
+            grid,
+            weekdays: WEEKDAYS,
+            peakHour: peak,
+            busiestDay: total > 0 ? WEEKDAYS[weekdayTotals.indexOf(Math.max(...weekdayTotals))] : null
+        };
+    }
+
+    /**
+     * Current and longest run of consecutive local days with a message.
+     * A current streak still counts if the member last posted yesterday.
+     */
+    streakOf(member, timeZone, today) {
+        const days = [...new Set(Object.keys(member.hours).map(bucket => this.localize(bucket, timeZone).date))].sort();
+
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        for (const day of days) {
+            run = previous && this.dayDiff(previous, day) === 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = day;
+        }
+
+        const last = days[days.length - 1];
+        const current = last && this.dayDiff(last, today) <= 1 ? run : 0;
+
+        return { current, longest, activeDays: days.length, lastActiveDay: last || null };
+    }
+
+    dayDiff(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY);
+    }
+
+    /**
+     * Streaks of every member, longest current streak first
+     */
+    async streaks(groupId, { timezone = null, limit = 100 } = {}) {
+        const timeZone = this.resolveTimezone(timezone);
+        const group = await this.get(groupId);
+        const groupRoster = await roster.get(groupId);
+        const today = this.localize(new Date().toISOString().slice(0, 13), timeZone).date;
+
+        const streaks = Object.entries(group.members)
+            .map(([userId, member]) => ({
+                userId,
+                name: groupRoster?.members[userId]?.name || null,
+                ...this.streakOf(member, timeZone, today)
+            }))
+            .sort((a, b) => b.current - a.current || b.longest - a.longest || a.userId.localeCompare(b.userId));
+
+        return { groupId, timezone: timeZone, today, streaks: streaks.slice(0, limit) };
+    }
+
+    /**
+     * Members silent for at least `days` days. With a roster, members who
+     * never posted count from when they joined; admins and bots can be left out.
+     */
+    async inactive(groupId, { days = 30, includeAdmins = false, includeBots = false } = {}) {
+        const group = await this.get(groupId);
+        const groupRoster = await roster.get(groupId);
+        const now = Date.now();
+        const cutoff = now - days * DAY;
+
+        const candidates = groupRoster
+            ? Object.values(groupRoster.members)
+                .filter(member => includeBots || !member.isBot)
+                .filter(member => includeAdmins || !roster.isAdmin(member))
+                .map(member => ({ userId: member.id, name: member.name, role: member.role, joinedAt: member.joinedAt }))
+            : Object.keys(group.members).map(userId => ({ userId, name: null, role: null, joinedAt: null }));
+
+        const inactive = [];
+        for (const candidate of candidates) {
+            const activity = group.members[candidate.userId];
+            // Silence is measured from the last message, or from joining for
+            // members who never posted; the roster only knows joins it has seen
+            const silentSince = activity ? activity.lastActive : (candidate.joinedAt ? Date.parse(candidate.joinedAt) : null);
+            if (silentSince !== null && silentSince > cutoff) continue;
+
+            inactive.push({
+                ...candidate,
+                lastActive: activity ? activity.lastActive : null,
+                totalMessages: activity ? activity.total : 0,
+                neverSeen: !activity,
+                silentDays: silentSince !== null ? Math.floor((now - silentSince) / DAY) : null
+            });
+        }
+
+        inactive.sort((a, b) => (b.silentDays ?? Infinity) - (a.silentDays ?? Infinity) || a.userId.localeCompare(b.userId));
+
+        return {
+            groupId,
+            days,
+            rosterKnown: Boolean(groupRoster),
+            checked: candidates.length,
+            inactive
+        };
+    }
+
+    /**
+     * One CSV row per member: totals, window count, streaks, silence and roles
+     */
+    async exportCSV(groupId, { timeRange = 'month', timezone = null } = {}) {
+        const window = this.getWindow(timeRange);
+        const timeZone = this.resolveTimezone(timezone);
+        const group = await this.get(groupId);
+        const groupRoster = await roster.get(groupId);
+        const now = Date.now();
+        const today = this.localize(new Date(now).toISOString().slice(0, 13), timeZone).date;
+
+        const userIds = new Set([
+            ...Object.keys(group.members),
+            ...(groupRoster ? Object.keys(groupRoster.members) : [])
+        ]);
+
+        const header = [
+            'user_id', 'name', 'role', 'in_group', `messages_${timeRange}`, 'messages_total',
+            'first_seen', 'last_active', 'silent_days', 'current_streak', 'longest_streak', 'active_days', 'types'
+        ];
+
+        const rows = [...userIds].sort().map(userId => {
+            const member = group.members[userId];
+            const known = groupRoster ? groupRoster.members[userId] : null;
+            const streak = member ? this.streakOf(member, timeZone, today) : null;
+            return [
+                userId,
+                known?.name || '',
+                known?.role || '',
+                groupRoster ? (known ? 'yes' : 'no') : '',
+                member ? this.countSince(member, now - window) : 0,
+                member ? member.total : 0,
+                member ? new Date(member.firstSeen).toISOString() : '',
+                member ? new Date(member.lastActive).toISOString() : '',
+                member ? Math.floor((now - member.lastActive) / DAY) : '',
+                streak ? streak.current : 0,
+                streak ? streak.longest : 0,
+                streak ? streak.activeDays : 0,
+                member ? Object.entries(member.types).map(([type, count]) => `${type}:${count}`).join(' ') : ''
+            ];
+        });
+
+        return [header, ...rows].map(row => row.map(value => this.csvField(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    csvField(value) {
+        let text = String(value ?? '');
+        // Spreadsheets run cells starting with these as formulas
+        if (/^[=+\-@\t\r]/.test(text) && !/^-?\d/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export singleton instance
+module.exports = new ActivityTracker();
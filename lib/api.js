@@ -1,6 +1,7 @@
 // lib/api.js
 const axios = require('axios');
 const FormData = require('form-data');
+const llm = require('./llm');
 
 class APIError extends Error {
     constructor(message, code, originalError = null) {
@@ -158,18 +159,18 @@ class APIManager {
     }
 
     /**
-     * OpenAI GPT call
+     * Single prompt completion through the LLM client (lib/llm)
      */
-    async callGPT(prompt, model = 'gpt-3.5-turbo', temperature = 0.7) {
+    async callGPT(prompt, model = null, temperature = 0.7) {
         try {
-            const response = await this.call('openai', '/chat/completions', 'POST', {
+            const response = await llm.complete(prompt, {
                 model,
-                messages: [{ role: 'user', content: prompt }],
                 temperature,
-                max_tokens: 1000
+                maxTokens: 1000,
+                source: 'api/callGPT'
             });
             
-            return response.choices[0]?.message?.content || '';
+            return response.content;
         } catch (error) {
             throw new APIError(`GPT call failed: ${error.message}`, 'GPT_ERROR', error);
         }
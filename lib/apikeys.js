@@ -0,0 +1,299 @@
+// lib/apikeys.js
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const registry = require('./registry');
+
+class ApiKeyError extends Error {
+    constructor(message, code, httpStatus = 400, details = null) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+        this.details = details;
+    }
+}
+
+/**
+ * API Key Store
+ * Keys are scoped to categories/functions and carry their own rate limit
+ * and daily quota. Only SHA-256 hashes of keys are written to disk.
+ */
+class ApiKeyStore {
+    constructor() {
+        this.file = process.env.API_KEYS_FILE ||
+            path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'apikeys.json');
+
+        this.defaults = {
+            scopes: ['*'],
+            rateLimit: { points: 100, duration: 60 },
+            dailyQuota: null // unlimited
+        };
+
+        this.keyPrefix = 'nfx_';
+        this.keys = new Map(); // id -> key record
+        this.limiters = new Map(); // id -> RateLimiterMemory
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    /**
+     * Read keys from disk
+     */
+    load() {
+        try {
+            const records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const record of records.keys || []) {
+                this.keys.set(record.id, record);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read API keys from ${this.file}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Write keys to disk (temp file + rename so a crash never leaves half a file)
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const tempFile = `${this.file}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify({ keys: Array.from(this.keys.values()) }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempFile, this.file);
+    }
+
+    /**
+     * Batch usage counter writes
+     */
+    scheduleSave() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), 5000);
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Whether any active key exists
+     */
+    hasKeys() {
+        return Array.from(this.keys.values()).some(record => !record.revokedAt);
+    }
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    generateKey() {
+        return `${this.keyPrefix}${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Create a key; the plain key is only returned here
+     */
+    create({ name, scopes = this.defaults.scopes, rateLimit = {}, dailyQuota = this.defaults.dailyQuota }) {
+        const key = this.generateKey();
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            name,
+            prefix: key.slice(0, this.keyPrefix.length + 6),
+            hash: this.hash(key),
+            previousHash: null,
+            previousValidUntil: null,
+            scopes,
+            rateLimit: { ...this.defaults.rateLimit, ...rateLimit },
+            dailyQuota,
+            usage: { date: null, count: 0 },
+            createdAt: new Date().toISOString(),
+            rotatedAt: null,
+            revokedAt: null,
+            lastUsedAt: null
+        };
+
+        this.keys.set(record.id, record);
+        this.save();
+
+        return { key, record: this.serialize(record) };
+    }
+
+    /**
+     * Issue a new secret for a key, optionally keeping the old one valid for a grace period
+     */
+    rotate(id, graceSeconds = 0) {
+        const record = this.getActive(id);
+        const key = this.generateKey();
+
+        record.previousHash = graceSeconds > 0 ? record.hash : null;
+        record.previousValidUntil = graceSeconds > 0
+            ? new Date(Date.now() + graceSeconds * 1000).toISOString()
+            : null;
+        record.hash = this.hash(key);
+        record.prefix = key.slice(0, this.keyPrefix.length + 6);
+        record.rotatedAt = new Date().toISOString();
+
+        this.save();
+
+        return { key, record: this.serialize(record) };
+    }
+
+    /**
+     * Revoke a key permanently
+     */
+    revoke(id) {
+        const record = this.getActive(id);
+
+        record.revokedAt = new Date().toISOString();
+        record.previousHash = null;
+        this.limiters.delete(id);
+        this.save();
+
+        return this.serialize(record);
+    }
+
+    /**
+     * Get a key that has not been revoked
+     */
+    getActive(id) {
+        const record = this.keys.get(id);
+        if (!record) {
+            throw new ApiKeyError(`API key ${id} not found`, 'KEY_NOT_FOUND', 404);
+        }
+        if (record.revokedAt) {
+            throw new ApiKeyError(`API key ${id} is revoked`, 'KEY_REVOKED', 409);
+        }
+        return record;
+    }
+
+    /**
+     * Find the record for a presented key, or null
+     */
+    authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(this.keyPrefix)) {
+            return null;
+        }
+
+        const hash = this.hash(key);
+        const now = Date.now();
+
+        for (const record of this.keys.values()) {
+            if (record.revokedAt) continue;
+
+            const current = crypto.timingSafeEqual(Buffer.from(record.hash), Buffer.from(hash));
+            const previous = record.previousHash &&
+                new Date(record.previousValidUntil).getTime() > now &&
+                crypto.timingSafeEqual(Buffer.from(record.previousHash), Buffer.from(hash));
+
+            if (current || previous) {
+                record.lastUsedAt = new Date(now).toISOString();
+                return record;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a key's scopes against a function. Scopes look like '*', 'fun/*',
+     * 'settings/*' (category aliases allowed) or 'tools/qr'. A category
+     * wildcard covers that category only: 'tools/*' does not reach the
+     * nested tools/fx/setting functions, which need 'settings/*'.
+     */
+    isAllowed(record, category, functionName) {
+        const entry = registry.resolve(category, functionName);
+        const id = entry ? entry.id : `${registry.resolveCategory(category)}/${functionName}`;
+        const idCategory = id.slice(0, id.lastIndexOf('/'));
+
+        return record.scopes.some(scope => {
+            if (scope === '*') return true;
+
+            const slash = scope.lastIndexOf('/');
+            const scopeCategory = registry.resolveCategory(scope.slice(0, slash));
+            const scopeName = scope.slice(slash + 1);
+
+            return scopeName === '*'
+                ? idCategory === scopeCategory
+                : id === `${scopeCategory}/${scopeName}`;
+        });
+    }
+
+    /**
+     * Consume points from the key's rate limiter
+     */
+    async consumeRate(record, points = 1) {
+        let limiter = this.limiters.get(record.id);
+        if (!limiter || limiter.points !== record.rateLimit.points || limiter.duration !== record.rateLimit.duration) {
+            limiter = new RateLimiterMemory({
+                points: record.rateLimit.points,
+                duration: record.rateLimit.duration
+            });
+            this.limiters.set(record.id, limiter);
+        }
+
+        return limiter.consume(record.id, points);
+    }
+
+    /**
+     * Count one call against the daily quota (UTC days)
+     */
+    consumeQuota(record) {
+        const today = new Date().toISOString().slice(0, 10);
+        if (record.usage.date !== today) {
+            record.usage = { date: today, count: 0 };
+        }
+
+        if (record.dailyQuota !== null && record.usage.count >= record.dailyQuota) {
+            const tomorrow = new Date(`${today}T00:00:00.000Z`);
+            tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+            throw new ApiKeyError(
+                `Daily quota of ${record.dailyQuota} calls exceeded`,
+                'QUOTA_EXCEEDED',
+                429,
+                { limit: record.dailyQuota, resetAt: tomorrow.toISOString() }
+            );
+        }
+
+        record.usage.count++;
+        this.scheduleSave();
+
+        return {
+            used: record.usage.count,
+            limit: record.dailyQuota,
+            remaining: record.dailyQuota === null ? null : record.dailyQuota - record.usage.count
+        };
+    }
+
+    /**
+     * Public view of a key (never includes hashes)
+     */
+    serialize(record) {
+        const today = new Date().toISOString().slice(0, 10);
+
+        return {
+            id: record.id,
+            name: record.name,
+            prefix: record.prefix,
+            scopes: record.scopes,
+            rateLimit: record.rateLimit,
+            dailyQuota: record.dailyQuota,
+            usedToday: record.usage.date === today ? record.usage.count : 0,
+            previousKeyValidUntil: record.previousHash ? record.previousValidUntil : null,
+            createdAt: record.createdAt,
+            rotatedAt: record.rotatedAt,
+            revokedAt: record.revokedAt,
+            lastUsedAt: record.lastUsedAt
+        };
+    }
+
+    list() {
+        return Array.from(this.keys.values()).map(record => this.serialize(record));
+    }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyStore();
@@ -0,0 +1,347 @@
+// lib/audit.js
+const crypto = require('crypto');
+const store = require('./store');
+
+class AuditError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'AuditError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const GENESIS = '0'.repeat(64);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Group Audit Log
+ * Append-only record of what happened in each group: joins, leaves,
+ * promotions, demotions, mentions, moderation verdicts and settings changes.
+ * Entries are numbered per group and each carries the hash of the one before,
+ * so an edited, removed or reordered entry breaks the chain. With
+ * AUDIT_SECRET set the hashes are HMACs, so the chain can't be rebuilt
+ * without the key either.
+ * Entries past the retention period, or beyond the per-group cap, are
+ * dropped from the old end as groups are written to; the head keeps the
+ * hash of the last dropped entry so what's left still verifies.
+ */
+class AuditLog {
+    constructor() {
+        this.records = store.collection('group-audit');
+        this.heads = store.collection('group-audit-heads');
+        this.secret = process.env.AUDIT_SECRET || null;
+        this.retentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+        this.maxEntries = parseInt(process.env.AUDIT_MAX_ENTRIES, 10) || 10000;
+
+        this.maxLimit = 100;
+    }
+
+    key(groupId, seq) {
+        return `${groupId}:${String(seq).padStart(10, '0')}`;
+    }
+
+    /**
+     * Hash of an entry's content and the hash before it
+     */
+    hash(entry) {
+        const content = JSON.stringify([
+            entry.seq,
+            entry.groupId,
+            entry.action,
+            entry.outcome,
+            entry.actorId,
+            entry.targetId,
+            entry.targets,
+            entry.details,
+            entry.source,
+            entry.at,
+            entry.recordedAt,
+            entry.prevHash
+        ]);
+        return this.secret
+            ? crypto.createHmac('sha256', this.secret).update(content).digest('hex')
+            : crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Append entries for one group, in order.
+     * entry: { action, actorId, targetId, targets, details, source, outcome, at }
+     * Returns the stored entries with their seq and hash.
+     */
+    async append(groupId, entries) {
+        if (!groupId) {
+            throw new AuditError('groupId is required for an audit entry', 'MISSING_GROUP_ID');
+        }
+        if (entries.length === 0) {
+            return [];
+        }
+        if (entries.some(entry => !entry.action)) {
+            throw new AuditError('action is required for an audit entry', 'MISSING_ACTION');
+        }
+
+        const appended = [];
+        let dropped = [];
+        await this.heads.update(groupId, async (head) => {
+            let { seq, hash, firstSeq = 1, anchor = GENESIS } = head || { seq: 0, hash: GENESIS };
+            // Never earlier than the last entry, so a group's entries stay in time order
+            const now = new Date().toISOString();
+            const recordedAt = head && head.updatedAt > now ? head.updatedAt : now;
+
+            for (const input of entries) {
+                const entry = {
+                    id: null,
+                    seq: seq + 1,
+                    groupId,
+                    action: input.action,
+                    outcome: input.outcome || 'success',
+                    actorId: input.actorId || null,
+                    targetId: input.targetId || null,
+                    targets: input.targets || null,
+                    details: input.details || {},
+                    source: input.source || null,
+                    at: input.at ? new Date(input.at).toISOString() : recordedAt,
+                    recordedAt,
+                    prevHash: hash
+                };
+                entry.id = this.key(groupId, entry.seq);
+                entry.hash = this.hash(entry);
+
+                await this.records.set(entry.id, entry);
+                appended.push(entry);
+                ({ seq, hash } = entry);
+            }
+
+            ({ firstSeq, anchor, dropped } = await this.expire(groupId, { seq, firstSeq, anchor }, recordedAt));
+            return { seq, hash, firstSeq, anchor, updatedAt: recordedAt };
+        });
+
+        // Only once the head has moved past them, so a crash leaves extra entries rather than a gap
+        for (const id of dropped) {
+            await this.records.delete(id);
+        }
+
+        return appended;
+    }
+
+    /**
+     * Work out which of a group's oldest entries are past the retention
+     * period or over the cap. Returns the new first seq, the hash it links
+     * to, and the ids to delete.
+     */
+    async expire(groupId, { seq, firstSeq, anchor }, now) {
+        const cutoff = new Date(new Date(now).getTime() - this.retentionDays * DAY).toISOString();
+        const dropped = [];
+
+        while (firstSeq <= seq) {
+            const entry = await this.records.get(this.key(groupId, firstSeq));
+            // A missing entry is left for verify() to report
+            if (!entry || (seq - firstSeq < this.maxEntries && entry.recordedAt >= cutoff)) {
+                break;
+            }
+            dropped.push(entry.id);
+            anchor = entry.hash;
+            firstSeq++;
+        }
+
+        return { firstSeq, anchor, dropped };
+    }
+
+    async record(groupId, entry) {
+        const [appended] = await this.append(groupId, [entry]);
+        return appended;
+    }
+
+    /**
+     * Entries of one group in seq order
+     */
+    async list(groupId) {
+        return (await this.records.values(`${groupId}:`))
+            .filter(entry => entry.groupId === groupId)
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Newest first: by when they were recorded, then group, then seq
+     */
+    compare(a, b) {
+        return b.recordedAt.localeCompare(a.recordedAt) || a.groupId.localeCompare(b.groupId) || b.seq - a.seq;
+    }
+
+    encodeCursor(entry) {
+        return Buffer.from(JSON.stringify([entry.recordedAt, entry.groupId, entry.seq])).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const [recordedAt, groupId, seq] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (typeof recordedAt === 'string' && typeof groupId === 'string' && Number.isInteger(seq)) {
+                return { recordedAt, groupId, seq };
+            }
+        } catch (error) {
+            // Reported below
+        }
+        throw new AuditError('Invalid cursor', 'INVALID_CURSOR');
+    }
+
+    parseDate(value, field) {
+        if (!value) {
+            return null;
+        }
+        const time = new Date(value);
+        if (Number.isNaN(time.getTime())) {
+            throw new AuditError(`${field} is not a valid date`, 'INVALID_DATE');
+        }
+        return time.toISOString();
+    }
+
+    /**
+     * Search the log, newest first.
+     * filters: { groupId, actorId, targetId, action (string or list), outcome, from, to }
+     * from/to bound when the action happened. The cursor is the nextCursor of
+     * the previous page. Each group's chain is read newest first from its
+     * head, or from where the cursor left off, until the page is full.
+     */
+    async query(filters = {}, { limit = 20, cursor = null } = {}) {
+        const size = Math.min(Math.max(parseInt(limit, 10) || 20, 1), this.maxLimit);
+        const from = this.parseDate(filters.from, 'from');
+        const to = this.parseDate(filters.to, 'to');
+        const actions = filters.action
+            ? (Array.isArray(filters.action) ? filters.action : String(filters.action).split(','))
+                .map(action => action.trim())
+                .filter(Boolean)
+            : null;
+
+        const matches = entry => (!filters.actorId || entry.actorId === filters.actorId)
+            && (!filters.targetId || entry.targetId === filters.targetId || (entry.targets || []).includes(filters.targetId))
+            && (!actions || actions.includes(entry.action))
+            && (!filters.outcome || entry.outcome === filters.outcome)
+            && (!from || entry.at >= from) && (!to || entry.at <= to);
+
+        const position = cursor ? this.decodeCursor(cursor) : null;
+        const heads = filters.groupId
+            ? [[filters.groupId, await this.heads.get(filters.groupId)]]
+            : await this.heads.entries();
+
+        const chains = [];
+        for (const [groupId, head] of heads) {
+            if (!head) continue;
+            const chain = {
+                groupId,
+                seq: position ? await this.seek(groupId, head, position) : head.seq,
+                firstSeq: head.firstSeq || 1,
+                entry: null
+            };
+            await this.advance(chain);
+            if (chain.entry) chains.push(chain);
+        }
+
+        const entries = [];
+        let hasMore = false;
+        while (chains.length > 0) {
+            // The newest entry of any group goes next
+            let next = 0;
+            for (let i = 1; i < chains.length; i++) {
+                if (this.compare(chains[i].entry, chains[next].entry) < 0) next = i;
+            }
+
+            const chain = chains[next];
+            if (matches(chain.entry)) {
+                if (entries.length === size) {
+                    hasMore = true;
+                    break;
+                }
+                entries.push(chain.entry);
+            }
+
+            await this.advance(chain);
+            if (!chain.entry) chains.splice(next, 1);
+        }
+
+        return {
+            entries,
+            limit: size,
+            nextCursor: hasMore ? this.encodeCursor(entries[entries.length - 1]) : null
+        };
+    }
+
+    /**
+     * Highest seq in a group that sorts after the cursor. A group's entries
+     * are recorded in seq order, so this is a binary search.
+     */
+    async seek(groupId, head, position) {
+        if (groupId === position.groupId) {
+            return Math.min(position.seq - 1, head.seq);
+        }
+
+        let low = (head.firstSeq || 1) - 1;
+        let high = head.seq;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            const entry = await this.records.get(this.key(groupId, mid));
+            if (!entry || this.compare(entry, position) > 0) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Load the next older entry of a chain
+     */
+    async advance(chain) {
+        chain.entry = null;
+        while (!chain.entry && chain.seq >= chain.firstSeq) {
+            chain.entry = await this.records.get(this.key(chain.groupId, chain.seq));
+            chain.seq--;
+        }
+    }
+
+    /**
+     * Walk a group's chain and report the first entry that doesn't fit
+     */
+    async verify(groupId) {
+        const head = await this.heads.get(groupId);
+        const firstSeq = head?.firstSeq || 1;
+        // Entries before the first were dropped for retention; one may outlive the head by a crash
+        const entries = (await this.list(groupId)).filter(entry => entry.seq >= firstSeq);
+
+        let previous = head?.anchor || GENESIS;
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            let problem = null;
+
+            if (entry.seq !== firstSeq + i) {
+                problem = `expected entry ${firstSeq + i}, found ${entry.seq}`;
+            } else if (entry.prevHash !== previous) {
+                problem = 'does not link to the entry before it';
+            } else if (this.hash(entry) !== entry.hash) {
+                problem = 'content does not match its hash';
+            }
+
+            if (problem) {
+                return { groupId, valid: false, checked: i, total: entries.length, brokenAt: entry.seq, reason: problem };
+            }
+            previous = entry.hash;
+        }
+
+        const lastSeq = firstSeq + entries.length - 1;
+        if (head && (head.seq !== lastSeq || head.hash !== previous)) {
+            return {
+                groupId,
+                valid: false,
+                checked: entries.length,
+                total: entries.length,
+                brokenAt: lastSeq + 1,
+                reason: `the log ends at entry ${lastSeq} but entry ${head.seq} was written`
+            };
+        }
+
+        return { groupId, valid: true, checked: entries.length, total: entries.length, brokenAt: null, reason: null, head: previous };
+    }
+}
+
+// Export singleton instance
+module.exports = new AuditLog();
@@ -0,0 +1,471 @@
+// lib/bible.js
+const path = require('path');
+
+class BibleError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'BibleError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Bible Index
+ * Local KJV text (assets/bible/kjv.json, public domain) with reference
+ * lookup, ranked full-text search and related-verse lookup, so scripture
+ * functions keep working without bible-api.com. The corpus is loaded and
+ * indexed on first use.
+ */
+class BibleIndex {
+    constructor() {
+        this.file = path.join(__dirname, '..', 'assets', 'bible', 'kjv.json');
+        this.translation = 'KJV';
+        this.loaded = false;
+
+        // First New Testament book, by position
+        this.newTestamentStart = 39;
+
+        // Abbreviations beyond the full names and unambiguous prefixes
+        this.abbreviations = {
+            'Genesis': 'gn', 'Exodus': 'ex', 'Leviticus': 'lv', 'Numbers': 'nm nb', 'Deuteronomy': 'dt',
+            'Joshua': 'jsh', 'Judges': 'jdg jg jdgs', 'Ruth': 'rth ru', '1 Samuel': '1sm 1s', '2 Samuel': '2sm 2s',
+            '1 Kings': '1kgs 1kg 1k', '2 Kings': '2kgs 2kg 2k', '1 Chronicles': '1chr 1ch', '2 Chronicles': '2chr 2ch',
+            'Nehemiah': 'ne', 'Esther': 'est es', 'Job': 'jb', 'Psalms': 'ps psalm pslm psa psm pss',
+            'Proverbs': 'pr prv', 'Ecclesiastes': 'ec qoh', 'Song of Solomon': 'song sos songofsongs canticles ss',
+            'Jeremiah': 'jer je jr', 'Ezekiel': 'ezk', 'Daniel': 'dn', 'Hosea': 'ho', 'Joel': 'jl',
+            'Amos': 'am', 'Obadiah': 'ob', 'Jonah': 'jnh', 'Micah': 'mc', 'Nahum': 'na', 'Habakkuk': 'hb',
+            'Zephaniah': 'zp', 'Haggai': 'hg', 'Zechariah': 'zc', 'Malachi': 'ml', 'Matthew': 'mt',
+            'Mark': 'mk mrk', 'Luke': 'lk', 'John': 'jn jhn', 'Acts': 'ac', 'Romans': 'rm ro',
+            'Galatians': 'ga', 'Ephesians': 'ephes', 'Philippians': 'phil php pp', 'Colossians': 'col',
+            '1 Thessalonians': '1th', '2 Thessalonians': '2th', '1 Timothy': '1tm', '2 Timothy': '2tm',
+            'Titus': 'ti', 'Philemon': 'phm phlm pm philem', 'Hebrews': 'heb', 'James': 'jas jm',
+            '1 Peter': '1pt 1p', '2 Peter': '2pt 2p', '1 John': '1jn 1jo 1jhn', '2 John': '2jn 2jo 2jhn',
+            '3 John': '3jn 3jo 3jhn', 'Jude': 'jd', 'Revelation': 'rv re revelations apocalypse'
+        };
+
+        this.stopwords = new Set((
+            'a about all also am an and any are art as at be because been behold but by came come did do does ' +
+            'doth dost even for from give had has hast hath have he her him his how i if in into is it let lo ' +
+            'me my no not now o of on or our out own say saith said says shall shalt she show so tell than that ' +
+            'the thee their them then there therefore thereof these they thine this those thou thus thy to unto ' +
+            'up upon us was we were what when where which who whom why will wilt with ye yea you your ' +
+            'bible scripture scriptures verse verses passage passages find'
+        ).split(' '));
+
+        // Topic words; a query using one also matches the others, at half weight
+        this.topics = [
+            'patience patient patiently longsuffering wait endure endureth',
+            'love loved loveth charity beloved',
+            'fear afraid anxious anxiety careful troubled dismayed worry',
+            'forgive forgiven forgiveness pardon trespasses',
+            'faith believe trust',
+            'peace rest quiet still',
+            'hope expectation',
+            'strength strong power might',
+            'joy rejoice glad gladness',
+            'wisdom wise understanding knowledge prudent',
+            'money riches wealth gold silver treasure mammon',
+            'marriage marry wife husband',
+            'pray prayer supplication',
+            'comfort mourn sorrow tears weep grief',
+            'anger wrath angry',
+            'pride proud haughty humble humility',
+            'heal healed healing sick',
+            'salvation saved save redeem redemption',
+            'kindness kind mercy merciful compassion',
+            'temptation tempted tempt'
+        ];
+
+        // BM25 parameters
+        this.k1 = 1.2;
+        this.b = 0.75;
+    }
+
+    /**
+     * Load the corpus and build the index once
+     */
+    load() {
+        if (this.loaded) {
+            return;
+        }
+
+        const corpus = require(this.file);
+        this.name = corpus.name;
+        this.books = [];
+        this.verses = [];
+        this.bookLookup = new Map();
+
+        corpus.books.forEach((book, bookIndex) => {
+            this.books.push({ name: book.name, index: bookIndex, start: this.verses.length, chapters: book.chapters });
+            book.chapters.forEach((verses, chapterIndex) => {
+                verses.forEach((text, verseIndex) => {
+                    this.verses.push({ book: bookIndex, chapter: chapterIndex + 1, verse: verseIndex + 1, text });
+                });
+            });
+        });
+
+        for (const book of this.books) {
+            const key = this.normalizeBook(book.name);
+            this.bookLookup.set(key, book);
+            (this.abbreviations[book.name] || '').split(' ').filter(Boolean).forEach(alias => this.bookLookup.set(alias, book));
+        }
+
+        // Inverted index: term -> { docs, counts }
+        this.postings = new Map();
+        this.lengths = new Uint16Array(this.verses.length);
+        let totalLength = 0;
+
+        this.verses.forEach((verse, doc) => {
+            const terms = this.tokenize(verse.text);
+            this.lengths[doc] = terms.length;
+            totalLength += terms.length;
+
+            const counts = new Map();
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            for (const [term, count] of counts) {
+                let posting = this.postings.get(term);
+                if (!posting) {
+                    posting = { docs: [], counts: [] };
+                    this.postings.set(term, posting);
+                }
+                posting.docs.push(doc);
+                posting.counts.push(count);
+            }
+        });
+
+        this.averageLength = totalLength / this.verses.length;
+        this.topicLookup = new Map();
+        for (const topic of this.topics) {
+            const stems = [...new Set(topic.split(' ').map(word => this.stem(word)))];
+            stems.forEach(stem => this.topicLookup.set(stem, stems));
+        }
+
+        this.loaded = true;
+    }
+
+    normalizeBook(name) {
+        return name
+            .toLowerCase()
+            .replace(/[.']/g, '')
+            .replace(/^(iii|third)\s+/, '3')
+            .replace(/^(ii|second)\s+/, '2')
+            .replace(/^(i|first)\s+/, '1')
+            .replace(/\s+/g, '');
+    }
+
+    /**
+     * Find a book by name or abbreviation: "1 Cor", "Psalm", "Song of Songs"
+     */
+    resolveBook(name) {
+        this.load();
+        const key = this.normalizeBook(String(name || '').trim());
+        if (!key) {
+            return null;
+        }
+
+        const exact = this.bookLookup.get(key);
+        if (exact) {
+            return exact;
+        }
+
+        // Unambiguous prefix of a full name, e.g. "gen", "matt", "rev"
+        const matches = this.books.filter(book => this.normalizeBook(book.name).startsWith(key));
+        return key.replace(/^\d/, '').length >= 2 && matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Parse "John 3:16", "Rom 8:28-30", "Psalm 23", "Jude 5" or "Matt 5:3-6:4".
+     * Returns { book, chapter, verse, endChapter, endVerse }, or null when it
+     * isn't a reference; chapter or verse 0 and ranges that run backwards are
+     * rejected with INVALID_REFERENCE.
+     */
+    parseReference(reference) {
+        const match = String(reference || '').trim().match(
+            /^((?:[1-3]|i{1,3}|first|second|third)?\s*[a-z][a-z .']*?)\.?\s*(\d+)(?:\s*[:.]\s*(\d+)(?:\s*[-–]\s*(\d+)(?:\s*:\s*(\d+))?)?)?$/i
+        );
+        if (!match) {
+            return null;
+        }
+
+        const book = this.resolveBook(match[1]);
+        if (!book) {
+            return null;
+        }
+
+        const chapter = parseInt(match[2], 10);
+        const verse = match[3] ? parseInt(match[3], 10) : null;
+        if (chapter < 1 || verse === 0) {
+            throw new BibleError(`"${String(reference).trim()}": chapters and verses start at 1`, 'INVALID_REFERENCE');
+        }
+
+        // One-chapter books are cited by verse: "Jude 5"
+        if (book.chapters.length === 1 && verse === null && chapter > 1) {
+            return { book: book.name, chapter: 1, verse: chapter, endChapter: 1, endVerse: chapter };
+        }
+
+        const endChapter = match[5] ? parseInt(match[4], 10) : chapter;
+        const endVerse = match[5] ? parseInt(match[5], 10) : (match[4] ? parseInt(match[4], 10) : verse);
+        if (endVerse === 0) {
+            throw new BibleError(`"${String(reference).trim()}": chapters and verses start at 1`, 'INVALID_REFERENCE');
+        }
+        if (endChapter < chapter || (endChapter === chapter && endVerse < verse)) {
+            throw new BibleError(`"${String(reference).trim()}" ends before it starts`, 'INVALID_REFERENCE');
+        }
+
+        return { book: book.name, chapter, verse, endChapter, endVerse };
+    }
+
+    formatReference(verse) {
+        return `${this.books[verse.book].name} ${verse.chapter}:${verse.verse}`;
+    }
+
+    /**
+     * Canonical reference for a run of verses: "John 3:16-18", "Matthew 5:48-6:2"
+     */
+    formatRange(verses) {
+        const first = verses[0];
+        const last = verses[verses.length - 1];
+        if (verses.length === 1) {
+            return this.formatReference(first);
+        }
+        return last.chapter === first.chapter
+            ? `${this.formatReference(first)}-${last.verse}`
+            : `${this.formatReference(first)}-${last.chapter}:${last.verse}`;
+    }
+
+    toResult(verse, score = null) {
+        return {
+            reference: this.formatReference(verse),
+            book: this.books[verse.book].name,
+            chapter: verse.chapter,
+            verse: verse.verse,
+            text: verse.text,
+            ...(score !== null && { score: Math.round(score * 100) / 100 })
+        };
+    }
+
+    /**
+     * Position of a verse in the corpus, or -1
+     */
+    indexOf(book, chapter, verse) {
+        const chapters = book.chapters;
+        if (chapter < 1 || chapter > chapters.length || verse < 1 || verse > chapters[chapter - 1].length) {
+            return -1;
+        }
+
+        let position = book.start;
+        for (let i = 0; i < chapter - 1; i++) {
+            position += chapters[i].length;
+        }
+        return position + verse - 1;
+    }
+
+    /**
+     * Look up a passage by reference. A reference without a verse returns the whole chapter.
+     */
+    lookup(reference) {
+        this.load();
+        const parsed = this.parseReference(reference);
+        if (!parsed) {
+            throw new BibleError(`Could not read the reference "${reference}". Use a format like John 3:16`, 'INVALID_REFERENCE');
+        }
+
+        const book = this.resolveBook(parsed.book);
+        if (parsed.chapter > book.chapters.length) {
+            throw new BibleError(`${book.name} has ${book.chapters.length} chapter${book.chapters.length === 1 ? '' : 's'}`, 'CHAPTER_NOT_FOUND', 404);
+        }
+
+        const endChapter = Math.min(Math.max(parsed.endChapter, parsed.chapter), book.chapters.length);
+        const start = this.indexOf(book, parsed.chapter, parsed.verse === null ? 1 : parsed.verse);
+        const endVerse = parsed.verse === null
+            ? book.chapters[endChapter - 1].length
+            : Math.min(parsed.endVerse, book.chapters[endChapter - 1].length);
+        const end = this.indexOf(book, endChapter, endVerse);
+
+        if (start === -1) {
+            throw new BibleError(`${book.name} ${parsed.chapter} has ${book.chapters[parsed.chapter - 1].length} verses`, 'VERSE_NOT_FOUND', 404);
+        }
+
+        const verses = this.verses.slice(start, Math.max(end, start) + 1);
+        return {
+            reference: parsed.verse === null && endChapter === parsed.chapter
+                ? `${book.name} ${parsed.chapter}`
+                : this.formatRange(verses),
+            book: book.name,
+            chapter: parsed.chapter,
+            verse: parsed.verse,
+            translation: this.translation,
+            verses: verses.map(verse => this.toResult(verse)),
+            text: verses.map(verse => verse.text).join(' ')
+        };
+    }
+
+    /**
+     * A whole chapter
+     */
+    chapter(bookName, chapter) {
+        return this.lookup(`${bookName} ${chapter}`);
+    }
+
+    stem(word) {
+        let stem = word;
+        for (const suffix of ['fulness', 'ness', 'eth', 'est', 'ing', 'edst', 'ed', 'ly', 'ful', 'es', 's']) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3 && !(suffix === 's' && /[su]s$/.test(stem))) {
+                stem = stem.slice(0, -suffix.length);
+                break;
+            }
+        }
+        return stem.length > 3 && stem.endsWith('e') ? stem.slice(0, -1) : stem;
+    }
+
+    tokenize(text) {
+        return (text.toLowerCase().match(/[a-z]+/g) || [])
+            .filter(word => word.length > 1 && !this.stopwords.has(word))
+            .map(word => this.stem(word));
+    }
+
+    idf(term) {
+        const posting = this.postings.get(term);
+        const frequency = posting ? posting.docs.length : 0;
+        return Math.log(1 + (this.verses.length - frequency + 0.5) / (frequency + 0.5));
+    }
+
+    /**
+     * BM25 scores for weighted terms: Map term -> weight. Returns Map doc -> score.
+     */
+    score(weights, limitTo = null) {
+        const scores = new Map();
+        for (const [term, weight] of weights) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            const idf = this.idf(term);
+            posting.docs.forEach((doc, i) => {
+                if (limitTo && !limitTo(doc)) return;
+                const count = posting.counts[i];
+                const norm = count + this.k1 * (1 - this.b + this.b * this.lengths[doc] / this.averageLength);
+                scores.set(doc, (scores.get(doc) || 0) + weight * idf * (count * (this.k1 + 1)) / norm);
+            });
+        }
+        return scores;
+    }
+
+    /**
+     * Query terms with topic words added at half weight
+     */
+    expand(terms) {
+        const weights = new Map();
+        for (const term of terms) {
+            weights.set(term, 1);
+        }
+        for (const term of terms) {
+            for (const related of this.topicLookup.get(term) || []) {
+                if (!weights.has(related)) {
+                    weights.set(related, 0.5);
+                }
+            }
+        }
+        return weights;
+    }
+
+    /**
+     * Ranked search.
+     * options: { limit, book, testament ('old'|'new'), mode }
+     * mode 'any' ranks verses with any term (topic words included), 'all'
+     * needs every term, 'phrase' needs the words in order; a quoted query
+     * is a phrase search.
+     */
+    search(query, { limit = 10, book = null, testament = null, mode = 'any' } = {}) {
+        this.load();
+        const text = String(query || '').trim();
+        const quoted = text.match(/^"(.+)"$/);
+        const searchMode = quoted ? 'phrase' : mode;
+        const terms = [...new Set(this.tokenize(quoted ? quoted[1] : text))];
+
+        if (terms.length === 0) {
+            throw new BibleError('Search needs at least one word that is not a common word', 'EMPTY_QUERY');
+        }
+
+        let bookFilter = null;
+        if (book) {
+            bookFilter = this.resolveBook(book);
+            if (!bookFilter) {
+                throw new BibleError(`Unknown book: ${book}`, 'BOOK_NOT_FOUND', 404);
+            }
+        }
+
+        const phrase = searchMode === 'phrase'
+            ? (quoted ? quoted[1] : text).toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim()
+            : null;
+
+        const filter = (doc) => {
+            const verse = this.verses[doc];
+            if (bookFilter && verse.book !== bookFilter.index) return false;
+            if (testament === 'old' && verse.book >= this.newTestamentStart) return false;
+            if (testament === 'new' && verse.book < this.newTestamentStart) return false;
+            if (phrase && !verse.text.toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').includes(phrase)) return false;
+            return true;
+        };
+
+        const weights = searchMode === 'any' ? this.expand(terms) : new Map(terms.map(term => [term, 1]));
+        const scores = this.score(weights, filter);
+
+        if (searchMode === 'all') {
+            for (const doc of scores.keys()) {
+                const words = new Set(this.tokenize(this.verses[doc].text));
+                if (!terms.every(term => words.has(term))) {
+                    scores.delete(doc);
+                }
+            }
+        }
+
+        const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+        return {
+            query: text,
+            mode: searchMode,
+            terms,
+            total: ranked.length,
+            results: ranked.slice(0, limit).map(([doc, score]) => this.toResult(this.verses[doc], score))
+        };
+    }
+
+    /**
+     * Verses that share the most distinctive words with a passage. Verses
+     * right next to it in the same chapter are left out.
+     */
+    crossReferences(reference, { limit = 10 } = {}) {
+        const passage = this.lookup(reference);
+        const book = this.resolveBook(passage.book);
+        const first = this.indexOf(book, passage.verses[0].chapter, passage.verses[0].verse);
+        const last = first + passage.verses.length - 1;
+
+        const weights = new Map();
+        for (const term of this.tokenize(passage.text)) {
+            // Words in more than 1 verse in 20 say little about the passage
+            const posting = this.postings.get(term);
+            if (posting && posting.docs.length < this.verses.length / 20) {
+                weights.set(term, (weights.get(term) || 0) + 1);
+            }
+        }
+
+        const scores = this.score(weights, doc => doc < first - 3 || doc > last + 3);
+        const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+
+        return {
+            reference: passage.reference,
+            text: passage.text,
+            related: ranked.slice(0, limit).map(([doc, score]) => this.toResult(this.verses[doc], score))
+        };
+    }
+
+    /**
+     * Verses to ground an answer to a question
+     */
+    retrieve(question, limit = 6) {
+        return this.search(question, { limit, mode: 'any' }).results;
+    }
+}
+
+// Export singleton instance
+module.exports = new BibleIndex();
@@ -0,0 +1,254 @@
+// lib/jobs.js
+const EventEmitter = require('events');
+
+class JobError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'JobError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Job Queue
+ * Runs long function calls in the background with a bounded worker pool.
+ * Jobs stay in memory until their result is fetched or they expire.
+ * Emits 'finished' with the job once it completes, fails or is cancelled.
+ */
+class JobQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.executor = null;
+
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+        this.maxQueued = parseInt(process.env.JOB_QUEUE_LIMIT, 10) || 100;
+        this.ttl = (parseInt(process.env.JOB_TTL_SECONDS, 10) || 3600) * 1000;
+        this.fetchedTtl = 60 * 1000; // Grace period after a finished job is read
+
+        this.finalStatuses = ['completed', 'failed', 'cancelled'];
+
+        // Drop expired jobs every minute
+        this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Set the function that runs a job: (job, { signal, progress }) => result
+     */
+    setExecutor(executor) {
+        this.executor = executor;
+    }
+
+    /**
+     * Add a job to the queue. client is the rate-limit identity of whoever
+     * queued it (IP or API key), so the job's tool calls are charged to them.
+     */
+    enqueue({ category, function: functionName, data = {}, metadata = {}, callback = null, owner = null, client = null }) {
+        if (this.queue.length >= this.maxQueued) {
+            throw new JobError('Job queue is full, try again later', 'QUEUE_FULL', 503);
+        }
+
+        const now = Date.now();
+        const job = {
+            id: `job_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            category,
+            function: functionName,
+            data,
+            metadata,
+            owner,
+            client,
+            status: 'queued',
+            progress: { percent: 0, message: null },
+            result: null,
+            error: null,
+            createdAt: new Date(now).toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            expiresAt: now + this.ttl,
+            callback: callback ? { url: callback.url, secret: callback.secret, status: 'waiting' } : null,
+            controller: new AbortController()
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.drain();
+
+        return job;
+    }
+
+    /**
+     * Start queued jobs while workers are free
+     */
+    drain() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.run(job);
+        }
+    }
+
+    /**
+     * Run a single job
+     */
+    async run(job) {
+        this.running++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        const progress = (percent, message = null) => {
+            if (job.status !== 'running') return;
+            job.progress = {
+                percent: Math.min(Math.max(Math.round(percent), 0), 100),
+                message
+            };
+        };
+
+        try {
+            if (!this.executor) {
+                throw new Error('No job executor configured');
+            }
+
+            const result = await this.executor(job, { signal: job.controller.signal, progress });
+
+            // A cancelled job keeps its cancelled state even if the function finished
+            if (job.status === 'running') {
+                job.result = result;
+                job.status = result && result.success === false ? 'failed' : 'completed';
+                job.progress = { percent: 100, message: job.progress.message };
+            }
+        } catch (error) {
+            if (job.status === 'running') {
+                job.status = 'failed';
+                job.error = {
+                    code: error.code || 'EXECUTION_ERROR',
+                    message: error.message
+                };
+            }
+        } finally {
+            if (!job.finishedAt) {
+                job.finishedAt = new Date().toISOString();
+            }
+            if (job.status !== 'cancelled') {
+                job.expiresAt = Date.now() + this.ttl;
+                this.emit('finished', job);
+            }
+            this.running--;
+            this.drain();
+        }
+    }
+
+    /**
+     * Get a job; reading a finished job starts its short expiry
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+
+        if (this.finalStatuses.includes(job.status)) {
+            if (job.expiresAt <= Date.now()) {
+                return null;
+            }
+            job.expiresAt = Math.min(job.expiresAt, Date.now() + this.fetchedTtl);
+        }
+
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running job. A running job's function is handed the
+     * job's signal, which is aborted here to stop its downloads and ffmpeg.
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job) {
+            return null;
+        }
+
+        if (this.finalStatuses.includes(job.status)) {
+            throw new JobError(`Job is already ${job.status}`, 'JOB_FINISHED', 409);
+        }
+
+        const queuedIndex = this.queue.indexOf(job);
+        if (queuedIndex !== -1) {
+            this.queue.splice(queuedIndex, 1);
+        }
+
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        job.expiresAt = Date.now() + this.fetchedTtl;
+        job.controller.abort();
+        this.emit('finished', job);
+
+        return job;
+    }
+
+    /**
+     * Remove expired jobs
+     */
+    sweep() {
+        const now = Date.now();
+        for (const [id, job] of this.jobs) {
+            if (job.expiresAt <= now && this.finalStatuses.includes(job.status)) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Public view of a job
+     */
+    serialize(job) {
+        const position = this.queue.indexOf(job);
+
+        return {
+            id: job.id,
+            category: job.category,
+            function: job.function,
+            status: job.status,
+            progress: job.progress,
+            queuePosition: position === -1 ? null : position + 1,
+            result: job.result,
+            error: job.error,
+            callback: job.callback && {
+                url: job.callback.url,
+                status: job.callback.status,
+                attempts: job.callback.attempts || 0,
+                lastError: job.callback.lastError || null,
+                deliveredAt: job.callback.deliveredAt || null
+            },
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            expiresAt: this.finalStatuses.includes(job.status)
+                ? new Date(job.expiresAt).toISOString()
+                : null
+        };
+    }
+
+    /**
+     * Queue statistics
+     */
+    getStats() {
+        const byStatus = {};
+        for (const job of this.jobs.values()) {
+            byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+        }
+
+        return {
+            concurrency: this.concurrency,
+            running: this.running,
+            queued: this.queue.length,
+            maxQueued: this.maxQueued,
+            stored: this.jobs.size,
+            byStatus
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
@@ -0,0 +1,472 @@
+// lib/llm.js
+const axios = require('axios');
+const crypto = require('crypto');
+const store = require('./store');
+
+class LLMError extends Error {
+    constructor(message, code, httpStatus = 502, retryable = false) {
+        super(message);
+        this.name = 'LLMError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions over HTTP. Works against OpenAI or any
+ * server speaking the same API (llama.cpp, Ollama, vLLM) via LLM_BASE_URL.
+ */
+class OpenAICompatibleProvider {
+    constructor(config) {
+        this.name = 'openai';
+        this.config = config;
+    }
+
+    isConfigured() {
+        // Local servers usually need no key
+        return Boolean(this.config.apiKey() || process.env.LLM_BASE_URL);
+    }
+
+    headers() {
+        const apiKey = this.config.apiKey();
+        return {
+            'Content-Type': 'application/json',
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        };
+    }
+
+    async chat(params, { signal, onToken }) {
+        if (!this.isConfigured()) {
+            throw new LLMError('LLM API key not configured (set LLM_API_KEY or OPENAI_API_KEY, or LLM_BASE_URL for a local server)', 'LLM_NOT_CONFIGURED', 503);
+        }
+
+        const body = {
+            model: params.model,
+            messages: params.messages,
+            max_tokens: params.maxTokens,
+            temperature: params.temperature,
+            top_p: params.topP,
+            frequency_penalty: params.frequencyPenalty,
+            presence_penalty: params.presencePenalty,
+            ...(params.tools && { tools: params.tools, tool_choice: params.toolChoice || 'auto' }),
+            ...(onToken && { stream: true, stream_options: { include_usage: true } })
+        };
+
+        let response;
+        try {
+            response = await axios.post(`${this.config.baseURL()}/chat/completions`, body, {
+                headers: this.headers(),
+                signal,
+                responseType: onToken ? 'stream' : 'json'
+            });
+        } catch (error) {
+            throw this.toError(error);
+        }
+
+        if (onToken) {
+            return this.readStream(response.data, params.model, onToken);
+        }
+
+        const data = response.data;
+        const message = data.choices?.[0]?.message || {};
+        return {
+            content: message.content || '',
+            toolCalls: (message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function?.name,
+                arguments: call.function?.arguments || '{}'
+            })),
+            model: data.model || params.model,
+            finishReason: data.choices?.[0]?.finish_reason || null,
+            usage: data.usage ? {
+                promptTokens: data.usage.prompt_tokens || 0,
+                completionTokens: data.usage.completion_tokens || 0,
+                totalTokens: data.usage.total_tokens || 0
+            } : null
+        };
+    }
+
+    /**
+     * Read a Server-Sent Events completion stream, passing each delta on
+     */
+    async readStream(stream, model, onToken) {
+        const result = { content: '', model, finishReason: null, usage: null, streamed: false };
+        let buffer = '';
+
+        const handle = (line) => {
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+
+            const chunk = JSON.parse(payload);
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                result.content += delta;
+                result.streamed = true;
+                onToken(delta);
+            }
+            if (chunk.model) result.model = chunk.model;
+            if (chunk.choices?.[0]?.finish_reason) result.finishReason = chunk.choices[0].finish_reason;
+            if (chunk.usage) {
+                result.usage = {
+                    promptTokens: chunk.usage.prompt_tokens || 0,
+                    completionTokens: chunk.usage.completion_tokens || 0,
+                    totalTokens: chunk.usage.total_tokens || 0
+                };
+            }
+        };
+
+        try {
+            for await (const data of stream) {
+                buffer += data.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(line => handle(line.trim()));
+            }
+            handle(buffer.trim());
+        } catch (error) {
+            // Part of the reply already reached the caller; retrying would repeat it
+            const failure = this.toError(error);
+            failure.retryable = failure.retryable && !result.streamed;
+            throw failure;
+        }
+
+        return result;
+    }
+
+    async listModels({ signal }) {
+        try {
+            const response = await axios.get(`${this.config.baseURL()}/models`, { headers: this.headers(), signal });
+            return (response.data.data || []).map(model => ({
+                id: model.id,
+                ownedBy: model.owned_by || null,
+                created: model.created ? new Date(model.created * 1000).toISOString() : null
+            }));
+        } catch (error) {
+            throw this.toError(error);
+        }
+    }
+
+    /**
+     * Map an HTTP failure; rate limits, server errors and network errors can be retried
+     */
+    toError(error) {
+        if (error.name === 'LLMError') {
+            return error;
+        }
+        if (error.name === 'CanceledError' || error.code === 'ERR_CANCELED') {
+            return new LLMError('LLM request timed out', 'TIMEOUT', 504, true);
+        }
+
+        const status = error.response?.status;
+        if (!status) {
+            return new LLMError(`LLM server unreachable: ${error.message}`, 'SERVICE_UNAVAILABLE', 503, true);
+        }
+
+        const message = error.response.data?.error?.message || error.message;
+        if (status === 401 || status === 403) {
+            return new LLMError(`LLM authentication failed: ${message}`, 'INVALID_TOKEN', 502);
+        }
+        if (status === 429) {
+            const failure = new LLMError(`LLM rate limited: ${message}`, 'RATE_LIMITED', 429, true);
+            failure.retryAfter = parseInt(error.response.headers?.['retry-after'], 10) || null;
+            return failure;
+        }
+        return new LLMError(`LLM request failed (${status}): ${message}`, 'API_ERROR', 502, status >= 500);
+    }
+}
+
+/**
+ * Deterministic stand-in for tests and development: the same messages
+ * always get the same reply. Replies can be scripted with enqueue().
+ */
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.queue = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Script the next replies: a string, { content, toolCalls } or an LLMError
+     * to throw. toolCalls are [{ name, arguments }]; ids are generated.
+     */
+    enqueue(...replies) {
+        this.queue.push(...replies);
+    }
+
+    reset() {
+        this.queue = [];
+    }
+
+    async chat(params, { onToken }) {
+        const scripted = this.queue.shift();
+        if (scripted instanceof Error) {
+            throw scripted;
+        }
+
+        const content = scripted !== undefined
+            ? (typeof scripted === 'string' ? scripted : scripted.content || '')
+            : this.reply(params.messages);
+        const toolCalls = (params.tools && scripted?.toolCalls || []).map((call, index) => ({
+            id: call.id || `call_mock_${index + 1}`,
+            name: call.name,
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }));
+
+        if (onToken) {
+            content.split(/(?<=\s)/).forEach(part => onToken(part));
+        }
+
+        return {
+            content,
+            toolCalls,
+            model: params.model,
+            finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+            usage: null // counted by estimate
+        };
+    }
+
+    reply(messages) {
+        const last = [...messages].reverse().find(message => message.role === 'user');
+        const text = (last?.content || '').replace(/\s+/g, ' ').trim();
+        const digest = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 8);
+        return `[mock ${digest}] You said: "${text.length > 80 ? `${text.substring(0, 80)}...` : text}"`;
+    }
+
+    async listModels() {
+        return [{ id: 'mock', ownedBy: 'local', created: null }];
+    }
+}
+
+/**
+ * LLM Client
+ * One entry point for chat completions. Picks the provider from LLM_PROVIDER
+ * (openai or mock), retries rate limits and server errors with backoff,
+ * enforces a timeout and records token usage per day, model and source.
+ */
+class LLMClient {
+    constructor() {
+        this.usage = store.collection('llm-usage', { ttl: 90 * 24 * 60 * 60 });
+
+        this.config = {
+            baseURL: () => (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+            apiKey: () => process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null,
+            model: () => process.env.LLM_MODEL || 'gpt-3.5-turbo',
+            timeout: () => parseInt(process.env.LLM_TIMEOUT, 10) || 30000,
+            maxRetries: () => {
+                const retries = parseInt(process.env.LLM_MAX_RETRIES, 10);
+                return retries >= 0 ? retries : 2;
+            },
+            retryDelay: 1000
+        };
+
+        this.mock = new MockProvider();
+        this.providers = {
+            openai: new OpenAICompatibleProvider(this.config),
+            mock: this.mock
+        };
+    }
+
+    getProvider(name = null) {
+        const providerName = name || process.env.LLM_PROVIDER || 'openai';
+        const provider = this.providers[providerName];
+        if (!provider) {
+            throw new LLMError(`Unknown LLM provider: ${providerName}`, 'CONFIGURATION_ERROR', 500);
+        }
+        return provider;
+    }
+
+    isConfigured(provider = null) {
+        return this.getProvider(provider).isConfigured();
+    }
+
+    getConfig() {
+        const provider = this.getProvider();
+        return {
+            provider: provider.name,
+            configured: provider.isConfigured(),
+            baseURL: provider.name === 'openai' ? this.config.baseURL() : null,
+            model: this.config.model(),
+            timeout: this.config.timeout(),
+            maxRetries: this.config.maxRetries()
+        };
+    }
+
+    // Rough token count: about 4 characters a token plus per-message overhead
+    estimateTokens(messages) {
+        if (typeof messages === 'string') {
+            return Math.ceil(messages.length / 4);
+        }
+        return messages.reduce((sum, message) => {
+            const text = (message.content || '') + (message.tool_calls ? JSON.stringify(message.tool_calls) : '');
+            return sum + Math.ceil(text.length / 4) + 4;
+        }, 3);
+    }
+
+    /**
+     * Run a chat completion.
+     * options: { messages, model, maxTokens, temperature, topP, frequencyPenalty,
+     *            presencePenalty, tools, toolChoice, onToken, provider, timeout, retries, source, signal }
+     * tools are OpenAI-style function definitions; onToken is not used with them.
+     * Aborting signal (a closed stream, a cancelled job) stops the request and
+     * any retries with a CANCELLED error.
+     * Returns { content, toolCalls: [{ id, name, arguments }], model, provider, finishReason,
+     *           usage: { promptTokens, completionTokens, totalTokens, estimated } }
+     */
+    async chat(options) {
+        const provider = this.getProvider(options.provider);
+        const params = {
+            messages: options.messages,
+            model: options.model || this.config.model(),
+            maxTokens: options.maxTokens || 1000,
+            temperature: options.temperature ?? 0.7,
+            topP: options.topP ?? 1,
+            frequencyPenalty: options.frequencyPenalty ?? 0,
+            presencePenalty: options.presencePenalty ?? 0,
+            tools: options.tools && options.tools.length > 0 ? options.tools : null,
+            toolChoice: options.toolChoice || null
+        };
+        // Tool call arguments arrive in pieces when streamed; ask for the whole reply
+        const onToken = params.tools ? null : options.onToken || null;
+        const retries = options.retries ?? this.config.maxRetries();
+        const timeout = options.timeout || this.config.timeout();
+        const signal = options.signal || null;
+
+        for (let attempt = 0; ; attempt++) {
+            if (signal?.aborted) {
+                throw new LLMError('LLM request was cancelled', 'CANCELLED', 499);
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            const abort = () => controller.abort();
+            signal?.addEventListener('abort', abort, { once: true });
+
+            try {
+                const result = await provider.chat(params, { signal: controller.signal, onToken });
+                const usage = result.usage
+                    ? { ...result.usage, estimated: false }
+                    : this.estimateUsage(params.messages, result.content);
+
+                await this.recordUsage(provider.name, result.model, options.source, usage);
+
+                return {
+                    content: result.content,
+                    toolCalls: result.toolCalls || [],
+                    model: result.model,
+                    provider: provider.name,
+                    finishReason: result.finishReason,
+                    usage
+                };
+            } catch (error) {
+                const failure = signal?.aborted
+                    ? new LLMError('LLM request was cancelled', 'CANCELLED', 499)
+                    : error.name === 'LLMError' ? error : new LLMError(error.message, 'API_ERROR');
+                if (!failure.retryable || attempt >= retries) {
+                    await this.recordUsage(provider.name, params.model, options.source, null);
+                    throw failure;
+                }
+
+                const delay = failure.retryAfter
+                    ? Math.min(failure.retryAfter * 1000, 30000)
+                    : this.config.retryDelay * 2 ** attempt;
+                let stopWaiting;
+                try {
+                    await new Promise(resolve => {
+                        const wait = setTimeout(resolve, delay);
+                        stopWaiting = () => {
+                            clearTimeout(wait);
+                            resolve();
+                        };
+                        signal?.addEventListener('abort', stopWaiting, { once: true });
+                    });
+                } finally {
+                    signal?.removeEventListener('abort', stopWaiting);
+                }
+            } finally {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', abort);
+            }
+        }
+    }
+
+    /**
+     * Single prompt in, text out
+     */
+    async complete(prompt, options = {}) {
+        const messages = [
+            ...(options.system ? [{ role: 'system', content: options.system }] : []),
+            { role: 'user', content: prompt }
+        ];
+        return this.chat({ ...options, messages });
+    }
+
+    async listModels(providerName = null) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.timeout());
+        try {
+            return await this.getProvider(providerName).listModels({ signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    estimateUsage(messages, content) {
+        const promptTokens = this.estimateTokens(messages);
+        const completionTokens = this.estimateTokens(content || '');
+        return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+    }
+
+    /**
+     * Add a call to today's totals; usage null records a failed call
+     */
+    async recordUsage(provider, model, source, usage) {
+        const day = new Date().toISOString().slice(0, 10);
+        const add = (totals = {}) => ({
+            requests: (totals.requests || 0) + 1,
+            errors: (totals.errors || 0) + (usage ? 0 : 1),
+            promptTokens: (totals.promptTokens || 0) + (usage?.promptTokens || 0),
+            completionTokens: (totals.completionTokens || 0) + (usage?.completionTokens || 0),
+            totalTokens: (totals.totalTokens || 0) + (usage?.totalTokens || 0)
+        });
+
+        try {
+            await this.usage.update(day, (current) => {
+                const totals = current || { byModel: {}, bySource: {} };
+                const modelKey = `${provider}:${model}`;
+                const sourceKey = source || 'unknown';
+                return {
+                    ...add(totals),
+                    byModel: { ...totals.byModel, [modelKey]: add(totals.byModel[modelKey]) },
+                    bySource: { ...totals.bySource, [sourceKey]: add(totals.bySource[sourceKey]) }
+                };
+            });
+        } catch (error) {
+            // Accounting must never fail a completion
+            console.error('LLM usage accounting failed:', error.message);
+        }
+    }
+
+    /**
+     * Token usage for the last `days` days, newest first
+     */
+    async getUsage(days = 7) {
+        const result = [];
+        for (let i = 0; i < days; i++) {
+            const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const totals = await this.usage.get(day);
+            if (totals) {
+                result.push({ day, ...totals });
+            }
+        }
+        return result;
+    }
+}
+
+// Export singleton instance
+module.exports = new LLMClient();
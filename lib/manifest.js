@@ -0,0 +1,180 @@
+// lib/manifest.js
+
+/**
+ * Function Manifest Builder
+ * Describes fx modules from the schema and manifest they declare,
+ * so clients can generate help text and argument parsing
+ */
+class ManifestBuilder {
+    constructor() {
+        // Schema rule keys copied into parameter descriptions as-is
+        this.constraintKeys = [
+            'enum', 'min', 'max', 'minLength', 'maxLength',
+            'minItems', 'maxItems', 'uniqueItems', 'isInteger', 'isPositive',
+            'isURL', 'isEmail', 'isHexColor', 'isBase64', 'isUUID'
+        ];
+    }
+
+    /**
+     * Describe a single schema rule
+     */
+    describeRule(rules = {}) {
+        const parameter = {
+            type: rules.type || 'any',
+            required: rules.required === true,
+            description: rules.description || null
+        };
+
+        if (rules.default !== undefined) {
+            parameter.default = rules.default;
+        }
+
+        const constraints = {};
+        for (const key of this.constraintKeys) {
+            if (rules[key] !== undefined) {
+                constraints[key] = rules[key];
+            }
+        }
+
+        if (rules.pattern instanceof RegExp) {
+            constraints.pattern = rules.pattern.source;
+        }
+
+        if (Object.keys(constraints).length > 0) {
+            parameter.constraints = constraints;
+        }
+
+        if (rules.itemSchema) {
+            parameter.items = this.describeRule(rules.itemSchema);
+        }
+
+        if (rules.properties) {
+            parameter.properties = this.describeParameters(rules.properties);
+        }
+
+        return parameter;
+    }
+
+    /**
+     * Describe every field of an input schema
+     */
+    describeParameters(schema = {}) {
+        return Object.entries(schema).map(([name, rules]) => ({
+            name,
+            ...this.describeRule(rules)
+        }));
+    }
+
+    /**
+     * Convert a single schema rule to JSON Schema
+     */
+    ruleToJSONSchema(rules = {}) {
+        const jsonSchema = {};
+
+        switch (rules.type) {
+            case 'number':
+                jsonSchema.type = rules.isInteger ? 'integer' : 'number';
+                break;
+            case 'buffer':
+                jsonSchema.type = 'string';
+                jsonSchema.format = 'byte';
+                break;
+            case 'date':
+                jsonSchema.type = 'string';
+                jsonSchema.format = 'date-time';
+                break;
+            case undefined:
+                break;
+            default:
+                jsonSchema.type = rules.type;
+        }
+
+        if (rules.description) jsonSchema.description = rules.description;
+        if (rules.default !== undefined && rules.default !== null) jsonSchema.default = rules.default;
+        if (rules.enum) jsonSchema.enum = rules.enum;
+        if (rules.minLength !== undefined) jsonSchema.minLength = rules.minLength;
+        if (rules.maxLength !== undefined) jsonSchema.maxLength = rules.maxLength;
+        if (rules.pattern instanceof RegExp) jsonSchema.pattern = rules.pattern.source;
+        if (rules.min !== undefined) jsonSchema.minimum = rules.min;
+        if (rules.max !== undefined) jsonSchema.maximum = rules.max;
+        if (rules.isPositive) jsonSchema.exclusiveMinimum = 0;
+        if (rules.minItems !== undefined) jsonSchema.minItems = rules.minItems;
+        if (rules.maxItems !== undefined) jsonSchema.maxItems = rules.maxItems;
+        if (rules.uniqueItems) jsonSchema.uniqueItems = true;
+        if (rules.isURL) jsonSchema.format = 'uri';
+        if (rules.isEmail) jsonSchema.format = 'email';
+        if (rules.isUUID) jsonSchema.format = 'uuid';
+
+        if (rules.itemSchema) {
+            jsonSchema.items = this.ruleToJSONSchema(rules.itemSchema);
+        }
+
+        if (rules.properties) {
+            Object.assign(jsonSchema, this.toJSONSchema(rules.properties));
+        }
+
+        return jsonSchema;
+    }
+
+    /**
+     * Convert an input schema to a JSON Schema object
+     */
+    toJSONSchema(schema = {}) {
+        const properties = {};
+        const required = [];
+
+        for (const [field, rules] of Object.entries(schema)) {
+            properties[field] = this.ruleToJSONSchema(rules);
+            if (rules.required === true) {
+                required.push(field);
+            }
+        }
+
+        const jsonSchema = { type: 'object', properties };
+        if (required.length > 0) {
+            jsonSchema.required = required;
+        }
+
+        return jsonSchema;
+    }
+
+    /**
+     * Build the full manifest for a loaded function module
+     */
+    build(functionModule, { category, name, path, cost }) {
+        const manifest = functionModule.manifest || {};
+        const schema = functionModule.schema || {};
+
+        // Extra helpers attached to the function (e.g. gptFunction.models)
+        const helpers = Object.keys(functionModule)
+            .filter(key => typeof functionModule[key] === 'function');
+
+        return {
+            name,
+            category,
+            path,
+            description: manifest.description || null,
+            aliases: manifest.aliases || [],
+            cost: cost || manifest.cost || 1,
+            parameters: this.describeParameters(schema),
+            required: Object.keys(schema).filter(field => schema[field].required === true),
+            inputSchema: this.toJSONSchema(schema),
+            env: {
+                required: manifest.env?.required || [],
+                optional: manifest.env?.optional || [],
+                missing: (manifest.env?.required || []).filter(key => !process.env[key])
+            },
+            output: manifest.output || null,
+            helpers,
+            exampleRequest: {
+                category,
+                function: name,
+                data: manifest.example || {},
+                metadata: {}
+            }
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ManifestBuilder();
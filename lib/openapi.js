@@ -0,0 +1,737 @@
+// lib/openapi.js
+
+/**
+ * OpenAPI Document Builder
+ * Generates an OpenAPI 3.1 spec for the server from function manifests
+ */
+class OpenAPIBuilder {
+    constructor() {
+        this.version = '3.1.0';
+
+        // Output shape types used in fx manifests
+        this.outputTypes = ['string', 'number', 'boolean', 'array', 'object'];
+    }
+
+    /**
+     * Component name for a category/function pair
+     */
+    componentName(prefix, category, name) {
+        const id = `${category}_${name}`.replace(/[^A-Za-z0-9_]/g, '_');
+        return `${prefix}_${id}`;
+    }
+
+    /**
+     * Convert a manifest output shape ({ field: 'type' }) to JSON Schema
+     */
+    outputToJSONSchema(output) {
+        if (!output) {
+            return { type: 'object' };
+        }
+
+        const properties = {};
+        for (const [envelopeKey, fields] of Object.entries(output)) {
+            const fieldProperties = {};
+            for (const [field, type] of Object.entries(fields || {})) {
+                fieldProperties[field] = this.outputTypes.includes(type) ? { type } : {};
+            }
+            properties[envelopeKey] = { type: 'object', properties: fieldProperties };
+        }
+
+        return {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                ...properties,
+                metadata: { $ref: '#/components/schemas/ExecutionMetadata' }
+            },
+            required: ['success']
+        };
+    }
+
+    /**
+     * Shared component schemas
+     */
+    getBaseSchemas() {
+        return {
+            ErrorDetail: {
+                type: 'object',
+                properties: {
+                    code: { type: ['integer', 'string'] },
+                    message: { type: 'string' },
+                    details: {},
+                    timestamp: { type: 'string', format: 'date-time' },
+                    httpStatus: { type: 'integer' }
+                },
+                required: ['code', 'message']
+            },
+            ValidationErrors: {
+                type: 'object',
+                properties: {
+                    errors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                field: { type: 'string' },
+                                error: { type: 'string' },
+                                code: { type: 'string' }
+                            },
+                            required: ['field', 'error', 'code']
+                        }
+                    }
+                }
+            },
+            SuccessResponse: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', const: true },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    message: { type: 'string' },
+                    data: {},
+                    metadata: { type: 'object' },
+                    error: { type: 'null' }
+                },
+                required: ['success', 'timestamp', 'message', 'data']
+            },
+            ErrorResponse: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', const: false },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    message: { type: 'string' },
+                    data: { type: 'null' },
+                    metadata: { type: 'object' },
+                    error: { $ref: '#/components/schemas/ErrorDetail' }
+                },
+                required: ['success', 'error']
+            },
+            ExecutionMetadata: {
+                type: 'object',
+                properties: {
+                    requestId: { type: 'string' },
+                    executionTime: { type: 'string' },
+                    category: { type: 'string' },
+                    function: { type: 'string' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    cacheHit: { type: 'boolean' }
+                }
+            },
+            RequestMetadata: {
+                type: 'object',
+                description: 'Caller context passed through to the function',
+                properties: {
+                    groupId: { type: 'string', description: 'Group the command was sent in; with userId, the group\'s command policy applies' },
+                    userId: { type: 'string', description: 'Who sent the command' }
+                },
+                additionalProperties: true
+            },
+            CallbackUrl: {
+                type: 'string',
+                format: 'uri',
+                description: 'Run asynchronously and POST the result here, signed with X-Nethunter-Signature'
+            },
+            CallbackSecret: {
+                type: 'string',
+                minLength: 16,
+                description: 'Shared secret for the HMAC-SHA256 signature of "<X-Nethunter-Timestamp>.<body>"'
+            },
+            ApiKeySettings: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    scopes: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: "'*', '<category>/*' or '<category>/<function>'"
+                    },
+                    rateLimit: {
+                        type: 'object',
+                        properties: {
+                            points: { type: 'integer', minimum: 1 },
+                            duration: { type: 'integer', minimum: 1 }
+                        }
+                    },
+                    dailyQuota: { type: ['integer', 'null'], minimum: 1 }
+                },
+                required: ['name']
+            },
+            HealthResponse: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    service: { type: 'string' },
+                    version: { type: 'string' },
+                    environment: { type: 'string' },
+                    uptime: { type: 'number' }
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the document from function manifests (see lib/manifest.js)
+     */
+    build(manifests, options = {}) {
+        const schemas = this.getBaseSchemas();
+        const requestRefs = [];
+        const outputRefs = [];
+        const mapping = {};
+
+        for (const manifest of manifests) {
+            const requestName = this.componentName('ExecuteRequest', manifest.category, manifest.name);
+            const outputName = this.componentName('ExecuteResult', manifest.category, manifest.name);
+
+            schemas[requestName] = {
+                type: 'object',
+                description: manifest.description || undefined,
+                properties: {
+                    category: { type: 'string', const: manifest.category },
+                    function: { type: 'string', const: manifest.name },
+                    data: manifest.inputSchema || { type: 'object' },
+                    metadata: { $ref: '#/components/schemas/RequestMetadata' },
+                    callbackUrl: { $ref: '#/components/schemas/CallbackUrl' },
+                    callbackSecret: { $ref: '#/components/schemas/CallbackSecret' }
+                },
+                required: ['category', 'function'],
+                example: manifest.exampleRequest,
+                'x-rate-limit-cost': manifest.cost
+            };
+            schemas[outputName] = this.outputToJSONSchema(manifest.output);
+
+            requestRefs.push({ $ref: `#/components/schemas/${requestName}` });
+            outputRefs.push({ $ref: `#/components/schemas/${outputName}` });
+            mapping[manifest.name] = `#/components/schemas/${requestName}`;
+        }
+
+        schemas.ExecuteRequest = { oneOf: requestRefs };
+
+        // A discriminator needs one property; function names only qualify while unique
+        if (Object.keys(mapping).length === manifests.length && manifests.length > 0) {
+            schemas.ExecuteRequest.discriminator = { propertyName: 'function', mapping };
+        }
+
+        schemas.ExecuteResult = { oneOf: outputRefs };
+
+        schemas.BatchRequest = {
+            type: 'object',
+            properties: {
+                requests: {
+                    type: 'array',
+                    maxItems: options.maxBatchSize || 10,
+                    items: { $ref: '#/components/schemas/ExecuteRequest' }
+                }
+            },
+            required: ['requests']
+        };
+
+        const errorResponses = {
+            400: this.jsonResponse('Invalid request or input', 'ErrorResponse'),
+            401: this.jsonResponse('Missing or invalid API key', 'ErrorResponse'),
+            403: this.jsonResponse('API key scope or the group\'s command policy does not allow this function', 'ErrorResponse'),
+            429: this.jsonResponse('Rate limit, daily quota or command cooldown exceeded', 'ErrorResponse'),
+            500: this.jsonResponse('Execution failed', 'ErrorResponse')
+        };
+
+        return {
+            openapi: this.version,
+            info: {
+                title: 'nethunter-fx',
+                version: options.version || '1.0.0',
+                description: `Executes ${manifests.length} bot functions through a single dispatcher`
+            },
+            servers: options.serverUrl ? [{ url: options.serverUrl }] : [],
+            paths: {
+                '/execute': {
+                    post: {
+                        operationId: 'execute',
+                        summary: 'Execute a function',
+                        requestBody: {
+                            required: true,
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/ExecuteRequest' } } }
+                        },
+                        responses: {
+                            200: this.jsonResponse('Function result', 'ExecuteResult'),
+                            202: this.jsonResponse('Queued as a job because callbackUrl was given', 'SuccessResponse'),
+                            404: this.jsonResponse('Function not found', 'ErrorResponse'),
+                            ...errorResponses
+                        }
+                    }
+                },
+                '/execute/stream': {
+                    post: {
+                        operationId: 'executeStream',
+                        summary: 'Execute a function and stream start, token, tool, progress and done events',
+                        requestBody: {
+                            required: true,
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/ExecuteRequest' } } }
+                        },
+                        responses: {
+                            200: {
+                                description: 'Server-Sent Events; the final "done" event carries the /execute response envelope',
+                                content: { 'text/event-stream': { schema: { type: 'string' } } }
+                            },
+                            404: this.jsonResponse('Function not found', 'ErrorResponse'),
+                            ...errorResponses
+                        }
+                    }
+                },
+                '/batch': {
+                    post: {
+                        operationId: 'batch',
+                        summary: `Execute up to ${options.maxBatchSize || 10} functions in one request; each item is charged its own cost`,
+                        requestBody: {
+                            required: true,
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/BatchRequest' } } }
+                        },
+                        responses: {
+                            200: this.jsonResponse('Batch results', 'SuccessResponse'),
+                            ...errorResponses
+                        }
+                    }
+                },
+                '/jobs': {
+                    post: {
+                        operationId: 'createJob',
+                        summary: 'Queue a function call as a background job',
+                        requestBody: {
+                            required: true,
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/ExecuteRequest' } } }
+                        },
+                        responses: {
+                            202: this.jsonResponse('Job queued', 'SuccessResponse'),
+                            404: this.jsonResponse('Function not found', 'ErrorResponse'),
+                            503: this.jsonResponse('Job queue is full', 'ErrorResponse'),
+                            ...errorResponses
+                        }
+                    }
+                },
+                '/jobs/{id}': {
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    get: {
+                        operationId: 'getJob',
+                        summary: 'Get job status, progress and result',
+                        responses: {
+                            200: this.jsonResponse('Job status', 'SuccessResponse'),
+                            404: this.jsonResponse('Job not found or expired', 'ErrorResponse')
+                        }
+                    },
+                    delete: {
+                        operationId: 'cancelJob',
+                        summary: 'Cancel a queued or running job',
+                        responses: {
+                            200: this.jsonResponse('Job cancelled', 'SuccessResponse'),
+                            404: this.jsonResponse('Job not found or expired', 'ErrorResponse'),
+                            409: this.jsonResponse('Job already finished', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/s/{slug}': {
+                    parameters: [
+                        { name: 'slug', in: 'path', required: true, schema: { type: 'string' } },
+                        { name: 'X-Link-Password', in: 'header', required: false, schema: { type: 'string' } }
+                    ],
+                    get: {
+                        operationId: 'followShortLink',
+                        summary: 'Redirect to the destination of a short link and record the click',
+                        security: [],
+                        responses: {
+                            302: { description: 'Redirect to the destination URL' },
+                            401: this.jsonResponse('Link is password protected; browsers get a password form', 'ErrorResponse'),
+                            403: this.jsonResponse('Incorrect password', 'ErrorResponse'),
+                            404: this.jsonResponse('Short link not found', 'ErrorResponse'),
+                            410: this.jsonResponse('Short link has expired', 'ErrorResponse')
+                        }
+                    },
+                    post: {
+                        operationId: 'unlockShortLink',
+                        summary: 'Follow a password protected short link with the password form',
+                        security: [],
+                        requestBody: {
+                            required: true,
+                            content: {
+                                'application/x-www-form-urlencoded': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: { password: { type: 'string' } },
+                                        required: ['password']
+                                    }
+                                }
+                            }
+                        },
+                        responses: {
+                            302: { description: 'Redirect to the destination URL' },
+                            403: this.jsonResponse('Incorrect password', 'ErrorResponse'),
+                            404: this.jsonResponse('Short link not found', 'ErrorResponse'),
+                            410: this.jsonResponse('Short link has expired', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/p/{code}': {
+                    parameters: [
+                        { name: 'code', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    get: {
+                        operationId: 'getPaste',
+                        summary: 'Paste page of a public save: HTML, or JSON or plain text by Accept header; counts a view',
+                        security: [],
+                        responses: {
+                            200: {
+                                description: 'The save',
+                                content: {
+                                    'text/html': { schema: { type: 'string' } },
+                                    'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } },
+                                    'text/plain': { schema: { type: 'string' } }
+                                }
+                            },
+                            404: this.jsonResponse('Save not found or not public', 'ErrorResponse'),
+                            410: this.jsonResponse('Save has expired', 'ErrorResponse')
+                        }
+                    },
+                    delete: {
+                        operationId: 'deleteSave',
+                        summary: 'Delete a save; userId must be its owner',
+                        parameters: [
+                            { name: 'userId', in: 'query', required: true, schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Save deleted', 'SuccessResponse'),
+                            403: this.jsonResponse('Save belongs to another user', 'ErrorResponse'),
+                            404: this.jsonResponse('Save not found', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/p/{code}/raw': {
+                    get: {
+                        operationId: 'getPasteRaw',
+                        summary: 'Plain text of a public save; counts a view',
+                        security: [],
+                        parameters: [
+                            { name: 'code', in: 'path', required: true, schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: { description: 'Save content', content: { 'text/plain': { schema: { type: 'string' } } } },
+                            404: this.jsonResponse('Save not found or not public', 'ErrorResponse'),
+                            410: this.jsonResponse('Save has expired', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/saves': {
+                    get: {
+                        operationId: 'searchSaves',
+                        summary: "Search a user's saves by tags and text",
+                        parameters: [
+                            { name: 'userId', in: 'query', required: true, schema: { type: 'string' } },
+                            { name: 'tags', in: 'query', required: false, schema: { type: 'string' }, description: 'Comma separated; saves must carry every tag' },
+                            { name: 'q', in: 'query', required: false, schema: { type: 'string' }, description: 'Text the content must contain' }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Matching saves', 'SuccessResponse'),
+                            400: this.jsonResponse('userId missing', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/links': {
+                    get: {
+                        operationId: 'listShortLinks',
+                        summary: "List a user's short links with their click totals; originalUrl is null for password-protected links unless the API key created them",
+                        parameters: [
+                            { name: 'userId', in: 'query', required: true, schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Short links', 'SuccessResponse'),
+                            400: this.jsonResponse('userId missing', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/links/{slug}/stats': {
+                    get: {
+                        operationId: 'getShortLinkStats',
+                        summary: 'Clicks, unique visitors, referrers, browsers and clicks per day of a short link; originalUrl is null for a password-protected link unless the API key created it',
+                        parameters: [
+                            { name: 'slug', in: 'path', required: true, schema: { type: 'string' } },
+                            { name: 'userId', in: 'query', required: true, schema: { type: 'string' }, description: 'Owner of the link' }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Short link statistics', 'SuccessResponse'),
+                            400: this.jsonResponse('userId missing', 'ErrorResponse'),
+                            403: this.jsonResponse('Link belongs to another user', 'ErrorResponse'),
+                            404: this.jsonResponse('Short link not found', 'ErrorResponse'),
+                            410: this.jsonResponse('Short link has expired', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/activity': {
+                    post: {
+                        operationId: 'ingestActivity',
+                        summary: 'Record a batch of group message events for group/online; needs the group/online scope',
+                        requestBody: {
+                            required: true,
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            events: {
+                                                type: 'array',
+                                                maxItems: options.maxActivityBatch || 1000,
+                                                items: {
+                                                    type: 'object',
+                                                    properties: {
+                                                        groupId: { type: 'string' },
+                                                        userId: { type: 'string' },
+                                                        timestamp: { type: 'string', format: 'date-time', description: 'ISO date or Unix seconds/milliseconds; defaults to now' },
+                                                        type: { type: 'string', description: 'text, image, video, audio, sticker, document, reaction, poll, location, contact or other' },
+                                                        messageId: { type: 'string', description: 'Events with a message id already recorded are skipped' }
+                                                    },
+                                                    required: ['groupId', 'userId']
+                                                }
+                                            }
+                                        },
+                                        required: ['events']
+                                    }
+                                }
+                            }
+                        },
+                        responses: {
+                            200: this.jsonResponse('Counts of accepted, duplicate and rejected events', 'SuccessResponse'),
+                            400: this.jsonResponse('events missing or empty', 'ErrorResponse'),
+                            403: this.jsonResponse('API key scope does not allow group/online', 'ErrorResponse'),
+                            413: this.jsonResponse('Too many events in one batch', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/activity/{groupId}/export': {
+                    get: {
+                        operationId: 'exportActivity',
+                        summary: 'Per-member message counts, streaks and last activity of a group as CSV',
+                        parameters: [
+                            { name: 'groupId', in: 'path', required: true, schema: { type: 'string' } },
+                            { name: 'timeRange', in: 'query', required: false, schema: { type: 'string', enum: ['day', 'week', 'month', 'quarter', 'all'] } },
+                            { name: 'timezone', in: 'query', required: false, schema: { type: 'string' }, description: 'IANA timezone for streak days' }
+                        ],
+                        responses: {
+                            200: { description: 'CSV file', content: { 'text/csv': { schema: { type: 'string' } } } },
+                            400: this.jsonResponse('Unknown timeRange', 'ErrorResponse'),
+                            403: this.jsonResponse('API key scope does not allow group/online', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/audit': {
+                    get: {
+                        operationId: 'queryAudit',
+                        summary: 'Search the group audit log, newest first; needs the group/audit scope',
+                        parameters: [
+                            { name: 'groupId', in: 'query', required: false, schema: { type: 'string' } },
+                            { name: 'actorId', in: 'query', required: false, schema: { type: 'string' }, description: 'Who did it' },
+                            { name: 'targetId', in: 'query', required: false, schema: { type: 'string' }, description: 'Who it was done to' },
+                            { name: 'action', in: 'query', required: false, schema: { type: 'string' }, description: 'Comma separated: join, leave, remove, promote, demote, mention, moderation, settings, ban, unban, schedule' },
+                            { name: 'outcome', in: 'query', required: false, schema: { type: 'string', enum: ['success', 'failed'] } },
+                            { name: 'from', in: 'query', required: false, schema: { type: 'string', format: 'date-time' } },
+                            { name: 'to', in: 'query', required: false, schema: { type: 'string', format: 'date-time' } },
+                            { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+                            { name: 'cursor', in: 'query', required: false, schema: { type: 'string' }, description: 'metadata.cursor.next of the previous page' }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Entries with pagination and cursor metadata', 'SuccessResponse'),
+                            400: this.jsonResponse('Invalid date or cursor', 'ErrorResponse'),
+                            403: this.jsonResponse('API key scope does not allow group/audit', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/audit/{groupId}/verify': {
+                    get: {
+                        operationId: 'verifyAudit',
+                        summary: "Check a group's audit log hash chain and report the first altered entry",
+                        parameters: [
+                            { name: 'groupId', in: 'path', required: true, schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Verification result', 'SuccessResponse'),
+                            403: this.jsonResponse('API key scope does not allow group/audit', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/schedules/due': {
+                    get: {
+                        operationId: 'dueSchedules',
+                        summary: 'Scheduled announcements the bot should post now, with their mentions; each run is returned once. Needs the group/schedule scope',
+                        parameters: [
+                            { name: 'groupId', in: 'query', required: false, schema: { type: 'string' } },
+                            { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } },
+                            { name: 'peek', in: 'query', required: false, schema: { type: 'boolean', default: false }, description: 'Show due runs without claiming them' }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Due announcements, and runs skipped for being too late', 'SuccessResponse'),
+                            403: this.jsonResponse('API key scope does not allow group/schedule', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/functions': {
+                    get: {
+                        operationId: 'listFunctions',
+                        summary: 'List all functions with their manifests',
+                        responses: { 200: this.jsonResponse('Function list', 'SuccessResponse') }
+                    }
+                },
+                '/functions/{category}/{function}': {
+                    get: {
+                        operationId: 'getFunction',
+                        summary: 'Get the manifest of one function',
+                        parameters: [
+                            { name: 'category', in: 'path', required: true, schema: { type: 'string' } },
+                            { name: 'function', in: 'path', required: true, schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: this.jsonResponse('Function manifest', 'SuccessResponse'),
+                            404: this.jsonResponse('Function not found', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/health': {
+                    get: {
+                        operationId: 'health',
+                        summary: 'Health check',
+                        responses: { 200: this.jsonResponse('Service is healthy', 'HealthResponse') }
+                    }
+                },
+                '/stats': {
+                    get: {
+                        operationId: 'stats',
+                        summary: 'Service statistics',
+                        responses: { 200: this.jsonResponse('Statistics', 'SuccessResponse') }
+                    }
+                },
+                '/cache': {
+                    delete: {
+                        operationId: 'clearCache',
+                        summary: 'Clear the function cache',
+                        security: [{ adminToken: [] }],
+                        responses: {
+                            200: this.jsonResponse('Cache cleared', 'SuccessResponse'),
+                            403: this.jsonResponse('Admin token required', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/reload': {
+                    post: {
+                        operationId: 'reload',
+                        summary: 'Reload a function, or every function in a category, from disk',
+                        security: [{ adminToken: [] }],
+                        requestBody: {
+                            required: true,
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            category: { type: 'string' },
+                                            function: { type: 'string' }
+                                        },
+                                        required: ['category']
+                                    }
+                                }
+                            }
+                        },
+                        responses: {
+                            200: this.jsonResponse('Functions reloaded', 'SuccessResponse'),
+                            403: this.jsonResponse('Admin token required', 'ErrorResponse'),
+                            404: this.jsonResponse('Function or category not found', 'ErrorResponse'),
+                            422: this.jsonResponse('New version failed to load; previous version kept', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/admin/keys': {
+                    get: {
+                        operationId: 'listApiKeys',
+                        summary: 'List API keys (hashes are never returned)',
+                        security: [{ adminToken: [] }],
+                        responses: {
+                            200: this.jsonResponse('API keys', 'SuccessResponse'),
+                            403: this.jsonResponse('Admin token required', 'ErrorResponse')
+                        }
+                    },
+                    post: {
+                        operationId: 'createApiKey',
+                        summary: 'Create an API key; the key is only shown in this response',
+                        security: [{ adminToken: [] }],
+                        requestBody: {
+                            required: true,
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiKeySettings' } } }
+                        },
+                        responses: {
+                            201: this.jsonResponse('API key created', 'SuccessResponse'),
+                            400: this.jsonResponse('Invalid API key settings', 'ErrorResponse'),
+                            403: this.jsonResponse('Admin token required', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/admin/keys/{id}': {
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    delete: {
+                        operationId: 'revokeApiKey',
+                        summary: 'Revoke an API key',
+                        security: [{ adminToken: [] }],
+                        responses: {
+                            200: this.jsonResponse('API key revoked', 'SuccessResponse'),
+                            404: this.jsonResponse('API key not found', 'ErrorResponse'),
+                            409: this.jsonResponse('API key already revoked', 'ErrorResponse')
+                        }
+                    }
+                },
+                '/admin/keys/{id}/rotate': {
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    post: {
+                        operationId: 'rotateApiKey',
+                        summary: 'Issue a new key, optionally keeping the old one valid for graceSeconds',
+                        security: [{ adminToken: [] }],
+                        requestBody: {
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            graceSeconds: { type: 'integer', minimum: 0, maximum: 604800 }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        responses: {
+                            200: this.jsonResponse('API key rotated', 'SuccessResponse'),
+                            404: this.jsonResponse('API key not found', 'ErrorResponse'),
+                            409: this.jsonResponse('API key is revoked', 'ErrorResponse')
+                        }
+                    }
+                }
+            },
+            security: [{}, { apiKey: [] }],
+            components: {
+                schemas,
+                securitySchemes: {
+                    adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' },
+                    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Required when REQUIRE_API_KEY=true' }
+                }
+            }
+        };
+    }
+
+    /**
+     * JSON response object referencing a component schema
+     */
+    jsonResponse(description, schemaName) {
+        return {
+            description,
+            content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new OpenAPIBuilder();
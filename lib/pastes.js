@@ -0,0 +1,257 @@
+// lib/pastes.js
+const store = require('./store');
+
+class PasteError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'PasteError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Paste Store
+ * Saves created by fx/general/save. Public saves can be shared as paste pages
+ * on GET /p/:code, as plain text or HTML with light syntax highlighting.
+ */
+class PasteStore {
+    constructor() {
+        this.saves = store.collection('save-content');
+        this.users = store.collection('save-users');
+
+        this.languages = ['text', 'javascript', 'python', 'json', 'html', 'css', 'sql', 'shell', 'markdown'];
+
+        // Checked in order; the first language whose test matches is used
+        this.detectors = [
+            { language: 'json', test: content => /^\s*[[{]/.test(content) && this.isJSON(content) },
+            { language: 'html', test: content => /^\s*<(!doctype|html|head|body|div|p|span|a|table|ul|script|style)\b/i.test(content) },
+            { language: 'shell', test: content => /^#!.*\b(ba|z)?sh\b|^\s*(\$ |sudo |apt(-get)? |npm |yarn |pip |cd |echo |export )/m.test(content) },
+            { language: 'python', test: content => /^\s*(def \w+\(|class \w+(\(.*\))?:|import \w+|from [\w.]+ import |if __name__ ==|print\()/m.test(content) },
+            { language: 'javascript', test: content => /\b(const|let|var) \w+\s*=|\bfunction\s*\w*\(|=>|\brequire\(|\bconsole\.log\(|\bmodule\.exports\b/.test(content) },
+            { language: 'sql', test: content => /\b(SELECT\s[\s\S]+\sFROM|INSERT\s+INTO|UPDATE\s+\w+\s+SET|CREATE\s+TABLE|DELETE\s+FROM)\b/i.test(content) },
+            { language: 'css', test: content => /^\s*[\w.#:\-\s,>*[\]="]+\{\s*[\w-]+\s*:[^}]*\}/m.test(content) },
+            { language: 'markdown', test: content => /^(#{1,6} |\s*[-*+] |\s*\d+\. |```|> )|\[[^\]]+\]\([^)]+\)/m.test(content) }
+        ];
+
+        const keywords = {
+            javascript: 'async await break case catch class const continue default delete do else export extends false finally for function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+            python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield',
+            sql: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union unique update values when where',
+            shell: 'case do done elif else esac export fi for function if in local read return then until while',
+            json: 'true false null'
+        };
+
+        // Token patterns per language: [class, regex source], tried left to right
+        const strings = ['string', `"(?:\\\\.|[^"\\\\])*"|'(?:\\\\.|[^'\\\\])*'`];
+        const numbers = ['number', '\\b\\d+(?:\\.\\d+)?\\b'];
+        const words = language => ['keyword', `\\b(?:${keywords[language].split(' ').join('|')})\\b`];
+
+        this.grammars = {
+            javascript: [['comment', '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'], ['string', `"(?:\\\\.|[^"\\\\])*"|'(?:\\\\.|[^'\\\\])*'|\`(?:\\\\.|[^\`\\\\])*\``], numbers, words('javascript')],
+            python: [['comment', '#[^\\n]*'], ['string', `"""[\\s\\S]*?"""|'''[\\s\\S]*?'''|${strings[1]}`], numbers, words('python')],
+            json: [['key', '"(?:\\\\.|[^"\\\\])*"(?=\\s*:)'], strings, numbers, words('json')],
+            sql: [['comment', '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'], strings, numbers, words('sql')],
+            shell: [['comment', '(?:^|\\s)#[^\\n]*'], strings, ['variable', '\\$\\{?\\w+\\}?'], words('shell')],
+            css: [['comment', '\\/\\*[\\s\\S]*?\\*\\/'], strings, ['keyword', '[\\w-]+(?=\\s*:[^{}]*[;}])'], numbers],
+            html: [['comment', '<!--[\\s\\S]*?-->'], ['keyword', '<\\/?[\\w-]+|\\/?>'], strings],
+            markdown: [['keyword', '^#{1,6} [^\\n]*'], ['string', '`[^`\\n]+`|```[\\s\\S]*?```'], ['comment', '^> [^\\n]*']]
+        };
+    }
+
+    isJSON(content) {
+        try {
+            JSON.parse(content);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Public base URL paste pages are built on
+     */
+    getBaseUrl() {
+        return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    }
+
+    getUrl(code) {
+        return `${this.getBaseUrl()}/p/${encodeURIComponent(code)}`;
+    }
+
+    getTTL(expiresAt) {
+        return Math.max(Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000), 1);
+    }
+
+    async get(code) {
+        const save = await this.saves.get(code);
+        if (!save) {
+            throw new PasteError('Save code not found or expired', 'SAVE_NOT_FOUND', 404);
+        }
+        if (new Date(save.expiresAt) <= new Date()) {
+            await this.saves.delete(code);
+            throw new PasteError('This save has expired', 'SAVE_EXPIRED', 410);
+        }
+        return save;
+    }
+
+    /**
+     * A save as shown on its paste page. Private saves are reported as not
+     * found so their codes can't be probed.
+     */
+    async getPublic(code) {
+        const save = await this.get(code);
+        if (!save.isPublic) {
+            throw new PasteError('Save code not found or expired', 'SAVE_NOT_FOUND', 404);
+        }
+        return save;
+    }
+
+    /**
+     * Count a view; returns the updated save
+     */
+    async recordView(save) {
+        return this.saves.update(save.id, (current) => current && {
+            ...current,
+            views: (current.views || 0) + 1,
+            lastAccessed: new Date().toISOString()
+        }, { ttl: this.getTTL(save.expiresAt) });
+    }
+
+    /**
+     * Delete a save; only its owner may
+     */
+    async remove(code, userId) {
+        const save = await this.get(code);
+        if (save.userId !== userId) {
+            throw new PasteError('Only the owner can delete this save', 'FORBIDDEN', 403);
+        }
+
+        await this.saves.delete(code);
+        await this.users.update(userId, (codes) => (codes || []).filter(item => item !== code));
+        return save;
+    }
+
+    /**
+     * A private save is only shown to the API key that created it
+     */
+    canSeePrivate(save, apiKeyId) {
+        return save.isPublic || Boolean(save.apiKeyId && save.apiKeyId === apiKeyId);
+    }
+
+    /**
+     * A user's saves that carry every tag given and contain the query text.
+     * With a viewer ({ apiKeyId }, as on GET /saves) private saves are left
+     * out unless the viewer created them; functions pass none and vouch for userId.
+     */
+    async search(userId, { tags = [], query = null, viewer = null } = {}) {
+        const codes = (await this.users.get(userId)) || [];
+        const saves = (await Promise.all(codes.map(code => this.saves.get(code)))).filter(Boolean);
+        const wanted = tags.map(tag => tag.toLowerCase());
+        const text = query ? query.toLowerCase() : null;
+        const now = new Date();
+
+        return saves
+            .filter(save => new Date(save.expiresAt) > now)
+            .filter(save => !viewer || this.canSeePrivate(save, viewer.apiKeyId))
+            .filter(save => wanted.every(tag => save.tags.some(item => item.toLowerCase() === tag)))
+            .filter(save => !text || save.content.toLowerCase().includes(text))
+            .reverse()
+            .map(save => this.summarize(save));
+    }
+
+    summarize(save) {
+        return {
+            id: save.id,
+            preview: save.content.substring(0, 100) + (save.content.length > 100 ? '...' : ''),
+            language: save.language || this.detectLanguage(save.content),
+            createdAt: save.createdAt,
+            expiresAt: save.expiresAt,
+            tags: save.tags,
+            views: save.views,
+            isPublic: save.isPublic,
+            url: save.isPublic ? this.getUrl(save.id) : null
+        };
+    }
+
+    detectLanguage(content) {
+        const detector = this.detectors.find(({ test }) => test(content));
+        return detector ? detector.language : 'text';
+    }
+
+    escape(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Escape content and wrap comments, strings, numbers and keywords in spans
+     */
+    highlight(content, language) {
+        const grammar = this.grammars[language];
+        if (!grammar) {
+            return this.escape(content);
+        }
+
+        const pattern = new RegExp(grammar.map(([, source]) => `(${source})`).join('|'), language === 'sql' ? 'gim' : 'gm');
+        let html = '';
+        let last = 0;
+
+        for (const match of content.matchAll(pattern)) {
+            if (match[0].length === 0) {
+                continue;
+            }
+            const group = match.slice(1).findIndex(value => value !== undefined);
+            html += this.escape(content.slice(last, match.index));
+            html += `<span class="${grammar[group][0]}">${this.escape(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+
+        return html + this.escape(content.slice(last));
+    }
+
+    page(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${this.escape(title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:60rem;margin:2rem auto;padding:0 1rem;color:#222}header{display:flex;flex-wrap:wrap;gap:.5rem 1rem;align-items:baseline;color:#666;font-size:.9rem}h1{font-size:1.2rem;color:#222;margin:0}.code{display:flex;border:1px solid #ddd;border-radius:4px;background:#fafafa;overflow-x:auto;margin-top:1rem}pre{margin:0;padding:.75rem;font:.85rem/1.5 ui-monospace,Menlo,Consolas,monospace}.lines{color:#aaa;text-align:right;user-select:none;border-right:1px solid #ddd}.comment{color:#6a737d;font-style:italic}.string{color:#032f62}.number{color:#005cc5}.keyword{color:#d73a49}.key{color:#6f42c1}.variable{color:#e36209}.tag{background:#eee;border-radius:3px;padding:0 .3rem}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * HTML paste page for a save
+     */
+    renderPage(save) {
+        const language = save.language || this.detectLanguage(save.content);
+        const lines = save.content.split('\n').length;
+        const numbers = Array.from({ length: lines }, (item, index) => index + 1).join('\n');
+        const tags = save.tags.map(tag => `<span class="tag">${this.escape(tag)}</span>`).join(' ');
+
+        return this.page(save.id, `<header>
+<h1>${this.escape(save.id)}</h1>
+<span>${this.escape(language)}</span>
+<span>${lines} line${lines === 1 ? '' : 's'}</span>
+<span>${save.views} view${save.views === 1 ? '' : 's'}</span>
+<span>Expires ${this.escape(new Date(save.expiresAt).toUTCString())}</span>
+<a href="/p/${this.escape(encodeURIComponent(save.id))}/raw">Raw</a>
+${tags}
+</header>
+<div class="code"><pre class="lines">${numbers}</pre><pre><code class="language-${language}">${this.highlight(save.content, language)}</code></pre></div>`);
+    }
+
+    renderError(error) {
+        return this.page(error.message, `<h1>${this.escape(error.message)}</h1>`);
+    }
+}
+
+// Export singleton instance
+module.exports = new PasteStore();
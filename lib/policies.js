@@ -0,0 +1,364 @@
+// lib/policies.js
+const store = require('./store');
+const registry = require('./registry');
+const roster = require('./roster');
+const audit = require('./audit');
+
+class PolicyError extends Error {
+    constructor(message, code, httpStatus = 400, details = null) {
+        super(message);
+        this.name = 'PolicyError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+        this.details = details;
+    }
+}
+
+/**
+ * Group Policies
+ * Per-group rules for who may run which function. A member's role comes
+ * from the roster (owner, admin, member) unless the group has made them a
+ * moderator or banned them. Commands name the lowest role that may run
+ * them, by function id, 'category/*' or '*'; the most specific rule wins.
+ * Cooldowns work the same way and are started when a call is let through.
+ */
+class GroupPolicies {
+    constructor() {
+        this.policies = store.collection('group-policies');
+        this.cooldowns = store.collection('group-policy-cooldowns');
+
+        // Lowest to highest
+        this.roles = ['banned', 'member', 'moderator', 'admin', 'owner'];
+
+        // Roles a group can hand out; owner and admin come from WhatsApp
+        this.assignable = ['moderator', 'banned'];
+
+        this.defaults = {
+            commands: {
+                '*': 'member',
+                'group/tagall': 'admin',
+                'group/promote': 'admin',
+                'group/demote': 'owner',
+                'group/policy': 'admin',
+                'group/schedule': 'admin',
+                'group/roster': 'admin',
+                'tools/fx/setting/antilink': 'admin',
+                'tools/fx/setting/antibot': 'admin',
+                'tools/fx/setting/banwords': 'admin'
+            },
+            cooldowns: {
+                'group/tagall': { seconds: 5 * 60, per: 'group' }
+            },
+            cooldownExempt: ['owner']
+        };
+
+        this.maxCooldown = 7 * 24 * 60 * 60;
+    }
+
+    rank(role) {
+        return this.roles.indexOf(role);
+    }
+
+    /**
+     * Function id for a call, following category and function aliases
+     */
+    toId(category, functionName) {
+        const entry = registry.resolve(category, functionName);
+        return entry ? entry.id : `${registry.resolveCategory(category)}/${functionName}`;
+    }
+
+    /**
+     * The rule that applies to a function: exact id, then the longest
+     * matching 'category/*', then '*'. Returns [pattern, value] or null.
+     */
+    match(rules, id) {
+        if (id in rules) {
+            return [id, rules[id]];
+        }
+
+        let best = null;
+        for (const [pattern, value] of Object.entries(rules)) {
+            if (!pattern.endsWith('/*')) continue;
+            const prefix = pattern.slice(0, -1);
+            if (id.startsWith(prefix) && (!best || prefix.length > best[0].length - 1)) {
+                best = [pattern, value];
+            }
+        }
+
+        return best || ('*' in rules ? ['*', rules['*']] : null);
+    }
+
+    isValidPattern(pattern) {
+        return pattern === '*' || /^[\w-]+(\/[\w-]+)*\/(\*|[\w-]+)$/.test(pattern);
+    }
+
+    /**
+     * Normalize a command or cooldown pattern, resolving category aliases
+     */
+    normalizePattern(pattern) {
+        if (!this.isValidPattern(pattern)) {
+            throw new PolicyError(`Invalid command pattern: ${pattern}`, 'INVALID_PATTERN');
+        }
+        if (pattern === '*') {
+            return pattern;
+        }
+        const slash = pattern.lastIndexOf('/');
+        const name = pattern.slice(slash + 1);
+        return name === '*'
+            ? `${registry.resolveCategory(pattern.slice(0, slash))}/*`
+            : this.toId(pattern.slice(0, slash), name);
+    }
+
+    /**
+     * A group's policy with the defaults filled in
+     */
+    async get(groupId) {
+        const stored = (await this.policies.get(groupId)) || {};
+        return {
+            groupId,
+            commands: { ...this.defaults.commands, ...(stored.commands || {}) },
+            cooldowns: { ...this.defaults.cooldowns, ...(stored.cooldowns || {}) },
+            cooldownExempt: stored.cooldownExempt || this.defaults.cooldownExempt,
+            assignments: stored.assignments || {},
+            version: stored.version || 0,
+            updatedAt: stored.updatedAt || null,
+            updatedBy: stored.updatedBy || null
+        };
+    }
+
+    /**
+     * Effective role of a user in a group. Banned beats everything; owner
+     * and admin come from the roster; moderator is granted by the group.
+     */
+    async getRole(groupId, userId, policy = null) {
+        const id = roster.normalizeId(userId);
+        const assignments = (policy || await this.get(groupId)).assignments;
+        if (assignments[id] === 'banned') {
+            return 'banned';
+        }
+
+        const groupRoster = await roster.get(groupId);
+        const member = groupRoster ? groupRoster.members[id] : null;
+        if (roster.isAdmin(member)) {
+            return member.role;
+        }
+        return assignments[id] === 'moderator' ? 'moderator' : 'member';
+    }
+
+    /**
+     * Whether a user may run a function in a group, and the cooldown that
+     * applies. With consume, an allowed call starts its cooldown.
+     * Returns { allowed, role, required, rule, cooldown, code, message, httpStatus, retryAfter }
+     */
+    async evaluate(groupId, userId, category, functionName, { consume = false } = {}) {
+        const policy = await this.get(groupId);
+        const id = this.toId(category, functionName);
+        const role = await this.getRole(groupId, userId, policy);
+        const [rule, required] = this.match(policy.commands, id) || [null, 'member'];
+        const decision = { groupId, userId: roster.normalizeId(userId), function: id, role, required, rule, cooldown: null };
+
+        if (role === 'banned') {
+            return { ...decision, allowed: false, code: 'BANNED', message: 'You are banned from using commands in this group', httpStatus: 403 };
+        }
+        if (this.rank(role) < this.rank(required)) {
+            return {
+                ...decision,
+                allowed: false,
+                code: 'FORBIDDEN',
+                message: `${id} needs the ${required} role in this group; your role is ${role}`,
+                httpStatus: 403
+            };
+        }
+
+        const [cooldownRule, setting] = this.match(policy.cooldowns, id) || [null, null];
+        if (!setting || policy.cooldownExempt.includes(role)) {
+            return { ...decision, allowed: true };
+        }
+
+        const cooldown = { rule: cooldownRule, seconds: setting.seconds, per: setting.per };
+        const key = setting.per === 'group'
+            ? `${groupId}:${cooldownRule}`
+            : `${groupId}:${cooldownRule}:${decision.userId}`;
+
+        let retryAfter = 0;
+        if (consume) {
+            await this.cooldowns.update(key, (until) => {
+                if (until && until > Date.now()) {
+                    retryAfter = Math.ceil((until - Date.now()) / 1000);
+                    return until;
+                }
+                return Date.now() + setting.seconds * 1000;
+            }, { ttl: setting.seconds });
+        } else {
+            const until = await this.cooldowns.get(key);
+            retryAfter = until && until > Date.now() ? Math.ceil((until - Date.now()) / 1000) : 0;
+        }
+
+        if (retryAfter > 0) {
+            return {
+                ...decision,
+                cooldown,
+                allowed: false,
+                code: 'COOLDOWN',
+                message: `${id} is on cooldown${setting.per === 'group' ? ' in this group' : ''}; try again in ${retryAfter}s`,
+                httpStatus: 429,
+                retryAfter
+            };
+        }
+        return { ...decision, cooldown, allowed: true };
+    }
+
+    /**
+     * Whether a user may run a function, without starting a cooldown
+     */
+    async can(groupId, userId, category, functionName) {
+        const decision = await this.evaluate(groupId, userId, category, functionName);
+        return decision.allowed || decision.code === 'COOLDOWN';
+    }
+
+    /**
+     * Whether one member ranks above another
+     */
+    async outranks(groupId, actorId, targetId) {
+        const policy = await this.get(groupId);
+        return this.rank(await this.getRole(groupId, actorId, policy)) > this.rank(await this.getRole(groupId, targetId, policy));
+    }
+
+    /**
+     * Cooldowns are seconds per user, or { seconds, per: 'user' | 'group' }
+     */
+    normalizeCooldown(pattern, value) {
+        const cooldown = typeof value === 'number' ? { seconds: value, per: 'user' } : { per: 'user', ...value };
+        if (!Number.isInteger(cooldown.seconds) || cooldown.seconds < 1 || cooldown.seconds > this.maxCooldown) {
+            throw new PolicyError(`Cooldown for ${pattern} must be 1 to ${this.maxCooldown} seconds`, 'INVALID_COOLDOWN');
+        }
+        if (!['user', 'group'].includes(cooldown.per)) {
+            throw new PolicyError(`Cooldown for ${pattern} must be per user or per group`, 'INVALID_COOLDOWN');
+        }
+        return { seconds: cooldown.seconds, per: cooldown.per };
+    }
+
+    /**
+     * Change a group's rules. commands: { pattern: role }, cooldowns:
+     * { pattern: seconds | { seconds, per } }; null removes an entry and
+     * falls back to the default. cooldownExempt lists roles without cooldowns.
+     */
+    async update(groupId, { commands = {}, cooldowns = {}, cooldownExempt } = {}, changedBy = null) {
+        const commandChanges = {};
+        for (const [pattern, role] of Object.entries(commands)) {
+            if (role !== null && !this.roles.slice(1).includes(role)) {
+                throw new PolicyError(`Role for ${pattern} must be one of: ${this.roles.slice(1).join(', ')}`, 'INVALID_ROLE');
+            }
+            commandChanges[this.normalizePattern(pattern)] = role;
+        }
+
+        const cooldownChanges = {};
+        for (const [pattern, value] of Object.entries(cooldowns)) {
+            const normalized = this.normalizePattern(pattern);
+            cooldownChanges[normalized] = value === null ? null : this.normalizeCooldown(pattern, value);
+        }
+
+        if (cooldownExempt !== undefined && (!Array.isArray(cooldownExempt) || cooldownExempt.some(role => !this.roles.includes(role)))) {
+            throw new PolicyError(`cooldownExempt must list roles: ${this.roles.join(', ')}`, 'INVALID_ROLE');
+        }
+
+        const apply = (current, changes) => {
+            const next = { ...current };
+            for (const [pattern, value] of Object.entries(changes)) {
+                if (value === null) {
+                    delete next[pattern];
+                } else {
+                    next[pattern] = value;
+                }
+            }
+            return next;
+        };
+
+        const stored = await this.policies.update(groupId, (current) => ({
+            ...(current || { assignments: {} }),
+            commands: apply(current?.commands || {}, commandChanges),
+            cooldowns: apply(current?.cooldowns || {}, cooldownChanges),
+            cooldownExempt: cooldownExempt !== undefined ? cooldownExempt : (current?.cooldownExempt || null),
+            version: (current?.version || 0) + 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: changedBy ? roster.normalizeId(changedBy) : null
+        }));
+
+        await audit.record(groupId, {
+            action: 'settings',
+            actorId: stored.updatedBy,
+            details: {
+                setting: 'policy',
+                operation: 'update',
+                version: stored.version,
+                commands: commandChanges,
+                cooldowns: cooldownChanges,
+                ...(cooldownExempt !== undefined && { cooldownExempt })
+            },
+            source: 'group/policy'
+        });
+
+        return this.get(groupId);
+    }
+
+    /**
+     * Make a member a moderator, ban them, or set them back to member.
+     * The actor has to outrank both the member's current role and the new one.
+     */
+    async assign(groupId, userId, role, actorId, reason = null) {
+        if (!actorId) {
+            throw new PolicyError('actorId is required to assign a role', 'MISSING_ACTOR');
+        }
+        if (![...this.assignable, 'member'].includes(role)) {
+            throw new PolicyError(`Role must be one of: ${[...this.assignable, 'member'].join(', ')}`, 'INVALID_ROLE');
+        }
+
+        const policy = await this.get(groupId);
+        const id = roster.normalizeId(userId);
+        const current = await this.getRole(groupId, id, policy);
+
+        const actorRole = await this.getRole(groupId, actorId, policy);
+        const needed = Math.max(this.rank(current), this.rank(role), this.rank('member'));
+        if (this.rank(actorRole) <= needed) {
+            throw new PolicyError(
+                `Only members above ${this.roles[needed]} can make ${id} a ${role}`,
+                'FORBIDDEN',
+                403,
+                { role: actorRole, required: this.roles[needed + 1] }
+            );
+        }
+        if (current === 'owner' || current === 'admin') {
+            throw new PolicyError(`${id} is a group ${current}; demote them in WhatsApp first`, 'CONFLICT', 409);
+        }
+        if (current === role) {
+            throw new PolicyError(`${id} is already a ${role}`, 'CONFLICT', 409);
+        }
+
+        await this.policies.update(groupId, (stored) => {
+            const assignments = { ...(stored?.assignments || {}) };
+            if (role === 'member') {
+                delete assignments[id];
+            } else {
+                assignments[id] = role;
+            }
+            return {
+                ...(stored || { commands: {}, cooldowns: {}, cooldownExempt: null, version: 0 }),
+                assignments,
+                updatedAt: new Date().toISOString(),
+                updatedBy: roster.normalizeId(actorId)
+            };
+        });
+
+        const action = role === 'banned' ? 'ban' : current === 'banned' ? 'unban' : this.rank(role) > this.rank(current) ? 'promote' : 'demote';
+        return audit.record(groupId, {
+            action,
+            actorId: roster.normalizeId(actorId),
+            targetId: id,
+            details: { from: current, to: role, ...(reason && { reason }) },
+            source: 'group/policy'
+        });
+    }
+}
+
+// Export singleton instance
+module.exports = new GroupPolicies();
@@ -0,0 +1,201 @@
+// lib/ratelimit.js
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const registry = require('./registry');
+
+class RateLimitError extends Error {
+    constructor(message, retryAfter, details = {}) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.code = 'RATE_LIMIT_EXCEEDED';
+        this.retryAfter = retryAfter;
+        this.details = details;
+    }
+}
+
+/**
+ * Cost-Weighted Rate Limiter
+ * Every executed function consumes its cost in points: the function's
+ * manifest.cost, else its category's cost, else 1. All calls share the
+ * caller's global bucket; a category with its own points/duration also
+ * gets a separate, stricter bucket.
+ */
+class CostRateLimiter {
+    constructor() {
+        this.defaults = {
+            points: 100, // 100 points
+            duration: 60, // per 60 seconds
+            blockDuration: 300 // block for 5 minutes if exceeded
+        };
+
+        // category -> { cost, points, duration }; nested categories inherit from their parents
+        this.categories = {
+            download: { cost: 5, points: 40, duration: 60 },
+            ai: { cost: 3 }
+        };
+
+        this.loadOverrides();
+
+        this.global = new RateLimiterMemory(this.defaults);
+        this.categoryLimiters = new Map(); // category -> RateLimiterMemory
+    }
+
+    /**
+     * Merge per-category settings from RATE_LIMITS, e.g.
+     * {"download": {"cost": 8, "points": 20, "duration": 60}, "fun": {"cost": 1}}
+     */
+    loadOverrides() {
+        if (!process.env.RATE_LIMITS) {
+            return;
+        }
+
+        let overrides;
+        try {
+            overrides = JSON.parse(process.env.RATE_LIMITS);
+        } catch (error) {
+            console.error('Ignoring RATE_LIMITS, invalid JSON:', error.message);
+            return;
+        }
+
+        for (const [category, settings] of Object.entries(overrides || {})) {
+            const valid = settings && typeof settings === 'object' &&
+                Object.entries(settings).every(([key, value]) =>
+                    ['cost', 'points', 'duration'].includes(key) && Number.isInteger(value) && value > 0);
+
+            if (!valid) {
+                console.error(`Ignoring RATE_LIMITS.${category}: cost, points and duration must be positive integers`);
+                continue;
+            }
+
+            const canonical = registry.resolveCategory(category);
+            this.categories[canonical] = { ...this.categories[canonical], ...settings };
+        }
+    }
+
+    /**
+     * Settings for a category, taken from the closest configured parent
+     */
+    getCategorySettings(category) {
+        let current = registry.resolveCategory(category || '');
+
+        while (current) {
+            if (this.categories[current]) {
+                return { category: current, ...this.categories[current] };
+            }
+            current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : '';
+        }
+
+        return null;
+    }
+
+    /**
+     * Points one call to a function consumes
+     */
+    getCost(category, functionName) {
+        const entry = registry.resolve(category, functionName);
+        if (entry && Number.isInteger(entry.cost) && entry.cost > 0) {
+            return entry.cost;
+        }
+
+        return this.getCategorySettings(entry ? entry.category : category)?.cost || 1;
+    }
+
+    /**
+     * Total cost of a list of calls, split into the category buckets they draw from
+     */
+    plan(calls) {
+        let total = 0;
+        const buckets = new Map(); // category -> { points, settings }
+
+        for (const { category, function: functionName } of calls) {
+            const cost = this.getCost(category, functionName);
+            total += cost;
+
+            const settings = this.getCategorySettings(category);
+            if (settings && settings.points) {
+                const bucket = buckets.get(settings.category) || { points: 0, settings };
+                bucket.points += cost;
+                buckets.set(settings.category, bucket);
+            }
+        }
+
+        return { total: Math.max(total, 1), buckets };
+    }
+
+    getCategoryLimiter(settings) {
+        const points = settings.points;
+        const duration = settings.duration || this.defaults.duration;
+
+        let limiter = this.categoryLimiters.get(settings.category);
+        if (!limiter || limiter.points !== points || limiter.duration !== duration) {
+            limiter = new RateLimiterMemory({ points, duration });
+            this.categoryLimiters.set(settings.category, limiter);
+        }
+        return limiter;
+    }
+
+    /**
+     * Charge a caller for a list of calls ([] charges a single point).
+     * consumeGlobal(points) lets API keys use their own global bucket.
+     * Throws RateLimitError when a bucket is short, refunding the buckets
+     * charged before it.
+     */
+    async consume(client, calls, consumeGlobal = null) {
+        const { total, buckets } = this.plan(calls);
+        const charged = [];
+
+        try {
+            for (const [category, { points, settings }] of buckets) {
+                const limiter = this.getCategoryLimiter(settings);
+                try {
+                    await limiter.consume(client, points);
+                } catch (rejection) {
+                    throw this.toError(rejection, total, category);
+                }
+                charged.push([limiter, points]);
+            }
+
+            try {
+                await (consumeGlobal ? consumeGlobal(total) : this.global.consume(client, total));
+            } catch (rejection) {
+                throw this.toError(rejection, total, null);
+            }
+        } catch (error) {
+            // Give back what the stricter buckets already took
+            await Promise.all(charged.map(([limiter, points]) => limiter.reward(client, points)));
+            throw error;
+        }
+
+        return total;
+    }
+
+    toError(rejection, cost, category) {
+        if (rejection instanceof Error) {
+            return rejection;
+        }
+
+        return new RateLimitError(
+            category
+                ? `Rate limit for ${category} exceeded, please try again later`
+                : 'Too many requests, please try again later',
+            Math.ceil(rejection.msBeforeNext / 1000) || 60,
+            { cost, category }
+        );
+    }
+
+    /**
+     * Public view of the configuration
+     */
+    getConfig() {
+        return {
+            global: {
+                points: this.defaults.points,
+                duration: this.defaults.duration,
+                blockDuration: this.defaults.blockDuration
+            },
+            categories: this.categories
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new CostRateLimiter();
@@ -0,0 +1,214 @@
+// lib/registry.js
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Function Registry
+ * Discovers fx modules at any depth, resolves category and function
+ * aliases, and records which modules fail to load
+ */
+class FunctionRegistry {
+    constructor() {
+        this.basePath = path.join(__dirname, '..', 'fx');
+
+        // 'category/name' -> { id, category, name, path, file, aliases, cost, status, error }
+        this.functions = new Map();
+
+        // 'category/alias' -> 'category/name', declared through manifest.aliases
+        this.aliases = new Map();
+
+        // Short category names for nested directories
+        this.categoryAliases = new Map([
+            ['settings', 'tools/fx/setting']
+        ]);
+
+        this.scannedAt = null;
+        this.checkedAt = null;
+    }
+
+    /**
+     * Walk a directory and collect every .js file below it
+     */
+    async walk(dir, relative = '') {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const found = [];
+
+        for (const entry of entries) {
+            const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                found.push(...await this.walk(path.join(dir, entry.name), entryRelative));
+            } else if (entry.isFile() && entry.name.endsWith('.js') && relative) {
+                found.push({
+                    category: relative,
+                    name: entry.name.slice(0, -'.js'.length),
+                    file: path.join(dir, entry.name)
+                });
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Rescan fx/, keeping load status for modules that are still present
+     */
+    async scan() {
+        const found = await this.walk(this.basePath);
+        const functions = new Map();
+
+        for (const { category, name, file } of found) {
+            const id = `${category}/${name}`;
+            const previous = this.functions.get(id);
+
+            functions.set(id, previous || {
+                id,
+                category,
+                name,
+                path: `fx/${id}.js`,
+                file,
+                aliases: [],
+                cost: null,
+                status: 'unchecked',
+                error: null
+            });
+        }
+
+        this.functions = functions;
+        this.rebuildAliases();
+        this.scannedAt = new Date().toISOString();
+
+        return this.list();
+    }
+
+    /**
+     * Scan once if nothing has been discovered yet
+     */
+    async ready() {
+        if (!this.scannedAt) {
+            await this.scan();
+        }
+    }
+
+    /**
+     * Load every module so broken ones are reported up front
+     */
+    async check() {
+        await this.ready();
+
+        for (const entry of this.functions.values()) {
+            try {
+                this.register(entry, require(entry.file));
+            } catch (error) {
+                entry.status = 'broken';
+                entry.error = error.message.split('\n')[0];
+            }
+        }
+
+        this.rebuildAliases();
+        this.checkedAt = new Date().toISOString();
+
+        return this.getStatus();
+    }
+
+    /**
+     * Record a loaded module against its entry
+     */
+    register(entry, functionModule) {
+        if (typeof functionModule !== 'function') {
+            throw new Error(`Invalid function export in ${entry.path}`);
+        }
+
+        entry.aliases = functionModule.manifest?.aliases || [];
+        entry.cost = functionModule.manifest?.cost || null;
+        entry.status = 'loaded';
+        entry.error = null;
+    }
+
+    /**
+     * Rebuild the alias lookup from registered entries
+     */
+    rebuildAliases() {
+        this.aliases.clear();
+
+        for (const entry of this.functions.values()) {
+            for (const alias of entry.aliases) {
+                const aliasId = `${entry.category}/${alias}`;
+                if (!this.functions.has(aliasId)) {
+                    this.aliases.set(aliasId, entry.id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve a category alias to its directory path
+     */
+    resolveCategory(category) {
+        return this.categoryAliases.get(category) || category;
+    }
+
+    /**
+     * Find the entry for a category/function pair, following aliases
+     */
+    resolve(category, name) {
+        if (typeof category !== 'string' || typeof name !== 'string') {
+            return null;
+        }
+
+        const id = `${this.resolveCategory(category)}/${name}`;
+        return this.functions.get(id) || this.functions.get(this.aliases.get(id)) || null;
+    }
+
+    /**
+     * Functions grouped by category
+     */
+    list() {
+        const categories = {};
+
+        for (const entry of this.functions.values()) {
+            if (!categories[entry.category]) {
+                categories[entry.category] = [];
+            }
+
+            categories[entry.category].push({
+                name: entry.name,
+                path: entry.path,
+                category: entry.category,
+                aliases: entry.aliases
+            });
+        }
+
+        return categories;
+    }
+
+    /**
+     * Category aliases as a plain object
+     */
+    listCategoryAliases() {
+        return Object.fromEntries(this.categoryAliases);
+    }
+
+    /**
+     * Load status summary (used by /health)
+     */
+    getStatus() {
+        const entries = Array.from(this.functions.values());
+        const broken = entries.filter(entry => entry.status === 'broken');
+
+        return {
+            total: entries.length,
+            loaded: entries.filter(entry => entry.status === 'loaded').length,
+            unchecked: entries.filter(entry => entry.status === 'unchecked').length,
+            broken: broken.map(entry => ({
+                function: entry.id,
+                path: entry.path,
+                error: entry.error
+            })),
+            checkedAt: this.checkedAt
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new FunctionRegistry();
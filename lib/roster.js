@@ -0,0 +1,324 @@
+// lib/roster.js
+const store = require('./store');
+const audit = require('./audit');
+
+class RosterError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'RosterError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Group Roster
+ * Who is in each group and with what role, as reported by the bot: full
+ * membership snapshots plus join, leave, promote and demote events in
+ * between. Every change is appended to the group audit log, so role
+ * checks can be traced back to the event that granted the role.
+ */
+class GroupRoster {
+    constructor() {
+        this.rosters = store.collection('group-rosters');
+
+        // Event ids remembered per group so a redelivered event is applied once
+        this.seenLimit = 200;
+
+        this.roles = ['owner', 'admin', 'member'];
+        this.eventTypes = ['join', 'add', 'leave', 'remove', 'promote', 'demote'];
+
+        // Audit actions that come from roster changes
+        this.actions = ['join', 'leave', 'remove', 'promote', 'demote'];
+    }
+
+    /**
+     * WhatsApp user ids come as 2348012345678, 2348012345678@s.whatsapp.net
+     * or 2348012345678:12@s.whatsapp.net; all of them are the same member
+     */
+    normalizeId(id) {
+        return String(id || '')
+            .trim()
+            .replace(/:\d+(?=@|$)/, '')
+            .replace(/@(s\.whatsapp\.net|c\.us)$/i, '');
+    }
+
+    /**
+     * Role of a snapshot entry: role, Baileys' admin field or isAdmin/isOwner flags
+     */
+    roleOf(entry) {
+        if (this.roles.includes(entry.role)) {
+            return entry.role;
+        }
+        if (entry.role === 'superadmin' || entry.admin === 'superadmin' || entry.isOwner) {
+            return 'owner';
+        }
+        if (entry.admin === 'admin' || entry.isAdmin) {
+            return 'admin';
+        }
+        return 'member';
+    }
+
+    toMember(entry, previous, at) {
+        const id = this.normalizeId(entry.id);
+        return {
+            id,
+            number: entry.number || (/^\d+$/.test(id) ? id : null),
+            name: entry.name || previous?.name || null,
+            role: this.roleOf(entry),
+            isBot: entry.isBot === true,
+            joinedAt: previous?.joinedAt || entry.joinedAt || at,
+            roleChangedAt: previous && previous.role !== this.roleOf(entry) ? at : (previous?.roleChangedAt || null)
+        };
+    }
+
+    async get(groupId) {
+        return this.rosters.get(groupId);
+    }
+
+    /**
+     * The roster of a group; throws when the bot has not reported one
+     */
+    async getRoster(groupId) {
+        const roster = await this.rosters.get(groupId);
+        if (!roster) {
+            throw new RosterError(
+                'No member list for this group yet; the bot has to send a roster snapshot first',
+                'ROSTER_NOT_FOUND',
+                404
+            );
+        }
+        return roster;
+    }
+
+    async getMember(groupId, userId) {
+        const roster = await this.getRoster(groupId);
+        return roster.members[this.normalizeId(userId)] || null;
+    }
+
+    async getRole(groupId, userId) {
+        const member = await this.getMember(groupId, userId);
+        return member ? member.role : null;
+    }
+
+    isAdmin(member) {
+        return Boolean(member && (member.role === 'admin' || member.role === 'owner'));
+    }
+
+    isOwner(member) {
+        return Boolean(member && member.role === 'owner');
+    }
+
+    /**
+     * Members in a fixed order: owner, admins, then members, each by id.
+     * options: { role, includeBots }
+     */
+    async listMembers(groupId, { role = null, includeBots = true } = {}) {
+        const roster = await this.getRoster(groupId);
+        return Object.values(roster.members)
+            .filter(member => !role || (role === 'admin' ? this.isAdmin(member) : member.role === role))
+            .filter(member => includeBots || !member.isBot)
+            .sort((a, b) => this.roles.indexOf(a.role) - this.roles.indexOf(b.role) || a.id.localeCompare(b.id));
+    }
+
+    async listAdmins(groupId) {
+        return this.listMembers(groupId, { role: 'admin' });
+    }
+
+    summarize(roster) {
+        const members = Object.values(roster.members);
+        return {
+            groupId: roster.groupId,
+            name: roster.name,
+            version: roster.version,
+            total: members.length,
+            owners: members.filter(member => member.role === 'owner').length,
+            admins: members.filter(member => member.role === 'admin').length,
+            bots: members.filter(member => member.isBot).length,
+            snapshotAt: roster.snapshotAt,
+            updatedAt: roster.updatedAt
+        };
+    }
+
+    /**
+     * Replace a group's membership with a full snapshot from the bot.
+     * snapshot: { name, members: [{ id, name, number, role | admin | isAdmin | isOwner, isBot }] }
+     * Differences from the stored roster are logged as changes.
+     */
+    async applySnapshot(groupId, snapshot, { actorId = null, source = 'snapshot', at = null } = {}) {
+        const timestamp = at ? new Date(at).toISOString() : new Date().toISOString();
+        const changes = [];
+
+        const roster = await this.rosters.update(groupId, (current) => {
+            const previous = current ? current.members : {};
+            const members = {};
+
+            for (const entry of snapshot.members || []) {
+                const id = this.normalizeId(entry.id);
+                if (!id) continue;
+                members[id] = this.toMember(entry, previous[id], timestamp);
+            }
+
+            for (const [id, member] of Object.entries(members)) {
+                const before = previous[id];
+                if (!before) {
+                    changes.push({ type: 'join', userId: id, from: null, to: member.role });
+                } else if (before.role !== member.role) {
+                    const type = this.roles.indexOf(member.role) < this.roles.indexOf(before.role) ? 'promote' : 'demote';
+                    changes.push({ type, userId: id, from: before.role, to: member.role });
+                }
+            }
+            for (const [id, member] of Object.entries(previous)) {
+                if (!members[id]) {
+                    changes.push({ type: 'leave', userId: id, from: member.role, to: null });
+                }
+            }
+
+            return {
+                groupId,
+                name: snapshot.name || current?.name || null,
+                members,
+                version: (current?.version || 0) + (changes.length > 0 || !current ? 1 : 0),
+                snapshotAt: timestamp,
+                updatedAt: new Date().toISOString(),
+                seenEvents: current?.seenEvents || []
+            };
+        });
+
+        const logged = await this.append(groupId, changes.map(change => ({ ...change, actorId, source, at: timestamp })));
+        return { roster: this.summarize(roster), changes: logged };
+    }
+
+    /**
+     * Apply one membership event from the bot or a group function.
+     * event: { type, userIds | userId, actorId, at, eventId, source, reason }
+     * Events older than the last snapshot, repeated event ids and changes
+     * that are already true are reported as ignored.
+     */
+    async applyEvent(groupId, event) {
+        if (!this.eventTypes.includes(event.type)) {
+            throw new RosterError(`Unknown roster event type: ${event.type}`, 'INVALID_EVENT');
+        }
+
+        const userIds = (event.userIds || (event.userId ? [event.userId] : [])).map(id => this.normalizeId(id)).filter(Boolean);
+        if (userIds.length === 0) {
+            throw new RosterError('A roster event needs userId or userIds', 'INVALID_EVENT');
+        }
+
+        const timestamp = event.at ? new Date(event.at).toISOString() : new Date().toISOString();
+        const actorId = event.actorId ? this.normalizeId(event.actorId) : null;
+        const changes = [];
+        const ignored = [];
+
+        const roster = await this.rosters.update(groupId, (current) => {
+            const roster = current || { groupId, name: null, members: {}, version: 0, snapshotAt: null, seenEvents: [] };
+
+            if (event.eventId && roster.seenEvents.includes(event.eventId)) {
+                userIds.forEach(userId => ignored.push({ userId, reason: 'DUPLICATE' }));
+                return roster;
+            }
+            if (roster.snapshotAt && timestamp < roster.snapshotAt) {
+                userIds.forEach(userId => ignored.push({ userId, reason: 'STALE' }));
+                return roster;
+            }
+
+            const members = { ...roster.members };
+            for (const userId of userIds) {
+                const before = members[userId];
+                const change = this.change(event.type, userId, before, actorId);
+                if (!change) {
+                    ignored.push({ userId, reason: 'NO_CHANGE' });
+                    continue;
+                }
+
+                if (change.to === null) {
+                    delete members[userId];
+                } else {
+                    members[userId] = {
+                        ...(before || { id: userId, number: /^\d+$/.test(userId) ? userId : null, name: null, isBot: false, joinedAt: timestamp, roleChangedAt: null }),
+                        role: change.to,
+                        ...(before && { roleChangedAt: timestamp })
+                    };
+                }
+                changes.push(change);
+            }
+
+            return {
+                ...roster,
+                members,
+                version: roster.version + (changes.length > 0 ? 1 : 0),
+                updatedAt: new Date().toISOString(),
+                seenEvents: event.eventId ? [...roster.seenEvents, event.eventId].slice(-this.seenLimit) : roster.seenEvents
+            };
+        });
+
+        const logged = await this.append(groupId, changes.map(change => ({
+            ...change,
+            actorId,
+            source: event.source || 'event',
+            reason: event.reason || null,
+            eventId: event.eventId || null,
+            at: timestamp
+        })));
+
+        return { roster: this.summarize(roster), changes: logged, ignored };
+    }
+
+    /**
+     * What an event does to one member, or null when nothing changes
+     */
+    change(type, userId, before, actorId) {
+        switch (type) {
+            case 'join':
+            case 'add':
+                return before ? null : { type: 'join', userId, from: null, to: 'member' };
+            case 'leave':
+            case 'remove':
+                if (!before) return null;
+                return { type: actorId && actorId !== userId ? 'remove' : 'leave', userId, from: before.role, to: null };
+            case 'promote':
+                // Promoting someone not yet on the roster also adds them
+                return before && before.role !== 'member' ? null : { type: 'promote', userId, from: before ? 'member' : null, to: 'admin' };
+            case 'demote':
+                return before && before.role === 'admin' ? { type: 'demote', userId, from: 'admin', to: 'member' } : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Write roster changes to the audit log
+     */
+    async append(groupId, changes) {
+        return audit.append(groupId, changes.map(change => ({
+            action: change.type,
+            actorId: change.actorId,
+            targetId: change.userId,
+            details: {
+                from: change.from,
+                to: change.to,
+                ...(change.reason && { reason: change.reason }),
+                ...(change.eventId && { eventId: change.eventId })
+            },
+            source: change.source,
+            at: change.at
+        })));
+    }
+
+    /**
+     * Roster changes and mentions in a group, newest first.
+     * options: { limit, type, userId, actorId }
+     */
+    async history(groupId, { limit = 20, type = null, userId = null, actorId = null } = {}) {
+        const { entries } = await audit.query({
+            groupId,
+            action: type || [...this.actions, 'mention'],
+            targetId: userId ? this.normalizeId(userId) : null,
+            actorId: actorId ? this.normalizeId(actorId) : null
+        }, { limit });
+        return entries;
+    }
+}
+
+// Export singleton instance
+module.exports = new GroupRoster();
@@ -0,0 +1,477 @@
+// lib/schedules.js
+const crypto = require('crypto');
+const store = require('./store');
+const roster = require('./roster');
+const audit = require('./audit');
+
+class ScheduleError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'ScheduleError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const MINUTE = 60 * 1000;
+
+// minute hour day-of-month month day-of-week, as in crontab(5)
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+/**
+ * Scheduled Announcements
+ * Group messages the bot should post later, once (runAt) or on a cron
+ * recurrence in the group's timezone, optionally mentioning everyone or
+ * just the admins. The bot polls for due messages; each occurrence is handed
+ * out once, and occurrences missed by more than the grace period are skipped
+ * rather than posted late.
+ */
+class Scheduler {
+    constructor() {
+        this.schedules = store.collection('group-schedules');
+        this.defaultTimezone = process.env.SCHEDULE_TIMEZONE || 'UTC';
+        this.graceMinutes = parseInt(process.env.SCHEDULE_GRACE_MINUTES, 10) || 60;
+        this.maxPerGroup = parseInt(process.env.SCHEDULE_MAX_PER_GROUP, 10) || 25;
+
+        this.mentions = ['none', 'everyone', 'admins'];
+        this.statuses = ['active', 'completed', 'cancelled'];
+        this.maxDue = 100;
+
+        // How far ahead to look for the next run of a cron expression
+        this.searchDays = 8 * 366;
+
+        this.formatters = new Map();
+    }
+
+    /**
+     * Values of one cron field. "*", "5", "1-5", "*\/15", "MON-FRI" and
+     * comma separated lists of them.
+     */
+    parseField(text, field) {
+        const values = new Set();
+        const lookup = (value) => {
+            const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+            const number = index !== -1 ? index + field.min : Number(value);
+            if (!/^\d+$/.test(value) && index === -1) {
+                throw new ScheduleError(`Invalid ${field.name} "${value}" in cron expression`, 'INVALID_CRON');
+            }
+            if (number < field.min || number > field.max) {
+                throw new ScheduleError(`${field.name} must be ${field.min}-${field.max}, got ${value}`, 'INVALID_CRON');
+            }
+            return number;
+        };
+
+        for (const part of text.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw new ScheduleError(`Invalid step "${stepText}" for ${field.name} in cron expression`, 'INVALID_CRON');
+            }
+
+            let [from, to] = [field.min, field.max];
+            if (range !== '*') {
+                const [start, end] = range.split('-');
+                from = lookup(start);
+                to = end !== undefined ? lookup(end) : (stepText !== undefined ? field.max : from);
+            }
+            if (from > to) {
+                throw new ScheduleError(`Invalid ${field.name} range "${range}" in cron expression`, 'INVALID_CRON');
+            }
+
+            for (let value = from; value <= to; value += step) {
+                // Sunday is 0 or 7
+                values.add(field.name === 'day of week' ? value % 7 : value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Parse a five-field cron expression or a shortcut like @weekly
+     */
+    parseCron(expression) {
+        const normalized = String(expression || '').trim().replace(/\s+/g, ' ');
+        const fields = (CRON_SHORTCUTS[normalized.toLowerCase()] || normalized).split(' ');
+        if (fields.length !== 5) {
+            throw new ScheduleError('Cron expression needs 5 fields: minute hour day-of-month month day-of-week', 'INVALID_CRON');
+        }
+
+        const [minutes, hours, days, months, weekdays] = fields.map((text, i) => this.parseField(text, CRON_FIELDS[i]));
+        return {
+            expression: normalized,
+            minutes: [...minutes].sort((a, b) => a - b),
+            hours: [...hours].sort((a, b) => a - b),
+            days,
+            months,
+            weekdays,
+            // When both day fields are restricted a day matching either runs, as in cron
+            eitherDay: !fields[2].startsWith('*') && !fields[4].startsWith('*')
+        };
+    }
+
+    getFormatter(timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            try {
+                this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric'
+                }));
+            } catch (error) {
+                throw new ScheduleError(`Unknown timezone: ${timeZone}`, 'INVALID_TIMEZONE');
+            }
+        }
+        return this.formatters.get(timeZone);
+    }
+
+    resolveTimezone(timeZone) {
+        return this.getFormatter(timeZone || this.defaultTimezone).resolvedOptions().timeZone;
+    }
+
+    /**
+     * Wall-clock fields of an instant in a timezone
+     */
+    wallTime(time, timeZone) {
+        const parts = {};
+        for (const part of this.getFormatter(timeZone).formatToParts(new Date(time))) {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+        return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute };
+    }
+
+    /**
+     * The instant a wall-clock time happens in a timezone, or null when it
+     * doesn't (clocks skip it when daylight saving starts)
+     */
+    toInstant(wall, timeZone) {
+        const guess = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+        const offsetAt = (time) => {
+            const local = this.wallTime(time, timeZone);
+            return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - Math.floor(time / MINUTE) * MINUTE;
+        };
+
+        let time = guess - offsetAt(guess);
+        time = guess - offsetAt(time);
+
+        const check = this.wallTime(time, timeZone);
+        return check.year === wall.year && check.month === wall.month && check.day === wall.day &&
+            check.hour === wall.hour && check.minute === wall.minute ? time : null;
+    }
+
+    /**
+     * First run of a cron expression strictly after a time, or null
+     */
+    nextRun(cron, timeZone, after) {
+        const from = Math.floor(after / MINUTE) * MINUTE + MINUTE;
+        const start = this.wallTime(from, timeZone);
+        const startMinute = start.hour * 60 + start.minute;
+
+        for (let offset = 0; offset < this.searchDays; offset++) {
+            const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+            const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+
+            if (!cron.months.has(month)) continue;
+            const dayMatch = cron.days.has(day);
+            const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+            if (cron.eitherDay ? !(dayMatch || weekdayMatch) : !(dayMatch && weekdayMatch)) continue;
+
+            for (const hour of cron.hours) {
+                for (const minute of cron.minutes) {
+                    if (offset === 0 && hour * 60 + minute < startMinute) continue;
+                    const time = this.toInstant({ year, month, day, hour, minute }, timeZone);
+                    if (time !== null && time >= from) {
+                        return time;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * A date with a zone ("2026-11-02T18:00:00Z") is taken as is; a bare
+     * local time ("2026-11-02 18:00") is read in the schedule's timezone
+     */
+    parseRunAt(value, timeZone) {
+        const local = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::00)?$/);
+        const time = local
+            ? this.toInstant({ year: +local[1], month: +local[2], day: +local[3], hour: +local[4], minute: +local[5] }, timeZone)
+            : new Date(value).getTime();
+
+        if (time === null || Number.isNaN(time)) {
+            throw new ScheduleError(`runAt is not a valid time in ${timeZone}`, 'INVALID_DATE');
+        }
+        return time;
+    }
+
+    /**
+     * Schedule an announcement.
+     * options: { groupId, message, mention, cron | runAt, timezone, endsAt, maxRuns, createdBy }
+     */
+    async create({ groupId, message, mention = 'none', cron = null, runAt = null, timezone = null, endsAt = null, maxRuns = null, createdBy = null }) {
+        if (!groupId) {
+            throw new ScheduleError('groupId is required', 'MISSING_GROUP_ID');
+        }
+        if (!message || !String(message).trim()) {
+            throw new ScheduleError('message is required', 'MISSING_MESSAGE');
+        }
+        if (!this.mentions.includes(mention)) {
+            throw new ScheduleError(`mention must be one of: ${this.mentions.join(', ')}`, 'INVALID_MENTION');
+        }
+        if (Boolean(cron) === Boolean(runAt)) {
+            throw new ScheduleError('Give either cron for a recurring announcement or runAt for a single one', 'INVALID_SCHEDULE');
+        }
+        if (maxRuns !== null && (!Number.isInteger(maxRuns) || maxRuns < 1)) {
+            throw new ScheduleError('maxRuns must be a positive whole number', 'INVALID_SCHEDULE');
+        }
+
+        const timeZone = this.resolveTimezone(timezone);
+        const now = Date.now();
+        const parsed = cron ? this.parseCron(cron) : null;
+        const ends = endsAt ? this.parseRunAt(endsAt, timeZone) : null;
+
+        let nextRunAt;
+        if (parsed) {
+            nextRunAt = this.nextRun(parsed, timeZone, now);
+            if (nextRunAt === null) {
+                throw new ScheduleError(`Cron expression "${parsed.expression}" never runs`, 'INVALID_CRON');
+            }
+        } else {
+            nextRunAt = this.parseRunAt(runAt, timeZone);
+            if (nextRunAt <= now) {
+                throw new ScheduleError('runAt is in the past', 'INVALID_DATE');
+            }
+        }
+        if (ends !== null && ends < nextRunAt) {
+            throw new ScheduleError('endsAt is before the first run', 'INVALID_DATE');
+        }
+
+        const active = (await this.list(groupId, { status: 'active' })).length;
+        if (active >= this.maxPerGroup) {
+            throw new ScheduleError(`This group already has ${active} active schedules; cancel one first`, 'LIMIT_EXCEEDED', 409);
+        }
+
+        const schedule = {
+            id: `sch_${crypto.randomBytes(6).toString('hex')}`,
+            groupId,
+            message: String(message).trim(),
+            mention,
+            cron: parsed ? parsed.expression : null,
+            timezone: timeZone,
+            status: 'active',
+            nextRunAt: new Date(nextRunAt).toISOString(),
+            lastRunAt: null,
+            endsAt: ends !== null ? new Date(ends).toISOString() : null,
+            runs: 0,
+            missed: 0,
+            maxRuns: parsed ? maxRuns : 1,
+            createdBy: createdBy ? roster.normalizeId(createdBy) : null,
+            createdAt: new Date(now).toISOString(),
+            cancelledAt: null,
+            cancelledBy: null
+        };
+        await this.schedules.set(schedule.id, schedule);
+
+        await audit.record(groupId, {
+            action: 'schedule',
+            actorId: schedule.createdBy,
+            details: { operation: 'create', scheduleId: schedule.id, cron: schedule.cron, nextRunAt: schedule.nextRunAt, mention },
+            source: 'group/schedule'
+        });
+
+        return schedule;
+    }
+
+    /**
+     * Schedules of a group, soonest first
+     */
+    async list(groupId, { status = null } = {}) {
+        if (status && !this.statuses.includes(status)) {
+            throw new ScheduleError(`status must be one of: ${this.statuses.join(', ')}`, 'INVALID_STATUS');
+        }
+        return (await this.schedules.values())
+            .filter(schedule => schedule.groupId === groupId && (!status || schedule.status === status))
+            .sort((a, b) => (a.nextRunAt === null) - (b.nextRunAt === null) ||
+                (a.nextRunAt || '').localeCompare(b.nextRunAt || '') ||
+                b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async get(id, groupId = null) {
+        const schedule = await this.schedules.get(id);
+        if (!schedule || (groupId && schedule.groupId !== groupId)) {
+            throw new ScheduleError(`Schedule ${id} not found`, 'SCHEDULE_NOT_FOUND', 404);
+        }
+        return schedule;
+    }
+
+    async cancel(id, { groupId = null, actorId = null } = {}) {
+        await this.get(id, groupId);
+
+        const cancelled = await this.schedules.update(id, (schedule) => {
+            if (schedule.status !== 'active') {
+                throw new ScheduleError(`Schedule ${id} is already ${schedule.status}`, 'CONFLICT', 409);
+            }
+            return {
+                ...schedule,
+                status: 'cancelled',
+                nextRunAt: null,
+                cancelledAt: new Date().toISOString(),
+                cancelledBy: actorId ? roster.normalizeId(actorId) : null
+            };
+        });
+
+        await audit.record(cancelled.groupId, {
+            action: 'schedule',
+            actorId: cancelled.cancelledBy,
+            details: { operation: 'cancel', scheduleId: id, runs: cancelled.runs },
+            source: 'group/schedule'
+        });
+
+        return cancelled;
+    }
+
+    formatMentions(members) {
+        return members
+            .map((member, index) => `@${member.number || member.id}${(index + 1) % 5 === 0 ? '\n' : ' '}`)
+            .join('')
+            .trim();
+    }
+
+    /**
+     * Message the bot should post for one run, with mentions from the roster
+     */
+    async buildPayload(schedule, scheduledFor, now) {
+        let members = [];
+        if (schedule.mention !== 'none') {
+            try {
+                members = schedule.mention === 'admins'
+                    ? await roster.listAdmins(schedule.groupId)
+                    : await roster.listMembers(schedule.groupId, { includeBots: false });
+            } catch (error) {
+                if (error.name !== 'RosterError') throw error;
+            }
+        }
+
+        const mentions = this.formatMentions(members);
+        return {
+            scheduleId: schedule.id,
+            runId: `${schedule.id}:${scheduledFor}`,
+            groupId: schedule.groupId,
+            message: mentions ? `${schedule.message}\n\n${mentions}` : schedule.message,
+            text: schedule.message,
+            mention: schedule.mention,
+            mentions,
+            mentionIds: members.map(member => member.id),
+            scheduledFor,
+            lateBy: Math.max(0, Math.round((now - Date.parse(scheduledFor)) / 1000))
+        };
+    }
+
+    /**
+     * Claim one due run of a schedule: move it to its next run and say
+     * whether this one should still be posted. Null when it isn't due.
+     */
+    async claim(id, now) {
+        let claimed = null;
+
+        await this.schedules.update(id, (schedule) => {
+            if (!schedule || schedule.status !== 'active' || Date.parse(schedule.nextRunAt) > now) {
+                return schedule;
+            }
+
+            const scheduledFor = schedule.nextRunAt;
+            const deliver = now - Date.parse(scheduledFor) <= this.graceMinutes * MINUTE;
+            const runs = schedule.runs + (deliver ? 1 : 0);
+            const next = schedule.cron ? this.nextRun(this.parseCron(schedule.cron), schedule.timezone, now) : null;
+            const done = next === null ||
+                (schedule.maxRuns !== null && runs >= schedule.maxRuns) ||
+                (schedule.endsAt !== null && next > Date.parse(schedule.endsAt));
+
+            claimed = {
+                scheduledFor,
+                deliver,
+                schedule: {
+                    ...schedule,
+                    status: done ? 'completed' : 'active',
+                    nextRunAt: done ? null : new Date(next).toISOString(),
+                    lastRunAt: deliver ? scheduledFor : schedule.lastRunAt,
+                    runs,
+                    missed: schedule.missed + (deliver ? 0 : 1)
+                }
+            };
+            return claimed.schedule;
+        });
+
+        return claimed;
+    }
+
+    /**
+     * Announcements the bot should post now. Each run is handed out once;
+     * with peek the due runs are shown without being claimed.
+     * Returns { due: [payload], skipped: [{ scheduleId, groupId, scheduledFor }], checkedAt }
+     */
+    async due({ groupId = null, limit = 50, peek = false } = {}) {
+        const now = Date.now();
+        const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), this.maxDue);
+        const candidates = (await this.schedules.values())
+            .filter(schedule => schedule.status === 'active' && Date.parse(schedule.nextRunAt) <= now)
+            .filter(schedule => !groupId || schedule.groupId === groupId)
+            .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))
+            .slice(0, size);
+
+        const due = [];
+        const skipped = [];
+        for (const candidate of candidates) {
+            if (peek) {
+                due.push(await this.buildPayload(candidate, candidate.nextRunAt, now));
+                continue;
+            }
+
+            const claimed = await this.claim(candidate.id, now);
+            if (!claimed) continue;
+
+            if (!claimed.deliver) {
+                skipped.push({ scheduleId: candidate.id, groupId: candidate.groupId, scheduledFor: claimed.scheduledFor });
+                continue;
+            }
+
+            const payload = await this.buildPayload(claimed.schedule, claimed.scheduledFor, now);
+            if (payload.mentionIds.length > 0) {
+                await audit.record(payload.groupId, {
+                    action: 'mention',
+                    source: 'group/schedule',
+                    actorId: claimed.schedule.createdBy,
+                    targets: payload.mentionIds,
+                    details: { scheduleId: candidate.id }
+                });
+            }
+            due.push(payload);
+        }
+
+        return { due, skipped, checkedAt: new Date(now).toISOString() };
+    }
+}
+
+// Export singleton instance
+module.exports = new Scheduler();
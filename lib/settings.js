@@ -0,0 +1,371 @@
+// lib/settings.js
+const store = require('./store');
+const audit = require('./audit');
+const policies = require('./policies');
+const { createSuccessResponse, createErrorResponse } = require('./response');
+
+class SettingsError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'SettingsError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Settings Store
+ * Persists the group and user settings of fx/tools/fx/setting. A record keeps
+ * the input its settings were built from, so partial updates merge into that
+ * input and the settings are rebuilt. Every change becomes a new version that
+ * can be rolled back to; changes to group settings are also audited.
+ */
+class SettingsStore {
+    constructor() {
+        this.records = store.collection('settings');
+        this.history = store.collection('settings-history');
+        this.historyLimit = parseInt(process.env.SETTINGS_HISTORY_LIMIT, 10) || 20;
+
+        this.operations = ['update', 'get', 'reset', 'list', 'history', 'rollback'];
+
+        // Schema fields shared by every setting function
+        this.operationSchema = {
+            operation: { type: 'string', enum: this.operations, default: 'update', description: 'update merges into the stored settings; get, reset, list, history and rollback manage them' },
+            version: { type: 'number', isInteger: true, min: 1, description: 'Version to restore, for rollback' }
+        };
+    }
+
+    /**
+     * Who a setting belongs to. Group settings are keyed by groupId; user
+     * settings by userId, plus groupId when they apply to a group chat.
+     */
+    getTarget(scope, data) {
+        if (scope === 'group') {
+            if (!data.groupId) {
+                throw new SettingsError('Missing required field: groupId', 'VALIDATION_ERROR');
+            }
+            return { groupId: data.groupId };
+        }
+
+        if (!data.userId) {
+            throw new SettingsError('Missing required field: userId', 'VALIDATION_ERROR');
+        }
+        if (data.chatType === 'group') {
+            if (!data.groupId) {
+                throw new SettingsError('groupId is required for group chats', 'MISSING_GROUP_ID');
+            }
+            return { userId: data.userId, groupId: data.groupId };
+        }
+        return { userId: data.userId };
+    }
+
+    getKey(type, target) {
+        const parts = [type];
+        if (target.userId) parts.push(`user:${target.userId}`);
+        if (target.groupId) parts.push(`group:${target.groupId}`);
+        return parts.join(':');
+    }
+
+    /**
+     * Merge changes into stored input: objects merge, arrays and scalars
+     * replace, null removes the field so its default applies again
+     */
+    merge(current, changes) {
+        const merged = { ...current };
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete merged[key];
+            } else if (this.isPlainObject(value) && this.isPlainObject(merged[key])) {
+                merged[key] = this.merge(merged[key], value);
+            } else {
+                merged[key] = value;
+            }
+        }
+
+        return merged;
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Build a version from input; counters in settings.statistics carry over
+     * from the previous version so they survive edits and rollbacks
+     */
+    buildVersion(build, input, previous) {
+        const { settings, status, message } = build(input);
+
+        if (settings.statistics && previous?.settings?.statistics) {
+            settings.statistics = previous.settings.statistics;
+        }
+
+        return { input, settings, status, message };
+    }
+
+    /**
+     * Write a new version and append it to the history
+     */
+    async commit(key, type, target, current, built, operation, changedBy, extra = {}) {
+        const now = new Date().toISOString();
+        const record = {
+            type,
+            target,
+            version: (current?.version || 0) + 1,
+            input: built.input,
+            settings: built.settings,
+            status: built.status,
+            message: built.message,
+            createdAt: current?.createdAt || now,
+            updatedAt: now,
+            updatedBy: changedBy || null
+        };
+
+        await this.history.update(key, (versions) => [
+            ...(versions || []),
+            {
+                version: record.version,
+                operation,
+                input: record.input,
+                settings: record.settings,
+                status: record.status,
+                changedAt: now,
+                changedBy: record.updatedBy,
+                ...extra
+            }
+        ].slice(-this.historyLimit));
+
+        // Group settings changes go to the group audit log as well
+        if (target.groupId && !target.userId) {
+            await audit.record(target.groupId, {
+                action: 'settings',
+                actorId: record.updatedBy,
+                details: { setting: type, operation, version: record.version, enabled: record.settings.enabled ?? null, ...extra },
+                source: 'settings',
+                at: now
+            });
+        }
+
+        return record;
+    }
+
+    async get(type, target) {
+        return this.records.get(this.getKey(type, target));
+    }
+
+    /**
+     * Merge changes into the stored input and rebuild the settings.
+     * enabled is required the first time a setting is configured.
+     */
+    async update(type, target, changes, build, changedBy) {
+        const key = this.getKey(type, target);
+
+        return this.records.update(key, async (current) => {
+            if (!current && changes.enabled === undefined) {
+                throw new SettingsError('Missing required field: enabled', 'VALIDATION_ERROR');
+            }
+
+            const input = this.merge(current?.input || {}, changes);
+            const built = this.buildVersion(build, input, current);
+            return this.commit(key, type, target, current, built, 'update', changedBy);
+        });
+    }
+
+    /**
+     * Go back to the defaults, keeping only who the setting belongs to.
+     * The setting ends up disabled.
+     */
+    async reset(type, target, identity, build, changedBy) {
+        const key = this.getKey(type, target);
+
+        return this.records.update(key, async (current) => {
+            if (!current) {
+                throw new SettingsError(`No ${type} settings to reset`, 'NOT_FOUND', 404);
+            }
+
+            const built = this.buildVersion(build, { ...identity, enabled: false }, current);
+            return this.commit(key, type, target, current, built, 'reset', changedBy);
+        });
+    }
+
+    /**
+     * Restore the input of an earlier version as a new version
+     */
+    async rollback(type, target, version, build, changedBy) {
+        const key = this.getKey(type, target);
+
+        return this.records.update(key, async (current) => {
+            if (!current) {
+                throw new SettingsError(`No ${type} settings to roll back`, 'NOT_FOUND', 404);
+            }
+
+            const versions = (await this.history.get(key)) || [];
+            const entry = versions.find(item => item.version === version);
+            if (!entry) {
+                throw new SettingsError(`Version ${version} of ${type} settings not found`, 'NOT_FOUND', 404);
+            }
+            if (entry.version === current.version) {
+                throw new SettingsError(`Version ${version} is already the current version`, 'CONFLICT', 409);
+            }
+
+            const built = this.buildVersion(build, entry.input, current);
+            return this.commit(key, type, target, current, built, 'rollback', changedBy, { rolledBackTo: version });
+        });
+    }
+
+    /**
+     * Change settings.statistics in place; counters don't create a version.
+     * updater(statistics) returns the new statistics.
+     */
+    async updateStatistics(type, target, updater) {
+        const key = this.getKey(type, target);
+
+        return this.records.update(key, async (current) => {
+            if (!current) {
+                throw new SettingsError(`No ${type} settings stored`, 'NOT_FOUND', 404);
+            }
+
+            const statistics = await updater({ ...current.settings.statistics });
+            return { ...current, settings: { ...current.settings, statistics } };
+        });
+    }
+
+    /**
+     * Past versions, newest first
+     */
+    async getHistory(type, target) {
+        const versions = (await this.history.get(this.getKey(type, target))) || [];
+        return versions.slice().reverse().map(({ input, ...entry }) => entry);
+    }
+
+    /**
+     * Every stored setting of a group or user
+     */
+    async list({ groupId, userId }) {
+        const records = await this.records.values();
+
+        return records
+            .filter(record => (!groupId || record.target.groupId === groupId) &&
+                (!userId || record.target.userId === userId))
+            .map(record => ({
+                type: record.type,
+                target: record.target,
+                status: record.status,
+                enabled: record.settings.enabled,
+                version: record.version,
+                settings: record.settings,
+                updatedAt: record.updatedAt,
+                updatedBy: record.updatedBy
+            }))
+            .sort((a, b) => a.type.localeCompare(b.type));
+    }
+
+    /**
+     * Group settings are changed by whoever the group's policy lets run the
+     * setting function (admins by default)
+     */
+    async authorize(type, groupId, actorId) {
+        if (!actorId) {
+            throw new SettingsError('userId of whoever is changing the setting is required', 'MISSING_FIELD');
+        }
+        if (!(await policies.can(groupId, actorId, 'settings', type))) {
+            throw new SettingsError(`You do not have permission to change ${type} settings in this group`, 'FORBIDDEN', 403);
+        }
+    }
+
+    /**
+     * Run a setting function's operation and wrap the result.
+     * definition: { type, scope: 'group' | 'user', build(input) => { settings, status, message } }
+     * Changes to group settings are made as data.userId, or metadata.userId when it's left out.
+     */
+    async execute(definition, data, metadata = {}) {
+        const { type, scope, build } = definition;
+        const { operation = 'update', version, ...changes } = data;
+        const actorId = data.userId || metadata?.userId;
+
+        try {
+            const target = this.getTarget(scope, data);
+            const key = this.getKey(type, target);
+            let record;
+
+            if (scope === 'group' && ['update', 'reset', 'rollback'].includes(operation)) {
+                await this.authorize(type, target.groupId, actorId);
+            }
+
+            switch (operation) {
+                case 'get':
+                    record = await this.get(type, target);
+                    if (!record) {
+                        throw new SettingsError(`No ${type} settings stored`, 'NOT_FOUND', 404);
+                    }
+                    return createSuccessResponse({
+                        status: record.status,
+                        settings: record.settings,
+                        version: record.version,
+                        updatedAt: record.updatedAt,
+                        updatedBy: record.updatedBy
+                    });
+
+                case 'list': {
+                    const filter = scope === 'group' ? { groupId: target.groupId } : { userId: target.userId };
+                    const settings = await this.list(filter);
+                    return createSuccessResponse({ ...filter, settings, count: settings.length });
+                }
+
+                case 'history': {
+                    const versions = await this.getHistory(type, target);
+                    if (versions.length === 0) {
+                        throw new SettingsError(`No ${type} settings stored`, 'NOT_FOUND', 404);
+                    }
+                    return createSuccessResponse({ versions, count: versions.length });
+                }
+
+                case 'reset': {
+                    const identity = { ...target, ...(data.chatType && { chatType: data.chatType }) };
+                    record = await this.reset(type, target, identity, build, actorId);
+                    break;
+                }
+
+                case 'rollback':
+                    if (!version) {
+                        throw new SettingsError('Missing required field: version', 'VALIDATION_ERROR');
+                    }
+                    record = await this.rollback(type, target, version, build, actorId);
+                    break;
+
+                case 'update':
+                    record = await this.update(type, target, changes, build, actorId);
+                    break;
+
+                default:
+                    throw new SettingsError(`operation must be one of: ${this.operations.join(', ')}`, 'VALIDATION_ERROR');
+            }
+
+            return createSuccessResponse({
+                status: record.status,
+                settings: record.settings,
+                version: record.version,
+                saveResult: {
+                    success: true,
+                    settingsId: key,
+                    version: record.version,
+                    savedAt: record.updatedAt
+                },
+                message: operation === 'update'
+                    ? record.message
+                    : `${record.message} (${operation === 'reset' ? 'reset to defaults' : `rolled back to version ${version}`})`
+            });
+
+        } catch (error) {
+            if (error.name === 'SettingsError') {
+                return createErrorResponse(error.code, error.message, null, error.httpStatus);
+            }
+            console.error(`${type} settings Error:`, error);
+            return createErrorResponse('SETTINGS_UPDATE_FAILED', error.message);
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new SettingsStore();
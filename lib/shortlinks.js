@@ -0,0 +1,315 @@
+// lib/shortlinks.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const store = require('./store');
+
+// Off the request thread: each password check takes tens of milliseconds
+const scrypt = promisify(crypto.scrypt);
+
+class ShortLinkError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'ShortLinkError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Short Link Store
+ * Links created by fx/tools/shortlink and followed through GET /s/:slug.
+ * Each link keeps its last clicks with timestamp, referrer host and browser
+ * family. Visitors are only kept as a salted hash, for counting uniques.
+ */
+class ShortLinkStore {
+    constructor() {
+        this.links = store.collection('shortlink-links');
+        this.users = store.collection('shortlink-users');
+        this.clicks = store.collection('shortlink-clicks');
+        this.meta = store.collection('shortlink-meta');
+
+        this.maxClicks = 1000; // Click records kept per link
+
+        // Checked in order; preview crawlers and scripts are counted apart from clicks
+        this.agents = [
+            { pattern: /WhatsApp/i, family: 'WhatsApp', bot: true },
+            { pattern: /facebookexternalhit|Facebot/i, family: 'Facebook', bot: true },
+            { pattern: /TelegramBot/i, family: 'Telegram', bot: true },
+            { pattern: /Twitterbot/i, family: 'Twitter', bot: true },
+            { pattern: /Slackbot/i, family: 'Slack', bot: true },
+            { pattern: /Discordbot/i, family: 'Discord', bot: true },
+            { pattern: /Googlebot|bingbot|DuckDuckBot|YandexBot|Baiduspider/i, family: 'Search engine', bot: true },
+            { pattern: /bot|crawler|spider|preview/i, family: 'Bot', bot: true },
+            { pattern: /curl|wget|python-requests|axios|node-fetch|Go-http-client|okhttp/i, family: 'Script', bot: true },
+            { pattern: /FBAN|FBAV|Instagram/i, family: 'In-app browser', bot: false },
+            { pattern: /SamsungBrowser/i, family: 'Samsung Internet', bot: false },
+            { pattern: /Edg(e|A|iOS)?\//i, family: 'Edge', bot: false },
+            { pattern: /OPR\/|Opera/i, family: 'Opera', bot: false },
+            { pattern: /Firefox|FxiOS/i, family: 'Firefox', bot: false },
+            { pattern: /Chrome|CriOS/i, family: 'Chrome', bot: false },
+            { pattern: /Safari/i, family: 'Safari', bot: false }
+        ];
+    }
+
+    /**
+     * Public base URL short links are built on
+     */
+    getBaseUrl() {
+        return (process.env.SHORTLINK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    }
+
+    getShortUrl(slug) {
+        return `${this.getBaseUrl()}/s/${encodeURIComponent(slug)}`;
+    }
+
+    /**
+     * Stats are only shown to the owner, so links without one have no stats URL
+     */
+    getStatsUrl(slug, userId) {
+        if (!userId) {
+            return null;
+        }
+        return `${this.getBaseUrl()}/links/${encodeURIComponent(slug)}/stats?userId=${encodeURIComponent(userId)}`;
+    }
+
+    /**
+     * Seconds until an ISO expiry date, or null for links that never expire
+     */
+    getTTL(expiresAt) {
+        return expiresAt ? Math.max(Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000), 1) : null;
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = (await scrypt(String(password), salt, 32)).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    /**
+     * Check a password; links created before hashing stored it base64-encoded
+     */
+    async verifyPassword(link, password) {
+        if (!password || !link.passwordHash) {
+            return false;
+        }
+
+        let expected;
+        let actual;
+        if (link.passwordHash.startsWith('scrypt$')) {
+            const [, salt, hash] = link.passwordHash.split('$');
+            expected = Buffer.from(hash, 'hex');
+            actual = await scrypt(String(password), salt, 32);
+        } else {
+            expected = Buffer.from(link.passwordHash);
+            actual = Buffer.from(Buffer.from(String(password)).toString('base64'));
+        }
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * A protected link's destination is only shown to the API key that created it
+     */
+    canSeeDestination(link, apiKeyId) {
+        return !link.hasPassword || Boolean(link.apiKeyId && link.apiKeyId === apiKeyId);
+    }
+
+    async get(slug) {
+        const link = await this.links.get(slug);
+        if (!link) {
+            throw new ShortLinkError('Short link not found', 'NOT_FOUND', 404);
+        }
+        if (link.expiresAt && new Date(link.expiresAt) <= new Date()) {
+            await this.links.delete(slug);
+            throw new ShortLinkError('Short link has expired', 'LINK_EXPIRED', 410);
+        }
+        return link;
+    }
+
+    /**
+     * Resolve a slug to its destination and record the click.
+     * visit: { password, referrer, userAgent, ip, record = true }
+     */
+    async resolve(slug, visit = {}) {
+        const link = await this.get(slug);
+
+        if (link.hasPassword && !(await this.verifyPassword(link, visit.password))) {
+            throw visit.password
+                ? new ShortLinkError('Incorrect password', 'WRONG_PASSWORD', 403)
+                : new ShortLinkError('This link is password protected', 'PASSWORD_REQUIRED', 401);
+        }
+
+        // Only ever redirect to web URLs
+        if (!/^https?:\/\//i.test(link.originalUrl)) {
+            throw new ShortLinkError('Short link destination is not a web URL', 'INVALID_DESTINATION', 422);
+        }
+
+        const click = visit.record === false ? null : await this.recordClick(link, visit);
+
+        return { url: link.originalUrl, link, click };
+    }
+
+    async recordClick(link, { referrer, userAgent, ip }) {
+        const agent = this.parseUserAgent(userAgent);
+        const click = {
+            timestamp: new Date().toISOString(),
+            referrer: this.getReferrerHost(referrer),
+            browser: agent.family,
+            bot: agent.bot,
+            visitor: ip ? await this.hashVisitor(link.slug, ip) : null
+        };
+        const options = { ttl: this.getTTL(link.expiresAt) };
+
+        await this.clicks.update(link.slug, (clicks) => [...(clicks || []), click].slice(-this.maxClicks), options);
+        await this.links.update(link.slug, (current) => current && {
+            ...current,
+            clicks: (current.clicks || 0) + (agent.bot ? 0 : 1),
+            previews: (current.previews || 0) + (agent.bot ? 1 : 0),
+            lastClicked: agent.bot ? current.lastClicked : click.timestamp
+        }, options);
+
+        return click;
+    }
+
+    parseUserAgent(userAgent) {
+        if (!userAgent) {
+            return { family: 'Unknown', bot: false };
+        }
+
+        const agent = this.agents.find(({ pattern }) => pattern.test(userAgent));
+        return agent ? { family: agent.family, bot: agent.bot } : { family: 'Other', bot: false };
+    }
+
+    getReferrerHost(referrer) {
+        if (!referrer) {
+            return null;
+        }
+
+        try {
+            return new URL(referrer).hostname.replace(/^www\./, '') || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Salted hash of a visitor's IP; the salt is created once and stored
+     */
+    async hashVisitor(slug, ip) {
+        let salt = process.env.SHORTLINK_SALT || await this.meta.get('salt');
+        if (!salt) {
+            salt = crypto.randomBytes(16).toString('hex');
+            await this.meta.set('salt', salt);
+        }
+
+        return crypto.createHash('sha256').update(`${salt}:${slug}:${ip}`).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Click analytics for one link; apiKeyId is the caller's key, if any
+     */
+    async getStats(slug, { days = 30, apiKeyId = null } = {}) {
+        const link = await this.get(slug);
+        const clicks = (await this.clicks.get(slug)) || [];
+        const human = clicks.filter(click => !click.bot);
+
+        const since = Date.now() - days * 24 * 60 * 60 * 1000;
+        const byDay = {};
+        for (let time = since; time <= Date.now(); time += 24 * 60 * 60 * 1000) {
+            byDay[new Date(time).toISOString().slice(0, 10)] = 0;
+        }
+        for (const click of human) {
+            const day = click.timestamp.slice(0, 10);
+            if (day in byDay) byDay[day]++;
+        }
+
+        const tally = (list, field, fallback) => Object.entries(list.reduce((counts, click) => {
+            const key = click[field] || fallback;
+            counts[key] = (counts[key] || 0) + 1;
+            return counts;
+        }, {}))
+            .map(([name, count]) => ({ name, clicks: count }))
+            .sort((a, b) => b.clicks - a.clicks)
+            .slice(0, 10);
+
+        const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+        return {
+            slug: link.slug,
+            originalUrl: this.canSeeDestination(link, apiKeyId) ? link.originalUrl : null,
+            shortUrl: this.getShortUrl(link.slug),
+            userId: link.userId,
+            createdAt: link.createdAt,
+            expiresAt: link.expiresAt,
+            hasPassword: link.hasPassword,
+            clicks: link.clicks || 0,
+            previews: link.previews || 0,
+            uniqueVisitors: new Set(human.map(click => click.visitor).filter(Boolean)).size,
+            lastClicked: link.lastClicked || null,
+            last7Days: human.filter(click => new Date(click.timestamp).getTime() > weekAgo).length,
+            byDay,
+            referrers: tally(human, 'referrer', 'direct'),
+            browsers: tally(human, 'browser', 'Unknown'),
+            previewsBy: tally(clicks.filter(click => click.bot), 'browser', 'Unknown'),
+            recent: clicks.slice(-20).reverse().map(({ visitor, ...click }) => click)
+        };
+    }
+
+    /**
+     * A user's links with their click totals; apiKeyId is the caller's key, if any
+     */
+    async listForUser(userId, { apiKeyId = null } = {}) {
+        const slugs = (await this.users.get(userId)) || [];
+        const links = (await Promise.all(slugs.map(slug => this.links.get(slug)))).filter(Boolean);
+        const now = new Date();
+
+        return links.map(link => ({
+            slug: link.slug,
+            originalUrl: this.canSeeDestination(link, apiKeyId) ? link.originalUrl : null,
+            shortUrl: this.getShortUrl(link.slug),
+            clicks: link.clicks || 0,
+            previews: link.previews || 0,
+            lastClicked: link.lastClicked || null,
+            createdAt: link.createdAt,
+            expiresAt: link.expiresAt,
+            active: !link.expiresAt || new Date(link.expiresAt) > now,
+            hasPassword: link.hasPassword
+        }));
+    }
+
+    /**
+     * Minimal HTML page for browsers: the password form, or why a link failed
+     */
+    renderPage(slug, error) {
+        const escape = value => String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+
+        const needsPassword = ['PASSWORD_REQUIRED', 'WRONG_PASSWORD'].includes(error.code);
+        const body = needsPassword
+            ? `<h1>Password required</h1>
+${error.code === 'WRONG_PASSWORD' ? '<p class="error">Incorrect password, try again.</p>' : ''}
+<form method="post" action="/s/${escape(encodeURIComponent(slug))}">
+<input type="password" name="password" placeholder="Password" required autofocus>
+<button type="submit">Open link</button>
+</form>`
+            : `<h1>${escape(error.message)}</h1>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${needsPassword ? 'Password required' : escape(error.message)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:24rem;margin:4rem auto;padding:0 1rem}input,button{font-size:1rem;padding:.5rem;margin:.25rem 0;width:100%;box-sizing:border-box}.error{color:#b00020}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+}
+
+// Export singleton instance
+module.exports = new ShortLinkStore();
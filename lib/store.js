@@ -0,0 +1,333 @@
+// lib/store.js
+const path = require('path');
+const fs = require('fs');
+
+class StoreError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'StoreError';
+        this.code = code;
+    }
+}
+
+/**
+ * Memory Driver
+ * Keeps records in a Map; state is lost on restart
+ */
+class MemoryDriver {
+    constructor() {
+        this.records = new Map();
+    }
+
+    get(key) {
+        return this.records.get(key);
+    }
+
+    set(key, record) {
+        this.records.set(key, record);
+    }
+
+    delete(key) {
+        return this.records.delete(key);
+    }
+
+    entries() {
+        return Array.from(this.records.entries());
+    }
+
+    clear() {
+        this.records.clear();
+    }
+
+    flush() {}
+}
+
+/**
+ * File Driver
+ * Memory driver mirrored to one JSON file per collection. Writes are batched
+ * and go through a temp file + rename so a crash never leaves half a file.
+ */
+class FileDriver extends MemoryDriver {
+    constructor(name, { dir }) {
+        super();
+        this.file = path.join(dir, `${name.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+        this.saveTimer = null;
+        this.saveDelay = 1000;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const [key, record] of Object.entries(stored.records || {})) {
+                this.records.set(key, record);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read store file ${this.file}:`, error.message);
+            }
+        }
+    }
+
+    set(key, record) {
+        super.set(key, record);
+        this.scheduleSave();
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) {
+            this.scheduleSave();
+        }
+        return deleted;
+    }
+
+    clear() {
+        super.clear();
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+            this.saveTimer.unref();
+        }
+    }
+
+    flush() {
+        if (!this.saveTimer) {
+            return;
+        }
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            const tempFile = `${this.file}.tmp`;
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(tempFile, JSON.stringify({ records: Object.fromEntries(this.records) }));
+            fs.renameSync(tempFile, this.file);
+        } catch (error) {
+            console.error(`Failed to write store file ${this.file}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Collection
+ * A named key-value collection with optional per-record TTL. Values must be
+ * JSON-serializable. Every method is async so drivers backed by a network
+ * service can be plugged in without touching callers.
+ */
+class Collection {
+    constructor(name, driver, { ttl = null } = {}) {
+        this.name = name;
+        this.driver = driver;
+        this.ttl = ttl; // default TTL in seconds, null = keep forever
+        this.locks = new Map(); // key -> promise of the pending update
+    }
+
+    isExpired(record) {
+        return record.expiresAt !== null && record.expiresAt <= Date.now();
+    }
+
+    expiresAt(ttl) {
+        const seconds = ttl === undefined ? this.ttl : ttl;
+        return seconds ? Date.now() + seconds * 1000 : null;
+    }
+
+    /**
+     * Get a value, or null when missing or expired
+     */
+    async get(key) {
+        const record = await this.driver.get(key);
+        if (!record) {
+            return null;
+        }
+        if (this.isExpired(record)) {
+            await this.driver.delete(key);
+            return null;
+        }
+        return record.value;
+    }
+
+    async has(key) {
+        return (await this.get(key)) !== null;
+    }
+
+    /**
+     * Store a value; options.ttl (seconds) overrides the collection default
+     */
+    async set(key, value, options = {}) {
+        if (value === undefined) {
+            throw new StoreError(`Cannot store undefined in ${this.name}/${key}`, 'INVALID_VALUE');
+        }
+
+        await this.driver.set(key, {
+            value,
+            expiresAt: this.expiresAt(options.ttl),
+            updatedAt: Date.now()
+        });
+
+        return value;
+    }
+
+    /**
+     * Read-modify-write a value. Updates to the same key run one at a time,
+     * so concurrent calls never overwrite each other.
+     * updater(current) receives null when the key is missing and returns the new value.
+     */
+    async update(key, updater, options = {}) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const current = await this.get(key);
+            const value = await updater(current);
+            return this.set(key, value, options);
+        });
+
+        this.locks.set(key, next);
+        try {
+            return await next;
+        } finally {
+            if (this.locks.get(key) === next) {
+                this.locks.delete(key);
+            }
+        }
+    }
+
+    async delete(key) {
+        return Boolean(await this.driver.delete(key));
+    }
+
+    /**
+     * Live [key, value] pairs, optionally limited to keys with a prefix
+     */
+    async entries(prefix = '') {
+        const live = [];
+        for (const [key, record] of await this.driver.entries()) {
+            if (!key.startsWith(prefix)) continue;
+            if (this.isExpired(record)) {
+                await this.driver.delete(key);
+                continue;
+            }
+            live.push([key, record.value]);
+        }
+        return live;
+    }
+
+    async keys(prefix = '') {
+        return (await this.entries(prefix)).map(([key]) => key);
+    }
+
+    async values(prefix = '') {
+        return (await this.entries(prefix)).map(([, value]) => value);
+    }
+
+    async size() {
+        return (await this.entries()).length;
+    }
+
+    async clear() {
+        await this.driver.clear();
+    }
+
+    /**
+     * Remove expired records
+     */
+    async sweep() {
+        let removed = 0;
+        for (const [key, record] of await this.driver.entries()) {
+            if (this.isExpired(record)) {
+                await this.driver.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * State Store
+ * Hands out named collections backed by the configured driver
+ * (STORE_DRIVER: 'file' by default, or 'memory'). Deployments running
+ * several instances can register a driver for a shared backend.
+ */
+class Store {
+    constructor() {
+        this.dir = process.env.STORE_DIR ||
+            path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'store');
+        this.defaultDriver = process.env.STORE_DRIVER || 'file';
+
+        this.drivers = new Map([
+            ['memory', () => new MemoryDriver()],
+            ['file', (name) => new FileDriver(name, { dir: this.dir })]
+        ]);
+        this.collections = new Map();
+
+        // Drop expired records every 5 minutes
+        this.sweeper = setInterval(() => this.sweep(), 5 * 60 * 1000);
+        this.sweeper.unref();
+
+        process.once('exit', () => this.flush());
+    }
+
+    /**
+     * Add a driver: factory(collectionName, options) returns an object with
+     * get, set, delete, entries, clear and flush (each may return a promise)
+     */
+    registerDriver(name, factory) {
+        this.drivers.set(name, factory);
+    }
+
+    /**
+     * Get or create a collection.
+     * options: { ttl: default seconds, driver: override STORE_DRIVER }
+     */
+    collection(name, options = {}) {
+        if (this.collections.has(name)) {
+            return this.collections.get(name);
+        }
+
+        const driverName = options.driver || this.defaultDriver;
+        const factory = this.drivers.get(driverName);
+        if (!factory) {
+            throw new StoreError(`Unknown store driver: ${driverName}`, 'UNKNOWN_DRIVER');
+        }
+
+        const collection = new Collection(name, factory(name, options), options);
+        collection.driverName = driverName;
+        this.collections.set(name, collection);
+
+        return collection;
+    }
+
+    async sweep() {
+        for (const collection of this.collections.values()) {
+            try {
+                await collection.sweep();
+            } catch (error) {
+                console.error(`Failed to sweep ${collection.name}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Write pending changes now (file driver batches writes)
+     */
+    flush() {
+        for (const collection of this.collections.values()) {
+            collection.driver.flush?.();
+        }
+    }
+
+    async getStats() {
+        const collections = {};
+        for (const collection of this.collections.values()) {
+            collections[collection.name] = {
+                driver: collection.driverName,
+                records: await collection.size()
+            };
+        }
+
+        return { driver: this.defaultDriver, collections };
+    }
+}
+
+// Export singleton instance
+module.exports = new Store();
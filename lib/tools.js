@@ -0,0 +1,220 @@
+// lib/tools.js
+const registry = require('./registry');
+const manifestBuilder = require('./manifest');
+
+class ToolError extends Error {
+    constructor(message, code, httpStatus = 400) {
+        super(message);
+        this.name = 'ToolError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Assistant Tools
+ * Exposes fx functions to the LLM as callable tools. Definitions are built
+ * from each module's schema and manifest; calls go through the invoker the
+ * server registers, so they are loaded, validated, scope-checked and rate
+ * limited the same way as an HTTP request from the same caller.
+ */
+class ToolRegistry {
+    constructor() {
+        this.invoker = null;
+
+        // Functions the assistant may call unless MYAI_TOOLS lists others
+        this.defaults = [
+            'tools/weather',
+            'tools/currency',
+            'tools/translate',
+            'tools/dictionary',
+            'god/verse',
+            'tools/qr',
+            'tools/shortlink'
+        ];
+
+        // Never offered, so the assistant can't call itself
+        this.excluded = ['ai/myai'];
+
+        // Filled in from the conversation, never by the model
+        this.hiddenFields = ['userId'];
+
+        // Longest tool result passed back to the model, in characters
+        this.maxResultLength = 2000;
+        this.maxStringLength = 500;
+    }
+
+    /**
+     * Set the function that runs a call: ({ category, function, data, caller, metadata }) => result
+     */
+    setInvoker(invoker) {
+        this.invoker = invoker;
+    }
+
+    /**
+     * Function ids the assistant may call
+     */
+    getAllowed() {
+        const configured = (process.env.MYAI_TOOLS || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+        return (configured.length > 0 ? configured : this.defaults)
+            .filter(id => !this.excluded.includes(id));
+    }
+
+    /**
+     * Tool names may only hold letters, digits, _ and -
+     */
+    toToolName(id) {
+        return id.replace(/\//g, '_');
+    }
+
+    loadModule(id) {
+        const entry = registry.resolve(...this.splitId(id));
+        if (!entry) {
+            throw new ToolError(`Function ${id} not found`, 'TOOL_NOT_FOUND', 404);
+        }
+
+        const functionModule = require(entry.file);
+        registry.register(entry, functionModule);
+        return { entry, functionModule };
+    }
+
+    splitId(id) {
+        const slash = id.lastIndexOf('/');
+        return [id.slice(0, slash), id.slice(slash + 1)];
+    }
+
+    /**
+     * OpenAI-style tool definitions for the allowed functions. Modules that
+     * fail to load are left out.
+     */
+    async definitions(allowed = this.getAllowed()) {
+        await registry.ready();
+        const definitions = [];
+
+        for (const id of allowed) {
+            let loaded;
+            try {
+                loaded = this.loadModule(id);
+            } catch (error) {
+                continue;
+            }
+
+            const { entry, functionModule } = loaded;
+            const schema = { ...(functionModule.schema || {}) };
+            this.hiddenFields.forEach(field => delete schema[field]);
+
+            definitions.push({
+                type: 'function',
+                function: {
+                    name: this.toToolName(entry.id),
+                    description: functionModule.manifest?.description || `Run ${entry.id}`,
+                    parameters: manifestBuilder.toJSONSchema(schema)
+                }
+            });
+        }
+
+        return definitions;
+    }
+
+    /**
+     * Function id for a tool name, if that function is allowed
+     */
+    resolve(name, allowed = this.getAllowed()) {
+        return allowed.find(id => this.toToolName(id) === name) || null;
+    }
+
+    /**
+     * Run one tool call for a conversation.
+     * context: { userId, caller, requestId, metadata }
+     * Always resolves to a { success, result | error } response.
+     */
+    async call(name, args, context = {}, allowed = this.getAllowed()) {
+        try {
+            if (!this.invoker) {
+                throw new ToolError('Tool calling is not available', 'TOOLS_UNAVAILABLE', 503);
+            }
+
+            const id = this.resolve(name, allowed);
+            if (!id) {
+                throw new ToolError(`Tool ${name} is not available to the assistant`, 'TOOL_NOT_ALLOWED', 403);
+            }
+
+            const data = this.parseArguments(args);
+            this.hiddenFields.forEach(field => delete data[field]);
+
+            const { functionModule } = this.loadModule(id);
+            if (context.userId && functionModule.schema?.userId) {
+                data.userId = context.userId;
+            }
+
+            const [category, functionName] = this.splitId(id);
+            const result = await this.invoker({
+                category,
+                function: functionName,
+                data,
+                caller: context.caller || null,
+                metadata: {
+                    ...(context.metadata || {}),
+                    toolCall: true,
+                    parentRequestId: context.requestId || null
+                }
+            });
+
+            if (!result || typeof result !== 'object') {
+                throw new ToolError(`Tool ${name} returned no result`, 'TOOL_FAILED', 500);
+            }
+            return result;
+        } catch (error) {
+            return {
+                success: false,
+                error: {
+                    code: error.code || 'TOOL_FAILED',
+                    message: (error.message || 'Tool call failed').split('\n')[0]
+                }
+            };
+        }
+    }
+
+    parseArguments(args) {
+        if (args && typeof args === 'object' && !Array.isArray(args)) {
+            return { ...args };
+        }
+
+        try {
+            const parsed = JSON.parse(args || '{}');
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch (error) {
+            // Reported below
+        }
+        throw new ToolError('Tool arguments must be a JSON object', 'INVALID_ARGUMENTS');
+    }
+
+    /**
+     * Compact JSON of a tool response for the model. Long strings such as
+     * base64 images are cut short and the whole text is capped.
+     */
+    toContent(response) {
+        const body = response.success
+            ? { success: true, result: response.result }
+            : { success: false, error: response.error };
+
+        const text = JSON.stringify(body, (key, value) => {
+            if (typeof value === 'string' && value.length > this.maxStringLength) {
+                return `${value.substring(0, 100)}... [${value.length - 100} more characters]`;
+            }
+            return value;
+        });
+
+        return text.length > this.maxResultLength
+            ? `${text.substring(0, this.maxResultLength)}... [truncated]`
+            : text;
+    }
+}
+
+// Export singleton instance
+module.exports = new ToolRegistry();
@@ -98,7 +98,7 @@ class Validator {
 
         for (const [field, rules] of Object.entries(schema)) {
             const value = data[field];
-            const isRequired = rules.required !== false;
+            const isRequired = rules.required === true;
 
             // Skip if not required and value is empty
             if (!isRequired && (value === undefined || value === null || value === '')) {
@@ -151,6 +151,11 @@ class Validator {
                     });
                     continue;
                 }
+
+                // "true"/"false" pass as booleans; hand the function real ones
+                if (rules.type === 'boolean' && typeof value === 'string') {
+                    data[field] = value === 'true';
+                }
             }
 
             // String validations
@@ -360,13 +365,14 @@ class Validator {
                 if (rules.itemSchema) {
                     for (let i = 0; i < value.length; i++) {
                         try {
-                            this.validateSchema({ item: value[i] }, { item: rules.itemSchema });
+                            this.validateSchema({ item: value[i] }, { item: { required: true, ...rules.itemSchema } });
                         } catch (itemError) {
-                            errors.push({
-                                field: `${field}[${i}]`,
-                                error: itemError.message,
-                                code: itemError.code
-                            });
+                            const itemErrors = itemError.details || [{ error: itemError.message, code: itemError.code }];
+                            errors.push(...itemErrors.map(e => ({
+                                field: `${field}[${i}]${(e.field || 'item').slice('item'.length)}`,
+                                error: e.error,
+                                code: e.code
+                            })));
                         }
                     }
                 }
@@ -375,8 +381,10 @@ class Validator {
             // Object validations
             if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
                 if (rules.properties) {
-                    const nestedErrors = this.validateSchema(value, rules.properties);
-                    if (nestedErrors.length > 0) {
+                    try {
+                        this.validateSchema(value, rules.properties);
+                    } catch (nestedError) {
+                        const nestedErrors = nestedError.details || [];
                         errors.push(...nestedErrors.map(e => ({
                             field: `${field}.${e.field}`,
                             error: e.error,
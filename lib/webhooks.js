@@ -0,0 +1,278 @@
+// lib/webhooks.js
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createSuccessResponse, createErrorResponse } = require('./response');
+
+// Address ranges a callback may not reach: loopback, private, link-local
+// (cloud metadata), carrier-grade NAT, benchmarking, multicast and reserved
+const BLOCKED_IPV4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+/**
+ * Webhook Dispatcher
+ * Delivers finished job results to caller-supplied callback URLs,
+ * signed with HMAC-SHA256 and retried with exponential backoff.
+ * Callbacks to internal addresses are refused, both when the URL is
+ * accepted and when it resolves at delivery, unless the host is listed in
+ * WEBHOOK_ALLOWED_HOSTS. Redirects are not followed.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.config = {
+            timeout: 10000,
+            maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+            baseDelay: 1000,
+            maxDelay: 60000,
+            minSecretLength: 16
+        };
+
+        this.signatureHeader = 'X-Nethunter-Signature';
+        this.timestampHeader = 'X-Nethunter-Timestamp';
+
+        this.allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+
+        // Every connection checks the address the host resolved to
+        const lookup = (hostname, options, callback) => this.lookup(hostname, options, callback);
+        this.httpAgent = new http.Agent({ lookup });
+        this.httpsAgent = new https.Agent({ lookup });
+    }
+
+    isBlockedAddress(address) {
+        if (net.isIPv4(address)) {
+            const toNumber = ip => ip.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+            const value = toNumber(address);
+            return BLOCKED_IPV4.some(([base, bits]) => {
+                const size = 2 ** (32 - bits);
+                return Math.floor(value / size) === Math.floor(toNumber(base) / size);
+            });
+        }
+
+        const ip = address.toLowerCase();
+        // IPv4-mapped, dotted (::ffff:127.0.0.1) or as URL parsing writes it (::ffff:7f00:1)
+        const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) {
+            return this.isBlockedAddress(mapped[1]);
+        }
+        const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (mappedHex) {
+            const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+            return this.isBlockedAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+        return ip === '::' || ip === '::1' ||
+            /^f[cd][0-9a-f]{2}:/.test(ip) ||   // unique local fc00::/7
+            /^fe[89ab][0-9a-f]:/.test(ip) ||   // link-local fe80::/10
+            /^ff[0-9a-f]{2}:/.test(ip);        // multicast
+    }
+
+    isAllowedHost(hostname) {
+        return this.allowedHosts.includes(hostname.toLowerCase());
+    }
+
+    /**
+     * Whether a URL host may be called, judged without resolving it
+     */
+    isBlockedHost(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (this.isAllowedHost(host)) {
+            return false;
+        }
+        if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+            return true;
+        }
+        return net.isIP(host) !== 0 && this.isBlockedAddress(host);
+    }
+
+    /**
+     * dns.lookup that refuses internal addresses for hosts not on the allowlist
+     */
+    lookup(hostname, options, callback) {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) {
+                return callback(error);
+            }
+
+            const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+            if (!this.isAllowedHost(hostname) && addresses.some(ip => this.isBlockedAddress(ip))) {
+                const blocked = new Error(`Callback host ${hostname} resolves to an internal address`);
+                blocked.code = 'EBLOCKEDADDRESS';
+                return callback(blocked);
+            }
+
+            callback(null, address, family);
+        });
+    }
+
+    /**
+     * Check a callback URL and secret before accepting a request.
+     * Returns an array of field errors, or null when both are usable.
+     */
+    validateCallback(callbackUrl, callbackSecret) {
+        const errors = [];
+
+        let url = null;
+        try {
+            url = new URL(callbackUrl);
+        } catch {
+            // handled below
+        }
+
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push({
+                field: 'callbackUrl',
+                error: 'callbackUrl must be an absolute http(s) URL',
+                code: 'INVALID_FORMAT'
+            });
+        } else if (this.isBlockedHost(url.hostname)) {
+            errors.push({
+                field: 'callbackUrl',
+                error: 'callbackUrl must not point at a loopback, private or link-local address',
+                code: 'INVALID_FORMAT'
+            });
+        }
+
+        if (typeof callbackSecret !== 'string' || callbackSecret.length < this.config.minSecretLength) {
+            errors.push({
+                field: 'callbackSecret',
+                error: `callbackSecret must be a string of at least ${this.config.minSecretLength} characters`,
+                code: 'INVALID_FORMAT'
+            });
+        }
+
+        return errors.length > 0 ? errors : null;
+    }
+
+    /**
+     * Sign a payload: hex HMAC-SHA256 of "<timestamp>.<body>"
+     */
+    sign(secret, timestamp, body) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    /**
+     * Wrap a finished job in the standard response envelope
+     */
+    buildPayload(job) {
+        const metadata = {
+            event: `job.${job.status}`,
+            jobId: job.id,
+            category: job.category,
+            function: job.function,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+
+        if (job.status === 'completed') {
+            const { result } = job;
+            const data = result?.result ?? result?.data ?? result;
+            return createSuccessResponse(data, `${job.category}/${job.function} completed`, metadata);
+        }
+
+        const error = job.status === 'cancelled'
+            ? { code: 'JOB_CANCELLED', message: 'Job was cancelled' }
+            : job.result?.error || job.error || {};
+
+        const response = createErrorResponse(
+            error.code || 'EXECUTION_ERROR',
+            error.message || `${job.category}/${job.function} failed`,
+            error.details || null
+        );
+        response.metadata = { ...response.metadata, ...metadata };
+
+        return response;
+    }
+
+    /**
+     * Delay before the given retry attempt (1-based)
+     */
+    getBackoff(attempt) {
+        const delay = this.config.baseDelay * Math.pow(2, attempt - 1);
+        const jitter = Math.random() * this.config.baseDelay;
+        return Math.min(delay + jitter, this.config.maxDelay);
+    }
+
+    /**
+     * POST the payload, retrying on network errors, 429 and 5xx
+     */
+    async deliver(callback, payload) {
+        const body = JSON.stringify(payload);
+        callback.status = 'pending';
+        callback.attempts = 0;
+
+        while (callback.attempts < this.config.maxAttempts) {
+            callback.attempts++;
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+
+            try {
+                const response = await axios.post(callback.url, body, {
+                    timeout: this.config.timeout,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'nethunter-fx-webhook',
+                        [this.timestampHeader]: timestamp,
+                        [this.signatureHeader]: `sha256=${this.sign(callback.secret, timestamp, body)}`
+                    },
+                    validateStatus: () => true,
+                    maxRedirects: 0,
+                    httpAgent: this.httpAgent,
+                    httpsAgent: this.httpsAgent
+                });
+
+                if (response.status >= 200 && response.status < 300) {
+                    callback.status = 'delivered';
+                    callback.deliveredAt = new Date().toISOString();
+                    callback.lastError = null;
+                    return true;
+                }
+
+                callback.lastError = `HTTP ${response.status}`;
+
+                // Other 4xx responses will not change on retry
+                if (response.status < 500 && response.status !== 429) {
+                    break;
+                }
+            } catch (error) {
+                callback.lastError = error.message;
+
+                // The host will still resolve to the same place on retry
+                if (error.code === 'EBLOCKEDADDRESS') {
+                    break;
+                }
+            }
+
+            if (callback.attempts < this.config.maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, this.getBackoff(callback.attempts)));
+            }
+        }
+
+        callback.status = 'failed';
+        console.error(`Webhook delivery to ${callback.url} failed after ${callback.attempts} attempts: ${callback.lastError}`);
+        return false;
+    }
+
+    /**
+     * Deliver the result of a finished job that asked for a callback
+     */
+    notify(job) {
+        if (!job.callback) {
+            return Promise.resolve(false);
+        }
+
+        return this.deliver(job.callback, this.buildPayload(job));
+    }
+}
+
+// Export singleton instance
+module.exports = new WebhookDispatcher();
@@ -0,0 +1,82 @@
+// test/apikeys.test.js - API key scopes, rotation and daily quotas
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apikeys-'));
+process.env.API_KEYS_FILE = path.join(dir, 'apikeys.json');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const apiKeys = require('../lib/apikeys');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function scoped(...scopes) {
+  return { scopes };
+}
+
+test('an exact scope allows that function only', () => {
+  const record = scoped('tools/qr');
+
+  assert.equal(apiKeys.isAllowed(record, 'tools', 'qr'), true);
+  assert.equal(apiKeys.isAllowed(record, 'tools', 'qrcode'), false);
+  assert.equal(apiKeys.isAllowed(record, 'fun', 'qr'), false);
+});
+
+test('a category wildcard covers that category and no nested one', () => {
+  const record = scoped('tools/*');
+
+  assert.equal(apiKeys.isAllowed(record, 'tools', 'shortlink'), true);
+  assert.equal(apiKeys.isAllowed(record, 'settings', 'antilink'), false);
+  assert.equal(apiKeys.isAllowed(record, 'tools/fx/setting', 'antilink'), false);
+  assert.equal(apiKeys.isAllowed(scoped('tool/*'), 'tools', 'shortlink'), false);
+});
+
+test('category aliases work in scopes and calls', () => {
+  const record = scoped('settings/*');
+
+  assert.equal(apiKeys.isAllowed(record, 'settings', 'antilink'), true);
+  assert.equal(apiKeys.isAllowed(record, 'tools/fx/setting', 'banwords'), true);
+  assert.equal(apiKeys.isAllowed(record, 'tools', 'qr'), false);
+});
+
+test('the global scope allows everything', () => {
+  assert.equal(apiKeys.isAllowed(scoped('*'), 'group', 'tagall'), true);
+  assert.equal(apiKeys.isAllowed(scoped(), 'group', 'tagall'), false);
+});
+
+test('a rotated key keeps working for the grace period, a revoked one never', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+  const { key, record } = apiKeys.create({ name: 'bot', scopes: ['fun/*'] });
+  assert.equal(apiKeys.authenticate(key).id, record.id);
+  assert.equal(apiKeys.authenticate(`${key}x`), null);
+
+  const rotated = apiKeys.rotate(record.id, 60);
+  assert.equal(apiKeys.authenticate(key).id, record.id);
+  assert.equal(apiKeys.authenticate(rotated.key).id, record.id);
+
+  t.mock.timers.setTime(Date.parse('2026-10-19T12:01:01Z'));
+  assert.equal(apiKeys.authenticate(key), null);
+
+  apiKeys.revoke(record.id);
+  assert.equal(apiKeys.authenticate(rotated.key), null);
+  assert.throws(() => apiKeys.getActive(record.id), { code: 'KEY_REVOKED' });
+});
+
+test('the daily quota resets at midnight UTC', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T23:59:00Z') });
+  const { record } = apiKeys.create({ name: 'quota', dailyQuota: 2 });
+  const stored = apiKeys.getActive(record.id);
+
+  assert.equal(apiKeys.consumeQuota(stored).remaining, 1);
+  assert.equal(apiKeys.consumeQuota(stored).remaining, 0);
+  assert.throws(() => apiKeys.consumeQuota(stored), (error) => {
+    assert.equal(error.code, 'QUOTA_EXCEEDED');
+    assert.equal(error.details.resetAt, '2026-10-20T00:00:00.000Z');
+    return true;
+  });
+
+  t.mock.timers.setTime(Date.parse('2026-10-20T00:00:01Z'));
+  assert.equal(apiKeys.consumeQuota(stored).used, 1);
+});
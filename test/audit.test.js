@@ -0,0 +1,101 @@
+// test/audit.test.js - group audit log hash chain, retention and paging
+process.env.STORE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../lib/audit');
+
+test('entries are numbered per group and link to the one before', async () => {
+  const [first, second] = await audit.append('chain@g.us', [
+    { action: 'join', targetId: '2348000000001' },
+    { action: 'promote', actorId: '2348000000001', targetId: '2348000000002' }
+  ]);
+
+  assert.equal(first.seq, 1);
+  assert.equal(second.seq, 2);
+  assert.equal(second.prevHash, first.hash);
+  assert.deepEqual(await audit.verify('chain@g.us'), {
+    groupId: 'chain@g.us', valid: true, checked: 2, total: 2, brokenAt: null, reason: null, head: second.hash
+  });
+});
+
+test('an edited or removed entry breaks the chain', async () => {
+  const groupId = 'tamper@g.us';
+  for (const action of ['join', 'join', 'leave', 'join']) {
+    await audit.record(groupId, { action, targetId: '2348000000001' });
+  }
+
+  const edited = await audit.records.get(audit.key(groupId, 2));
+  await audit.records.set(edited.id, { ...edited, action: 'leave' });
+  const changed = await audit.verify(groupId);
+  assert.equal(changed.valid, false);
+  assert.equal(changed.brokenAt, 2);
+  assert.equal(changed.reason, 'content does not match its hash');
+
+  await audit.records.set(edited.id, edited);
+  await audit.records.delete(audit.key(groupId, 4));
+  const truncated = await audit.verify(groupId);
+  assert.equal(truncated.valid, false);
+  assert.equal(truncated.brokenAt, 4);
+});
+
+test('a group whose id starts with another group id stays separate', async () => {
+  await audit.record('prefix', { action: 'join' });
+  await audit.record('prefix:1', { action: 'leave' });
+
+  assert.deepEqual((await audit.list('prefix')).map(entry => entry.action), ['join']);
+  assert.equal((await audit.verify('prefix')).valid, true);
+  assert.deepEqual((await audit.query({ groupId: 'prefix' })).entries.map(entry => entry.groupId), ['prefix']);
+});
+
+test('the oldest entries over the cap are dropped and the rest still verify', async (t) => {
+  const maxEntries = audit.maxEntries;
+  audit.maxEntries = 3;
+  t.after(() => { audit.maxEntries = maxEntries; });
+
+  const groupId = 'capped@g.us';
+  for (let i = 0; i < 5; i++) {
+    await audit.record(groupId, { action: 'join', targetId: `234800000000${i}` });
+  }
+
+  assert.deepEqual((await audit.list(groupId)).map(entry => entry.seq), [3, 4, 5]);
+  const verification = await audit.verify(groupId);
+  assert.equal(verification.valid, true);
+  assert.equal(verification.checked, 3);
+});
+
+test('entries past the retention period are dropped as the group is written to', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+  const groupId = 'retained@g.us';
+  await audit.record(groupId, { action: 'join' });
+
+  t.mock.timers.setTime(Date.parse('2026-06-01T00:00:00Z'));
+  await audit.record(groupId, { action: 'leave' });
+
+  assert.deepEqual((await audit.list(groupId)).map(entry => entry.action), ['leave']);
+  assert.equal((await audit.verify(groupId)).valid, true);
+});
+
+test('pages follow the cursor newest first across groups', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2030-01-01T00:00:00Z') });
+  const groups = ['paging-a@g.us', 'paging-b@g.us', 'paging-c@g.us'];
+  const written = [];
+  for (let i = 0; i < 12; i++) {
+    t.mock.timers.setTime(Date.parse('2030-01-01T00:00:00Z') + Math.floor(i / 2) * 1000);
+    written.push(await audit.record(groups[i % 3], { action: i % 2 ? 'join' : 'leave', actorId: 'pager' }));
+  }
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await audit.query({ actorId: 'pager' }, { limit: 5, cursor });
+    seen.push(...page.entries.map(entry => entry.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, written.sort((a, b) => audit.compare(a, b)).map(entry => entry.id));
+
+  const joins = await audit.query({ groupId: 'paging-b@g.us', actorId: 'pager', action: 'join' });
+  assert.deepEqual(joins.entries.map(entry => entry.seq), [3, 1]);
+  assert.throws(() => audit.decodeCursor('nope'), { code: 'INVALID_CURSOR' });
+});
@@ -0,0 +1,120 @@
+// test/policies.test.js - group roles, command rules and cooldowns
+process.env.STORE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const policies = require('../lib/policies');
+const roster = require('../lib/roster');
+const policyFunction = require('../fx/group/policy');
+
+let groups = 0;
+
+// A fresh group with an owner, an admin and two members
+async function group() {
+  const groupId = `1203630${++groups}@g.us`;
+  await roster.applySnapshot(groupId, {
+    members: [
+      { id: '2348000000001', role: 'owner' },
+      { id: '2348000000002', role: 'admin' },
+      { id: '2348000000003', role: 'member' },
+      { id: '2348000000004', role: 'member' }
+    ]
+  });
+  return groupId;
+}
+
+test('roles come from the roster and the group assignments', async () => {
+  const groupId = await group();
+  await policies.assign(groupId, '2348000000003', 'moderator', '2348000000002');
+
+  assert.equal(await policies.getRole(groupId, '2348000000001'), 'owner');
+  assert.equal(await policies.getRole(groupId, '2348000000002'), 'admin');
+  assert.equal(await policies.getRole(groupId, '2348000000003'), 'moderator');
+  assert.equal(await policies.getRole(groupId, '2348000000004'), 'member');
+  assert.equal(await policies.getRole(groupId, '2348000000099'), 'member');
+});
+
+test('the most specific command rule wins', async () => {
+  const groupId = await group();
+  await policies.update(groupId, { commands: { 'ai/*': 'moderator', 'ai/gpt': 'member' } }, '2348000000002');
+
+  const gpt = await policies.evaluate(groupId, '2348000000004', 'ai', 'gpt');
+  assert.equal(gpt.allowed, true);
+  assert.equal(gpt.rule, 'ai/gpt');
+
+  const other = await policies.evaluate(groupId, '2348000000004', 'ai', 'myai');
+  assert.equal(other.allowed, false);
+  assert.equal(other.code, 'FORBIDDEN');
+  assert.equal(other.rule, 'ai/*');
+
+  assert.equal(await policies.can(groupId, '2348000000004', 'group', 'tagall'), false);
+  assert.equal(await policies.can(groupId, '2348000000002', 'group', 'tagall'), true);
+});
+
+test('banned members can run nothing', async () => {
+  const groupId = await group();
+  await policies.assign(groupId, '2348000000004', 'banned', '2348000000002', 'spam');
+
+  const decision = await policies.evaluate(groupId, '2348000000004', 'general', 'save');
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.code, 'BANNED');
+});
+
+test('assigning a role needs an actor who outranks the member and the role', async () => {
+  const groupId = await group();
+
+  await assert.rejects(
+    policies.assign(groupId, '2348000000004', 'moderator', null),
+    { code: 'MISSING_ACTOR' }
+  );
+  await assert.rejects(
+    policies.assign(groupId, '2348000000004', 'moderator', '2348000000003'),
+    { code: 'FORBIDDEN' }
+  );
+  await assert.rejects(
+    policies.assign(groupId, '2348000000002', 'banned', '2348000000001'),
+    { code: 'CONFLICT' }
+  );
+
+  const entry = await policies.assign(groupId, '2348000000004', 'moderator', '2348000000002');
+  assert.equal(entry.action, 'promote');
+  assert.deepEqual(entry.details, { from: 'member', to: 'moderator' });
+});
+
+test('the policy function refuses changes without an actor or from members', async () => {
+  const groupId = await group();
+
+  const anonymous = await policyFunction({ data: { groupId, operation: 'update', commands: { 'ai/*': 'admin' } } });
+  assert.equal(anonymous.error.code, 'MISSING_ACTOR');
+
+  const member = await policyFunction({
+    data: { groupId, operation: 'update', commands: { 'ai/*': 'admin' } },
+    metadata: { userId: '2348000000004' }
+  });
+  assert.equal(member.success, false);
+  assert.equal((await policies.get(groupId)).commands['ai/*'], undefined);
+
+  const admin = await policyFunction({
+    data: { groupId, operation: 'update', commands: { 'ai/*': 'admin' }, actorId: '2348000000002' }
+  });
+  assert.equal(admin.success, true);
+  assert.equal(admin.result.commands['ai/*'], 'admin');
+});
+
+test('a group cooldown starts on use and the owner is exempt', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+  const groupId = await group();
+
+  const first = await policies.evaluate(groupId, '2348000000002', 'group', 'tagall', { consume: true });
+  assert.equal(first.allowed, true);
+
+  const second = await policies.evaluate(groupId, '2348000000002', 'group', 'tagall', { consume: true });
+  assert.equal(second.code, 'COOLDOWN');
+  assert.equal(second.retryAfter, 300);
+
+  const owner = await policies.evaluate(groupId, '2348000000001', 'group', 'tagall', { consume: true });
+  assert.equal(owner.allowed, true);
+
+  t.mock.timers.setTime(Date.parse('2026-10-19T12:05:01Z'));
+  assert.equal((await policies.evaluate(groupId, '2348000000002', 'group', 'tagall')).allowed, true);
+});
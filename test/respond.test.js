@@ -0,0 +1,145 @@
+// test/respond.test.js - auto-responder runtime against fixture messages
+process.env.STORE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const respond = require('../fx/general/respond');
+const autorespond = require('../fx/tools/fx/setting/autorespond');
+
+const NOON = '2026-10-19T12:00:00Z';
+
+function message(data) {
+  return respond({ data: { userId: 'owner', sender: '2348098765432@s.whatsapp.net', now: NOON, ...data } });
+}
+
+// Calls that record ignore `now` and read the real clock, so set that instead
+function clock(t, iso = NOON) {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(iso) });
+  return (next) => t.mock.timers.setTime(Date.parse(next));
+}
+
+test('fills template variables from the sender and the clock', async () => {
+  const { result } = await message({
+    text: 'hello there',
+    senderName: 'Ada',
+    settings: { responses: [{ trigger: 'hello', response: '{greeting}, {name}! ({day} {time})' }] }
+  });
+
+  assert.equal(result.matched, true);
+  assert.equal(result.reply, 'Good afternoon, Ada! (Monday 12:00)');
+  assert.equal(result.recorded, false);
+});
+
+test('wildcard and regex captures are available as placeholders', async () => {
+  const wildcard = await message({
+    text: 'price of rice',
+    settings: { responses: [{ trigger: 'price of *', match: 'wildcard', response: 'Checking {1}...' }] }
+  });
+  assert.equal(wildcard.result.reply, 'Checking rice...');
+
+  const regex = await message({
+    text: 'order #42 status',
+    settings: { responses: [{ trigger: 'order #(?<order>\\d+)', match: 'regex', response: 'Order {order} ships today' }] }
+  });
+  assert.equal(regex.result.reply, 'Order 42 ships today');
+});
+
+test('keyword triggers match whole words only', async () => {
+  const settings = { triggers: [{ value: 'hi', response: 'Hello!' }] };
+
+  assert.equal((await message({ text: 'hi all', settings })).result.reply, 'Hello!');
+  assert.equal((await message({ text: 'this is it', settings })).result.reason, 'no_match');
+});
+
+test('a seed makes the pick from a pool repeatable', async () => {
+  const settings = { responses: [{ trigger: 'hey', responses: ['one', 'two', 'three', 'four'] }] };
+  const first = await message({ text: 'hey', seed: 7, settings });
+  const second = await message({ text: 'hey', seed: 7, settings });
+
+  assert.equal(first.result.reply, second.result.reply);
+});
+
+test('quiet hours and business hours decide whether to reply', async () => {
+  const settings = {
+    responses: [{ trigger: 'help', response: 'An agent will reply shortly', hours: 'business' }],
+    businessHours: { enabled: true, days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', outsideResponse: 'We are closed' }
+  };
+
+  assert.equal((await message({ text: 'help', settings })).result.reply, 'An agent will reply shortly');
+  assert.equal((await message({ text: 'help', now: '2026-10-19T18:30:00Z', settings })).result.reply, 'We are closed');
+  assert.equal((await message({ text: 'help', now: '2026-10-19T23:00:00Z', settings })).result.reason, 'quiet_hours');
+});
+
+test('bots are ignored unless configured otherwise', async () => {
+  const settings = { responses: [{ trigger: 'ping', response: 'pong' }] };
+
+  assert.equal((await message({ text: 'ping', isBot: true, settings })).result.reason, 'ignored_bot');
+  assert.equal((await message({ text: 'ping', isBot: true, settings: { ...settings, config: { ignoreBots: false } } })).result.reply, 'pong');
+});
+
+test('a trigger cooldown holds back repeat replies to the same sender', async (t) => {
+  clock(t);
+  await autorespond({ data: { userId: 'cooldown-owner', enabled: true, responses: [{ trigger: 'menu', response: 'Here is the menu', cooldown: 600 }] } });
+
+  const first = await message({ userId: 'cooldown-owner', text: 'menu' });
+  const repeat = await message({ userId: 'cooldown-owner', text: 'menu' });
+  const other = await message({ userId: 'cooldown-owner', sender: 'someone-else', text: 'menu' });
+
+  assert.equal(first.result.reply, 'Here is the menu');
+  assert.equal(repeat.result.reason, 'cooldown');
+  assert.ok(repeat.result.retryAfter > 0 && repeat.result.retryAfter <= 600);
+  assert.equal(other.result.reply, 'Here is the menu');
+});
+
+test('the reply cap counts per clock hour and starts over in the next one', async (t) => {
+  const setTime = clock(t);
+  await autorespond({ data: { userId: 'busy-owner', enabled: true, responses: [{ trigger: 'hi', response: 'Hello' }], config: { maxPerHour: 2 } } });
+  const send = (now) => {
+    setTime(now);
+    return message({ userId: 'busy-owner', text: 'hi' });
+  };
+
+  assert.equal((await send('2026-10-19T12:05:00Z')).result.reply, 'Hello');
+  assert.equal((await send('2026-10-19T12:30:00Z')).result.reply, 'Hello');
+  assert.equal((await send('2026-10-19T12:59:00Z')).result.reason, 'rate_limited');
+  assert.equal((await send('2026-10-19T13:00:00Z')).result.reply, 'Hello');
+});
+
+test('concurrent replies never go over the cap', async (t) => {
+  clock(t);
+  await autorespond({ data: { userId: 'burst-owner', enabled: true, responses: [{ trigger: 'hi', response: 'Hello' }], config: { maxPerHour: 3 } } });
+
+  const results = await Promise.all(Array.from({ length: 8 }, () => message({ userId: 'burst-owner', text: 'hi' })));
+  assert.equal(results.filter(({ result }) => result.reply).length, 3);
+});
+
+test('dry runs neither count against the cap nor start cooldowns', async (t) => {
+  clock(t);
+  await autorespond({ data: { userId: 'dry-owner', enabled: true, responses: [{ trigger: 'hi', response: 'Hello', cooldown: 600 }], config: { maxPerHour: 1 } } });
+
+  for (let i = 0; i < 3; i++) {
+    const { result } = await message({ userId: 'dry-owner', text: 'hi', dryRun: true });
+    assert.equal(result.reply, 'Hello');
+    assert.equal(result.recorded, false);
+  }
+  assert.equal((await message({ userId: 'dry-owner', text: 'hi' })).result.recorded, true);
+});
+
+test('a made-up clock does not get around the cap or a cooldown', async (t) => {
+  clock(t);
+  await autorespond({ data: { userId: 'clock-owner', enabled: true, responses: [{ trigger: 'hi', response: 'Hello', cooldown: 600 }], config: { maxPerHour: 5 } } });
+
+  assert.equal((await message({ userId: 'clock-owner', text: 'hi' })).result.reply, 'Hello');
+  const later = await message({ userId: 'clock-owner', text: 'hi', now: '2026-10-19T15:00:00Z' });
+  assert.equal(later.result.reason, 'cooldown');
+});
+
+test('regex triggers that could backtrack without end are refused', async () => {
+  assert.match(autorespond.checkPattern('(a+)+$'), /repeat a group/);
+  assert.match(autorespond.checkPattern('x'.repeat(201)), /at most 200/);
+  assert.equal(autorespond.checkPattern('order #(?<order>\\d+)'), true);
+
+  const settings = { responses: [{ trigger: '(a+)+$', match: 'regex', response: 'never' }] };
+  const { result } = await message({ text: `${'a'.repeat(40)}!`, settings });
+  assert.equal(result.reason, 'no_match');
+});
@@ -0,0 +1,90 @@
+// test/schedules.test.js - cron parsing, next runs across DST and claiming due announcements
+process.env.STORE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schedules = require('../lib/schedules');
+const roster = require('../lib/roster');
+const scheduleFunction = require('../fx/group/schedule');
+
+const NEW_YORK = 'America/New_York';
+
+function next(expression, after, timeZone = NEW_YORK) {
+  const time = schedules.nextRun(schedules.parseCron(expression), timeZone, Date.parse(after));
+  return time === null ? null : new Date(time).toISOString();
+}
+
+test('parses ranges, steps, names and shortcuts', () => {
+  const cron = schedules.parseCron('*/15 9-17 * * MON-FRI');
+  assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+  assert.deepEqual(cron.hours, [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.weekdays].sort(), [1, 2, 3, 4, 5]);
+
+  assert.equal(schedules.parseCron('@daily').expression, '@daily');
+  assert.throws(() => schedules.parseCron('0 9 * *'), { code: 'INVALID_CRON' });
+  assert.throws(() => schedules.parseCron('61 9 * * *'), { code: 'INVALID_CRON' });
+});
+
+test('a time skipped when daylight saving starts runs the next day', () => {
+  // 02:30 doesn't exist in New York on 2027-03-14
+  assert.equal(next('30 2 * * *', '2027-03-13T08:00:00Z'), '2027-03-15T06:30:00.000Z');
+  // Times after the jump keep their wall-clock hour in the new offset
+  assert.equal(next('0 9 * * *', '2027-03-13T15:00:00Z'), '2027-03-14T13:00:00.000Z');
+});
+
+test('a time repeated when daylight saving ends runs once', () => {
+  const first = next('30 1 * * *', '2027-11-06T12:00:00Z');
+  assert.equal(first, '2027-11-07T05:30:00.000Z');
+  assert.equal(next('30 1 * * *', first), '2027-11-08T06:30:00.000Z');
+});
+
+test('day of month and day of week both restricted run on either', () => {
+  // Friday 23 October comes before the 13th of November
+  assert.equal(next('0 0 13 * FRI', '2026-10-19T00:00:00Z', 'UTC'), '2026-10-23T00:00:00.000Z');
+  assert.equal(next('0 0 31 2 *', '2026-10-19T00:00:00Z', 'UTC'), null);
+});
+
+test('each due run is handed out once and late runs are skipped', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T08:30:00Z') });
+  const groupId = '120363099999999999@g.us';
+  const schedule = await schedules.create({ groupId, message: 'Standup', cron: '0 9 * * *', timezone: 'UTC', maxRuns: 2 });
+  assert.equal(schedule.nextRunAt, '2026-10-19T09:00:00.000Z');
+
+  t.mock.timers.setTime(Date.parse('2026-10-19T09:00:30Z'));
+  const first = await schedules.due({ groupId });
+  assert.deepEqual(first.due.map(run => run.scheduledFor), ['2026-10-19T09:00:00.000Z']);
+  assert.equal((await schedules.due({ groupId })).due.length, 0);
+
+  // Two hours past the next run is beyond the grace period
+  t.mock.timers.setTime(Date.parse('2026-10-20T11:00:00Z'));
+  const late = await schedules.due({ groupId });
+  assert.equal(late.due.length, 0);
+  assert.deepEqual(late.skipped.map(run => run.scheduledFor), ['2026-10-20T09:00:00.000Z']);
+
+  t.mock.timers.setTime(Date.parse('2026-10-21T09:01:00Z'));
+  assert.equal((await schedules.due({ groupId })).due.length, 1);
+  const done = await schedules.get(schedule.id);
+  assert.equal(done.status, 'completed');
+  assert.equal(done.runs, 2);
+  assert.equal(done.missed, 1);
+});
+
+test('scheduling and cancelling need an actor the policy allows', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T08:30:00Z') });
+  const groupId = '120363088888888888@g.us';
+  await roster.applySnapshot(groupId, {
+    members: [{ id: '2348000000002', role: 'admin' }, { id: '2348000000004', role: 'member' }]
+  });
+  const data = { groupId, operation: 'create', message: 'Reminder', runAt: '2026-10-20T09:00:00Z' };
+
+  assert.equal((await scheduleFunction({ data })).error.code, 'MISSING_ACTOR');
+  assert.equal((await scheduleFunction({ data, metadata: { userId: '2348000000004' } })).error.code, 'NO_PERMISSION');
+
+  const created = await scheduleFunction({ data, metadata: { userId: '2348000000002' } });
+  assert.equal(created.success, true);
+
+  const cancel = { groupId, operation: 'cancel', scheduleId: created.result.schedule.id };
+  assert.equal((await scheduleFunction({ data: cancel })).error.code, 'MISSING_ACTOR');
+  assert.equal((await scheduleFunction({ data: { ...cancel, actorId: '2348000000004' } })).error.code, 'NO_PERMISSION');
+  assert.equal((await scheduleFunction({ data: { ...cancel, actorId: '2348000000002' } })).result.schedule.status, 'cancelled');
+});
@@ -0,0 +1,57 @@
+// test/store.test.js - collection TTLs and serialized updates
+process.env.STORE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../lib/store');
+
+test('records expire after their TTL', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+  const collection = store.collection('test-ttl', { ttl: 60 });
+
+  await collection.set('default', 1);
+  await collection.set('longer', 2, { ttl: 120 });
+  await collection.set('forever', 3, { ttl: null });
+
+  t.mock.timers.setTime(Date.parse('2026-10-19T12:01:00Z'));
+  assert.equal(await collection.get('default'), null);
+  assert.deepEqual(await collection.keys(), ['longer', 'forever']);
+
+  t.mock.timers.setTime(Date.parse('2026-10-19T12:02:00Z'));
+  assert.deepEqual(await collection.values(), [3]);
+});
+
+test('concurrent updates to a key run one after another', async () => {
+  const collection = store.collection('test-update');
+
+  await Promise.all(Array.from({ length: 20 }, () => collection.update('counter', async (count) => {
+    await new Promise(resolve => setImmediate(resolve));
+    return (count || 0) + 1;
+  })));
+
+  assert.equal(await collection.get('counter'), 20);
+});
+
+test('a failed update leaves the value and does not block the next one', async () => {
+  const collection = store.collection('test-failure');
+  await collection.set('key', 'kept');
+
+  await assert.rejects(collection.update('key', () => {
+    throw new Error('nope');
+  }), /nope/);
+  assert.equal(await collection.get('key'), 'kept');
+  assert.equal(await collection.update('key', value => `${value}!`), 'kept!');
+});
+
+test('prefix lookups only return matching keys', async () => {
+  const collection = store.collection('test-prefix');
+  await collection.set('group:1', 'a');
+  await collection.set('group:2', 'b');
+  await collection.set('other:1', 'c');
+
+  assert.deepEqual((await collection.values('group:')).sort(), ['a', 'b']);
+});
+
+test('an unknown driver is refused', () => {
+  assert.throws(() => store.collection('test-driver', { driver: 'missing' }), { code: 'UNKNOWN_DRIVER' });
+});
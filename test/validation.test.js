@@ -0,0 +1,62 @@
+// test/validation.test.js - function input checked against declared schemas
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validation = require('../lib/validation');
+
+// Details of the failure, or null when the data passes
+function failures(data, schema) {
+  try {
+    validation.validateSchema(data, schema);
+    return null;
+  } catch (error) {
+    assert.equal(error.code, 'VALIDATION_FAILED');
+    return error.details.map(({ field, code }) => `${field}:${code}`);
+  }
+}
+
+test('required fields and types are checked', () => {
+  const schema = {
+    groupId: { type: 'string', required: true },
+    limit: { type: 'number', isInteger: true, min: 1, max: 100 }
+  };
+
+  assert.equal(failures({ groupId: 'g', limit: 20 }, schema), null);
+  assert.deepEqual(failures({ limit: 'many' }, schema), ['groupId:REQUIRED', 'limit:INVALID_TYPE']);
+  assert.deepEqual(failures({ groupId: 'g', limit: 2.5 }, schema), ['limit:NOT_INTEGER']);
+  assert.deepEqual(failures({ groupId: 'g', limit: 500 }, schema), ['limit:MAX_VALUE']);
+});
+
+test('string booleans pass and reach the function as booleans', () => {
+  const data = { enabled: 'false', isPublic: 'true' };
+  validation.validateSchema(data, { enabled: { type: 'boolean' }, isPublic: { type: 'boolean' } });
+
+  assert.equal(data.enabled, false);
+  assert.equal(data.isPublic, true);
+  assert.deepEqual(failures({ enabled: 'yes' }, { enabled: { type: 'boolean' } }), ['enabled:INVALID_TYPE']);
+});
+
+test('errors in array items and nested objects name the path', () => {
+  const schema = {
+    whitelist: { type: 'array', maxItems: 2, itemSchema: { type: 'string', maxLength: 5 } },
+    rule: { type: 'object', properties: { trigger: { type: 'string', required: true } } }
+  };
+
+  assert.deepEqual(
+    failures({ whitelist: ['ok', 'too long'], rule: {} }, schema),
+    ['whitelist[1]:MAX_LENGTH', 'rule.trigger:REQUIRED']
+  );
+  assert.deepEqual(failures({ whitelist: ['a', 'b', 'c'] }, schema), ['whitelist:MAX_ITEMS']);
+});
+
+test('custom validators see the rest of the data', () => {
+  const schema = {
+    match: { type: 'string' },
+    trigger: {
+      type: 'string',
+      validate: (value, data) => data.match !== 'regex' || value.length <= 3 || 'Pattern is too long'
+    }
+  };
+
+  assert.equal(failures({ match: 'exact', trigger: 'long enough' }, schema), null);
+  assert.deepEqual(failures({ match: 'regex', trigger: 'long enough' }, schema), ['trigger:CUSTOM_VALIDATION']);
+});